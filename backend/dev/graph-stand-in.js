@@ -0,0 +1,637 @@
+// Local stand-in for the Meta Graph API, for offline development and integration tests.
+//
+//   npm run graph-stand-in                     # listens on GRAPH_STAND_IN_PORT (default 4010)
+//   META_GRAPH_BASE_URL=http://localhost:4010  # point the app at it
+//
+// State is kept in memory and seeded with a business, two ad accounts, pages, pixels,
+// campaigns and ad sets. Errors can be injected through the /__stand-in control routes.
+import crypto from "crypto";
+import express from "express";
+import multer from "multer";
+import { fileURLToPath } from "url";
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_PAGE_LIMIT = 25;
+const VIDEO_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// How long uploaded videos stay in "processing" before they report "ready"
+const VIDEO_PROCESSING_MS = parseInt(process.env.GRAPH_STAND_IN_VIDEO_PROCESSING_MS) || 3000;
+
+class StandInError extends Error {
+  constructor(message, { status = 400, code = 100, subcode, type = "OAuthException", userTitle, userMessage, isTransient = false, errorData } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.type = type;
+    this.userTitle = userTitle;
+    this.userMessage = userMessage;
+    this.isTransient = isTransient;
+    this.errorData = errorData;
+  }
+
+  toBody() {
+    return {
+      error: {
+        message: this.message,
+        type: this.type,
+        code: this.code,
+        error_subcode: this.subcode,
+        error_user_title: this.userTitle,
+        error_user_msg: this.userMessage,
+        is_transient: this.isTransient,
+        ...(this.errorData ? { error_data: this.errorData } : {}),
+        fbtrace_id: crypto.randomBytes(8).toString("hex"),
+      },
+    };
+  }
+}
+
+const notFound = (id) =>
+  new StandInError(`Unsupported get request. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation.`, {
+    code: 100,
+    subcode: 33,
+    type: "GraphMethodException",
+  });
+
+const missingParam = (name) => new StandInError(`(#100) The parameter ${name} is required`, { code: 100 });
+
+// Split a `fields` parameter into its top-level names: "id,insights{spend},name" -> [id, insights, name]
+function topLevelFields(fields) {
+  const names = [];
+  let depth = 0;
+  let current = "";
+  for (const char of String(fields)) {
+    if (char === "{" || char === "(") depth++;
+    if (char === "}" || char === ")") depth--;
+    if (char === "," && depth === 0) {
+      names.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  names.push(current);
+  return names.map((name) => name.split(/[{.(]/)[0].trim()).filter(Boolean);
+}
+
+// Form and multipart bodies carry objects as JSON strings
+function parseValue(value) {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if ((trimmed.startsWith("{") && trimmed.endsWith("}")) || (trimmed.startsWith("[") && trimmed.endsWith("]"))) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+function parseParams(params) {
+  return Object.fromEntries(Object.entries(params || {}).map(([key, value]) => [key, parseValue(value)]));
+}
+
+// Resolve a simple JSONPath ($.a.b[0].c, $.data.*.id) against a batch result body
+function resolveJsonPath(body, expression) {
+  const tokens = expression
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+|\*)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+
+  let values = [body];
+  for (const token of tokens) {
+    values = values.flatMap((value) => {
+      if (value === null || value === undefined) return [];
+      if (token === "*") return Array.isArray(value) ? value : Object.values(value);
+      return value[token] === undefined ? [] : [value[token]];
+    });
+  }
+  return values.join(",");
+}
+
+export function createGraphStandIn() {
+  const state = {
+    nodes: new Map(),
+    errorRules: [],
+    nextId: 120200000000001,
+    requests: [],
+  };
+
+  const newId = () => String(state.nextId++);
+
+  const addNode = (type, data) => {
+    const node = { ...data, id: data.id || newId(), _type: type, _createdAt: Date.now() };
+    state.nodes.set(node.id, node);
+    return node;
+  };
+
+  const nodesOfType = (type, predicate = () => true) => [...state.nodes.values()].filter((node) => node._type === type && predicate(node));
+
+  const getNode = (id, type = null) => {
+    const node = state.nodes.get(String(id));
+    if (!node || (type && node._type !== type)) throw notFound(id);
+    return node;
+  };
+
+  const insights = () => ({ data: [{ spend: "0", clicks: "0", impressions: "0" }] });
+
+  function videoStatus(video) {
+    if (!video._finished) return { video_status: "upload_incomplete", processing_progress: 0 };
+    const elapsed = Date.now() - video._finishedAt;
+    if (elapsed < VIDEO_PROCESSING_MS) {
+      return { video_status: "processing", processing_progress: Math.floor((elapsed / VIDEO_PROCESSING_MS) * 100) };
+    }
+    return { video_status: "ready", processing_progress: 100 };
+  }
+
+  // Public view of a node, limited to the requested fields
+  function present(node, fields) {
+    const view = Object.fromEntries(Object.entries(node).filter(([key]) => !key.startsWith("_")));
+    if (node._type === "advideo") view.status = videoStatus(node);
+    if (!fields) return view;
+
+    const picked = { id: view.id };
+    for (const name of topLevelFields(fields)) {
+      if (name === "insights" && (node._type === "campaign" || node._type === "adset")) {
+        picked.insights = insights();
+      } else if (view[name] !== undefined) {
+        picked[name] = view[name];
+      }
+    }
+    return picked;
+  }
+
+  function seed() {
+    state.nodes.clear();
+    state.nextId = 120200000000001;
+
+    addNode("user", { id: "100000000000001", name: "Stand-in User" });
+    addNode("business", { id: "200000000000001", name: "Stand-in Business" });
+
+    for (const [index, accountId] of ["1000000001", "1000000002"].entries()) {
+      const account = addNode("adaccount", {
+        id: `act_${accountId}`,
+        account_id: accountId,
+        name: `Stand-in Ad Account ${index + 1}`,
+        account_status: 1,
+        currency: "USD",
+        timezone_name: "America/Los_Angeles",
+      });
+
+      addNode("adspixel", { id: `30000000000000${index + 1}`, name: `Stand-in Pixel ${index + 1}`, _accountId: account.id });
+
+      const campaign = addNode("campaign", {
+        account_id: accountId,
+        name: `Stand-in Campaign ${index + 1}`,
+        objective: "OUTCOME_SALES",
+        status: "PAUSED",
+        bid_strategy: "LOWEST_COST_WITHOUT_CAP",
+        special_ad_categories: [],
+        daily_budget: "5000",
+        created_time: new Date().toISOString(),
+      });
+
+      addNode("adset", {
+        account_id: accountId,
+        campaign_id: campaign.id,
+        name: `Stand-in Ad Set ${index + 1}`,
+        status: "PAUSED",
+        daily_budget: "2000",
+        bid_strategy: "LOWEST_COST_WITHOUT_CAP",
+        optimization_goal: "OFFSITE_CONVERSIONS",
+        billing_event: "IMPRESSIONS",
+        created_time: new Date().toISOString(),
+      });
+    }
+
+    for (const [index, pageId] of ["400000000000001", "400000000000002"].entries()) {
+      addNode("page", { id: pageId, name: `Stand-in Page ${index + 1}`, access_token: `stand-in-page-token-${index + 1}` });
+    }
+  }
+
+  // Cursor pagination over an edge, with paging.next pointing back at this server
+  function paginate(items, params, baseUrl) {
+    const limit = parseInt(params.limit) || DEFAULT_PAGE_LIMIT;
+    const start = params.after ? parseInt(Buffer.from(params.after, "base64").toString()) + 1 : 0;
+    const page = items.slice(start, start + limit);
+    const body = { data: page.map((node) => present(node, params.fields)) };
+
+    if (page.length > 0) {
+      const cursor = (index) => Buffer.from(String(index)).toString("base64");
+      body.paging = { cursors: { before: cursor(start), after: cursor(start + page.length - 1) } };
+
+      if (start + limit < items.length && baseUrl) {
+        const next = new URL(baseUrl);
+        for (const [key, value] of Object.entries(params)) {
+          if (typeof value === "string") next.searchParams.set(key, value);
+        }
+        next.searchParams.set("limit", String(limit));
+        next.searchParams.set("after", body.paging.cursors.after);
+        body.paging.next = next.toString();
+      }
+    }
+    return body;
+  }
+
+  function matchInjectedError(method, path) {
+    const index = state.errorRules.findIndex((rule) => {
+      if (rule.method && rule.method.toUpperCase() !== method) return false;
+      if (!rule.path) return true;
+      return rule.path.startsWith("^") ? new RegExp(rule.path).test(path) : path.includes(rule.path);
+    });
+    if (index === -1) return null;
+
+    const rule = state.errorRules[index];
+    if (rule.times > 0 && --rule.times === 0) {
+      state.errorRules.splice(index, 1);
+    }
+
+    return new StandInError(rule.message || "An unexpected error has occurred. Please retry your request later.", {
+      status: rule.status || 500,
+      code: rule.code ?? 2,
+      subcode: rule.error_subcode,
+      type: rule.type || "OAuthException",
+      userTitle: rule.error_user_title,
+      userMessage: rule.error_user_msg,
+      isTransient: rule.is_transient ?? [1, 2].includes(rule.code ?? 2),
+    });
+  }
+
+  function edgeItems(parent, edge) {
+    switch (edge) {
+      case "adaccounts":
+      case "assigned_ad_accounts":
+      case "owned_ad_accounts":
+        return nodesOfType("adaccount");
+      case "businesses":
+        return nodesOfType("business");
+      case "accounts":
+      case "assigned_pages":
+        return nodesOfType("page");
+      case "adspixels":
+        return nodesOfType("adspixel", (node) => node._accountId === parent.id);
+      case "campaigns":
+        return nodesOfType("campaign", (node) => node.account_id === parent.account_id);
+      case "adsets":
+        return parent._type === "campaign"
+          ? nodesOfType("adset", (node) => node.campaign_id === parent.id)
+          : nodesOfType("adset", (node) => node.account_id === parent.account_id);
+      case "ads":
+        return parent._type === "adset"
+          ? nodesOfType("ad", (node) => node.adset_id === parent.id)
+          : nodesOfType("ad", (node) => node.account_id === parent.account_id);
+      case "adcreatives":
+        return nodesOfType("adcreative", (node) => node.account_id === parent.account_id);
+      case "adimages":
+        return nodesOfType("adimage", (node) => node.account_id === parent.account_id);
+      case "advideos":
+        return nodesOfType("advideo", (node) => node.account_id === parent.account_id);
+      default:
+        throw new StandInError(`(#100) Tried accessing nonexisting field (${edge}) on node type (${parent._type})`, { code: 100 });
+    }
+  }
+
+  function resolveParent(id) {
+    if (id === "me") return getNode("100000000000001");
+    if (/^\d+$/.test(id) && !state.nodes.has(id) && id.length < 15) {
+      // Unknown numeric IDs act as the system user when reading assigned_* edges
+      return { id, _type: "user" };
+    }
+    return getNode(id);
+  }
+
+  function copyCampaign(campaign, params) {
+    const suffix = params.rename_options?.rename_suffix ?? " - Copy";
+    const copy = addNode("campaign", {
+      ...present(campaign),
+      id: undefined,
+      name: `${campaign.name}${suffix}`,
+      status: params.status_option === "ACTIVE" ? "ACTIVE" : "PAUSED",
+      created_time: new Date().toISOString(),
+    });
+
+    const adSetIds = [];
+    if (params.deep_copy === true || params.deep_copy === "true") {
+      for (const adset of nodesOfType("adset", (node) => node.campaign_id === campaign.id)) {
+        adSetIds.push(copyAdSet(adset, { campaign_id: copy.id, status_option: params.status_option }).id);
+      }
+    }
+    return { copied_campaign_id: copy.id, ad_object_ids: [{ ad_object_type: "campaign", source_id: campaign.id, copied_id: copy.id }, ...adSetIds.map((id) => ({ ad_object_type: "ad_set", copied_id: id }))] };
+  }
+
+  function copyAdSet(adset, params) {
+    return addNode("adset", {
+      ...present(adset),
+      id: undefined,
+      campaign_id: params.campaign_id || adset.campaign_id,
+      name: `${adset.name} - Copy`,
+      status: params.status_option === "ACTIVE" ? "ACTIVE" : "PAUSED",
+      created_time: new Date().toISOString(),
+    });
+  }
+
+  function createOnEdge(parent, edge, params, files) {
+    if (parent._type !== "adaccount") {
+      if (edge === "copies" && parent._type === "campaign") return copyCampaign(parent, params);
+      if (edge === "copies" && parent._type === "adset") {
+        const copy = copyAdSet(parent, params);
+        return { copied_adset_id: copy.id, ad_object_ids: [{ ad_object_type: "ad_set", source_id: parent.id, copied_id: copy.id }] };
+      }
+      throw new StandInError(`(#100) Unsupported post request on ${parent._type}/${edge}`, { code: 100 });
+    }
+
+    const accountId = parent.account_id;
+
+    switch (edge) {
+      case "campaigns": {
+        if (!params.name) throw missingParam("name");
+        if (!params.objective) throw missingParam("objective");
+        const campaign = addNode("campaign", {
+          account_id: accountId,
+          name: params.name,
+          objective: params.objective,
+          status: params.status || "PAUSED",
+          special_ad_categories: params.special_ad_categories || [],
+          daily_budget: params.daily_budget,
+          bid_strategy: params.bid_strategy || "LOWEST_COST_WITHOUT_CAP",
+          created_time: new Date().toISOString(),
+        });
+        return { id: campaign.id };
+      }
+
+      case "adsets": {
+        if (!params.name) throw missingParam("name");
+        if (!params.campaign_id) throw missingParam("campaign_id");
+        getNode(params.campaign_id, "campaign");
+        const { access_token, ...fields } = params;
+        const adset = addNode("adset", { ...fields, account_id: accountId, status: params.status || "PAUSED", created_time: new Date().toISOString() });
+        return { id: adset.id };
+      }
+
+      case "adimages": {
+        const file = files.find((f) => f.fieldname === "source" || f.fieldname === "filename") || files[0];
+        const bytes = file ? file.buffer : params.bytes ? Buffer.from(params.bytes, "base64") : null;
+        if (!bytes) throw missingParam("bytes or source");
+        const hash = crypto.createHash("md5").update(bytes).digest("hex");
+        const name = file?.originalname || params.name || `${hash}.jpg`;
+        if (!nodesOfType("adimage", (node) => node.account_id === accountId && node.hash === hash).length) {
+          addNode("adimage", { id: `${accountId}:${hash}`, account_id: accountId, hash, name, url: `https://stand-in.local/images/${hash}.jpg` });
+        }
+        return { images: { [name]: { hash, url: `https://stand-in.local/images/${hash}.jpg` } } };
+      }
+
+      case "advideos":
+        return uploadVideo(accountId, params, files);
+
+      case "adcreatives": {
+        if (!params.object_story_spec) throw missingParam("object_story_spec");
+        const spec = params.object_story_spec;
+        const videoId = spec.video_data?.video_id;
+        if (videoId) {
+          const video = getNode(videoId, "advideo");
+          if (videoStatus(video).video_status !== "ready") {
+            throw new StandInError("Video is still being processed and cannot be used in an ad creative yet.", {
+              code: 100,
+              userTitle: "Video Not Ready",
+              userMessage: "The video is still processing. Try again once processing has finished.",
+            });
+          }
+        }
+        const creative = addNode("adcreative", { account_id: accountId, name: params.name, object_story_spec: spec });
+        return { id: creative.id };
+      }
+
+      case "ads": {
+        if (!params.adset_id) throw missingParam("adset_id");
+        getNode(params.adset_id, "adset");
+        const creativeId = params.creative?.creative_id;
+        if (!creativeId) throw missingParam("creative");
+        getNode(creativeId, "adcreative");
+        const ad = addNode("ad", { account_id: accountId, name: params.name, adset_id: params.adset_id, creative: { id: creativeId }, status: params.status || "PAUSED" });
+        return { id: ad.id };
+      }
+
+      default:
+        throw new StandInError(`(#100) Unsupported post request on adaccount/${edge}`, { code: 100 });
+    }
+  }
+
+  // Single-request and resumable (start/transfer/finish) video uploads
+  function uploadVideo(accountId, params, files) {
+    const chunk = files.find((f) => f.fieldname === "video_file_chunk");
+    const source = files.find((f) => f.fieldname === "source");
+
+    switch (params.upload_phase) {
+      case "start": {
+        const fileSize = parseInt(params.file_size);
+        if (!fileSize) throw missingParam("file_size");
+        const video = addNode("advideo", { account_id: accountId, title: params.title, _fileSize: fileSize, _received: 0, _finished: false });
+        video._sessionId = newId();
+        return { video_id: video.id, upload_session_id: video._sessionId, start_offset: "0", end_offset: String(Math.min(VIDEO_CHUNK_SIZE, fileSize)) };
+      }
+
+      case "transfer": {
+        const video = nodesOfType("advideo", (node) => node._sessionId === params.upload_session_id)[0];
+        if (!video) throw new StandInError("Invalid upload session", { code: 6000, subcode: 1363019 });
+        if (!chunk) throw missingParam("video_file_chunk");
+        if (parseInt(params.start_offset) !== video._received) {
+          throw new StandInError("The start offset of this chunk does not match the expected offset", {
+            code: 6000,
+            subcode: 1363037,
+            userMessage: `Expected start offset ${video._received}`,
+            errorData: { start_offset: String(video._received), end_offset: String(Math.min(video._received + VIDEO_CHUNK_SIZE, video._fileSize)) },
+          });
+        }
+        video._received += chunk.buffer.length;
+        const end = Math.min(video._received + VIDEO_CHUNK_SIZE, video._fileSize);
+        return { start_offset: String(video._received), end_offset: String(end) };
+      }
+
+      case "finish": {
+        const video = nodesOfType("advideo", (node) => node._sessionId === params.upload_session_id)[0];
+        if (!video) throw new StandInError("Invalid upload session", { code: 6000, subcode: 1363019 });
+        if (video._received !== video._fileSize) {
+          throw new StandInError(`Upload incomplete: received ${video._received} of ${video._fileSize} bytes`, { code: 6000, subcode: 1363030 });
+        }
+        Object.assign(video, { title: params.title || video.title, _finished: true, _finishedAt: Date.now() });
+        return { success: true };
+      }
+
+      default: {
+        if (!source) throw missingParam("source");
+        const video = addNode("advideo", { account_id: accountId, title: params.name || source.originalname, _fileSize: source.buffer.length, _received: source.buffer.length });
+        Object.assign(video, { _finished: true, _finishedAt: Date.now() });
+        return { id: video.id };
+      }
+    }
+  }
+
+  // Execute one Graph call against the in-memory state
+  function handle(method, path, params = {}, files = [], baseUrl = null) {
+    state.requests.push({ method, path, at: new Date().toISOString() });
+
+    const injected = matchInjectedError(method, path);
+    if (injected) throw injected;
+
+    const [id, edge] = path.replace(/^\/+|\/+$/g, "").split("/");
+
+    if (method === "GET") {
+      if (!edge) return present(id === "me" ? getNode("100000000000001") : getNode(id), params.fields);
+      return paginate(edgeItems(resolveParent(id), edge), params, baseUrl);
+    }
+
+    if (method === "DELETE") {
+      getNode(id);
+      state.nodes.delete(id);
+      return { success: true };
+    }
+
+    if (!edge) {
+      // Update a node in place
+      const node = getNode(id);
+      const { access_token, ...fields } = params;
+      Object.assign(node, fields);
+      return { success: true };
+    }
+
+    return createOnEdge(getNode(id === "me" ? "100000000000001" : id), edge, params, files);
+  }
+
+  // Run a batch request: sub-requests in order, honouring depends_on and {result=name:$.path} references
+  function handleBatch(batch, versionUrl) {
+    const results = new Map();
+
+    return batch.map((item, index) => {
+      const name = item.name || `request-${index}`;
+      try {
+        if (item.depends_on && results.get(item.depends_on)?.code !== 200) {
+          const result = { code: 400, body: new StandInError(`Dependent request ${item.depends_on} did not succeed`, { code: 100 }).toBody() };
+          results.set(name, result);
+          return { code: result.code, headers: [], body: JSON.stringify(result.body) };
+        }
+
+        const substitute = (text) =>
+          String(text).replace(/\{result=([^:}]+):([^}]+)\}/g, (match, refName, expression) => {
+            const ref = results.get(refName);
+            return ref ? encodeURIComponent(resolveJsonPath(ref.body, expression)) : "";
+          });
+
+        const url = new URL(substitute(item.relative_url || ""), "http://stand-in.local/");
+        const params = Object.fromEntries(url.searchParams);
+        if (item.body) Object.assign(params, Object.fromEntries(new URLSearchParams(substitute(item.body))));
+
+        const path = url.pathname.replace(/^\/v\d+\.\d+/, "");
+        const body = handle(String(item.method || "GET").toUpperCase(), path, parseParams(params), [], `${versionUrl}${path}`);
+        results.set(name, { code: 200, body });
+        return item.omit_response_on_success ? null : { code: 200, headers: [], body: JSON.stringify(body) };
+      } catch (error) {
+        if (!(error instanceof StandInError)) throw error;
+        results.set(name, { code: error.status, body: error.toBody() });
+        return { code: error.status, headers: [], body: JSON.stringify(error.toBody()) };
+      }
+    });
+  }
+
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  app.use(express.json({ limit: "50mb" }));
+  app.use(express.urlencoded({ extended: false, limit: "50mb" }));
+
+  // Control routes used by developers and tests
+  app.get("/__stand-in/state", (req, res) => {
+    res.json({
+      nodes: [...state.nodes.values()].map((node) => ({ type: node._type, ...present(node) })),
+      errorRules: state.errorRules,
+      requests: state.requests.slice(-200),
+    });
+  });
+
+  // Inject an error: { method?, path? (substring, or regex starting with ^), code, error_subcode,
+  // status, message, is_transient, error_user_title, error_user_msg, times (0 = until cleared) }
+  app.post("/__stand-in/errors", (req, res) => {
+    const rule = { times: 1, ...req.body };
+    state.errorRules.push(rule);
+    res.status(201).json(rule);
+  });
+
+  app.delete("/__stand-in/errors", (req, res) => {
+    state.errorRules = [];
+    res.json({ success: true });
+  });
+
+  app.post("/__stand-in/reset", (req, res) => {
+    seed();
+    state.errorRules = [];
+    state.requests = [];
+    res.json({ success: true });
+  });
+
+  app.all(/^\/(v\d+\.\d+)(\/.*)?$/, upload.any(), (req, res) => {
+    const params = parseParams({ ...req.query, ...req.body });
+    const path = req.params[1] || "/";
+    const files = req.files || [];
+
+    res.set({
+      "x-app-usage": JSON.stringify({ call_count: 1, total_cputime: 1, total_time: 1 }),
+      "x-fb-trace-id": crypto.randomBytes(8).toString("hex"),
+    });
+    const accountMatch = path.match(/^\/(act_\d+)/);
+    if (accountMatch) {
+      res.set("x-ad-account-usage", JSON.stringify({ acc_id_util_pct: 1, reset_time_duration: 0 }));
+    }
+
+    try {
+      const token = params.access_token || req.get("authorization")?.replace(/^Bearer /, "");
+      if (!token) {
+        throw new StandInError("An active access token must be used to query information about the current user.", { code: 2500 });
+      }
+      if (String(token).startsWith("expired")) {
+        throw new StandInError("Error validating access token: Session has expired.", { status: 401, code: 190, subcode: 463 });
+      }
+
+      if (path === "/" && req.method === "POST") {
+        if (!Array.isArray(params.batch)) throw missingParam("batch");
+        if (params.batch.length > 50) throw new StandInError("(#100) Too many requests in batch message. Maximum batch size is 50", { code: 100 });
+        return res.json(handleBatch(params.batch, `${req.protocol}://${req.get("host")}/${req.params[0]}`));
+      }
+
+      const baseUrl = `${req.protocol}://${req.get("host")}${req.path}`;
+      res.json(handle(req.method, path, params, files, baseUrl));
+    } catch (error) {
+      if (!(error instanceof StandInError)) {
+        console.error("Graph stand-in error:", error);
+        error = new StandInError("An unknown error has occurred.", { status: 500, code: 1, isTransient: true });
+      }
+      res.status(error.status).json(error.toBody());
+    }
+  });
+
+  seed();
+
+  return {
+    app,
+    state,
+    reset: seed,
+    injectError: (rule) => state.errorRules.push({ times: 1, ...rule }),
+    clearErrors: () => (state.errorRules = []),
+  };
+}
+
+// Start a stand-in server; resolves with the http server once it is listening
+export function startGraphStandIn(port = parseInt(process.env.GRAPH_STAND_IN_PORT) || DEFAULT_PORT) {
+  const standIn = createGraphStandIn();
+  return new Promise((resolve) => {
+    const server = standIn.app.listen(port, () => {
+      console.log(`Graph API stand-in listening on http://localhost:${port}`);
+      resolve({ ...standIn, server });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startGraphStandIn();
+}
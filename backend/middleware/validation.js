@@ -1,3 +1,6 @@
+import { ASPECT_RATIOS, VARIANT_MODES, parseFocus } from '../utils/aspect-variants.js';
+import { isZipFile } from '../utils/zip-archive.js';
+
 // Request validation middleware
 export const validateRequest = {
   // Validate file upload requests
@@ -23,12 +26,12 @@ export const validateRequest = {
     next();
   },
 
-  // Validate Google Drive download request
+  // Validate Google Drive download request: files and/or folders (imported recursively)
   googleDriveDownload: (req, res, next) => {
-    const { fileIds, account_id } = req.body;
+    const { fileIds = [], folderIds = [], account_id } = req.body;
     
-    if (!fileIds || !Array.isArray(fileIds) || fileIds.length === 0) {
-      return res.status(400).json({ error: 'fileIds array is required' });
+    if (!Array.isArray(fileIds) || !Array.isArray(folderIds) || fileIds.length + folderIds.length === 0) {
+      return res.status(400).json({ error: 'fileIds or folderIds array is required' });
     }
     
     if (!account_id) {
@@ -41,7 +44,36 @@ export const validateRequest = {
         error: 'Maximum 50 files can be processed per request' 
       });
     }
-    
+
+    if (folderIds.length > 20) {
+      return res.status(400).json({ error: 'Maximum 20 folders can be imported per request' });
+    }
+
+    req.body.fileIds = fileIds;
+    req.body.folderIds = folderIds;
+    req.body.createBatches = req.body.createBatches === true || req.body.createBatches === 'true';
+    next();
+  },
+
+  // Validate a dedup pre-check: SHA-256 hashes and sizes of files the client is about to upload
+  precheckCreatives: (req, res, next) => {
+    const { files, account_id } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ error: 'files array is required' });
+    }
+    if (!account_id) {
+      return res.status(400).json({ error: 'account_id is required' });
+    }
+    if (files.length > 200) {
+      return res.status(400).json({ error: 'Maximum 200 files can be checked per request' });
+    }
+    const invalid = files.some((file) => !/^[0-9a-f]{64}$/i.test(file?.hash) || !Number.isInteger(file.size) || file.size <= 0);
+    if (invalid) {
+      return res.status(400).json({ error: 'Every file needs a hex SHA-256 hash and a positive integer size' });
+    }
+
+    req.body.files = files.map((file) => ({ hash: file.hash.toLowerCase(), size: file.size, name: file.name }));
     next();
   },
 
@@ -68,17 +100,32 @@ export const validateRequest = {
     next();
   },
 
-  // Validate creative upload from library
+  // Validate creative upload from library: creative IDs and/or .zip archives of new creatives.
+  // Multipart forms send creativeIds as a JSON array.
   uploadLibraryCreatives: (req, res, next) => {
-    const { creativeIds, account_id } = req.body;
-    
-    if (!creativeIds || !Array.isArray(creativeIds) || creativeIds.length === 0) {
-      return res.status(400).json({ error: 'creativeIds array is required' });
+    let { creativeIds = [], account_id } = req.body;
+    const files = req.files || [];
+
+    if (typeof creativeIds === 'string') {
+      try {
+        creativeIds = JSON.parse(creativeIds);
+      } catch {
+        return res.status(400).json({ error: 'creativeIds must be a JSON array' });
+      }
+    }
+
+    if (!Array.isArray(creativeIds) || (creativeIds.length === 0 && files.length === 0)) {
+      return res.status(400).json({ error: 'creativeIds array or .zip files are required' });
     }
     
     if (!account_id) {
       return res.status(400).json({ error: 'account_id is required' });
     }
+
+    const notZip = files.find((file) => !isZipFile(file));
+    if (notZip) {
+      return res.status(400).json({ error: `${notZip.originalname} is not a .zip archive; add single files to the library first` });
+    }
     
     // Limit batch size
     if (creativeIds.length > 100) {
@@ -86,7 +133,95 @@ export const validateRequest = {
         error: 'Maximum 100 creatives can be uploaded per request' 
       });
     }
-    
+
+    req.body.creativeIds = creativeIds;
+    req.body.createBatches = req.body.createBatches === true || req.body.createBatches === 'true';
+    next();
+  },
+
+  // Validate a fan-out upload: creatives (library IDs and/or files) to many ad accounts.
+  // Multipart forms send account_ids as a JSON array or a comma-separated string.
+  fanOutUpload: (req, res, next) => {
+    let { account_ids, creativeIds } = req.body;
+
+    if (typeof account_ids === 'string') {
+      try {
+        account_ids = JSON.parse(account_ids);
+      } catch {
+        account_ids = account_ids.split(',');
+      }
+    }
+    if (typeof creativeIds === 'string') {
+      try {
+        creativeIds = JSON.parse(creativeIds);
+      } catch {
+        return res.status(400).json({ error: 'creativeIds must be a JSON array' });
+      }
+    }
+
+    if (!Array.isArray(account_ids) || account_ids.length === 0) {
+      return res.status(400).json({ error: 'account_ids array is required' });
+    }
+    if ((!Array.isArray(creativeIds) || creativeIds.length === 0) && (!req.files || req.files.length === 0)) {
+      return res.status(400).json({ error: 'creativeIds or files are required' });
+    }
+
+    // Limit batch size
+    if (account_ids.length > 50) {
+      return res.status(400).json({ error: 'Maximum 50 ad accounts can be targeted per request' });
+    }
+    if ((creativeIds?.length || 0) + (req.files?.length || 0) > 100) {
+      return res.status(400).json({ error: 'Maximum 100 creatives can be uploaded per request' });
+    }
+
+    req.body.account_ids = [...new Set(account_ids.map((id) => String(id).trim()).filter(Boolean))];
+    req.body.creativeIds = creativeIds || [];
+    req.body.includeVariants = req.body.includeVariants === true || req.body.includeVariants === 'true';
+    next();
+  },
+
+  // Validate a request for aspect-ratio variants of a library creative
+  createVariants: (req, res, next) => {
+    const { ratios, mode = 'crop', focus = 'center', safeZone = false, background = 'black' } = req.body;
+
+    if (!Array.isArray(ratios) || ratios.length === 0) {
+      return res.status(400).json({ error: 'ratios array is required' });
+    }
+    const unknown = ratios.filter((ratio) => !ASPECT_RATIOS[ratio]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unsupported aspect ratio(s): ${unknown.join(', ')}. Use ${Object.keys(ASPECT_RATIOS).join(', ')}`
+      });
+    }
+    if (!VARIANT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${VARIANT_MODES.join(', ')}` });
+    }
+    if (!parseFocus(focus)) {
+      return res.status(400).json({ error: 'focus must be "center", "top" or { x, y } with values from 0 to 1' });
+    }
+    // Passed into an ffmpeg filter, so only color names and hex values
+    if (!/^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(background)) {
+      return res.status(400).json({ error: 'background must be a color name or #RRGGBB' });
+    }
+
+    req.body.ratios = [...new Set(ratios)];
+    req.body.mode = mode;
+    req.body.focus = focus;
+    req.body.safeZone = safeZone === true || safeZone === 'true';
+    req.body.background = background;
+    next();
+  },
+
+  // Validate an import from a URL or bucket source; the source checks its own fields
+  importFiles: (req, res, next) => {
+    if (typeof req.params.source !== 'string' || !req.params.source) {
+      return res.status(400).json({ error: 'source is required' });
+    }
+    if (Array.isArray(req.body.urls) && req.body.urls.length > 50) {
+      return res.status(400).json({ error: 'Maximum 50 URLs can be imported per request' });
+    }
+
+    req.body.createBatches = req.body.createBatches === true || req.body.createBatches === 'true';
     next();
   },
 
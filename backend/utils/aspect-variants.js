@@ -0,0 +1,147 @@
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+import { Scheduler } from "./scheduler.js";
+import { AppError } from "./meta-errors.js";
+
+// Aspect-ratio variants of a master image or video, rendered with ffmpeg:
+//   crop - cut the frame to the ratio around the focal point
+//   pad  - fit the whole frame and fill the rest with a solid color
+//   blur - fit the whole frame over a blurred, zoomed copy of itself
+// The focal point is "center", "top" or { x, y } as fractions of the frame (0-1). With the safe
+// zone on, content is kept out of the top and bottom bands that the Stories/Reels UI covers.
+
+export const ASPECT_RATIOS = {
+  "1:1": { width: 1080, height: 1080 },
+  "4:5": { width: 1080, height: 1350 },
+  "9:16": { width: 1080, height: 1920, safeZone: { top: 0.14, bottom: 0.2 } },
+};
+
+export const VARIANT_MODES = ["crop", "pad", "blur"];
+
+const FOCUS_PRESETS = {
+  center: { x: 0.5, y: 0.5 },
+  top: { x: 0.5, y: 0 },
+};
+
+// "center", "top" or { x, y } -> { x, y }; null when the value is not a focal point
+export function parseFocus(focus = "center") {
+  if (typeof focus === "string") return FOCUS_PRESETS[focus] || null;
+  const x = Number(focus?.x);
+  const y = Number(focus?.y);
+  if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) return null;
+  return { x, y };
+}
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Filter graph turning a width x height frame into the ratio's output size; the result is [out]
+export function buildVariantFilter({ width, height }, ratio, { mode = "crop", focus = "center", safeZone = false, background = "black" } = {}) {
+  const target = ASPECT_RATIOS[ratio];
+  const point = parseFocus(focus);
+  const safe = safeZone && target.safeZone ? target.safeZone : { top: 0, bottom: 0 };
+
+  if (mode === "crop") {
+    const wider = width / height > target.width / target.height;
+    const cropWidth = Math.min(wider ? even((height * target.width) / target.height) : even(width), width);
+    const cropHeight = Math.min(wider ? even(height) : even((width * target.height) / target.width), height);
+    // Put the focal point in the middle of the part of the frame the safe zone leaves free
+    const anchorY = safe.top + (1 - safe.top - safe.bottom) / 2;
+    const x = Math.round(clamp(point.x * width - cropWidth / 2, 0, width - cropWidth));
+    const y = Math.round(clamp(point.y * height - anchorY * cropHeight, 0, height - cropHeight));
+    return `[0:v]crop=${cropWidth}:${cropHeight}:${x}:${y},scale=${target.width}:${target.height},setsar=1[out]`;
+  }
+
+  // pad and blur fit the whole frame into the safe area, placed by the focal point
+  const areaTop = Math.round(safe.top * target.height);
+  const areaHeight = target.height - areaTop - Math.round(safe.bottom * target.height);
+  const scale = Math.min(target.width / width, areaHeight / height);
+  const fitWidth = Math.min(even(width * scale), target.width);
+  const fitHeight = Math.min(even(height * scale), areaHeight);
+  const x = Math.round((target.width - fitWidth) * point.x);
+  const y = areaTop + Math.round((areaHeight - fitHeight) * point.y);
+
+  if (mode === "pad") {
+    return `[0:v]scale=${fitWidth}:${fitHeight},pad=${target.width}:${target.height}:${x}:${y}:color=${background},setsar=1[out]`;
+  }
+  return [
+    "[0:v]split=2[bg][fg]",
+    `[bg]scale=${target.width}:${target.height}:force_original_aspect_ratio=increase,crop=${target.width}:${target.height},boxblur=20:2[blurred]`,
+    `[fg]scale=${fitWidth}:${fitHeight}[fitted]`,
+    `[blurred][fitted]overlay=${x}:${y},setsar=1[out]`,
+  ].join(";");
+}
+
+function renderFailed(what, error) {
+  return new AppError("VARIANT_RENDER_FAILED", `The ${what} could not be rendered: ${error.message}`, {
+    status: 422,
+    fix: "Check that the master file plays correctly, or try another mode.",
+  });
+}
+
+// Render one variant of a probed master (probeMedia in media-validation.js). Videos become
+// H.264/AAC MP4, images JPEG. Options: mode, focus, safeZone, background, plus key (ad account for
+// the scheduler), onQueued, onProgress(percent) and an AbortSignal that kills ffmpeg.
+export function renderVariant(inputPath, outputPath, media, ratio, { key, onQueued, onProgress, signal, ...options } = {}) {
+  const filter = buildVariantFilter(media, ratio, options);
+
+  return Scheduler.run(
+    "ffmpeg",
+    () =>
+      new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath).complexFilter(filter, "out");
+        signal?.addEventListener("abort", () => command.kill("SIGKILL"), { once: true });
+
+        if (media.kind === "image") {
+          command.outputOptions(["-frames:v 1", "-q:v 2"]);
+        } else {
+          command
+            .videoCodec("libx264")
+            .outputOptions(["-preset fast", "-crf 21", "-profile:v high", "-pix_fmt yuv420p", "-movflags +faststart"])
+            .format("mp4");
+          // complexFilter maps only the video; the audio is carried over explicitly
+          if (!media.audioCodec) {
+            command.noAudio();
+          } else {
+            command.outputOptions(["-map 0:a:0?"]);
+            if (media.audioCodec === "aac") command.audioCodec("copy");
+            else command.audioCodec("aac").audioBitrate(128);
+          }
+        }
+
+        command
+          .on("progress", ({ percent }) => {
+            if (onProgress && percent >= 0) onProgress(Math.min(Math.round(percent), 100));
+          })
+          .on("end", () => resolve(outputPath))
+          .on("error", (error) => {
+            fs.rmSync(outputPath, { force: true });
+            reject(renderFailed(`${ratio} variant`, error));
+          })
+          .save(outputPath);
+      }),
+    { key, onQueued, signal }
+  );
+}
+
+// Small PNG preview of a rendered variant: a frame one second in (or the midpoint of shorter
+// videos), or the image itself
+export function renderThumbnail(inputPath, outputPath, media, { signal } = {}) {
+  return Scheduler.run(
+    "ffmpeg",
+    () =>
+      new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath);
+        signal?.addEventListener("abort", () => command.kill("SIGKILL"), { once: true });
+        if (media.kind === "video") {
+          command.seekInput(Math.min(1, (media.duration || 0) / 2));
+        }
+        command
+          .outputOptions(["-frames:v 1", "-vf scale=320:-2"])
+          .on("end", () => resolve(outputPath))
+          .on("error", (error) => reject(renderFailed("thumbnail", error)))
+          .save(outputPath);
+      }),
+    { signal }
+  );
+}
@@ -0,0 +1,91 @@
+import { jest, describe, test, expect } from "@jest/globals";
+
+jest.unstable_mockModule("fluent-ffmpeg", () => ({ default: {} }));
+
+const { buildVariantFilter, parseFocus } = await import("./aspect-variants.js");
+
+const LANDSCAPE = { width: 1920, height: 1080 };
+const PORTRAIT = { width: 1080, height: 1920 };
+
+// The numbers of one filter in a graph, e.g. pad=1080:1920:0:656 -> [1080, 1920, 0, 656]
+const filterArgs = (graph, name) =>
+  graph
+    .match(new RegExp(`${name}=([^,;\\[]+)`))[1]
+    .split(":")
+    .map(Number);
+
+describe("parseFocus", () => {
+  test.each([
+    ["center", { x: 0.5, y: 0.5 }],
+    [undefined, { x: 0.5, y: 0.5 }],
+    ["top", { x: 0.5, y: 0 }],
+    [{ x: "0.25", y: 1 }, { x: 0.25, y: 1 }],
+  ])("reads %p", (focus, point) => {
+    expect(parseFocus(focus)).toEqual(point);
+  });
+
+  test.each(["left", { x: 1.5, y: 0.5 }, { x: 0.5 }, null])("refuses %p", (focus) => {
+    expect(parseFocus(focus)).toBeNull();
+  });
+});
+
+describe("buildVariantFilter", () => {
+  describe("crop", () => {
+    test("cuts the middle of a landscape frame to a square", () => {
+      expect(buildVariantFilter(LANDSCAPE, "1:1")).toBe("[0:v]crop=1080:1080:420:0,scale=1080:1080,setsar=1[out]");
+    });
+
+    test.each([
+      [{ x: 0, y: 0.5 }, 0],
+      [{ x: 0.1, y: 0.5 }, 0],
+      [{ x: 1, y: 0.5 }, 840],
+    ])("keeps the crop inside the frame for focus %p", (focus, x) => {
+      expect(filterArgs(buildVariantFilter(LANDSCAPE, "1:1", { focus }), "crop")).toEqual([1080, 1080, x, 0]);
+    });
+
+    test("crops a portrait frame to 4:5 from the top", () => {
+      expect(filterArgs(buildVariantFilter(PORTRAIT, "4:5", { focus: "top" }), "crop")).toEqual([1080, 1350, 0, 0]);
+    });
+
+    test("moves the focal point into the middle of the safe zone", () => {
+      const frame = { width: 1080, height: 3840 };
+      const [, cropHeight, , plain] = filterArgs(buildVariantFilter(frame, "9:16"), "crop");
+      const [, , , safe] = filterArgs(buildVariantFilter(frame, "9:16", { safeZone: true }), "crop");
+
+      expect(cropHeight).toBe(1920);
+      expect(plain).toBe(1920 - 960);
+      // The focal point lands 47% down the crop: the middle of what the 14% and 20% bands leave free
+      expect(safe).toBe(Math.round(1920 - 0.47 * 1920));
+    });
+  });
+
+  describe("pad", () => {
+    test("fits the whole frame and centers it on the background", () => {
+      expect(buildVariantFilter(LANDSCAPE, "9:16", { mode: "pad", background: "white" })).toBe(
+        "[0:v]scale=1080:608,pad=1080:1920:0:656:color=white,setsar=1[out]"
+      );
+    });
+
+    test("keeps content out of the bands Stories/Reels cover", () => {
+      const [, fitHeight] = filterArgs(buildVariantFilter(PORTRAIT, "9:16", { mode: "pad", safeZone: true }), "scale");
+      const [, , , y] = filterArgs(buildVariantFilter(PORTRAIT, "9:16", { mode: "pad", safeZone: true }), "pad");
+
+      expect(y).toBeGreaterThanOrEqual(Math.round(0.14 * 1920));
+      expect(y + fitHeight).toBeLessThanOrEqual(1920 - Math.round(0.2 * 1920));
+    });
+
+    test("ignores the safe zone for ratios without one", () => {
+      expect(buildVariantFilter(LANDSCAPE, "1:1", { mode: "pad", safeZone: true })).toBe(
+        buildVariantFilter(LANDSCAPE, "1:1", { mode: "pad" })
+      );
+    });
+  });
+
+  test("blur lays the fitted frame over a blurred fill", () => {
+    const graph = buildVariantFilter(LANDSCAPE, "4:5", { mode: "blur" });
+
+    expect(graph).toContain("[bg]scale=1080:1350:force_original_aspect_ratio=increase,crop=1080:1350,boxblur=20:2[blurred]");
+    expect(graph).toContain("[fg]scale=1080:608[fitted]");
+    expect(graph).toContain("[blurred][fitted]overlay=0:371,setsar=1[out]");
+  });
+});
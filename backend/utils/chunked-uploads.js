@@ -0,0 +1,205 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { getPaths } from "./paths.js";
+import { AppError } from "./meta-errors.js";
+import { isZipFile } from "./zip-archive.js";
+
+// Resumable browser-to-server uploads. The client creates an upload, then sends fixed-size chunks
+// with the offset they start at. Bytes are appended to a .part file under paths.uploads, so the
+// size of that file is always the confirmed offset, also after a dropped connection or a restart.
+
+export const CHUNK_SIZE = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 8) * 1024 * 1024;
+export const MAX_UPLOAD_SIZE = 4 * 1024 * 1024 * 1024; // Same 4GB limit as multipart uploads
+
+const paths = getPaths();
+const chunkDir = path.join(paths.uploads, "chunked");
+
+// Uploads with a chunk being written right now; a second writer would corrupt the offset
+const activeWrites = new Set();
+
+function ensureChunkDir() {
+  if (!fs.existsSync(chunkDir)) {
+    fs.mkdirSync(chunkDir, { recursive: true });
+  }
+}
+
+function partPath(uploadId) {
+  return path.join(chunkDir, `${uploadId}.part`);
+}
+
+function metaPath(uploadId) {
+  return path.join(chunkDir, `${uploadId}.json`);
+}
+
+function readMeta(uploadId) {
+  // IDs are UUIDs; anything else must not reach the filesystem
+  if (!/^[0-9a-f-]{36}$/i.test(uploadId) || !fs.existsSync(metaPath(uploadId))) return null;
+  return JSON.parse(fs.readFileSync(metaPath(uploadId), "utf8"));
+}
+
+function writeMeta(upload) {
+  fs.writeFileSync(metaPath(upload.id), JSON.stringify(upload));
+}
+
+function withOffset(upload) {
+  const offset = fs.existsSync(partPath(upload.id)) ? fs.statSync(partPath(upload.id)).size : 0;
+  return { ...upload, offset, complete: offset === upload.fileSize };
+}
+
+// Fails the stream once more bytes arrive than the upload has room for
+function byteLimit(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        return callback(new AppError("UPLOAD_CHUNK_TOO_LARGE", "The chunk goes past the end of the file.", { status: 413 }));
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+export const ChunkedUploads = {
+  // Start an upload, or return the unfinished one with the same fingerprint so the client can resume
+  create(userId, { fileName, fileSize, mimeType, fingerprint }) {
+    const size = Number(fileSize);
+    if (!fileName || !Number.isInteger(size) || size <= 0) {
+      throw new AppError("UPLOAD_INVALID", "fileName and a positive fileSize are required.");
+    }
+    if (size > MAX_UPLOAD_SIZE) {
+      throw new AppError("UPLOAD_TOO_LARGE", `File ${fileName} exceeds maximum size of 4GB`, { status: 413 });
+    }
+    // .zip archives of creatives are unpacked by the upload routes
+    if (!/^(video|image)\//.test(mimeType || "") && !isZipFile({ mimetype: mimeType, originalname: fileName })) {
+      throw new AppError("UPLOAD_UNSUPPORTED_TYPE", `Unsupported file type: ${mimeType || "unknown"}`, {
+        status: 415,
+        fix: "Upload an image, a video or a .zip of them.",
+      });
+    }
+
+    ensureChunkDir();
+
+    if (fingerprint) {
+      const existing = this.list(userId).find((upload) => upload.fingerprint === fingerprint && upload.fileSize === size);
+      if (existing) return { ...existing, resumed: true };
+    }
+
+    const now = new Date().toISOString();
+    const upload = {
+      id: crypto.randomUUID(),
+      userId,
+      fileName: path.basename(fileName),
+      fileSize: size,
+      mimeType,
+      fingerprint: fingerprint || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    writeMeta(upload);
+    fs.writeFileSync(partPath(upload.id), "");
+
+    return { ...withOffset(upload), resumed: false };
+  },
+
+  // Upload with its confirmed offset, or null when it does not exist or belongs to another user
+  get(uploadId, userId) {
+    const upload = readMeta(uploadId);
+    if (!upload || upload.userId !== userId) return null;
+    return withOffset(upload);
+  },
+
+  list(userId) {
+    if (!fs.existsSync(chunkDir)) return [];
+    return fs
+      .readdirSync(chunkDir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => this.get(path.basename(name, ".json"), userId))
+      .filter(Boolean);
+  },
+
+  // Append one chunk read from `source`. `offset` must match what the server already has;
+  // otherwise the client is told the real offset and resends from there.
+  async appendChunk(uploadId, userId, offset, source) {
+    const upload = this.get(uploadId, userId);
+    if (!upload) {
+      throw new AppError("UPLOAD_NOT_FOUND", "Upload not found", { status: 404, fix: "Start the upload again." });
+    }
+    if (activeWrites.has(uploadId)) {
+      throw new AppError("UPLOAD_BUSY", "A chunk for this upload is still being received.", {
+        status: 409,
+        retryable: true,
+        details: { offset: upload.offset },
+      });
+    }
+    if (offset !== upload.offset) {
+      throw new AppError("UPLOAD_OFFSET_MISMATCH", `Expected a chunk at offset ${upload.offset}, got ${offset}.`, {
+        status: 409,
+        fix: "Resume the upload from the returned offset.",
+        details: { offset: upload.offset },
+      });
+    }
+
+    activeWrites.add(uploadId);
+    try {
+      await pipeline(
+        source,
+        byteLimit(Math.min(CHUNK_SIZE, upload.fileSize - upload.offset)),
+        fs.createWriteStream(partPath(uploadId), { flags: "a" })
+      );
+    } finally {
+      activeWrites.delete(uploadId);
+      const meta = readMeta(uploadId);
+      if (meta) writeMeta({ ...meta, updatedAt: new Date().toISOString() });
+    }
+
+    return this.get(uploadId, userId);
+  },
+
+  // Move fully received uploads next to the multipart uploads and describe them like multer files,
+  // ready for processCreative. Every upload is checked first, so one bad ID leaves the rest resumable.
+  finishAll(uploadIds, userId) {
+    const uploads = uploadIds.map((uploadId) => {
+      const upload = this.get(uploadId, userId);
+      if (!upload) {
+        throw new AppError("UPLOAD_NOT_FOUND", "Upload not found", { status: 404, fix: "Start the upload again." });
+      }
+      if (!upload.complete || activeWrites.has(uploadId)) {
+        throw new AppError("UPLOAD_INCOMPLETE", `${upload.fileName} has only ${upload.offset} of ${upload.fileSize} bytes.`, {
+          status: 409,
+          fix: "Resume the upload before processing it.",
+          details: { uploadId, offset: upload.offset },
+        });
+      }
+      return upload;
+    });
+
+    return uploads.map((upload) => {
+      const filename = `${Date.now()}-${upload.fileName}`;
+      const filePath = path.join(paths.uploads, filename);
+      fs.renameSync(partPath(upload.id), filePath);
+      fs.unlinkSync(metaPath(upload.id));
+
+      return {
+        fieldname: "file",
+        originalname: upload.fileName,
+        mimetype: upload.mimeType,
+        destination: paths.uploads,
+        filename,
+        path: filePath,
+        size: upload.fileSize,
+      };
+    });
+  },
+
+  // Discard an upload and the bytes received so far
+  remove(uploadId, userId) {
+    if (!this.get(uploadId, userId)) return false;
+    fs.rmSync(partPath(uploadId), { force: true });
+    fs.rmSync(metaPath(uploadId), { force: true });
+    return true;
+  },
+};
@@ -0,0 +1,118 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { jest, describe, test, expect, beforeEach, afterAll } from "@jest/globals";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "chunked-uploads-"));
+const uploadsDir = path.join(dataDir, "uploads");
+
+jest.unstable_mockModule("./paths.js", () => ({
+  getPaths: () => ({ data: dataDir, uploads: uploadsDir }),
+}));
+
+const { ChunkedUploads, CHUNK_SIZE } = await import("./chunked-uploads.js");
+
+const USER = 1;
+const chunk = (text) => Readable.from([Buffer.from(text)]);
+const video = (fields = {}) => ({ fileName: "cut-01.mp4", fileSize: 10, mimeType: "video/mp4", ...fields });
+
+describe("ChunkedUploads", () => {
+  beforeEach(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("starts at offset 0 and advances with every chunk", async () => {
+    const upload = ChunkedUploads.create(USER, video());
+    expect(upload).toMatchObject({ offset: 0, complete: false, resumed: false });
+
+    expect(await ChunkedUploads.appendChunk(upload.id, USER, 0, chunk("01234"))).toMatchObject({ offset: 5, complete: false });
+    expect(await ChunkedUploads.appendChunk(upload.id, USER, 5, chunk("56789"))).toMatchObject({ offset: 10, complete: true });
+  });
+
+  test("answers a wrong offset with the confirmed one", async () => {
+    const upload = ChunkedUploads.create(USER, video());
+    await ChunkedUploads.appendChunk(upload.id, USER, 0, chunk("01234"));
+
+    await expect(ChunkedUploads.appendChunk(upload.id, USER, 0, chunk("01234"))).rejects.toMatchObject({
+      code: "UPLOAD_OFFSET_MISMATCH",
+      status: 409,
+      details: { offset: 5 },
+    });
+    expect(ChunkedUploads.get(upload.id, USER).offset).toBe(5);
+  });
+
+  test("resumes an unfinished upload with the same fingerprint and size", async () => {
+    const upload = ChunkedUploads.create(USER, video({ fingerprint: "cut-01.mp4-10-1700000000000" }));
+    await ChunkedUploads.appendChunk(upload.id, USER, 0, chunk("0123"));
+
+    const resumed = ChunkedUploads.create(USER, video({ fingerprint: "cut-01.mp4-10-1700000000000" }));
+    expect(resumed).toMatchObject({ id: upload.id, offset: 4, resumed: true });
+
+    const otherSize = ChunkedUploads.create(USER, video({ fingerprint: "cut-01.mp4-10-1700000000000", fileSize: 11 }));
+    expect(otherSize.id).not.toBe(upload.id);
+
+    const otherUser = ChunkedUploads.create(2, video({ fingerprint: "cut-01.mp4-10-1700000000000" }));
+    expect(otherUser.id).not.toBe(upload.id);
+  });
+
+  test("rejects bytes past the end of the file and keeps the confirmed offset", async () => {
+    const upload = ChunkedUploads.create(USER, video({ fileSize: 4 }));
+
+    await expect(ChunkedUploads.appendChunk(upload.id, USER, 0, chunk("012345"))).rejects.toMatchObject({
+      code: "UPLOAD_CHUNK_TOO_LARGE",
+      status: 413,
+    });
+    expect(ChunkedUploads.get(upload.id, USER).offset).toBe(0);
+  });
+
+  test("limits a chunk to CHUNK_SIZE", async () => {
+    const upload = ChunkedUploads.create(USER, video({ fileSize: CHUNK_SIZE * 2 }));
+
+    await expect(ChunkedUploads.appendChunk(upload.id, USER, 0, Readable.from([Buffer.alloc(CHUNK_SIZE + 1)]))).rejects.toMatchObject({
+      code: "UPLOAD_CHUNK_TOO_LARGE",
+    });
+  });
+
+  test("keeps uploads apart per user and refuses IDs that are not UUIDs", async () => {
+    const upload = ChunkedUploads.create(USER, video());
+
+    expect(ChunkedUploads.get(upload.id, 2)).toBeNull();
+    expect(ChunkedUploads.get("../../etc/passwd", USER)).toBeNull();
+    await expect(ChunkedUploads.appendChunk(upload.id, 2, 0, chunk("0"))).rejects.toMatchObject({ code: "UPLOAD_NOT_FOUND", status: 404 });
+  });
+
+  test("accepts images, videos and .zip archives only", () => {
+    expect(() => ChunkedUploads.create(USER, video({ fileName: "notes.pdf", mimeType: "application/pdf" }))).toThrow(
+      expect.objectContaining({ code: "UPLOAD_UNSUPPORTED_TYPE" })
+    );
+    expect(ChunkedUploads.create(USER, video({ fileName: "assets.zip", mimeType: "application/zip" })).offset).toBe(0);
+  });
+
+  test("finishes complete uploads as multer-style files", async () => {
+    const upload = ChunkedUploads.create(USER, video({ fileSize: 4 }));
+    await ChunkedUploads.appendChunk(upload.id, USER, 0, chunk("0123"));
+
+    const [file] = ChunkedUploads.finishAll([upload.id], USER);
+    expect(file).toMatchObject({ originalname: "cut-01.mp4", mimetype: "video/mp4", size: 4, destination: uploadsDir });
+    expect(fs.readFileSync(file.path, "utf8")).toBe("0123");
+    expect(ChunkedUploads.get(upload.id, USER)).toBeNull();
+  });
+
+  test("finishes nothing while one upload is incomplete", async () => {
+    const done = ChunkedUploads.create(USER, video({ fileSize: 4 }));
+    await ChunkedUploads.appendChunk(done.id, USER, 0, chunk("0123"));
+    const partial = ChunkedUploads.create(USER, video({ fileName: "cut-02.mp4", fileSize: 4 }));
+    await ChunkedUploads.appendChunk(partial.id, USER, 0, chunk("01"));
+
+    expect(() => ChunkedUploads.finishAll([done.id, partial.id], USER)).toThrow(
+      expect.objectContaining({ code: "UPLOAD_INCOMPLETE", details: { uploadId: partial.id, offset: 2 } })
+    );
+    expect(ChunkedUploads.get(done.id, USER)).toMatchObject({ complete: true });
+  });
+});
@@ -3,6 +3,10 @@ import fs from 'fs'
 import path from 'path'
 import { CreativeDB, CreativeAccountDB } from './database.js'
 import { getPaths } from './paths.js'
+import { validateMedia, probeMedia, MEDIA_VALIDATION_MODE } from './media-validation.js'
+import { transcodeReasons, transcodeToMp4, VIDEO_TRANSCODE_MODE } from './transcoder.js'
+import { renderVariant, renderThumbnail } from './aspect-variants.js'
+import { AppError } from './meta-errors.js'
 
 // Calculate SHA-256 hash of a file
 export async function calculateFileHash(filePath) {
@@ -86,18 +90,30 @@ export async function processCreative(file, adAccountId) {
         if (fs.existsSync(file.path)) {
           fs.unlinkSync(file.path)
         }
+
+        // Creatives added before validation existed are checked now
+        let validation = creative.validation
+        if (!validation && MEDIA_VALIDATION_MODE !== 'off') {
+          validation = await validateMedia(getCreativeFilePath(creative))
+          await CreativeDB.updateValidation(creative.id, validation)
+        }
         
         return {
           isNew: false,
           isDuplicate: false,
-          creative,
+          creative: { ...creative, validation },
           needsUpload: true,
+          validation,
           message: 'Creative exists in library but not uploaded to this account'
         }
       }
     } else {
-      // New creative, move to library
-      const mimeType = file.mimetype || (file.originalname.match(/\.(mp4|mov|avi)$/i) ? 'video/mp4' : 'image/jpeg')
+      // Check the file against Meta's placement specs before it goes anywhere
+      const validation = MEDIA_VALIDATION_MODE === 'off' ? null : await validateMedia(file.path)
+
+      // New creative, move to library. The probed type beats a missing or generic MIME type.
+      const declaredType = file.mimetype && file.mimetype !== 'application/octet-stream' ? file.mimetype : null
+      const mimeType = declaredType || validation?.mimeType || (file.originalname.match(/\.(mp4|mov|avi)$/i) ? 'video/mp4' : 'image/jpeg')
       const { fileName, filePath, relativePath } = await moveToCreativeLibrary(
         file.path,
         file.originalname,
@@ -114,6 +130,9 @@ export async function processCreative(file, adAccountId) {
         fileSize: file.size,
         thumbnailPath: null // Will be updated after thumbnail creation
       })
+      if (validation) {
+        await CreativeDB.updateValidation(creativeId, validation)
+      }
       
       creative = await CreativeDB.getById(creativeId)
       
@@ -122,6 +141,7 @@ export async function processCreative(file, adAccountId) {
         isDuplicate: false,
         creative,
         needsUpload: true,
+        validation,
         libraryPath: filePath,
         message: 'New creative added to library'
       }
@@ -132,6 +152,189 @@ export async function processCreative(file, adAccountId) {
   }
 }
 
+// Renditions being made, so parallel uploads of one creative share a single transcode:
+// creative id -> { promise, controller, waiting }
+const pendingRenditions = new Map()
+
+// The creative to send to Meta: the original, or its H.264/AAC MP4 rendition when transcoding is
+// on and the original does not match the target (transcoder.js). The rendition is made once and
+// kept in the library linked to the original. Options: adAccountId, onQueued, onProgress(percent),
+// signal (stops waiting; the transcode stops once every upload waiting for it is cancelled).
+export async function getUploadRendition(creative, { signal, ...options } = {}) {
+  if (VIDEO_TRANSCODE_MODE === 'off' || !creative.file_type.startsWith('video/')) {
+    return creative
+  }
+
+  const existing = await CreativeDB.getVariant(creative.id, 'transcode')
+  if (existing && fs.existsSync(getCreativeFilePath(existing))) {
+    return existing
+  }
+
+  let pending = pendingRenditions.get(creative.id)
+  if (!pending) {
+    const controller = new AbortController()
+    pending = { controller, waiting: 0 }
+    pending.promise = createRendition(creative, { ...options, signal: controller.signal })
+      .finally(() => pendingRenditions.delete(creative.id))
+    pendingRenditions.set(creative.id, pending)
+  }
+  return waitForRendition(pending, signal)
+}
+
+function waitForRendition(pending, signal) {
+  if (!signal) {
+    // A caller that cannot be cancelled keeps the transcode alive
+    pending.waiting = Infinity
+    return pending.promise
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason)
+  }
+
+  pending.waiting++
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      pending.waiting--
+      if (pending.waiting === 0) pending.controller.abort(signal.reason)
+      reject(signal.reason)
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    pending.promise.then(
+      (rendition) => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(rendition)
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort)
+        reject(error)
+      }
+    )
+  })
+}
+
+async function createRendition(creative, { adAccountId, onQueued, onProgress, signal }) {
+  const sourcePath = getCreativeFilePath(creative)
+  const media = await probeMedia(sourcePath)
+  const reasons = transcodeReasons(media)
+  if (reasons.length === 0) {
+    return creative
+  }
+
+  console.log(`Transcoding creative ${creative.id} to MP4 (${reasons.join(', ')})`)
+  const baseName = path.basename(creative.original_name, path.extname(creative.original_name))
+  const tempPath = getRenderPath('transcode', `${baseName}.mp4`)
+  await transcodeToMp4(sourcePath, tempPath, { media, key: adAccountId, onQueued, onProgress, signal })
+
+  try {
+    return await addRendition(creative, tempPath, {
+      variant: 'transcode',
+      originalName: `${baseName}.mp4`,
+      fileType: 'video/mp4'
+    })
+  } catch (error) {
+    // Another library creative holds the same bytes: send that file, which is what Meta should get
+    if (error.code !== 'RENDITION_EXISTS') throw error
+    return CreativeDB.getById(error.details.creativeId)
+  }
+}
+
+// Render an aspect-ratio variant (1:1, 4:5 or 9:16) of a library creative with aspect-variants.js
+// and store it as a child creative with its own thumbnail and validation. Options: mode, focus,
+// safeZone, background, onQueued, onProgress(percent), signal. Returns the variant creative.
+export async function createAspectVariant(creative, ratio, { onQueued, onProgress, signal, ...options } = {}) {
+  const sourcePath = getCreativeFilePath(creative)
+  const media = await probeMedia(sourcePath)
+  if (media.kind === 'other') {
+    throw new AppError('VARIANT_UNSUPPORTED', `${creative.original_name} is not an image or video`, { status: 422 })
+  }
+
+  const isVideo = media.kind === 'video'
+  const baseName = path.basename(creative.original_name, path.extname(creative.original_name))
+  const originalName = `${baseName}-${ratio.replace(':', 'x')}${isVideo ? '.mp4' : '.jpg'}`
+  const tempPath = getRenderPath('variant', originalName)
+  await renderVariant(sourcePath, tempPath, media, ratio, { ...options, onQueued, onProgress, signal })
+
+  const variant = await addRendition(creative, tempPath, {
+    variant: ratio,
+    originalName,
+    fileType: isVideo ? 'video/mp4' : 'image/jpeg'
+  })
+  const variantPath = getCreativeFilePath(variant)
+
+  const thumbnailPath = getRenderPath('thumb', `${baseName}.png`)
+  await renderThumbnail(variantPath, thumbnailPath, media, { signal })
+  await updateCreativeThumbnail(variant.id, thumbnailPath)
+  fs.rmSync(thumbnailPath, { force: true })
+
+  if (MEDIA_VALIDATION_MODE !== 'off') {
+    await CreativeDB.updateValidation(variant.id, await validateMedia(variantPath))
+  }
+  return CreativeDB.getById(variant.id)
+}
+
+// Temporary path in the uploads directory for a file ffmpeg writes
+function getRenderPath(prefix, fileName) {
+  const paths = getPaths()
+  if (!fs.existsSync(paths.uploads)) {
+    fs.mkdirSync(paths.uploads, { recursive: true })
+  }
+  return path.join(paths.uploads, `${prefix}-${Date.now()}-${fileName}`)
+}
+
+// Move a rendered file into the library as a rendition of `creative`. An earlier rendition of the
+// same variant is replaced, or kept when the new render is identical to it. File hashes are unique,
+// so a render identical to some other library creative cannot be stored: it is dropped and
+// RENDITION_EXISTS (details.creativeId) is thrown, leaving that creative untouched.
+async function addRendition(creative, tempPath, { variant, originalName, fileType }) {
+  const fileHash = await calculateFileHash(tempPath)
+  const fileSize = fs.statSync(tempPath).size
+
+  const previous = await CreativeDB.getVariant(creative.id, variant)
+  if (previous?.file_hash === fileHash && fs.existsSync(getCreativeFilePath(previous))) {
+    fs.rmSync(tempPath, { force: true })
+    return previous
+  }
+
+  const identical = await CreativeDB.findByHash(fileHash)
+  if (identical && identical.id !== previous?.id) {
+    fs.rmSync(tempPath, { force: true })
+    throw new AppError('RENDITION_EXISTS', `The ${variant} rendition of ${creative.original_name} is identical to library creative ${identical.original_name}`, {
+      status: 409,
+      fix: 'Use the existing creative instead.',
+      details: { creativeId: identical.id }
+    })
+  }
+
+  const { fileName, filePath, relativePath } = await moveToCreativeLibrary(tempPath, originalName, fileType)
+
+  if (previous) {
+    for (const filePath of [getCreativeFilePath(previous), getThumbnailFilePath(previous)]) {
+      if (filePath) fs.rmSync(filePath, { force: true })
+    }
+    await CreativeDB.delete(previous.id)
+  }
+
+  let renditionId
+  try {
+    renditionId = await CreativeDB.create({
+      fileHash,
+      fileName,
+      originalName,
+      filePath: relativePath,
+      fileType,
+      fileSize,
+      thumbnailPath: null,
+      batchId: creative.batch_id,
+      parentId: creative.id,
+      variant
+    })
+  } catch (error) {
+    fs.rmSync(filePath, { force: true })
+    throw error
+  }
+  return CreativeDB.getById(renditionId)
+}
+
 // Update creative with thumbnail path
 export async function updateCreativeThumbnail(creativeId, thumbnailPath) {
   const db = (await import('./database.js')).default
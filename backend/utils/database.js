@@ -103,6 +103,21 @@ async function initializeDatabase() {
       `)
     }
 
+    // Pre-flight media validation result (JSON) of each creative
+    const creativeColumns = await db.allAsync('PRAGMA table_info(creatives)')
+    if (!creativeColumns.some(column => column.name === 'validation')) {
+      console.log('Migrating creatives table to add validation column...')
+      await db.runAsync('ALTER TABLE creatives ADD COLUMN validation TEXT')
+    }
+
+    // Renditions made from a creative (the transcoded MP4) point to it through parent_id;
+    // variant names the kind of rendition
+    if (!creativeColumns.some(column => column.name === 'parent_id')) {
+      console.log('Migrating creatives table to add rendition columns...')
+      await db.runAsync('ALTER TABLE creatives ADD COLUMN parent_id INTEGER REFERENCES creatives(id) ON DELETE CASCADE')
+      await db.runAsync('ALTER TABLE creatives ADD COLUMN variant TEXT')
+    }
+
     // Create creative_accounts table for tracking uploads to different ad accounts
     await db.runAsync(`
       CREATE TABLE IF NOT EXISTS creative_accounts (
@@ -118,11 +133,43 @@ async function initializeDatabase() {
       )
     `)
 
+    // Meta's processing state of uploaded videos, per account: processing, ready or error
+    const accountColumns = await db.allAsync('PRAGMA table_info(creative_accounts)')
+    if (!accountColumns.some(column => column.name === 'video_status')) {
+      console.log('Migrating creative_accounts table to add video status columns...')
+      await db.runAsync('ALTER TABLE creative_accounts ADD COLUMN video_status TEXT')
+      await db.runAsync('ALTER TABLE creative_accounts ADD COLUMN video_status_error TEXT')
+      await db.runAsync('ALTER TABLE creative_accounts ADD COLUMN video_status_updated_at TIMESTAMP')
+    }
+
+    // Meta resumable video upload sessions, so an interrupted transfer continues from the last
+    // offset Meta confirmed instead of starting over
+    await db.runAsync(`
+      CREATE TABLE IF NOT EXISTS meta_video_uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        ad_account_id TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        upload_session_id TEXT NOT NULL,
+        video_id TEXT NOT NULL,
+        start_offset INTEGER NOT NULL DEFAULT 0,
+        end_offset INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'transferring',
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
     // Create indexes for better performance
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_file_hash ON creatives(file_hash)')
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_batch_id ON creatives(batch_id)')
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_parent_id ON creatives(parent_id, variant)')
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_creative_accounts ON creative_accounts(creative_id, ad_account_id)')
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_ad_account ON creative_accounts(ad_account_id)')
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_meta_video_uploads_file ON meta_video_uploads(file_path, ad_account_id)')
 
     console.log('Database initialized successfully')
   } catch (error) {
@@ -143,24 +190,30 @@ async function dbOperation(operation, errorMessage) {
   }
 }
 
+// Creative rows store their validation result as JSON
+function parseCreative(row) {
+  if (!row) return row
+  return { ...row, validation: row.validation ? JSON.parse(row.validation) : null }
+}
+
 export const CreativeDB = {
   // Find creative by file hash
   async findByHash(fileHash) {
     return dbOperation(
-      () => db.getAsync('SELECT * FROM creatives WHERE file_hash = ?', fileHash),
+      async () => parseCreative(await db.getAsync('SELECT * FROM creatives WHERE file_hash = ?', fileHash)),
       'Error finding creative by hash'
     )
   },
 
   // Create new creative entry
   async create(creativeData) {
-    const { fileHash, fileName, originalName, filePath, fileType, fileSize, thumbnailPath, batchId } = creativeData
+    const { fileHash, fileName, originalName, filePath, fileType, fileSize, thumbnailPath, batchId, parentId, variant } = creativeData
     
     return new Promise((resolve, reject) => {
       db.run(
-        `INSERT INTO creatives (file_hash, file_name, original_name, file_path, file_type, file_size, thumbnail_path, batch_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [fileHash, fileName, originalName, filePath, fileType, fileSize, thumbnailPath, batchId || null],
+        `INSERT INTO creatives (file_hash, file_name, original_name, file_path, file_type, file_size, thumbnail_path, batch_id, parent_id, variant)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [fileHash, fileName, originalName, filePath, fileType, fileSize, thumbnailPath, batchId || null, parentId || null, variant || null],
         function(err) {
           if (err) reject(err)
           else resolve(this.lastID)
@@ -169,24 +222,26 @@ export const CreativeDB = {
     })
   },
 
-  // Get all creatives
+  // Get all creatives; renditions and variants are listed through getChildren
   async getAll(limit = 100, offset = 0) {
-    return await db.allAsync(
+    const rows = await db.allAsync(
       `SELECT c.*, 
               COUNT(DISTINCT ca.ad_account_id) as account_count,
               GROUP_CONCAT(DISTINCT ca.ad_account_id) as uploaded_accounts
        FROM creatives c
        LEFT JOIN creative_accounts ca ON c.id = ca.creative_id
+       WHERE c.parent_id IS NULL
        GROUP BY c.id
        ORDER BY c.created_at DESC
        LIMIT ? OFFSET ?`,
       [limit, offset]
     )
+    return rows.map(parseCreative)
   },
 
   // Get creative by ID with account information
   async getById(id) {
-    const creative = await db.getAsync('SELECT * FROM creatives WHERE id = ?', id)
+    const creative = parseCreative(await db.getAsync('SELECT * FROM creatives WHERE id = ?', id))
     if (!creative) return null
 
     const accounts = await db.allAsync(
@@ -197,19 +252,39 @@ export const CreativeDB = {
     return { ...creative, accounts }
   },
 
+  // Rendition of a creative, e.g. variant 'transcode' for its MP4
+  async getVariant(parentId, variant) {
+    return parseCreative(await db.getAsync('SELECT * FROM creatives WHERE parent_id = ? AND variant = ?', [parentId, variant]))
+  },
+
+  // All renditions made from a creative
+  async getChildren(parentId) {
+    const rows = await db.allAsync('SELECT * FROM creatives WHERE parent_id = ? ORDER BY created_at', parentId)
+    return rows.map(parseCreative)
+  },
+
+  // Store the pre-flight validation result
+  async updateValidation(id, validation) {
+    return await db.runAsync(
+      'UPDATE creatives SET validation = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(validation), id]
+    )
+  },
+
   // Search creatives by name
   async search(query) {
-    return await db.allAsync(
+    const rows = await db.allAsync(
       `SELECT c.*, 
               COUNT(DISTINCT ca.ad_account_id) as account_count,
               GROUP_CONCAT(DISTINCT ca.ad_account_id) as uploaded_accounts
        FROM creatives c
        LEFT JOIN creative_accounts ca ON c.id = ca.creative_id
-       WHERE c.original_name LIKE ? OR c.file_name LIKE ?
+       WHERE c.parent_id IS NULL AND (c.original_name LIKE ? OR c.file_name LIKE ?)
        GROUP BY c.id
        ORDER BY c.created_at DESC`,
       [`%${query}%`, `%${query}%`]
     )
+    return rows.map(parseCreative)
   },
 
   // Delete a creative by ID
@@ -271,9 +346,9 @@ export const CreativeAccountDB = {
     return new Promise((resolve, reject) => {
       db.run(
         `INSERT OR REPLACE INTO creative_accounts 
-         (creative_id, ad_account_id, facebook_creative_id, facebook_video_id, facebook_image_hash)
-         VALUES (?, ?, ?, ?, ?)`,
-        [creativeId, adAccountId, fbCreativeId, videoId, imageHash],
+         (creative_id, ad_account_id, facebook_creative_id, facebook_video_id, facebook_image_hash, video_status, video_status_updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [creativeId, adAccountId, fbCreativeId, videoId, imageHash, videoId ? 'processing' : null],
         function(err) {
           if (err) reject(err)
           else resolve(this.lastID)
@@ -294,7 +369,7 @@ export const CreativeAccountDB = {
   // Get Facebook IDs for creative in account
   async getFacebookIds(creativeId, adAccountId) {
     return await db.getAsync(
-      'SELECT facebook_creative_id, facebook_video_id, facebook_image_hash FROM creative_accounts WHERE creative_id = ? AND ad_account_id = ?',
+      'SELECT facebook_creative_id, facebook_video_id, facebook_image_hash, video_status, video_status_error FROM creative_accounts WHERE creative_id = ? AND ad_account_id = ?',
       [creativeId, adAccountId]
     )
   },
@@ -305,6 +380,95 @@ export const CreativeAccountDB = {
       'SELECT * FROM creative_accounts WHERE creative_id = ?',
       creativeId
     )
+  },
+
+  // Store Meta's processing state for an uploaded video
+  async updateVideoStatus(videoId, status, error = null) {
+    return await db.runAsync(
+      'UPDATE creative_accounts SET video_status = ?, video_status_error = ?, video_status_updated_at = CURRENT_TIMESTAMP WHERE facebook_video_id = ?',
+      [status, error, videoId]
+    )
+  },
+
+  // Stored processing state of a video, or undefined when the video is not in the library
+  async getVideoStatus(videoId) {
+    return await db.getAsync(
+      'SELECT creative_id, ad_account_id, video_status, video_status_error, video_status_updated_at FROM creative_accounts WHERE facebook_video_id = ?',
+      [videoId]
+    )
+  }
+}
+
+// Meta video upload session operations. Status is one of:
+//   transferring - chunks are being sent (or were, when the server stopped)
+//   failed       - the last attempt failed; can be resumed
+//   finished     - completed by a resume run; the next upload of the same file picks up the video ID
+//   complete     - the video ID was handed to the upload that asked for it
+export const VideoUploadDB = {
+  async create(upload) {
+    const { userId, adAccountId, filePath, fileName, fileSize, uploadSessionId, videoId, startOffset, endOffset } = upload
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO meta_video_uploads
+         (user_id, ad_account_id, file_path, file_name, file_size, upload_session_id, video_id, start_offset, end_offset)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, adAccountId, filePath, fileName, fileSize, uploadSessionId, videoId, startOffset, endOffset],
+        function(err) {
+          if (err) reject(err)
+          else resolve(this.lastID)
+        }
+      )
+    })
+  },
+
+  async getById(id) {
+    return await db.getAsync('SELECT * FROM meta_video_uploads WHERE id = ?', id)
+  },
+
+  // Unfinished or finished-but-unclaimed uploads of a file to an account, newest first
+  async findForFile(filePath, adAccountId, fileSize) {
+    return await db.allAsync(
+      `SELECT * FROM meta_video_uploads
+       WHERE file_path = ? AND ad_account_id = ? AND file_size = ? AND status IN ('transferring', 'failed', 'finished')
+       ORDER BY updated_at DESC, id DESC`,
+      [filePath, adAccountId, fileSize]
+    )
+  },
+
+  // Uploads in the given statuses, optionally for one user
+  async getByStatus(statuses, userId = null) {
+    const placeholders = statuses.map(() => '?').join(', ')
+    const userFilter = userId === null ? '' : 'AND user_id = ?'
+    return await db.allAsync(
+      `SELECT * FROM meta_video_uploads WHERE status IN (${placeholders}) ${userFilter} ORDER BY updated_at DESC`,
+      userId === null ? statuses : [...statuses, userId]
+    )
+  },
+
+  // Record the offsets Meta confirmed after a chunk
+  async updateOffsets(id, startOffset, endOffset) {
+    return await db.runAsync(
+      `UPDATE meta_video_uploads SET start_offset = ?, end_offset = ?, status = 'transferring', error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [startOffset, endOffset, id]
+    )
+  },
+
+  // Point the record at a new Meta session after the old one expired
+  async replaceSession(id, uploadSessionId, videoId, startOffset, endOffset) {
+    return await db.runAsync(
+      `UPDATE meta_video_uploads
+       SET upload_session_id = ?, video_id = ?, start_offset = ?, end_offset = ?, status = 'transferring', error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [uploadSessionId, videoId, startOffset, endOffset, id]
+    )
+  },
+
+  async setStatus(id, status, error = null) {
+    return await db.runAsync(
+      'UPDATE meta_video_uploads SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, error, id]
+    )
   }
 }
 
@@ -344,6 +508,11 @@ export const BatchDB = {
     return await db.getAsync('SELECT * FROM creative_batches WHERE id = ?', id)
   },
 
+  // Get batch by its (unique) name
+  async findByName(name) {
+    return await db.getAsync('SELECT * FROM creative_batches WHERE name = ?', name)
+  },
+
   // Update batch
   async update(id, name, description) {
     return new Promise((resolve, reject) => {
@@ -370,7 +539,7 @@ export const BatchDB = {
 
   // Get creatives in a batch
   async getCreatives(batchId) {
-    return await db.allAsync(
+    const rows = await db.allAsync(
       `SELECT c.*, 
               COUNT(DISTINCT ca.ad_account_id) as account_count,
               GROUP_CONCAT(DISTINCT ca.ad_account_id) as uploaded_accounts
@@ -381,6 +550,7 @@ export const BatchDB = {
        ORDER BY c.created_at DESC`,
       batchId
     )
+    return rows.map(parseCreative)
   }
 }
 
@@ -629,6 +629,22 @@ export const FacebookCacheDB = {
       console.error('Error adding ad set to campaign cache:', error)
       return false
     }
+  },
+
+  // Update the cached status of campaigns and ad sets after a status change in Meta
+  async updateStatus(ids, status) {
+    for (const table of ['cached_campaigns', 'cached_adsets']) {
+      for (const id of ids) {
+        const row = await db.getAsync(`SELECT data FROM ${table} WHERE id = ?`, id)
+        if (!row) continue
+
+        const data = { ...JSON.parse(row.data), status }
+        await db.runAsync(
+          `UPDATE ${table} SET data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [JSON.stringify(data), id]
+        )
+      }
+    }
   }
 }
 
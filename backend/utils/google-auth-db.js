@@ -0,0 +1,97 @@
+import sqlite3 from "sqlite3";
+import { getDbPath } from "./paths.js";
+
+const db = new sqlite3.Database(getDbPath("google-auth.db"));
+
+// Promisify database methods
+db.runAsync = function (sql, params) {
+  return new Promise((resolve, reject) => {
+    this.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+};
+
+db.getAsync = function (sql, params) {
+  return new Promise((resolve, reject) => {
+    this.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+await db.runAsync("PRAGMA journal_mode = WAL");
+
+// Initialize Google auth tables
+async function initializeDatabase() {
+  // One Google connection per user. The consent screen always returns a refresh token
+  // (prompt=consent); token refreshes only update the access token.
+  // Note: No foreign keys since user data is in a separate database (auth-db.js)
+  await db.runAsync(`
+    CREATE TABLE IF NOT EXISTS google_tokens (
+      user_id INTEGER PRIMARY KEY,
+      google_email TEXT,
+      refresh_token TEXT NOT NULL,
+      access_token TEXT,
+      expiry_date INTEGER,
+      scope TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  console.log("Google auth database initialized");
+}
+
+await initializeDatabase();
+
+export const GoogleAuthDB = {
+  // Store the tokens from an OAuth code exchange
+  async saveTokens(userId, { email = null, refreshToken, accessToken = null, expiryDate = null, scope = null }) {
+    return await db.runAsync(
+      `
+      INSERT INTO google_tokens (user_id, google_email, refresh_token, access_token, expiry_date, scope, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(user_id)
+      DO UPDATE SET
+        google_email = COALESCE(excluded.google_email, google_email),
+        refresh_token = excluded.refresh_token,
+        access_token = excluded.access_token,
+        expiry_date = excluded.expiry_date,
+        scope = COALESCE(excluded.scope, scope),
+        updated_at = CURRENT_TIMESTAMP
+    `,
+      [userId, email, refreshToken, accessToken, expiryDate, scope]
+    );
+  },
+
+  // Store a refreshed access token; Google only sometimes rotates the refresh token with it
+  async updateAccessToken(userId, { refreshToken = null, accessToken, expiryDate = null }) {
+    return await db.runAsync(
+      `
+      UPDATE google_tokens
+      SET refresh_token = COALESCE(?, refresh_token), access_token = ?, expiry_date = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `,
+      [refreshToken, accessToken, expiryDate, userId]
+    );
+  },
+
+  async getToken(userId) {
+    return await db.getAsync("SELECT * FROM google_tokens WHERE user_id = ?", [userId]);
+  },
+
+  async deleteToken(userId) {
+    return await db.runAsync("DELETE FROM google_tokens WHERE user_id = ?", [userId]);
+  },
+
+  // Check if user has connected Google
+  async isConnected(userId) {
+    const token = await this.getToken(userId);
+    return Boolean(token);
+  },
+};
+
+export default GoogleAuthDB;
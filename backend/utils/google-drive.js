@@ -0,0 +1,129 @@
+import { google } from "googleapis";
+import { OAuth2Client } from "google-auth-library";
+import { GoogleAuthDB } from "./google-auth-db.js";
+import { AppError } from "./meta-errors.js";
+
+// Google Drive clients and listing helpers. Every user browses Drive with the Google account they
+// connected (GoogleAuthDB); GOOGLE_REFRESH_TOKEN is only the fallback for users who have not.
+// Every listing follows nextPageToken, so folders with more than 1000 entries are read completely.
+
+export const GOOGLE_SCOPES = ["openid", "email", "https://www.googleapis.com/auth/drive.readonly"];
+
+const redirectUri =
+  process.env.GOOGLE_REDIRECT_URI ||
+  (process.env.NODE_ENV === "development" ? "https://localhost:6969/auth/google/callback" : `https://${process.env.DOMAIN}/auth/google/callback`);
+
+export function createOAuthClient() {
+  return new OAuth2Client(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET, redirectUri);
+}
+
+// OAuth client with the user's Google credentials. Refreshed access tokens are stored again.
+export async function getGoogleAuth(userId) {
+  const token = userId ? await GoogleAuthDB.getToken(userId) : null;
+  const client = createOAuthClient();
+
+  if (token) {
+    client.setCredentials({ refresh_token: token.refresh_token, access_token: token.access_token, expiry_date: token.expiry_date });
+    client.on("tokens", (tokens) => {
+      GoogleAuthDB.updateAccessToken(userId, {
+        refreshToken: tokens.refresh_token,
+        accessToken: tokens.access_token,
+        expiryDate: tokens.expiry_date,
+      }).catch((error) => console.error(`Failed to store refreshed Google token of user ${userId}:`, error.message));
+    });
+    return client;
+  }
+
+  if (process.env.GOOGLE_REFRESH_TOKEN) {
+    client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+    return client;
+  }
+
+  throw new AppError("GOOGLE_NOT_CONNECTED", "No Google account is connected.", {
+    status: 401,
+    category: "auth",
+    fix: "Connect your Google account to import from Drive.",
+  });
+}
+
+export async function getDriveClient(userId) {
+  return google.drive({ version: "v3", auth: await getGoogleAuth(userId) });
+}
+
+export const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+
+// Subfolders deeper than this are not read; guards against shortcut loops and huge trees
+const MAX_DEPTH = parseInt(process.env.GOOGLE_DRIVE_MAX_DEPTH) || 10;
+
+const FILE_FIELDS = "id, name, mimeType, size, webContentLink, webViewLink";
+
+export function isMediaFile(file) {
+  return file.mimeType.startsWith("image/") || file.mimeType.startsWith("video/");
+}
+
+// All direct children of a folder
+export async function listFolder(drive, folderId) {
+  const files = [];
+  let pageToken;
+  do {
+    const response = await drive.files.list({
+      q: `'${folderId.replace(/'/g, "\\'")}' in parents and trashed = false`,
+      fields: `nextPageToken, files(${FILE_FIELDS})`,
+      pageSize: 1000,
+      pageToken,
+      corpora: "allDrives",
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+    });
+    files.push(...(response.data.files || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  return files;
+}
+
+// Folder tree below `folderId`:
+//   { id, name, path, files, folders, fileCount, mediaCount, totalFileCount, totalMediaCount, truncated }
+// `path` joins the folder names from the root ("Campaign/Concept A"); the count fields cover the
+// folder itself and, with the `total` prefix, all its subfolders.
+export async function getFolderTree(drive, folderId, { name, path = name, depth = 0, visited = new Set() } = {}) {
+  if (name === undefined) {
+    const { data } = await drive.files.get({ fileId: folderId, fields: "id, name", supportsAllDrives: true });
+    name = data.name;
+    path = data.name;
+  }
+  visited.add(folderId);
+
+  const children = await listFolder(drive, folderId);
+  const files = children.filter((file) => file.mimeType !== FOLDER_MIME_TYPE);
+  const subfolders = children.filter((file) => file.mimeType === FOLDER_MIME_TYPE && !visited.has(file.id));
+  const truncated = depth >= MAX_DEPTH && subfolders.length > 0;
+
+  const folders = [];
+  if (!truncated) {
+    for (const folder of subfolders) {
+      folders.push(await getFolderTree(drive, folder.id, { name: folder.name, path: `${path}/${folder.name}`, depth: depth + 1, visited }));
+    }
+  }
+
+  const mediaCount = files.filter(isMediaFile).length;
+  return {
+    id: folderId,
+    name,
+    path,
+    files,
+    folders,
+    fileCount: files.length,
+    mediaCount,
+    totalFileCount: files.length + folders.reduce((sum, folder) => sum + folder.totalFileCount, 0),
+    totalMediaCount: mediaCount + folders.reduce((sum, folder) => sum + folder.totalMediaCount, 0),
+    truncated,
+  };
+}
+
+// Media files anywhere in a folder tree, each with the folder it came from
+export function flattenMediaFiles(tree) {
+  return [
+    ...tree.files.filter(isMediaFile).map((file) => ({ ...file, folderId: tree.id, folderPath: tree.path })),
+    ...tree.folders.flatMap(flattenMediaFiles),
+  ];
+}
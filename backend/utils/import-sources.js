@@ -0,0 +1,289 @@
+import fs from "fs";
+import net from "net";
+import path from "path";
+import dns from "dns/promises";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import axios from "axios";
+import { isS3Configured, listObjects, getObjectStream } from "./s3-client.js";
+import { AppError } from "./meta-errors.js";
+
+// Import sources bring media into the creative library from places other than the browser. A source
+// is registered under a name and implements:
+//   isAvailable()           - whether it is configured on this server
+//   resolve(spec)           - the files a request names: [{ ref, name, size, mimeType, folderPath }];
+//                             `ref` is plain JSON, since it is stored in the job payload
+//   open(ref, { signal })   - start reading one file: { stream, size, mimeType, fileName }
+// Google Drive imports keep their own endpoint (google-drive.js).
+
+export const IMPORT_MAX_FILES = parseInt(process.env.IMPORT_MAX_FILES) || 500;
+export const IMPORT_MAX_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 4 * 1024 * 1024 * 1024;
+
+const sources = new Map();
+
+export function registerImportSource(name, source) {
+  sources.set(name, source);
+}
+
+export function getImportSource(name) {
+  const source = sources.get(name);
+  if (!source) {
+    throw new AppError("IMPORT_SOURCE_UNKNOWN", `There is no import source "${name}".`, {
+      fix: `Use one of: ${[...sources.keys()].join(", ")}.`,
+    });
+  }
+  if (!source.isAvailable()) {
+    throw new AppError("IMPORT_SOURCE_UNAVAILABLE", `The "${name}" import source is not configured on this server.`, {
+      fix: "Ask an administrator to configure it.",
+    });
+  }
+  return source;
+}
+
+export function listImportSources() {
+  return [...sources.entries()].map(([name, source]) => ({ name, label: source.label, available: source.isAvailable() }));
+}
+
+const MEDIA_EXTENSIONS = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".avi": "video/x-msvideo",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+};
+
+export const isMediaType = (mimeType) => Boolean(mimeType && /^(image|video)\//.test(mimeType));
+
+// An image/video Content-Type, else the type the file extension suggests, else null
+export function mimeTypeFor(fileName, contentType) {
+  const type = contentType?.split(";")[0].trim().toLowerCase();
+  if (isMediaType(type)) return type;
+  return MEDIA_EXTENSIONS[path.extname(fileName || "").toLowerCase()] || null;
+}
+
+function tooLarge(fileName) {
+  return new AppError("IMPORT_FILE_TOO_LARGE", `${fileName} is larger than ${Math.round(IMPORT_MAX_FILE_SIZE / 1024 / 1024)}MB.`, {
+    status: 413,
+    fix: "Import a smaller export of the file.",
+  });
+}
+
+// Write an opened file to `destPath`, reporting onProgress(percent) when the size is known.
+// Returns the number of bytes written; a partial file is removed on failure.
+export async function writeImport({ stream, size, fileName }, destPath, { signal, onProgress } = {}) {
+  if (size > IMPORT_MAX_FILE_SIZE) {
+    stream.destroy();
+    throw tooLarge(fileName);
+  }
+
+  let received = 0;
+  let reported = -1;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > IMPORT_MAX_FILE_SIZE) return callback(tooLarge(fileName));
+      const percent = size ? Math.min(Math.floor((received / size) * 100), 100) : null;
+      if (onProgress && percent !== null && percent !== reported) {
+        reported = percent;
+        onProgress(percent);
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(stream, counter, fs.createWriteStream(destPath), { signal });
+  } catch (error) {
+    fs.rmSync(destPath, { force: true });
+    throw error;
+  }
+  return received;
+}
+
+// --- HTTP(S) URLs ---
+
+// Loopback, private, link-local, CGNAT and multicast ranges: the server must not be made to fetch
+// from its own network. IMPORT_ALLOW_PRIVATE_URLS=true lifts this, e.g. for a local MinIO.
+const privateRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateRanges.check(mapped[1], "ipv4");
+  return privateRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function refusePrivate(hostname, addresses) {
+  if (process.env.IMPORT_ALLOW_PRIVATE_URLS !== "true" && addresses.some(isPrivateAddress)) {
+    throw new AppError("IMPORT_URL_FORBIDDEN", `${hostname} is a private network address.`, {
+      status: 403,
+      fix: "Import from a publicly reachable URL.",
+    });
+  }
+}
+
+// DNS lookup for axios that refuses private addresses. Checking the addresses the socket connects
+// to (rather than the URL up front) also covers redirects and DNS rebinding.
+async function publicLookup(hostname, options) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+  refusePrivate(hostname, addresses.map(({ address }) => address));
+  return addresses;
+}
+
+// IP literals are connected to without a lookup, so they are checked here, for every redirect too
+function refusePrivateLiteral({ hostname }) {
+  const address = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(address)) refusePrivate(hostname, [address]);
+}
+
+// Decoded last segment of a URL path; the raw segment when it is not valid percent-encoding
+function urlFileName(url) {
+  const segment = path.posix.basename(url.pathname);
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// File name from a Content-Disposition header, if it has one
+function dispositionFileName(header) {
+  const encoded = header?.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+    } catch {
+      // fall through to the plain filename
+    }
+  }
+  return header?.match(/filename\s*=\s*"?([^";]+)"?/i)?.[1].trim() || null;
+}
+
+registerImportSource("url", {
+  label: "HTTP(S) URL",
+  isAvailable: () => true,
+
+  // { urls: ["https://cdn.example.com/cut-01.mp4", ...] }
+  async resolve({ urls }) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new AppError("IMPORT_SPEC_INVALID", "urls must be a non-empty array.");
+    }
+    return urls.map((value) => {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        url = null;
+      }
+      if (!url || !["http:", "https:"].includes(url.protocol)) {
+        throw new AppError("IMPORT_SPEC_INVALID", `${value} is not an http(s) URL.`);
+      }
+      const name = urlFileName(url) || url.hostname;
+      return { ref: { url: url.href }, name, size: null, mimeType: mimeTypeFor(name), folderPath: null };
+    });
+  },
+
+  async open({ url }, { signal } = {}) {
+    refusePrivateLiteral(new URL(url));
+    try {
+      const response = await axios.get(url, {
+        responseType: "stream",
+        signal,
+        lookup: publicLookup,
+        beforeRedirect: refusePrivateLiteral,
+        maxRedirects: 5,
+        timeout: 30000,
+      });
+      const fileName = dispositionFileName(response.headers["content-disposition"]) || urlFileName(new URL(url));
+      return {
+        stream: response.data,
+        size: parseInt(response.headers["content-length"]) || null,
+        mimeType: mimeTypeFor(fileName, response.headers["content-type"]),
+        fileName,
+      };
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      // A refused address arrives wrapped by the HTTP client (twice when refused on a redirect)
+      const refused = [error, error.cause, error.cause?.cause].find((cause) => cause instanceof AppError);
+      if (refused) throw refused;
+      const status = error.response?.status;
+      throw new AppError("IMPORT_URL_FAILED", `Downloading ${url} failed: ${status ? `HTTP ${status}` : error.message}`, {
+        status: 502,
+        category: "transient",
+        retryable: !status || status >= 500,
+        fix: "Check that the URL is reachable without signing in.",
+      });
+    }
+  },
+});
+
+// --- S3-compatible buckets ---
+
+registerImportSource("s3", {
+  label: "S3-compatible bucket",
+  isAvailable: isS3Configured,
+
+  // { bucket, keys: ["exports/cut-01.mp4", ...] } and/or { bucket, prefix: "exports/" }. A prefix
+  // imports every image and video below it; folderPath is the key's directory in the bucket.
+  async resolve({ bucket, keys = [], prefix }) {
+    if (typeof bucket !== "string" || !bucket) {
+      throw new AppError("IMPORT_SPEC_INVALID", "bucket is required.");
+    }
+    if (!Array.isArray(keys) || (keys.length === 0 && typeof prefix !== "string")) {
+      throw new AppError("IMPORT_SPEC_INVALID", "keys (an array) or prefix is required.");
+    }
+
+    const objects = keys.map((key) => ({ key, size: null }));
+    if (typeof prefix === "string") {
+      const listed = await listObjects(bucket, prefix);
+      objects.push(...listed.filter(({ key }) => !key.endsWith("/") && mimeTypeFor(key)));
+    }
+
+    return objects.map(({ key, size }) => {
+      const directory = path.posix.dirname(key);
+      return {
+        ref: { bucket, key },
+        name: path.posix.basename(key),
+        size,
+        mimeType: mimeTypeFor(key),
+        folderPath: directory === "." ? bucket : `${bucket}/${directory}`,
+      };
+    });
+  },
+
+  async open({ bucket, key }, { signal } = {}) {
+    const { stream, size, contentType } = await getObjectStream(bucket, key, { signal });
+    const fileName = path.posix.basename(key);
+    return { stream, size, mimeType: mimeTypeFor(fileName, contentType), fileName };
+  },
+});
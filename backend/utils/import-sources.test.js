@@ -0,0 +1,119 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { describe, test, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import { getImportSource, isPrivateAddress, mimeTypeFor, writeImport } from "./import-sources.js";
+
+const urls = getImportSource("url");
+
+describe("isPrivateAddress", () => {
+  test.each(["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1", "::1", "fc00::1", "fe80::1", "::ffff:10.0.0.1", "::ffff:127.0.0.1"])(
+    "%s is private",
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  );
+
+  test.each(["8.8.8.8", "1.1.1.1", "172.32.0.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"])("%s is public", (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe("url import source", () => {
+  test("resolves http(s) URLs to their file names", async () => {
+    expect(await urls.resolve({ urls: ["https://cdn.example.com/final/cut%2001.mp4"] })).toEqual([
+      { ref: { url: "https://cdn.example.com/final/cut%2001.mp4" }, name: "cut 01.mp4", size: null, mimeType: "video/mp4", folderPath: null },
+    ]);
+  });
+
+  test("keeps the raw name when the path is not valid percent-encoding", async () => {
+    const [item] = await urls.resolve({ urls: ["https://cdn.example.com/%E0%A4%A.mp4"] });
+    expect(item.name).toBe("%E0%A4%A.mp4");
+    expect(item.mimeType).toBe("video/mp4");
+  });
+
+  test.each([[["ftp://example.com/a.mp4"]], [["file:///etc/passwd"]], [["not a url"]], [[]], [undefined]])("rejects %p", async (list) => {
+    await expect(urls.resolve({ urls: list })).rejects.toMatchObject({ code: "IMPORT_SPEC_INVALID" });
+  });
+
+  test.each(["http://127.0.0.1/a.mp4", "http://[::1]/a.mp4", "http://169.254.169.254/latest/meta-data", "http://[::ffff:10.0.0.1]/a.mp4", "http://0x7f000001/a.mp4"])(
+    "refuses the private address in %s",
+    async (url) => {
+      await expect(urls.open({ url })).rejects.toMatchObject({ code: "IMPORT_URL_FORBIDDEN", status: 403 });
+    }
+  );
+
+  test("refuses host names that resolve to private addresses", async () => {
+    await expect(urls.open({ url: "http://localhost/a.mp4" })).rejects.toMatchObject({ code: "IMPORT_URL_FORBIDDEN" });
+  });
+
+  describe("with private addresses allowed", () => {
+    let server;
+    let baseUrl;
+    let dir;
+
+    beforeAll(async () => {
+      process.env.IMPORT_ALLOW_PRIVATE_URLS = "true";
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "import-sources-"));
+      server = http.createServer((req, res) => {
+        if (req.url === "/redirect") {
+          res.writeHead(302, { Location: "/cut.mp4" }).end();
+        } else if (req.url === "/cut.mp4" || req.url === "/%E0%A4%A.mp4") {
+          res.writeHead(200, { "Content-Type": "video/mp4", "Content-Length": 4 }).end("0123");
+        } else if (req.url === "/download") {
+          res.writeHead(200, { "Content-Type": "application/octet-stream", "Content-Disposition": "attachment; filename=\"spot.mov\"" }).end("01");
+        } else {
+          res.writeHead(404).end();
+        }
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.join(dir, "out"), { force: true });
+    });
+
+    afterAll(async () => {
+      delete process.env.IMPORT_ALLOW_PRIVATE_URLS;
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("streams a file, following redirects", async () => {
+      const opened = await urls.open({ url: `${baseUrl}/redirect` });
+      expect(opened).toMatchObject({ size: 4, mimeType: "video/mp4", fileName: "redirect" });
+
+      const progress = [];
+      const written = await writeImport(opened, path.join(dir, "out"), { onProgress: (percent) => progress.push(percent) });
+      expect(written).toBe(4);
+      expect(fs.readFileSync(path.join(dir, "out"), "utf8")).toBe("0123");
+      expect(progress.at(-1)).toBe(100);
+    });
+
+    test("keeps the raw file name when the path is not valid percent-encoding", async () => {
+      const opened = await urls.open({ url: `${baseUrl}/%E0%A4%A.mp4` });
+      opened.stream.destroy();
+      expect(opened.fileName).toBe("%E0%A4%A.mp4");
+    });
+
+    test("takes the file name and type from Content-Disposition", async () => {
+      const opened = await urls.open({ url: `${baseUrl}/download` });
+      opened.stream.destroy();
+      expect(opened).toMatchObject({ fileName: "spot.mov", mimeType: "video/quicktime" });
+    });
+
+    test("reports HTTP errors as IMPORT_URL_FAILED", async () => {
+      await expect(urls.open({ url: `${baseUrl}/missing.mp4` })).rejects.toMatchObject({ code: "IMPORT_URL_FAILED", retryable: false });
+    });
+  });
+});
+
+describe("mimeTypeFor", () => {
+  test("prefers a media Content-Type, then the extension", () => {
+    expect(mimeTypeFor("a.bin", "video/mp4; codecs=avc1")).toBe("video/mp4");
+    expect(mimeTypeFor("a.JPG", "application/octet-stream")).toBe("image/jpeg");
+    expect(mimeTypeFor("notes.pdf")).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+import sqlite3 from "sqlite3";
+import { getDbPath } from "./paths.js";
+
+const db = new sqlite3.Database(getDbPath("jobs.db"));
+
+// Promisify database methods
+db.runAsync = function (sql, params) {
+  return new Promise((resolve, reject) => {
+    this.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+};
+
+db.getAsync = function (sql, params) {
+  return new Promise((resolve, reject) => {
+    this.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+db.allAsync = function (sql, params) {
+  return new Promise((resolve, reject) => {
+    this.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+await db.runAsync("PRAGMA journal_mode = WAL");
+
+// Job states: queued -> running -> succeeded | failed | cancelled
+export const TERMINAL_JOB_STATES = ["succeeded", "failed", "cancelled"];
+
+async function initializeDatabase() {
+  // payload, result and error are JSON. session_id links a job to the SSE upload session
+  // that reports its progress.
+  await db.runAsync(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      payload TEXT NOT NULL,
+      result TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      user_id INTEGER,
+      session_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.runAsync("CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)");
+  await db.runAsync("CREATE INDEX IF NOT EXISTS idx_jobs_session ON jobs(session_id)");
+  await db.runAsync("CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id)");
+
+  console.log("Job queue database initialized");
+}
+
+await initializeDatabase();
+
+function parseJob(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payload: JSON.parse(row.payload),
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error ? JSON.parse(row.error) : null,
+  };
+}
+
+export const JobQueueDB = {
+  async create({ type, payload, userId = null, sessionId = null, maxAttempts = 3 }) {
+    const result = await db.runAsync(
+      "INSERT INTO jobs (type, payload, user_id, session_id, max_attempts) VALUES (?, ?, ?, ?, ?)",
+      [type, JSON.stringify(payload), userId, sessionId, maxAttempts]
+    );
+    return result.lastID;
+  },
+
+  async getById(id) {
+    return parseJob(await db.getAsync("SELECT * FROM jobs WHERE id = ?", [id]));
+  },
+
+  // Jobs filtered by any of userId, sessionId and status, newest first
+  async list({ userId, sessionId, status, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (userId !== undefined) {
+      conditions.push("user_id = ?");
+      params.push(userId);
+    }
+    if (sessionId) {
+      conditions.push("session_id = ?");
+      params.push(sessionId);
+    }
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const rows = await db.allAsync(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`, [...params, limit]);
+    return rows.map(parseJob);
+  },
+
+  // Queued jobs of the given types in the order they will be claimed
+  async listQueued(types) {
+    if (types.length === 0) return [];
+    const placeholders = types.map(() => "?").join(", ");
+    const rows = await db.allAsync(`SELECT * FROM jobs WHERE status = 'queued' AND type IN (${placeholders}) ORDER BY id`, types);
+    return rows.map(parseJob);
+  },
+
+  // Move the oldest queued job of one of the given types to running. Returns null when none is waiting.
+  async claimNext(types) {
+    if (types.length === 0) return null;
+    const placeholders = types.map(() => "?").join(", ");
+
+    const row = await db.getAsync(
+      `SELECT id FROM jobs WHERE status = 'queued' AND type IN (${placeholders}) ORDER BY id LIMIT 1`,
+      types
+    );
+    if (!row) return null;
+
+    const { changes } = await db.runAsync(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'queued'`,
+      [row.id]
+    );
+    // Someone else (a cancel) got there first; try the next one
+    if (changes === 0) return this.claimNext(types);
+
+    return this.getById(row.id);
+  },
+
+  async finish(id, status, { result = null, error = null } = {}) {
+    await db.runAsync(
+      `UPDATE jobs SET status = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, result === null ? null : JSON.stringify(result), error === null ? null : JSON.stringify(error), id]
+    );
+  },
+
+  // Cancel a job that has not finished yet. Returns whether anything changed.
+  async cancel(id) {
+    const { changes } = await db.runAsync(
+      `UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('queued', 'running')`,
+      [id]
+    );
+    return changes > 0;
+  },
+
+  // Jobs left running by a previous process were interrupted: queue them again while they have
+  // attempts left, fail them otherwise. Returns { requeued, failed }.
+  async recoverInterrupted() {
+    const requeued = await db.runAsync(
+      "UPDATE jobs SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE status = 'running' AND attempts < max_attempts"
+    );
+    const failed = await db.runAsync(
+      `UPDATE jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'running'`,
+      [JSON.stringify({ error: "The job was interrupted too many times", code: "JOB_INTERRUPTED", category: "transient", retryable: false })]
+    );
+    return { requeued: requeued.changes, failed: failed.changes };
+  },
+};
+
+export default JobQueueDB;
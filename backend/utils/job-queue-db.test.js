@@ -0,0 +1,109 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest, describe, test, expect, afterAll } from "@jest/globals";
+
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-db-"));
+
+jest.unstable_mockModule("./paths.js", () => ({
+  getDbPath: (name) => path.join(dbDir, name),
+}));
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+const { JobQueueDB } = await import("./job-queue-db.js");
+
+// Every test uses its own job type, so claims never pick up another test's jobs
+let typeNumber = 0;
+const newType = () => `test-${++typeNumber}`;
+
+describe("JobQueueDB", () => {
+  afterAll(() => {
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  });
+
+  test("stores jobs with their payload, user and session", async () => {
+    const type = newType();
+    const id = await JobQueueDB.create({ type, payload: { file: { path: "/tmp/a.mp4" } }, userId: 7, sessionId: "s1" });
+
+    expect(await JobQueueDB.getById(id)).toMatchObject({
+      id,
+      type,
+      status: "queued",
+      payload: { file: { path: "/tmp/a.mp4" } },
+      result: null,
+      error: null,
+      attempts: 0,
+      max_attempts: 3,
+      user_id: 7,
+      session_id: "s1",
+    });
+  });
+
+  test("claims the oldest queued job of the given types and counts the attempt", async () => {
+    const type = newType();
+    const first = await JobQueueDB.create({ type, payload: {} });
+    const second = await JobQueueDB.create({ type, payload: {} });
+    await JobQueueDB.create({ type: newType(), payload: {} });
+
+    expect(await JobQueueDB.claimNext([type])).toMatchObject({ id: first, status: "running", attempts: 1 });
+    expect(await JobQueueDB.claimNext([type])).toMatchObject({ id: second, status: "running" });
+    expect(await JobQueueDB.claimNext([type])).toBeNull();
+    expect(await JobQueueDB.claimNext([])).toBeNull();
+
+    await JobQueueDB.finish(first, "succeeded");
+    await JobQueueDB.finish(second, "succeeded");
+  });
+
+  test("lists queued jobs in claim order", async () => {
+    const type = newType();
+    const ids = [await JobQueueDB.create({ type, payload: {} }), await JobQueueDB.create({ type, payload: {} })];
+
+    expect((await JobQueueDB.listQueued([type])).map((job) => job.id)).toEqual(ids);
+  });
+
+  test("stores the result or error of a finished job", async () => {
+    const type = newType();
+    const succeeded = await JobQueueDB.create({ type, payload: {} });
+    const failed = await JobQueueDB.create({ type, payload: {} });
+
+    await JobQueueDB.finish(succeeded, "succeeded", { result: { videoId: "1" } });
+    await JobQueueDB.finish(failed, "failed", { error: { code: "META_ERROR" } });
+
+    expect(await JobQueueDB.getById(succeeded)).toMatchObject({ status: "succeeded", result: { videoId: "1" } });
+    expect(await JobQueueDB.getById(failed)).toMatchObject({ status: "failed", error: { code: "META_ERROR" } });
+  });
+
+  test("cancels only jobs that have not finished", async () => {
+    const type = newType();
+    const queued = await JobQueueDB.create({ type, payload: {} });
+    const done = await JobQueueDB.create({ type, payload: {} });
+    await JobQueueDB.finish(done, "succeeded");
+
+    expect(await JobQueueDB.cancel(queued)).toBe(true);
+    expect(await JobQueueDB.cancel(done)).toBe(false);
+    expect((await JobQueueDB.getById(done)).status).toBe("succeeded");
+    expect(await JobQueueDB.claimNext([type])).toBeNull();
+  });
+
+  test("filters the list by user, session and status", async () => {
+    const type = newType();
+    const mine = await JobQueueDB.create({ type, payload: {}, userId: 101, sessionId: "mine" });
+    await JobQueueDB.create({ type, payload: {}, userId: 102, sessionId: "theirs" });
+
+    expect((await JobQueueDB.list({ userId: 101 })).map((job) => job.id)).toEqual([mine]);
+    expect((await JobQueueDB.list({ sessionId: "mine", status: "queued" })).map((job) => job.id)).toEqual([mine]);
+    expect(await JobQueueDB.list({ sessionId: "mine", status: "running" })).toEqual([]);
+  });
+
+  test("queues interrupted jobs again until they run out of attempts", async () => {
+    const type = newType();
+    const retried = await JobQueueDB.create({ type, payload: {}, maxAttempts: 2 });
+    const exhausted = await JobQueueDB.create({ type, payload: {}, maxAttempts: 1 });
+    await JobQueueDB.claimNext([type]);
+    await JobQueueDB.claimNext([type]);
+
+    expect(await JobQueueDB.recoverInterrupted()).toEqual({ requeued: 1, failed: 1 });
+    expect(await JobQueueDB.getById(retried)).toMatchObject({ status: "queued", attempts: 1 });
+    expect(await JobQueueDB.getById(exhausted)).toMatchObject({ status: "failed", error: { code: "JOB_INTERRUPTED" } });
+  });
+});
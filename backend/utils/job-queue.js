@@ -0,0 +1,170 @@
+import { JobQueueDB, TERMINAL_JOB_STATES } from "./job-queue-db.js";
+import { errorBody } from "./meta-errors.js";
+
+// Durable job queue on top of JobQueueDB. Work is stored before it runs, so jobs queued or
+// interrupted when the process stops are picked up again by start() on the next boot.
+// Handlers are registered per job type: handler(payload, { job, signal }) returns the job result
+// (stored as JSON) or throws; `signal` is aborted when the job is cancelled.
+// CONCURRENCY is how many files are in progress at once; the ffmpeg, download and Meta transfer
+// limits inside a job are enforced by the scheduler (scheduler.js).
+
+const CONCURRENCY = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 8;
+
+const handlers = new Map();
+const running = new Map(); // job id -> AbortController
+const waiters = new Map(); // job id -> callbacks waiting for it to finish
+const reportedPositions = new Map(); // queued job id -> position last given to the queue listener
+
+let queueListener = null;
+
+let started = false;
+let draining = false;
+let drainAgain = false;
+
+function notifyFinished(job) {
+  for (const resolve of waiters.get(job.id) || []) resolve(job);
+  waiters.delete(job.id);
+}
+
+// Tell the queue listener about queued jobs whose place in line changed
+async function reportPositions() {
+  if (!queueListener) return;
+
+  const queued = await JobQueueDB.listQueued([...handlers.keys()]);
+  const queuedIds = new Set(queued.map((job) => job.id));
+  for (const id of reportedPositions.keys()) {
+    if (!queuedIds.has(id)) reportedPositions.delete(id);
+  }
+
+  queued.forEach((job, index) => {
+    const position = index + 1;
+    if (reportedPositions.get(job.id) === position) return;
+    reportedPositions.set(job.id, position);
+    queueListener(job, { position, waiting: queued.length });
+  });
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+  console.log(`Job ${job.id} (${job.type}) started, attempt ${job.attempts}/${job.max_attempts}`);
+
+  try {
+    const result = await handlers.get(job.type)(job.payload, { job, signal: controller.signal });
+    if (controller.signal.aborted) {
+      await JobQueueDB.finish(job.id, "cancelled");
+    } else {
+      await JobQueueDB.finish(job.id, "succeeded", { result: result ?? null });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      await JobQueueDB.finish(job.id, "cancelled");
+    } else {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+      await JobQueueDB.finish(job.id, "failed", { error: errorBody(error) });
+    }
+  } finally {
+    running.delete(job.id);
+    notifyFinished(await JobQueueDB.getById(job.id));
+    JobQueue.drain();
+  }
+}
+
+export const JobQueue = {
+  register(type, handler) {
+    handlers.set(type, handler);
+  },
+
+  // Store a job and wake the workers. Options: userId, sessionId, maxAttempts (how often a job
+  // interrupted by a restart is tried again).
+  async enqueue(type, payload, options = {}) {
+    if (!handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+    const id = await JobQueueDB.create({ type, payload, ...options });
+    this.drain();
+    return id;
+  },
+
+  // Recover jobs from the previous run and start working. Call once handlers are registered.
+  async start() {
+    const { requeued, failed } = await JobQueueDB.recoverInterrupted();
+    if (requeued > 0 || failed > 0) {
+      console.log(`Job queue: ${requeued} interrupted job(s) queued again, ${failed} given up`);
+    }
+    started = true;
+    this.drain();
+  },
+
+  // Start queued jobs until the concurrency limit is reached
+  async drain() {
+    if (!started) return;
+    if (draining) {
+      drainAgain = true;
+      return;
+    }
+
+    draining = true;
+    try {
+      do {
+        drainAgain = false;
+        while (running.size < CONCURRENCY) {
+          const job = await JobQueueDB.claimNext([...handlers.keys()]);
+          if (!job) break;
+          runJob(job);
+        }
+        await reportPositions();
+      } while (drainAgain);
+    } catch (error) {
+      console.error("Job queue error:", error);
+    } finally {
+      draining = false;
+    }
+  },
+
+  // listener(job, { position, waiting }) is called whenever a queued job moves up the line
+  onQueuePosition(listener) {
+    queueListener = listener;
+  },
+
+  // Cancel a queued job, or abort a running one. Returns whether the job was still active.
+  async cancel(id) {
+    // Mark it cancelled before aborting: an aborted job records itself as cancelled, and that
+    // update could otherwise land first and make this one find nothing to cancel
+    const cancelled = await JobQueueDB.cancel(id);
+    running.get(Number(id))?.abort();
+    if (cancelled && !running.has(Number(id))) {
+      notifyFinished(await JobQueueDB.getById(id));
+      this.drain(); // Jobs behind it move up
+    }
+    return cancelled;
+  },
+
+  // Resolve with the jobs (in the given order) once all of them have finished
+  waitFor(ids) {
+    return Promise.all(
+      ids.map(
+        (id) =>
+          new Promise((resolve, reject) => {
+            waiters.set(id, [...(waiters.get(id) || []), resolve]);
+            // The job may have finished before we started waiting
+            JobQueueDB.getById(id)
+              .then((job) => {
+                if (TERMINAL_JOB_STATES.includes(job?.status)) notifyFinished(job);
+              })
+              .catch(reject);
+          })
+      )
+    );
+  },
+
+  get(id) {
+    return JobQueueDB.getById(id);
+  },
+
+  list(filters) {
+    return JobQueueDB.list(filters);
+  },
+};
+
+export default JobQueue;
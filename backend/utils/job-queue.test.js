@@ -0,0 +1,115 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest, describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+
+process.env.JOB_QUEUE_CONCURRENCY = "1";
+
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-"));
+
+jest.unstable_mockModule("./paths.js", () => ({
+  getDbPath: (name) => path.join(dbDir, name),
+}));
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+jest.spyOn(console, "error").mockImplementation(() => {});
+const { JobQueueDB } = await import("./job-queue-db.js");
+const { JobQueue } = await import("./job-queue.js");
+
+// A promise with its resolve function, to hold a job until the test lets it finish
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => (resolve = done));
+  return { promise, resolve };
+}
+
+// Poll until `check` holds; the queue works in the background
+async function until(check) {
+  while (!check()) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+// Handlers read their behaviour from the payload: { result }, { error } or { hold: key }
+const holds = new Map();
+const started = [];
+
+describe("JobQueue", () => {
+  let recovered;
+
+  beforeAll(async () => {
+    // A job the previous process was running when it stopped
+    recovered = await JobQueueDB.create({ type: "echo", payload: { result: "recovered" } });
+    await JobQueueDB.claimNext(["echo"]);
+
+    JobQueue.register("echo", async (payload, { job, signal }) => {
+      started.push(job.id);
+      if (payload.hold) {
+        await Promise.race([
+          holds.get(payload.hold).promise,
+          new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted")))),
+        ]);
+      }
+      if (payload.error) throw new Error(payload.error);
+      return payload.result;
+    });
+    await JobQueue.start();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  });
+
+  test("runs jobs a previous process left running", async () => {
+    const [job] = await JobQueue.waitFor([recovered]);
+
+    expect(job).toMatchObject({ status: "succeeded", result: "recovered", attempts: 2 });
+  });
+
+  test("refuses job types without a handler", async () => {
+    await expect(JobQueue.enqueue("unknown", {})).rejects.toThrow('No handler registered for job type "unknown"');
+  });
+
+  test("stores results and errors, and waitFor returns the jobs in order", async () => {
+    const ids = [
+      await JobQueue.enqueue("echo", { result: { id: 1 } }, { userId: 5, sessionId: "s1" }),
+      await JobQueue.enqueue("echo", { error: "Meta said no" }),
+    ];
+
+    const jobs = await JobQueue.waitFor(ids);
+
+    expect(jobs.map((job) => job.id)).toEqual(ids);
+    expect(jobs[0]).toMatchObject({ status: "succeeded", result: { id: 1 }, user_id: 5, session_id: "s1" });
+    expect(jobs[1]).toMatchObject({ status: "failed", error: expect.objectContaining({ error: "Meta said no" }) });
+  });
+
+  test("waitFor resolves for jobs that finished before it was called", async () => {
+    const id = await JobQueue.enqueue("echo", { result: "early" });
+    await JobQueue.waitFor([id]);
+
+    await expect(JobQueue.waitFor([id])).resolves.toEqual([expect.objectContaining({ id, status: "succeeded" })]);
+  });
+
+  test("runs one job at a time with a concurrency of 1, and cancels queued and running jobs", async () => {
+    holds.set("first", deferred());
+    const positions = [];
+    JobQueue.onQueuePosition((job, { position }) => positions.push([job.id, position]));
+
+    const running = await JobQueue.enqueue("echo", { hold: "first" });
+    const queued = await JobQueue.enqueue("echo", { result: "never" });
+    const next = await JobQueue.enqueue("echo", { result: "next" });
+    await until(() => started.includes(running) && positions.some(([id]) => id === next));
+
+    expect((await JobQueue.get(running)).status).toBe("running");
+    expect((await JobQueue.get(queued)).status).toBe("queued");
+    expect(positions).toEqual(expect.arrayContaining([[queued, 1], [next, 2]]));
+
+    expect(await JobQueue.cancel(queued)).toBe(true);
+    expect(await JobQueue.cancel(running)).toBe(true);
+
+    const jobs = await JobQueue.waitFor([running, queued, next]);
+    expect(jobs.map((job) => job.status)).toEqual(["cancelled", "cancelled", "succeeded"]);
+    expect(started).not.toContain(queued);
+    expect(await JobQueue.cancel(next)).toBe(false);
+
+    JobQueue.onQueuePosition(null);
+  });
+});
@@ -0,0 +1,287 @@
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+import ffprobeInstaller from "@ffprobe-installer/ffprobe";
+import { Scheduler } from "./scheduler.js";
+import { asTranscoded, transcodeReasons } from "./transcoder.js";
+
+// Pre-flight validation of images and videos against Meta placement specs, so unusable files are
+// caught before a long upload. Each placement profile has hard limits (Meta rejects the file:
+// errors) and `recommended` values (the ad still runs but looks worse: warnings).
+// MEDIA_PROFILES_FILE points to a JSON file whose entries are merged over the defaults below.
+
+ffmpeg.setFfprobePath(process.env.FFPROBE_PATH || ffprobeInstaller.path);
+
+// strict: files with errors are not uploaded; warn: only report; off: skip validation
+export const MEDIA_VALIDATION_MODE = process.env.MEDIA_VALIDATION_MODE || "strict";
+
+const MB = 1024 * 1024;
+
+const VIDEO_LIMITS = {
+  containers: ["mov", "mp4", "m4a", "3gp", "avi", "matroska", "webm", "gif"],
+  videoCodecs: ["h264", "hevc", "mpeg4", "vp8", "vp9", "av1", "gif"],
+  audioCodecs: ["aac", "mp3", "opus", "vorbis", "pcm_s16le"],
+  minDuration: 1,
+  maxDuration: 241 * 60,
+  maxFrameRate: 60,
+  maxFileSize: 4 * 1024 * MB,
+};
+
+const IMAGE_LIMITS = {
+  formats: ["mjpeg", "png", "webp", "bmp", "tiff", "gif"],
+  maxFileSize: 30 * MB,
+};
+
+const DEFAULT_PROFILES = {
+  feed: {
+    label: "Feed",
+    video: {
+      ...VIDEO_LIMITS,
+      minWidth: 120,
+      minHeight: 120,
+      minAspectRatio: 9 / 16,
+      maxAspectRatio: 16 / 9,
+      recommended: { videoCodecs: ["h264"], audioCodecs: ["aac"], minWidth: 1080, minAspectRatio: 4 / 5, maxAspectRatio: 1, maxFrameRate: 30 },
+    },
+    image: {
+      ...IMAGE_LIMITS,
+      minWidth: 600,
+      minHeight: 600,
+      recommended: { formats: ["mjpeg", "png"], minWidth: 1080, minAspectRatio: 4 / 5, maxAspectRatio: 1.91 },
+    },
+  },
+  "stories-reels": {
+    label: "Stories/Reels",
+    video: {
+      ...VIDEO_LIMITS,
+      minWidth: 500,
+      minHeight: 500,
+      minAspectRatio: 9 / 16,
+      maxAspectRatio: 1.91,
+      maxDuration: 15 * 60,
+      recommended: { videoCodecs: ["h264"], audioCodecs: ["aac"], minWidth: 1080, minAspectRatio: 9 / 16, maxAspectRatio: 9 / 16, maxDuration: 60, maxFrameRate: 30 },
+    },
+    image: {
+      ...IMAGE_LIMITS,
+      minWidth: 500,
+      minHeight: 500,
+      recommended: { formats: ["mjpeg", "png"], minWidth: 1080, minAspectRatio: 9 / 16, maxAspectRatio: 9 / 16 },
+    },
+  },
+  "right-column": {
+    label: "Right Column",
+    video: {
+      ...VIDEO_LIMITS,
+      minWidth: 254,
+      minHeight: 133,
+      minAspectRatio: 1,
+      maxAspectRatio: 1.91,
+      recommended: { videoCodecs: ["h264"], audioCodecs: ["aac"], minWidth: 1080, minAspectRatio: 1, maxAspectRatio: 1, maxFrameRate: 30 },
+    },
+    image: {
+      ...IMAGE_LIMITS,
+      minWidth: 254,
+      minHeight: 133,
+      recommended: { formats: ["mjpeg", "png"], minWidth: 1080, minAspectRatio: 1, maxAspectRatio: 1 },
+    },
+  },
+};
+
+function loadProfiles() {
+  const file = process.env.MEDIA_PROFILES_FILE;
+  if (!file) return DEFAULT_PROFILES;
+
+  const overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+  const profiles = { ...DEFAULT_PROFILES };
+  for (const [name, override] of Object.entries(overrides)) {
+    const base = profiles[name] || { label: name };
+    profiles[name] = {
+      ...base,
+      ...override,
+      video: { ...base.video, ...override.video },
+      image: { ...base.image, ...override.image },
+    };
+  }
+  return profiles;
+}
+
+export const PLACEMENT_PROFILES = loadProfiles();
+
+function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+function parseFrameRate(rate) {
+  const [numerator, denominator] = String(rate || "0/0").split("/").map(Number);
+  return denominator ? numerator / denominator : numerator || null;
+}
+
+// ffprobe's r_frame_rate is the base rate of the stream; an average far from it means frames
+// arrive at varying intervals, as in most phone recordings
+function isVariableFrameRate(video) {
+  const base = parseFrameRate(video?.r_frame_rate);
+  const average = parseFrameRate(video?.avg_frame_rate);
+  return Boolean(base && average && Math.abs(base - average) / base > 0.01);
+}
+
+const NAMED_RATIOS = { "1:1": 1, "4:5": 4 / 5, "9:16": 9 / 16, "16:9": 16 / 9, "1.91:1": 1.91 };
+
+function formatRatio(ratio) {
+  const named = Object.entries(NAMED_RATIOS).find(([, value]) => Math.abs(value - ratio) < 0.01);
+  return named ? named[0] : `${ratio.toFixed(2)}:1`;
+}
+
+// The properties the profiles check, read from ffprobe's output
+export async function probeMedia(filePath) {
+  const metadata = await Scheduler.run("ffmpeg", () => probe(filePath));
+  const { format = {}, streams = [] } = metadata;
+  const video = streams.find((stream) => stream.codec_type === "video");
+  const audio = streams.find((stream) => stream.codec_type === "audio");
+  const containers = String(format.format_name || "").split(",");
+
+  // A single frame in an image container (or a piped image) is a still image
+  const isImage =
+    !!video && (containers.includes("image2") || containers.some((name) => name.endsWith("_pipe")) || (!audio && !(Number(format.duration) > 0)));
+
+  // Phones record portrait video as landscape plus a rotation
+  const rotation = Math.abs(Number(video?.tags?.rotate || video?.side_data_list?.find((data) => data.rotation !== undefined)?.rotation || 0));
+  const rotated = rotation === 90 || rotation === 270;
+  const width = rotated ? video?.height : video?.width;
+  const height = rotated ? video?.width : video?.height;
+
+  return {
+    kind: isImage ? "image" : video ? "video" : "other",
+    containers,
+    majorBrand: format.tags?.major_brand?.trim() || null,
+    videoCodec: video?.codec_name || null,
+    pixelFormat: video?.pix_fmt || null,
+    audioCodec: audio?.codec_name || null,
+    width: width || null,
+    height: height || null,
+    aspectRatio: width && height ? width / height : null,
+    duration: Number(format.duration) || null,
+    frameRate: video ? parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) : null,
+    variableFrameRate: isVariableFrameRate(video),
+    fileSize: Number(format.size) || fs.statSync(filePath).size,
+  };
+}
+
+// Messages for every limit in `spec` that the media does not meet
+function checkSpec(media, spec) {
+  const problems = [];
+  const near = (a, b) => Math.abs(a - b) < 0.01;
+
+  if (spec.containers && !media.containers.some((name) => spec.containers.includes(name))) {
+    problems.push(`Container ${media.containers.join("/")} is not supported (use ${spec.containers.slice(0, 2).join(" or ")})`);
+  }
+  if (spec.videoCodecs && media.videoCodec && !spec.videoCodecs.includes(media.videoCodec)) {
+    problems.push(`Video codec ${media.videoCodec} should be ${spec.videoCodecs.join(" or ")}`);
+  }
+  if (spec.audioCodecs && media.audioCodec && !spec.audioCodecs.includes(media.audioCodec)) {
+    problems.push(`Audio codec ${media.audioCodec} should be ${spec.audioCodecs.join(" or ")}`);
+  }
+  if (spec.formats && !spec.formats.includes(media.videoCodec)) {
+    problems.push(`Image format ${media.videoCodec} should be ${spec.formats.map((name) => (name === "mjpeg" ? "jpeg" : name)).join(" or ")}`);
+  }
+  if (spec.minWidth && media.width < spec.minWidth) {
+    problems.push(`Width ${media.width}px is below ${spec.minWidth}px`);
+  }
+  if (spec.minHeight && media.height < spec.minHeight) {
+    problems.push(`Height ${media.height}px is below ${spec.minHeight}px`);
+  }
+  if (media.aspectRatio) {
+    const tooNarrow = spec.minAspectRatio && media.aspectRatio < spec.minAspectRatio && !near(media.aspectRatio, spec.minAspectRatio);
+    const tooWide = spec.maxAspectRatio && media.aspectRatio > spec.maxAspectRatio && !near(media.aspectRatio, spec.maxAspectRatio);
+    if (tooNarrow || tooWide) {
+      const range =
+        spec.minAspectRatio === spec.maxAspectRatio
+          ? formatRatio(spec.minAspectRatio)
+          : `between ${formatRatio(spec.minAspectRatio)} and ${formatRatio(spec.maxAspectRatio)}`;
+      problems.push(`Aspect ratio ${formatRatio(media.aspectRatio)} should be ${range}`);
+    }
+  }
+  if (spec.minDuration && media.duration !== null && media.duration < spec.minDuration) {
+    problems.push(`Duration ${media.duration.toFixed(1)}s is shorter than ${spec.minDuration}s`);
+  }
+  if (spec.maxDuration && media.duration > spec.maxDuration) {
+    problems.push(`Duration ${Math.round(media.duration)}s is longer than ${spec.maxDuration}s`);
+  }
+  if (spec.maxFrameRate && media.frameRate > spec.maxFrameRate + 0.5) {
+    problems.push(`Frame rate ${media.frameRate.toFixed(2)}fps is above ${spec.maxFrameRate}fps`);
+  }
+  if (spec.maxFileSize && media.fileSize > spec.maxFileSize) {
+    problems.push(`File size ${(media.fileSize / MB).toFixed(1)}MB is above ${Math.round(spec.maxFileSize / MB)}MB`);
+  }
+
+  return problems;
+}
+
+const IMAGE_MIME_TYPES = { mjpeg: "image/jpeg", png: "image/png", webp: "image/webp", gif: "image/gif", bmp: "image/bmp", tiff: "image/tiff" };
+
+// MIME type from the probed content, more reliable than the file extension
+function detectMimeType(media) {
+  if (media.kind === "image") return IMAGE_MIME_TYPES[media.videoCodec] || "image/jpeg";
+  if (media.majorBrand === "qt") return "video/quicktime";
+  if (media.containers.includes("mp4")) return "video/mp4";
+  if (media.containers.includes("webm")) return "video/webm";
+  if (media.containers.includes("avi")) return "video/x-msvideo";
+  return "video/quicktime";
+}
+
+// Validate a file against the placement profiles. Returns
+//   { ok, errors, warnings, placements: { [name]: { label, status, errors, warnings } }, media, mimeType }
+// `errors` means no placement can use the file; problems limited to some placements are warnings.
+export async function validateMedia(filePath, { placements = Object.keys(PLACEMENT_PROFILES) } = {}) {
+  let media;
+  try {
+    media = await probeMedia(filePath);
+  } catch (error) {
+    // ffprobe itself could not run: that says nothing about the file, so don't block it
+    if (/^spawn /.test(error.message)) {
+      console.error("Media validation skipped, ffprobe could not run:", error.message);
+      return { ok: true, skipped: true, errors: [], warnings: ["Media validation was skipped because ffprobe is unavailable"], placements: {}, media: null, mimeType: null };
+    }
+    return { ok: false, errors: [`The file could not be read as an image or video: ${error.message.split("\n")[0]}`], warnings: [], placements: {}, media: null, mimeType: null };
+  }
+  if (media.kind === "other") {
+    return { ok: false, errors: ["The file contains no image or video stream"], warnings: [], placements: {}, media, mimeType: null };
+  }
+
+  // Videos that will be transcoded are judged as the MP4 Meta will receive
+  const target = asTranscoded(media);
+
+  const results = {};
+  for (const name of placements) {
+    const profile = PLACEMENT_PROFILES[name];
+    const spec = profile?.[media.kind];
+    if (!spec) continue;
+
+    const errors = checkSpec(target, spec);
+    const warnings = errors.length === 0 && spec.recommended ? checkSpec(target, spec.recommended) : [];
+    results[name] = { label: profile.label, status: errors.length > 0 ? "error" : warnings.length > 0 ? "warning" : "ok", errors, warnings };
+  }
+
+  const checked = Object.values(results);
+  const usable = checked.filter((result) => result.status !== "error");
+  let errors = [];
+  const warnings = usable.flatMap((result) => result.warnings.map((message) => `${result.label}: ${message}`));
+  if (target !== media) {
+    warnings.unshift(`Will be converted to MP4 (${transcodeReasons(media).join(", ")})`);
+  }
+
+  if (checked.length > 0 && usable.length === 0) {
+    // Problems shared by every placement are reported once
+    const shared = checked[0].errors.filter((message) => checked.every((result) => result.errors.includes(message)));
+    errors = [
+      ...shared,
+      ...checked.flatMap((result) => result.errors.filter((message) => !shared.includes(message)).map((message) => `${result.label}: ${message}`)),
+    ];
+  } else {
+    for (const result of checked.filter((result) => result.status === "error")) {
+      warnings.push(`Not usable in ${result.label}: ${result.errors.join("; ")}`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors, warnings, placements: results, media, mimeType: detectMimeType(media) };
+}
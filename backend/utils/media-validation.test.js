@@ -0,0 +1,139 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest, describe, test, expect, afterAll } from "@jest/globals";
+
+// Profile overrides and the transcode mode are read when the modules load
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "media-validation-"));
+process.env.MEDIA_PROFILES_FILE = path.join(dir, "profiles.json");
+fs.writeFileSync(process.env.MEDIA_PROFILES_FILE, JSON.stringify({ feed: { video: { maxFrameRate: 50 } } }));
+process.env.VIDEO_TRANSCODE_MODE = "auto";
+
+// ffprobe answers with whatever the test put in `probeResult`
+let probeResult;
+jest.unstable_mockModule("fluent-ffmpeg", () => ({
+  default: {
+    setFfprobePath() {},
+    setFfmpegPath() {},
+    ffprobe: (filePath, callback) => (probeResult instanceof Error ? callback(probeResult) : callback(null, probeResult)),
+  },
+}));
+jest.unstable_mockModule("@ffprobe-installer/ffprobe", () => ({ default: { path: "ffprobe" } }));
+
+const { validateMedia, probeMedia, PLACEMENT_PROFILES } = await import("./media-validation.js");
+
+// ffprobe output for an H.264/AAC MP4 (or, with `format` and `video` overrides, anything else)
+function videoMetadata({ format = {}, video = {}, audio = { codec_name: "aac" } } = {}) {
+  return {
+    format: { format_name: "mov,mp4,m4a,3gp,3g2,mj2", duration: "30", size: "1000000", tags: { major_brand: "isom" }, ...format },
+    streams: [
+      { codec_type: "video", codec_name: "h264", pix_fmt: "yuv420p", width: 1080, height: 1920, r_frame_rate: "30/1", avg_frame_rate: "30/1", ...video },
+      ...(audio ? [{ codec_type: "audio", ...audio }] : []),
+    ],
+  };
+}
+
+const statuses = (result) => Object.fromEntries(Object.entries(result.placements).map(([name, placement]) => [name, placement.status]));
+
+describe("validateMedia", () => {
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("checks a vertical video against every placement", async () => {
+    probeResult = videoMetadata();
+
+    const result = await validateMedia("cut.mp4");
+
+    expect(result.ok).toBe(true);
+    expect(result.mimeType).toBe("video/mp4");
+    expect(statuses(result)).toEqual({ feed: "warning", "stories-reels": "ok", "right-column": "error" });
+    expect(result.warnings).toEqual([
+      "Feed: Aspect ratio 9:16 should be between 4:5 and 1:1",
+      "Not usable in Right Column: Aspect ratio 9:16 should be between 1:1 and 1.91:1",
+    ]);
+  });
+
+  test("only checks the placements asked for", async () => {
+    probeResult = videoMetadata();
+
+    const result = await validateMedia("cut.mp4", { placements: ["right-column"] });
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual(["Aspect ratio 9:16 should be between 1:1 and 1.91:1"]);
+  });
+
+  test("reports a problem every placement shares once", async () => {
+    probeResult = videoMetadata({ format: { duration: "0.5" }, video: { width: 1080, height: 1080 } });
+
+    const result = await validateMedia("blink.mp4");
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual(["Duration 0.5s is shorter than 1s"]);
+  });
+
+  test("judges a video that will be transcoded as the MP4 Meta receives", async () => {
+    probeResult = videoMetadata({ format: { format_name: "mov,mp4,m4a,3gp,3g2,mj2", tags: { major_brand: "qt" } }, video: { codec_name: "prores", pix_fmt: "yuv422p10le" } });
+
+    const result = await validateMedia("master.mov");
+
+    expect(result.ok).toBe(true);
+    expect(result.mimeType).toBe("video/quicktime");
+    expect(result.warnings[0]).toBe("Will be converted to MP4 (mov container, prores video, yuv422p10le pixel format)");
+  });
+
+  test("merges MEDIA_PROFILES_FILE over the default profiles", async () => {
+    expect(PLACEMENT_PROFILES.feed.label).toBe("Feed");
+    expect(PLACEMENT_PROFILES.feed.video).toMatchObject({ maxFrameRate: 50, minWidth: 120 });
+
+    probeResult = videoMetadata({ video: { width: 1080, height: 1350, r_frame_rate: "55/1", avg_frame_rate: "55/1" } });
+    const result = await validateMedia("fast.mp4");
+
+    expect(result.placements.feed.errors).toEqual(["Frame rate 55.00fps is above 50fps"]);
+    expect(result.placements["stories-reels"].status).not.toBe("error");
+  });
+
+  test("validates still images with the image profile", async () => {
+    probeResult = { format: { format_name: "png_pipe", size: "20000" }, streams: [{ codec_type: "video", codec_name: "png", width: 400, height: 400 }] };
+
+    const result = await validateMedia("logo.png");
+
+    expect(result.media.kind).toBe("image");
+    expect(result.mimeType).toBe("image/png");
+    expect(statuses(result)).toEqual({ feed: "error", "stories-reels": "error", "right-column": "warning" });
+    expect(result.warnings).toContain("Not usable in Feed: Width 400px is below 600px; Height 400px is below 600px");
+  });
+
+  test("rejects files without an image or video stream, and files ffprobe cannot read", async () => {
+    probeResult = { format: { format_name: "mp3", duration: "30", size: "1000" }, streams: [{ codec_type: "audio", codec_name: "mp3" }] };
+    expect(await validateMedia("song.mp3")).toMatchObject({ ok: false, errors: ["The file contains no image or video stream"] });
+
+    probeResult = new Error("Invalid data found when processing input\nmore detail");
+    expect(await validateMedia("broken.mp4")).toMatchObject({
+      ok: false,
+      errors: ["The file could not be read as an image or video: Invalid data found when processing input"],
+    });
+  });
+
+  test("skips validation when ffprobe cannot run", async () => {
+    probeResult = new Error("spawn ffprobe ENOENT");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await validateMedia("cut.mp4")).toMatchObject({ ok: true, skipped: true });
+    jest.restoreAllMocks();
+  });
+});
+
+describe("probeMedia", () => {
+  test("swaps width and height of rotated phone videos", async () => {
+    probeResult = videoMetadata({ video: { width: 1920, height: 1080, tags: { rotate: "90" } } });
+
+    expect(await probeMedia("phone.mov")).toMatchObject({ width: 1080, height: 1920, aspectRatio: 9 / 16 });
+  });
+
+  test("flags a variable frame rate", async () => {
+    probeResult = videoMetadata({ video: { r_frame_rate: "30/1", avg_frame_rate: "2950/100" } });
+
+    expect(await probeMedia("phone.mov")).toMatchObject({ frameRate: 29.5, variableFrameRate: true });
+  });
+});
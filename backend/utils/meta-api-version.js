@@ -0,0 +1,169 @@
+// Graph API version configuration and the compatibility layer for fields and enum values
+// that Meta renamed or removed between versions. Upgrading is a matter of changing
+// META_API_VERSION and, when a changelog entry affects us, adding it to the maps below.
+
+export const DEFAULT_GRAPH_API_VERSION = "v24.0";
+
+// Accepts "24", "24.0" or "v24.0"
+function normalizeVersion(version) {
+  const match = String(version).trim().match(/^v?(\d+)(?:\.(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid META_API_VERSION "${version}" (expected something like v24.0)`);
+  }
+  return `v${match[1]}.${match[2] || "0"}`;
+}
+
+export const GRAPH_API_VERSION = normalizeVersion(process.env.META_API_VERSION || DEFAULT_GRAPH_API_VERSION);
+
+// Negative when a is older than b
+export function compareVersions(a, b) {
+  const [aMajor, aMinor] = normalizeVersion(a).slice(1).split(".").map(Number);
+  const [bMajor, bMinor] = normalizeVersion(b).slice(1).split(".").map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+// Release dates from Meta's changelog. Versions are usually retired about two years after
+// release; set META_API_DEPRECATION_DATE when Meta announces an exact date.
+const VERSION_RELEASES = {
+  "v21.0": "2024-10-02",
+  "v22.0": "2025-01-21",
+  "v23.0": "2025-05-29",
+  "v24.0": "2025-10-08",
+};
+
+const DEPRECATION_WARNING_DAYS = parseInt(process.env.META_API_DEPRECATION_WARNING_DAYS) || 90;
+
+// Fields renamed or removed per version: { removedIn, replacement? }.
+// Requests built for a newer version drop (or swap in the replacement for) these fields.
+const FIELD_CHANGES = {
+  relevance_score: { removedIn: "v3.3", replacement: "quality_ranking" },
+};
+
+// Enum values retired per version, mapped to what Meta expects instead
+const ENUM_CHANGES = {
+  // Legacy campaign objectives were replaced by outcome-based (ODAX) objectives
+  objective: {
+    since: "v17.0",
+    values: {
+      BRAND_AWARENESS: "OUTCOME_AWARENESS",
+      REACH: "OUTCOME_AWARENESS",
+      LINK_CLICKS: "OUTCOME_TRAFFIC",
+      POST_ENGAGEMENT: "OUTCOME_ENGAGEMENT",
+      PAGE_LIKES: "OUTCOME_ENGAGEMENT",
+      EVENT_RESPONSES: "OUTCOME_ENGAGEMENT",
+      VIDEO_VIEWS: "OUTCOME_ENGAGEMENT",
+      MESSAGES: "OUTCOME_ENGAGEMENT",
+      LEAD_GENERATION: "OUTCOME_LEADS",
+      APP_INSTALLS: "OUTCOME_APP_PROMOTION",
+      CONVERSIONS: "OUTCOME_SALES",
+      PRODUCT_CATALOG_SALES: "OUTCOME_SALES",
+    },
+  },
+};
+
+// Field lists requested by the fetchers, written against the current version
+export const GRAPH_FIELDS = {
+  adAccount: "name,id,account_id",
+  userAdAccount: "id,account_id,name,currency,timezone_name,business",
+  campaign: "account_id,id,name,bid_strategy,special_ad_categories,status,objective,insights{spend,clicks,impressions},daily_budget,created_time",
+  createdCampaign: "id,account_id,name,objective,status,daily_budget,bid_strategy,created_time,special_ad_categories",
+  copiedCampaign: "name,status,special_ad_categories,daily_budget,bid_strategy",
+  adset: "id,name,status,daily_budget,bid_strategy,optimization_goal,billing_event,created_time,insights{spend,clicks,impressions}",
+  pixel: "name,id",
+  page: "name,id",
+};
+
+// Split "a,b{c,d},e.limit(5)" at top-level commas
+function splitFields(fields) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of fields) {
+    if (char === "{" || char === "(") depth++;
+    if (char === "}" || char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+// Rewrite a fields parameter (including nested {…} selections) for the given version
+export function compatibleFields(fields, version = GRAPH_API_VERSION) {
+  const seen = new Set();
+
+  return splitFields(fields)
+    .map((part) => {
+      const match = part.match(/^([a-z0-9_]+)(.*?)(?:\{(.*)\})?$/i);
+      if (!match) return part;
+      const [, name, modifiers, nested] = match;
+
+      let fieldName = name;
+      const change = FIELD_CHANGES[name];
+      if (change && compareVersions(version, change.removedIn) >= 0) {
+        if (!change.replacement) return null;
+        fieldName = change.replacement;
+      }
+
+      return nested !== undefined ? `${fieldName}${modifiers}{${compatibleFields(nested, version)}}` : `${fieldName}${modifiers}`;
+    })
+    .filter((part) => {
+      if (!part || seen.has(part)) return false;
+      seen.add(part);
+      return true;
+    })
+    .join(",");
+}
+
+// Field list for one of the GRAPH_FIELDS entries, adjusted to the configured version
+export function fieldsFor(type) {
+  if (!GRAPH_FIELDS[type]) {
+    throw new Error(`Unknown Graph field list "${type}"`);
+  }
+  return compatibleFields(GRAPH_FIELDS[type]);
+}
+
+// Translate an enum value (e.g. a legacy objective) to what the configured version accepts
+export function compatibleEnumValue(kind, value, version = GRAPH_API_VERSION) {
+  const change = ENUM_CHANGES[kind];
+  if (!change || compareVersions(version, change.since) < 0) return value;
+
+  const replacement = change.values[value];
+  if (replacement) {
+    console.warn(`Graph ${kind} "${value}" is not supported in ${version}; using "${replacement}"`);
+    return replacement;
+  }
+  return value;
+}
+
+// Warn at startup when the configured version is retired or close to it
+export function checkApiVersionLifecycle(now = new Date()) {
+  let deprecationDate = process.env.META_API_DEPRECATION_DATE ? new Date(process.env.META_API_DEPRECATION_DATE) : null;
+
+  if (!deprecationDate) {
+    const released = VERSION_RELEASES[GRAPH_API_VERSION];
+    if (!released) {
+      console.warn(`Graph API ${GRAPH_API_VERSION} has no known release date; set META_API_DEPRECATION_DATE to get deprecation warnings`);
+      return null;
+    }
+    deprecationDate = new Date(released);
+    deprecationDate.setFullYear(deprecationDate.getFullYear() + 2);
+  }
+
+  const daysLeft = Math.floor((deprecationDate - now) / (24 * 60 * 60 * 1000));
+  const dateText = deprecationDate.toISOString().split("T")[0];
+
+  if (daysLeft < 0) {
+    console.warn(`⚠️  Graph API ${GRAPH_API_VERSION} was deprecated on ${dateText}. Upgrade META_API_VERSION.`);
+  } else if (daysLeft <= DEPRECATION_WARNING_DAYS) {
+    console.warn(`⚠️  Graph API ${GRAPH_API_VERSION} will be deprecated on ${dateText} (${daysLeft} days). Plan the META_API_VERSION upgrade.`);
+  } else {
+    console.log(`Using Graph API ${GRAPH_API_VERSION} (deprecation expected ${dateText})`);
+  }
+
+  return { version: GRAPH_API_VERSION, deprecationDate: dateText, daysLeft };
+}
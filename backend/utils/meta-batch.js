@@ -0,0 +1,290 @@
+import { MetaGraphClient, getAccessToken, getUserAccessToken, normalizeGraphError, GraphApiError } from "./meta-graph-client.js";
+import { isRetryableGraphError, backoffDelay } from "./meta-retry.js";
+
+// Meta accepts at most 50 sub-requests per batch call
+export const BATCH_LIMIT = 50;
+
+const MAX_ATTEMPTS = parseInt(process.env.META_RETRY_ATTEMPTS) || 4;
+
+// JSONPath references to earlier results, e.g. {result=create-creative:$.id}, must reach Meta unescaped
+const RESULT_REFERENCE = /%7Bresult%3D(.*?)%7D/gi;
+
+function encodeParams(params = {}) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+      return `${encodeURIComponent(key)}=${encodeURIComponent(text)}`;
+    })
+    .join("&")
+    .replace(RESULT_REFERENCE, (match, reference) => `{result=${decodeURIComponent(reference)}}`);
+}
+
+// Describe one sub-request. GET params go in the query string, everything else in the body.
+// Options: name (needed to be referenced or depended on), dependsOn, omitResponseOnSuccess.
+export function batchRequest(method, pathname, params = {}, options = {}) {
+  const upperMethod = method.toUpperCase();
+  const query = upperMethod === "GET" ? encodeParams(params) : "";
+  return {
+    method: upperMethod,
+    relativeUrl: `${String(pathname).replace(/^\/+/, "")}${query ? `?${query}` : ""}`,
+    body: upperMethod === "GET" ? null : encodeParams(params),
+    name: options.name,
+    dependsOn: options.dependsOn,
+    omitResponseOnSuccess: options.omitResponseOnSuccess,
+  };
+}
+
+// Requests that depend on each other must travel in the same batch call. Group them by dependency
+// chain, then pack whole groups into chunks of at most BATCH_LIMIT.
+function chunkRequests(indexes, requests) {
+  const groupOf = new Map();
+  const groups = [];
+  const byName = new Map(requests.map((request, index) => [request.name, index]));
+
+  for (const index of indexes) {
+    const dependency = requests[index].dependsOn;
+    const parentGroup = dependency !== undefined && byName.has(dependency) ? groupOf.get(byName.get(dependency)) : undefined;
+    const group = parentGroup || [];
+    if (!parentGroup) groups.push(group);
+    group.push(index);
+    groupOf.set(index, group);
+  }
+
+  const chunks = [];
+  let current = [];
+  for (const group of groups) {
+    if (group.length > BATCH_LIMIT) {
+      throw new Error(`A chain of ${group.length} dependent batch requests exceeds the limit of ${BATCH_LIMIT}`);
+    }
+    if (current.length + group.length > BATCH_LIMIT) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(...group);
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+function toGraphError(status, body) {
+  return normalizeGraphError({
+    message: body?.error?.message || `Batch request failed with status ${status}`,
+    response: { status, data: body },
+  });
+}
+
+// Turn one raw batch response entry into a typed success or failure
+function parseSubResponse(entry, request, index) {
+  const base = { index, name: request.name, request };
+
+  if (entry === null || entry === undefined) {
+    if (request.omitResponseOnSuccess) {
+      return { ...base, ok: true, status: 200, body: null };
+    }
+    // Meta returns null for sub-requests that did not finish before the batch timed out; they may
+    // still have run, so only reads are sent again (see executeBatch)
+    return { ...base, ok: false, status: null, error: new GraphApiError("No response for batch request (timed out)") };
+  }
+
+  let body = entry.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Leave non-JSON bodies as text
+    }
+  }
+
+  if (entry.code >= 200 && entry.code < 300 && !body?.error) {
+    return { ...base, ok: true, status: entry.code, body, headers: entry.headers };
+  }
+  return { ...base, ok: false, status: entry.code, error: toGraphError(entry.code, body) };
+}
+
+async function sendChunk(indexes, requests, options) {
+  const payload = indexes.map((index) => {
+    const request = requests[index];
+    return {
+      method: request.method,
+      relative_url: request.relativeUrl,
+      ...(request.body ? { body: request.body } : {}),
+      ...(request.name !== undefined ? { name: request.name } : {}),
+      ...(request.dependsOn !== undefined ? { depends_on: request.dependsOn } : {}),
+      ...(request.omitResponseOnSuccess ? { omit_response_on_success: true } : {}),
+    };
+  });
+
+  try {
+    const responses = await MetaGraphClient.post(
+      "",
+      new URLSearchParams({ batch: JSON.stringify(payload), include_headers: "false" }),
+      { accessToken: options.accessToken, adAccountId: options.adAccountId }
+    );
+    return indexes.map((index, position) => parseSubResponse(responses?.[position], requests[index], index));
+  } catch (error) {
+    // The whole call failed: every sub-request in it shares the error
+    return indexes.map((index) => ({ index, name: requests[index].name, request: requests[index], ok: false, status: error.status, error }));
+  }
+}
+
+// {result=name:$.path} references as sent (encodeParams leaves them unescaped)
+const RESULT_PLACEHOLDER = /\{result=([^:}]+):\$\.?([^}]*)\}/g;
+
+const referencedNames = (request) =>
+  [...`${request.relativeUrl} ${request.body || ""}`.matchAll(RESULT_PLACEHOLDER)].map(([, name]) => name);
+
+// Evaluate the JSONPath subset batch references use ($.id, $.data.*.id) against a result body.
+// Several values are joined with commas, as Meta does; undefined when the path finds nothing.
+function resolveReference(body, jsonPath) {
+  let values = [body];
+  for (const key of jsonPath.split(".").filter(Boolean)) {
+    values = values.flatMap((value) => (key === "*" ? Object.values(value ?? {}) : [value?.[key]]));
+  }
+  if (values.length === 0 || values.some((value) => value === undefined || value === null || typeof value === "object")) {
+    return undefined;
+  }
+  return values.join(",");
+}
+
+// Copy of `request` that no longer needs `parentName` in the same batch call: its references to the
+// parent's result are filled in from `parentBody`. Null when one of them cannot be resolved.
+function detachFromParent(request, parentName, parentBody) {
+  let resolved = true;
+  const fill = (text) =>
+    text?.replace(RESULT_PLACEHOLDER, (match, name, jsonPath) => {
+      if (name !== parentName) return match;
+      const value = resolveReference(parentBody, jsonPath);
+      if (value === undefined) resolved = false;
+      return encodeURIComponent(value ?? "");
+    });
+
+  const detached = {
+    ...request,
+    relativeUrl: fill(request.relativeUrl),
+    body: fill(request.body),
+    dependsOn: request.dependsOn === parentName ? undefined : request.dependsOn,
+  };
+  return resolved ? detached : null;
+}
+
+// A retried request is sent without the requests it depends on or references that already
+// succeeded, using the values they returned. When a response was omitted (omitResponseOnSuccess),
+// that parent is sent again instead; a request whose parent failed for good is not retried.
+function planRetry(retry, sent, results) {
+  const byName = new Map(sent.flatMap((request, index) => (request.name !== undefined ? [[request.name, index]] : [])));
+  const handled = new Set();
+
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const index of [...retry]) {
+      if (!retry.has(index)) continue;
+      const parentNames = new Set([sent[index].dependsOn, ...referencedNames(sent[index])]);
+      for (const name of parentNames) {
+        const parent = byName.get(name);
+        if (parent === undefined || retry.has(parent) || handled.has(`${index}:${name}`)) continue;
+        handled.add(`${index}:${name}`);
+        changed = true;
+
+        if (!results[parent].ok) {
+          retry.delete(index);
+          break;
+        }
+        const detached = detachFromParent(sent[index], name, results[parent].body);
+        if (detached) {
+          sent[index] = detached;
+        } else {
+          retry.add(parent);
+        }
+      }
+    }
+  }
+  return [...retry].sort((a, b) => a - b);
+}
+
+// Execute sub-requests (built with batchRequest) in batch calls of up to 50.
+// Returns one result per request, in order: { ok: true, status, body } or { ok: false, status, error }.
+// Transient failures are re-sent (with the requests depending on them) using exponential backoff,
+// writes only when Meta reported the error as transient;
+// options.onRetry({ request, index, attempt, maxAttempts, delayMs, error }) is told about each one.
+export async function executeBatch(requests, options = {}) {
+  const { userId, adAccountId, maxAttempts = MAX_ATTEMPTS, onRetry } = options;
+  if (requests.length === 0) return [];
+
+  // Read-only batches may use the system token; anything that writes needs the user's own
+  const readOnly = requests.every((request) => request.method === "GET");
+  const accessToken = options.accessToken || (readOnly ? await getAccessToken(userId) : await getUserAccessToken(userId));
+
+  const results = new Array(requests.length);
+  // Retries may rewrite requests (see planRetry); results report the request as last sent
+  const sent = [...requests];
+  const dependents = (name) => requests.flatMap((request, index) => (name !== undefined && request.dependsOn === name ? [index] : []));
+
+  let pending = requests.map((request, index) => index);
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    for (const chunk of chunkRequests(pending, sent)) {
+      for (const result of await sendChunk(chunk, sent, { accessToken, adAccountId })) {
+        results[result.index] = result;
+      }
+    }
+
+    if (attempt >= maxAttempts) break;
+
+    // Re-send transient failures together with everything that depends on them. A failure without
+    // a Graph error (the whole call dropped, or a timed-out sub-request) may have been carried out,
+    // so writes are only re-sent when Meta reports the error as transient.
+    const retry = new Set();
+    const collect = (index) => {
+      if (retry.has(index)) return;
+      retry.add(index);
+      dependents(requests[index].name).forEach(collect);
+    };
+    pending
+      .filter((index) => !results[index].ok && isRetryableGraphError(results[index].error, { idempotent: sent[index].method === "GET" }))
+      .forEach(collect);
+
+    pending = planRetry(retry, sent, results);
+    if (pending.length === 0) break;
+
+    const delayMs = backoffDelay(attempt);
+    console.warn(`Retrying ${pending.length} batch request(s) in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`);
+    if (onRetry) {
+      for (const index of pending) {
+        onRetry({ request: requests[index], index, attempt: attempt + 1, maxAttempts, delayMs, error: results[index].error });
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+
+  return results;
+}
+
+// Read an edge for many parents at once: one batched GET per parent, following paging.next
+// for any parent with more than one page. Returns a Map of parent ID -> items (or the error).
+export async function batchGetAll(parentIds, edge, params = {}, options = {}) {
+  const requests = parentIds.map((parentId) => batchRequest("GET", `${parentId}/${edge}`, { limit: 100, ...params }));
+  const results = await executeBatch(requests, options);
+
+  const byParent = new Map();
+  for (const [position, result] of results.entries()) {
+    const parentId = parentIds[position];
+    if (!result.ok) {
+      byParent.set(parentId, result.error);
+      continue;
+    }
+
+    const items = [...(result.body?.data || [])];
+    if (result.body?.paging?.next) {
+      try {
+        // Rare: continue the remaining pages with normal paginated reads
+        const nextParams = Object.fromEntries(new URL(result.body.paging.next).searchParams);
+        delete nextParams.access_token;
+        items.push(...(await MetaGraphClient.getAll(`${parentId}/${edge}`, nextParams, { accessToken: options.accessToken, userId: options.userId })));
+      } catch (error) {
+        console.error(`Error reading remaining ${edge} pages for ${parentId}:`, error.message);
+      }
+    }
+    byParent.set(parentId, items);
+  }
+  return byParent;
+}
@@ -0,0 +1,170 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+
+process.env.META_RETRY_BASE_DELAY_MS = "1";
+
+// The Graph client opens the token and upload databases on import
+jest.unstable_mockModule("./facebook-auth-db.js", () => ({ FacebookAuthDB: {} }));
+jest.unstable_mockModule("./database.js", () => ({ VideoUploadDB: {} }));
+
+const { MetaGraphClient, GraphApiError } = await import("./meta-graph-client.js");
+const { batchRequest, executeBatch, BATCH_LIMIT } = await import("./meta-batch.js");
+
+const ok = (body) => ({ code: 200, body: JSON.stringify(body) });
+const graphError = (code, message = "Error") => ({ code: 400, body: JSON.stringify({ error: { code, message } }) });
+const TRANSIENT = graphError(2, "Service temporarily unavailable");
+
+// What one batch call sent: [{ method, relative_url, body, name, depends_on }]
+const sentBatch = (call) => JSON.parse(call[1].get("batch"));
+
+function creativeAndAd(index, creativeOptions = {}) {
+  return [
+    batchRequest("POST", "act_1/adcreatives", { name: `Creative ${index}` }, { name: `creative-${index}`, ...creativeOptions }),
+    batchRequest(
+      "POST",
+      "act_1/ads",
+      { name: `Ad ${index}`, creative: { creative_id: `{result=creative-${index}:$.id}` } },
+      { name: `ad-${index}`, dependsOn: `creative-${index}` }
+    ),
+  ];
+}
+
+describe("executeBatch", () => {
+  let post;
+
+  beforeEach(() => {
+    post = jest.spyOn(MetaGraphClient, "post");
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("keeps result references unescaped", async () => {
+    post.mockResolvedValueOnce([ok({ id: "111" }), ok({ id: "222" })]);
+
+    await executeBatch(creativeAndAd(0), { accessToken: "token" });
+
+    const [, ad] = sentBatch(post.mock.calls[0]);
+    expect(ad.depends_on).toBe("creative-0");
+    expect(ad.body).toContain("{result=creative-0:$.id}");
+  });
+
+  test("retries a child whose parent succeeded with the parent's returned ID", async () => {
+    post.mockResolvedValueOnce([ok({ id: "111" }), TRANSIENT]).mockResolvedValueOnce([ok({ id: "222" })]);
+
+    const results = await executeBatch(creativeAndAd(0), { accessToken: "token" });
+
+    expect(post).toHaveBeenCalledTimes(2);
+    const retried = sentBatch(post.mock.calls[1]);
+    expect(retried).toHaveLength(1);
+    expect(retried[0].name).toBe("ad-0");
+    expect(retried[0].depends_on).toBeUndefined();
+    expect(retried[0].body).not.toContain("{result=");
+    expect(JSON.parse(new URLSearchParams(retried[0].body).get("creative"))).toEqual({ creative_id: "111" });
+    expect(results.map((result) => result.ok)).toEqual([true, true]);
+    expect(results[1].body).toEqual({ id: "222" });
+  });
+
+  test("resolves wildcard paths to comma-separated values", async () => {
+    const requests = [
+      batchRequest("GET", "act_1/campaigns", { fields: "id" }, { name: "campaigns" }),
+      batchRequest("GET", "", { ids: "{result=campaigns:$.data.*.id}" }, { name: "details", dependsOn: "campaigns" }),
+    ];
+    post.mockResolvedValueOnce([ok({ data: [{ id: "1" }, { id: "2" }] }), TRANSIENT]).mockResolvedValueOnce([ok({})]);
+
+    await executeBatch(requests, { accessToken: "token" });
+
+    const [retried] = sentBatch(post.mock.calls[1]);
+    expect(new URLSearchParams(retried.relative_url.split("?")[1]).get("ids")).toBe("1,2");
+  });
+
+  test("re-sends the parent when its response was omitted", async () => {
+    post.mockResolvedValueOnce([null, TRANSIENT]).mockResolvedValueOnce([null, ok({ id: "222" })]);
+
+    const results = await executeBatch(creativeAndAd(0, { omitResponseOnSuccess: true }), { accessToken: "token" });
+
+    const retried = sentBatch(post.mock.calls[1]);
+    expect(retried.map((request) => request.name)).toEqual(["creative-0", "ad-0"]);
+    expect(retried[1].depends_on).toBe("creative-0");
+    expect(results.map((result) => result.ok)).toEqual([true, true]);
+  });
+
+  test("retries a failed parent together with its dependents", async () => {
+    post.mockResolvedValueOnce([TRANSIENT, graphError(1, "Depends on a failed request")]).mockResolvedValueOnce([ok({ id: "111" }), ok({ id: "222" })]);
+
+    const results = await executeBatch(creativeAndAd(0), { accessToken: "token" });
+
+    const retried = sentBatch(post.mock.calls[1]);
+    expect(retried.map((request) => request.name)).toEqual(["creative-0", "ad-0"]);
+    expect(retried[1].body).toContain("{result=creative-0:$.id}");
+    expect(results.map((result) => result.ok)).toEqual([true, true]);
+  });
+
+  test("does not retry a child whose parent failed for good", async () => {
+    post.mockResolvedValueOnce([graphError(100, "Invalid parameter"), null]);
+
+    const results = await executeBatch(creativeAndAd(0), { accessToken: "token" });
+
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.ok)).toEqual([false, false]);
+  });
+
+  test("does not re-send writes when the whole call fails without a Graph error", async () => {
+    post.mockRejectedValue(new GraphApiError("socket hang up"));
+
+    const results = await executeBatch(creativeAndAd(0), { accessToken: "token" });
+
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.ok)).toEqual([false, false]);
+    expect(results[0].error.message).toBe("socket hang up");
+  });
+
+  test("does not re-send writes that timed out inside the batch", async () => {
+    post.mockResolvedValueOnce([ok({ id: "111" }), null]);
+
+    const results = await executeBatch(creativeAndAd(0), { accessToken: "token" });
+
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.ok)).toEqual([true, false]);
+  });
+
+  test("re-sends reads when the whole call fails without a Graph error", async () => {
+    post.mockRejectedValueOnce(new GraphApiError("socket hang up")).mockResolvedValueOnce([ok({ id: "1" })]);
+
+    const results = await executeBatch([batchRequest("GET", "act_1")], { accessToken: "token" });
+
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(results[0].ok).toBe(true);
+  });
+
+  test("does not retry permanent errors", async () => {
+    post.mockResolvedValueOnce([graphError(100, "Invalid parameter")]);
+
+    const results = await executeBatch([batchRequest("GET", "act_1")], { accessToken: "token" });
+
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(results[0].error.code).toBe(100);
+  });
+
+  test("gives up after maxAttempts", async () => {
+    post.mockResolvedValue([TRANSIENT]);
+
+    const results = await executeBatch([batchRequest("GET", "act_1")], { accessToken: "token", maxAttempts: 3 });
+
+    expect(post).toHaveBeenCalledTimes(3);
+    expect(results[0].ok).toBe(false);
+  });
+
+  test("keeps dependency chains in one call when splitting at the batch limit", async () => {
+    const requests = [
+      ...Array.from({ length: BATCH_LIMIT - 1 }, (_, index) => batchRequest("GET", `act_${index}`)),
+      ...creativeAndAd(0),
+    ];
+    post.mockImplementation(async (path, params) => sentBatch([path, params]).map(() => ok({ id: "1" })));
+
+    await executeBatch(requests, { accessToken: "token" });
+
+    expect(post.mock.calls.map((call) => sentBatch(call).length)).toEqual([BATCH_LIMIT - 1, 2]);
+  });
+});
@@ -0,0 +1,144 @@
+// Meta error taxonomy: maps Graph `code` / `error_subcode` pairs to stable app error codes with a
+// category, a user-facing message and a suggested fix. Every API error response uses the shape
+//   { error, code, category, fix, retryable, details }
+// where `error` is the message to show the user.
+
+export const ERROR_CATEGORIES = ["auth", "permission", "policy", "rate-limit", "validation", "transient"];
+
+// Ordered: the first entry whose code (and subcode, when given) matches wins
+const META_ERRORS = [
+  // Authentication
+  { code: 190, subcode: 463, appCode: "META_TOKEN_EXPIRED", category: "auth", status: 401, message: "Your Facebook session has expired.", fix: "Reconnect your Facebook account and try again." },
+  { code: 190, subcode: 460, appCode: "META_TOKEN_INVALIDATED", category: "auth", status: 401, message: "Your Facebook session is no longer valid because your password changed.", fix: "Reconnect your Facebook account and try again." },
+  { code: 190, subcode: 458, appCode: "META_APP_NOT_AUTHORIZED", category: "auth", status: 401, message: "This app is no longer authorized on your Facebook account.", fix: "Reconnect your Facebook account and approve the requested permissions." },
+  { code: 190, appCode: "META_TOKEN_INVALID", category: "auth", status: 401, message: "Your Facebook access token is invalid.", fix: "Reconnect your Facebook account and try again." },
+  { code: 102, appCode: "META_SESSION_INVALID", category: "auth", status: 401, message: "Your Facebook session is invalid.", fix: "Reconnect your Facebook account and try again." },
+  { code: 2500, appCode: "META_TOKEN_MISSING", category: "auth", status: 401, message: "The request to Facebook had no access token.", fix: "Reconnect your Facebook account and try again." },
+
+  // Permissions
+  { code: 10, appCode: "META_PERMISSION_DENIED", category: "permission", status: 403, message: "You don't have permission to perform this action.", fix: "Ask an admin of the ad account or Business Manager to grant you access." },
+  { code: 200, appCode: "META_PERMISSION_DENIED", category: "permission", status: 403, message: "You don't have permission to perform this action.", fix: "Ask an admin of the ad account or Business Manager to grant you access." },
+  { code: 294, appCode: "META_ADS_PERMISSION_MISSING", category: "permission", status: 403, message: "Managing ads requires the ads_management permission.", fix: "Reconnect Facebook and approve the ads_management permission." },
+  { codeRange: [200, 299], appCode: "META_PERMISSION_DENIED", category: "permission", status: 403, message: "You don't have permission to perform this action.", fix: "Ask an admin of the ad account or Business Manager to grant you access." },
+
+  // Policy
+  { code: 368, appCode: "META_POLICY_BLOCKED", category: "policy", status: 403, message: "Facebook temporarily blocked this action for policy reasons.", fix: "Review the account quality page in Business Manager and try again later." },
+
+  // Rate limiting
+  { code: 4, appCode: "META_APP_RATE_LIMITED", category: "rate-limit", status: 429, message: "The app has made too many requests to Facebook.", fix: "Wait a few minutes and try again." },
+  { code: 17, appCode: "META_USER_RATE_LIMITED", category: "rate-limit", status: 429, message: "Your account has made too many requests to Facebook.", fix: "Wait a few minutes and try again." },
+  { code: 32, appCode: "META_PAGE_RATE_LIMITED", category: "rate-limit", status: 429, message: "Too many requests were made for this Page.", fix: "Wait a few minutes and try again." },
+  { code: 613, appCode: "META_RATE_LIMITED", category: "rate-limit", status: 429, message: "Too many requests were made to Facebook.", fix: "Wait a few minutes and try again." },
+  { codeRange: [80000, 80014], appCode: "META_ACCOUNT_RATE_LIMITED", category: "rate-limit", status: 429, message: "This ad account has made too many requests to Facebook.", fix: "Wait a few minutes and try again, or spread the work over time." },
+
+  // Video uploads
+  { code: 6000, subcode: 1363030, appCode: "META_VIDEO_UPLOAD_TIMEOUT", category: "transient", status: 503, message: "The video upload to Facebook timed out.", fix: "Try the upload again." },
+  { code: 6000, subcode: 1363037, appCode: "META_VIDEO_OFFSET_MISMATCH", category: "transient", status: 503, message: "The video upload got out of sync with Facebook.", fix: "Try the upload again; it will resume from where Facebook stopped." },
+  { code: 6000, subcode: 1363019, appCode: "META_VIDEO_SESSION_INVALID", category: "validation", status: 400, message: "The video upload session is no longer valid.", fix: "Start the upload again." },
+  { code: 6000, appCode: "META_VIDEO_UPLOAD_FAILED", category: "validation", status: 400, message: "Facebook could not process the video upload.", fix: "Check the video file and try again." },
+
+  // Validation
+  { code: 100, subcode: 33, appCode: "META_OBJECT_NOT_FOUND", category: "validation", status: 404, message: "The Facebook object does not exist or you cannot access it.", fix: "Refresh your data; it may have been deleted or moved to another account." },
+  { code: 100, subcode: 1487860, appCode: "META_ADSET_NOT_USABLE", category: "validation", status: 400, message: "The ad set cannot receive new ads in its current status.", fix: "Check the ad set in Ads Manager (it may be deleted or archived) and pick another one." },
+  { code: 100, appCode: "META_INVALID_PARAMETER", category: "validation", status: 400, message: "Facebook rejected a value in the request.", fix: "Check the highlighted settings and try again." },
+
+  // Transient
+  { code: 1, appCode: "META_UNKNOWN_ERROR", category: "transient", status: 503, message: "Facebook had a temporary problem.", fix: "Try again in a moment." },
+  { code: 2, appCode: "META_SERVICE_UNAVAILABLE", category: "transient", status: 503, message: "Facebook is temporarily unavailable.", fix: "Try again in a moment." },
+];
+
+function findMetaError(code, subcode) {
+  return META_ERRORS.find((entry) => {
+    if (entry.codeRange) {
+      return code >= entry.codeRange[0] && code <= entry.codeRange[1];
+    }
+    return entry.code === code && (entry.subcode === undefined || entry.subcode === subcode);
+  });
+}
+
+// Error raised by the app itself with a stable code (validation failures, missing resources...)
+export class AppError extends Error {
+  constructor(code, message, { status = 400, category = "validation", fix = null, retryable = false, details = null } = {}) {
+    super(message);
+    this.name = "AppError";
+    this.code = code;
+    this.status = status;
+    this.category = category;
+    this.fix = fix;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+// Classify any error into { status, code, category, message, fix, retryable, details }
+export function classifyError(err) {
+  if (err instanceof AppError) {
+    return { status: err.status, code: err.code, category: err.category, message: err.message, fix: err.fix, retryable: err.retryable, details: err.details };
+  }
+
+  if (err?.name === "FacebookTokenError") {
+    return { status: 401, code: err.code, category: "auth", message: err.message, fix: "Connect your Facebook account from the settings page.", retryable: false, details: null };
+  }
+
+  if (err?.name !== "GraphApiError") {
+    return { status: 500, code: "INTERNAL_ERROR", category: "transient", message: err?.message || "Something went wrong.", fix: "Try again. If the problem persists, contact support.", retryable: false, details: null };
+  }
+
+  const details = {
+    metaCode: err.code,
+    metaSubcode: err.subcode,
+    metaType: err.type,
+    metaMessage: err.response?.data?.error?.message || err.message,
+    fbtraceId: err.fbtraceId,
+  };
+
+  // No Graph error body: Meta was unreachable or answered with something else
+  if (err.code === null) {
+    const unreachable = err.status === null || err.status >= 500;
+    return {
+      status: unreachable ? 503 : err.status || 500,
+      code: unreachable ? "META_UNREACHABLE" : "META_ERROR",
+      category: unreachable ? "transient" : "validation",
+      message: unreachable ? "Facebook could not be reached." : err.message,
+      fix: unreachable ? "Check the connection and try again in a moment." : null,
+      retryable: unreachable,
+      details,
+    };
+  }
+
+  const entry = findMetaError(err.code, err.subcode);
+  const category = err.isTransient && (!entry || entry.category === "validation") ? "transient" : entry?.category || "validation";
+
+  return {
+    status: entry?.status || (category === "transient" ? 503 : 400),
+    code: entry?.appCode || "META_ERROR",
+    category,
+    // Meta's own user-facing text is the most specific explanation when it exists
+    message: err.userMessage || entry?.message || err.message,
+    fix: entry?.fix || null,
+    retryable: category === "transient" || category === "rate-limit",
+    details,
+  };
+}
+
+// JSON body for an error response (also used for per-item results and SSE events)
+export function errorBody(err, fallbackMessage = null) {
+  const { code, category, message, fix, retryable, details } = classifyError(err);
+  const body = { error: message, code, category, fix, retryable };
+
+  // Internal errors get the route's own message; the raw one is kept in details
+  if (code === "INTERNAL_ERROR" && fallbackMessage) {
+    body.error = fallbackMessage;
+    body.details = { message: err?.message };
+  } else if (details) {
+    body.details = details;
+  }
+  return body;
+}
+
+// Send an error response in the shared shape
+export function sendError(res, err, fallbackMessage = null) {
+  // Streaming routes may already have answered; the error then travels over SSE instead
+  if (res.headersSent) return res;
+  return res.status(classifyError(err).status).json(errorBody(err, fallbackMessage));
+}
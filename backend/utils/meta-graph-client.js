@@ -0,0 +1,640 @@
+import fs from "fs";
+import axios from "axios";
+import FormData from "form-data";
+import { FacebookAuthDB } from "./facebook-auth-db.js";
+import { VideoUploadDB } from "./database.js";
+import { MetaThrottle } from "./meta-throttle.js";
+import { withRetry } from "./meta-retry.js";
+import { GRAPH_API_VERSION } from "./meta-api-version.js";
+import { Scheduler } from "./scheduler.js";
+import { AppError } from "./meta-errors.js";
+
+// Graph API endpoint configuration. The version comes from META_API_VERSION (see meta-api-version.js);
+// META_GRAPH_BASE_URL can point at the local stand-in server (backend/dev/graph-stand-in.js).
+export { GRAPH_API_VERSION };
+export const GRAPH_BASE_URL = (process.env.META_GRAPH_BASE_URL || "https://graph.facebook.com").replace(/\/+$/, "");
+
+// Videos above this size go through Meta's resumable (chunked) upload flow. Chunk boundaries
+// come from the start_offset/end_offset Meta returns.
+const LARGE_VIDEO_THRESHOLD = 20 * 1024 * 1024; // 20MB
+
+// Meta error subcodes of the chunked video flow
+const VIDEO_OFFSET_MISMATCH = 1363037;
+const VIDEO_SESSION_INVALID = 1363019;
+// Offset mismatches in a row that point at the same offset before the upload gives up
+const MAX_OFFSET_MISMATCHES = 3;
+
+// VideoUploadDB records being transferred by this process -> promise settled when that stops.
+// A second upload of the same record waits for the first instead of sending the file twice.
+const activeVideoUploads = new Map();
+
+// Polling of Meta's video processing after an upload: backoff between status checks, and how
+// long a video may stay in processing before we give up on it
+const VIDEO_POLL_INITIAL_MS = 2000;
+const VIDEO_POLL_MAX_MS = 30000;
+const VIDEO_PROCESSING_TIMEOUT_MS = (parseInt(process.env.META_VIDEO_PROCESSING_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+// Video ID -> { promise, listeners, last } for videos being polled; callers share one poll loop
+const videoWatches = new Map();
+
+// Cursor pagination defaults for list (edge) reads
+const DEFAULT_PAGE_SIZE = parseInt(process.env.META_PAGE_SIZE) || 100;
+const DEFAULT_MAX_PAGES = parseInt(process.env.META_MAX_PAGES) || 100;
+
+// Normalized error thrown for every failed Graph API call
+export class GraphApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "GraphApiError";
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.subcode = details.subcode ?? null;
+    this.type = details.type ?? null;
+    this.userTitle = details.userTitle ?? null;
+    this.userMessage = details.userMessage ?? null;
+    this.fbtraceId = details.fbtraceId ?? null;
+    this.isTransient = details.isTransient === true;
+    // Raw axios response, kept so existing handlers can still log err.response?.data
+    this.response = details.response ?? null;
+  }
+}
+
+// Convert an axios/Graph failure into a GraphApiError
+export function normalizeGraphError(err) {
+  if (err instanceof GraphApiError) return err;
+
+  const fbError = err.response?.data?.error;
+  if (!fbError) {
+    return new GraphApiError(err.message, {
+      status: err.response?.status,
+      response: err.response,
+    });
+  }
+
+  return new GraphApiError(fbError.error_user_msg || fbError.message || err.message, {
+    status: err.response.status,
+    code: fbError.code,
+    subcode: fbError.error_subcode,
+    type: fbError.type,
+    userTitle: fbError.error_user_title,
+    userMessage: fbError.error_user_msg,
+    fbtraceId: fbError.fbtrace_id,
+    isTransient: fbError.is_transient,
+    response: err.response,
+  });
+}
+
+// Raised when a Graph write has no user token to act with
+export class FacebookTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FacebookTokenError";
+    this.status = 401;
+    this.code = "FACEBOOK_NOT_CONNECTED";
+  }
+}
+
+// Get access token for reads (user-specific or system user fallback)
+export async function getAccessToken(userId = null) {
+  // If userId is provided, try to get user-specific token first
+  if (userId) {
+    try {
+      const tokenData = await FacebookAuthDB.getValidToken(userId);
+      if (tokenData) {
+        console.log(`Using user-specific token for user ${userId}`);
+        return tokenData.access_token;
+      }
+    } catch (error) {
+      console.error("Error fetching user token, falling back to system token:", error);
+    }
+  }
+
+  // Fallback to system user token
+  const systemToken = process.env.META_ACCESS_TOKEN;
+  if (!systemToken) {
+    throw new Error("No Facebook access token available. Please connect your Facebook account or configure META_ACCESS_TOKEN.");
+  }
+
+  console.log("Using system user token");
+  return systemToken;
+}
+
+// Get the user's own token for writes, so Meta attributes every change to the person who made it.
+// There is no system token fallback unless META_SYSTEM_TOKEN_WRITES=true (local development only).
+export async function getUserAccessToken(userId) {
+  if (userId) {
+    const tokenData = await FacebookAuthDB.getValidToken(userId);
+    if (tokenData) {
+      return tokenData.access_token;
+    }
+  }
+
+  if (process.env.META_SYSTEM_TOKEN_WRITES === "true" && process.env.META_ACCESS_TOKEN) {
+    console.warn(`No Facebook token for user ${userId}; writing with the system token (META_SYSTEM_TOKEN_WRITES)`);
+    return process.env.META_ACCESS_TOKEN;
+  }
+
+  if (!userId) {
+    throw new FacebookTokenError("This action must be performed by a logged-in user with a connected Facebook account.");
+  }
+  throw new FacebookTokenError("Your Facebook account is not connected or its token has expired. Please reconnect Facebook and try again.");
+}
+
+// Ensure an ad account ID carries exactly one act_ prefix
+export function formatAdAccountId(adAccountId) {
+  const id = String(adAccountId);
+  return id.startsWith("act_") ? id : `act_${id}`;
+}
+
+// Build a full Graph API URL for a node/edge path
+export function graphUrl(pathname = "") {
+  return `${GRAPH_BASE_URL}/${GRAPH_API_VERSION}/${String(pathname).replace(/^\/+/, "")}`;
+}
+
+// Attach the access token to whatever body type the request uses
+function withAccessToken(config, data, token) {
+  if (data instanceof FormData) {
+    data.append("access_token", token);
+    config.headers = { ...config.headers, ...data.getHeaders() };
+    config.data = data;
+  } else if (data instanceof URLSearchParams) {
+    data.set("access_token", token);
+    config.data = data;
+  } else if (data) {
+    config.data = { ...data, access_token: token };
+  } else {
+    config.params.access_token = token;
+  }
+}
+
+// Send one Graph request. Calls are throttled per ad account (inferred from the path or
+// given as adAccountId) based on the usage headers of earlier responses.
+// Writes need the acting user's token (accessToken or userId); only reads may fall back to the system token.
+// An AbortSignal (signal) cancels the request; the cancellation is thrown as is, never retried.
+async function request(method, pathname, { params = {}, data, headers = {}, accessToken, userId, adAccountId, signal } = {}) {
+  const token = accessToken || (method === "GET" ? await getAccessToken(userId) : await getUserAccessToken(userId));
+  const config = {
+    method,
+    url: graphUrl(pathname),
+    params: { ...params },
+    headers: { ...headers },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    signal,
+  };
+
+  if (method === "GET") {
+    config.params.access_token = token;
+  } else {
+    withAccessToken(config, data, token);
+  }
+
+  const throttleKey = MetaThrottle.keyFor(pathname, adAccountId);
+  await MetaThrottle.acquire(throttleKey);
+
+  try {
+    const response = await axios(config);
+    MetaThrottle.record(throttleKey, response.headers);
+    return response.data;
+  } catch (err) {
+    if (axios.isCancel(err)) throw err;
+    if (err.response) {
+      MetaThrottle.record(throttleKey, err.response.headers, err.response.data?.error);
+    }
+    throw normalizeGraphError(err);
+  }
+}
+
+function videoNotReady(videoId) {
+  return new AppError("META_VIDEO_NOT_READY", `Video ${videoId} is still being processed by Facebook.`, {
+    status: 409,
+    category: "transient",
+    retryable: true,
+    fix: "Wait a few minutes for Facebook to finish processing the video, then try again.",
+    details: { videoId },
+  });
+}
+
+async function pollVideoProcessing(videoId, watch, requestOptions) {
+  const startedAt = Date.now();
+  let delay = VIDEO_POLL_INITIAL_MS;
+
+  while (true) {
+    const status = await MetaGraphClient.getVideoStatus(videoId, requestOptions);
+    if (status.state !== watch.last?.state || status.progress !== watch.last?.progress) {
+      watch.last = status;
+      for (const listener of watch.listeners) listener(status);
+    }
+
+    if (status.state === "ready") return status;
+    if (status.state === "error") {
+      throw new AppError("META_VIDEO_PROCESSING_FAILED", `Facebook could not process video ${videoId}: ${status.error}`, {
+        status: 422,
+        fix: "Check the video file (codec, length and size) and upload it again.",
+        details: { videoId, videoStatus: status.videoStatus },
+      });
+    }
+    if (Date.now() - startedAt > VIDEO_PROCESSING_TIMEOUT_MS) throw videoNotReady(videoId);
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    delay = Math.min(delay * 1.5, VIDEO_POLL_MAX_MS);
+  }
+}
+
+export const MetaGraphClient = {
+  // Read a node or edge
+  async get(pathname, params = {}, options = {}) {
+    return request("GET", pathname, { ...options, params });
+  },
+
+  // Read every page of an edge by following paging.next, returning the combined data array.
+  // Options: pageSize (limit per page), maxPages and maxItems cap how much is fetched.
+  async getAll(pathname, params = {}, options = {}) {
+    const { pageSize = DEFAULT_PAGE_SIZE, maxPages = DEFAULT_MAX_PAGES, maxItems = Infinity, ...requestOptions } = options;
+
+    // Resolve the token once instead of on every page
+    const accessToken = requestOptions.accessToken || (await getAccessToken(requestOptions.userId));
+
+    const items = [];
+    let pageParams = { limit: pageSize, ...params };
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this.get(pathname, pageParams, { ...requestOptions, accessToken });
+      items.push(...(response.data || []));
+
+      if (items.length >= maxItems) {
+        return items.slice(0, maxItems);
+      }
+
+      const nextUrl = response.paging?.next;
+      if (!nextUrl) {
+        return items;
+      }
+
+      // Reuse the query of the next link (cursor or offset based) but keep our own token
+      pageParams = Object.fromEntries(new URL(nextUrl).searchParams);
+      delete pageParams.access_token;
+
+      if (page === maxPages) {
+        console.warn(`Stopped paginating ${pathname} after ${maxPages} pages (${items.length} items); more results are available`);
+      }
+    }
+
+    return items;
+  },
+
+  // Create or update a node. `data` may be a plain object (JSON), URLSearchParams or FormData.
+  // Pass `retry: true` (or withRetry options such as { onRetry }) to retry transient failures, and
+  // `retry: { idempotent: false }` when sending the call twice would create two objects;
+  // FormData bodies are streams and cannot be resent, so uploads rebuild them per attempt instead.
+  async post(pathname, data = null, options = {}) {
+    const { retry, ...requestOptions } = options;
+    if (!retry) {
+      return request("POST", pathname, { ...requestOptions, data });
+    }
+
+    const retryOptions = retry === true ? {} : retry;
+    return withRetry(() => request("POST", pathname, { ...requestOptions, data }), { label: `POST ${pathname}`, ...retryOptions });
+  },
+
+  // Upload an image to the ad account's image library and return its hash.
+  // Transient failures are retried; options.onRetry is told about each new attempt.
+  // Transfers wait for a "meta-transfer" scheduler slot; options.onQueued reports the position.
+  // options.signal cancels the upload, whether it is waiting or sending.
+  async uploadImage(filePath, adAccountId, options = {}) {
+    const { onRetry, onQueued, ...requestOptions } = options;
+    const imagesPath = `${formatAdAccountId(adAccountId)}/adimages`;
+
+    try {
+      const data = await Scheduler.run(
+        "meta-transfer",
+        () =>
+          withRetry(
+            () => {
+              const fd = new FormData();
+              fd.append("source", fs.createReadStream(filePath));
+              return this.post(imagesPath, fd, requestOptions);
+            },
+            { label: "Image upload", onRetry }
+          ),
+        { key: formatAdAccountId(adAccountId), onQueued, signal: requestOptions.signal }
+      );
+
+      console.log("Successfully uploaded image to Meta!");
+      const image = Object.values(data.images)[0];
+      return image.hash;
+    } catch (err) {
+      console.log("Error uploading image:", err.response?.data || err.message);
+      throw err;
+    }
+  },
+
+  // Upload a video and return its video ID. `file` needs `path` and `originalname`.
+  // Like uploadImage, the transfer waits for a "meta-transfer" scheduler slot.
+  async uploadVideo(file, adAccountId, options = {}) {
+    const { onQueued, ...uploadOptions } = options;
+    return await Scheduler.run("meta-transfer", () => this.transferVideo(file, adAccountId, uploadOptions), {
+      key: formatAdAccountId(adAccountId),
+      onQueued,
+      signal: uploadOptions.signal,
+    });
+  },
+
+  // uploadVideo without the scheduler slot
+  async transferVideo(file, adAccountId, options = {}) {
+    const fileSize = fs.statSync(file.path).size;
+
+    // Use resumable upload for large files
+    if (fileSize > LARGE_VIDEO_THRESHOLD) {
+      return await this.uploadLargeVideo(file, adAccountId, options);
+    }
+
+    // onProgress only applies to chunked uploads
+    const { onProgress, onRetry, ...requestOptions } = options;
+
+    try {
+      const data = await withRetry(
+        () => {
+          const fd = new FormData();
+          fd.append("source", fs.createReadStream(file.path));
+          fd.append("name", file.originalname);
+          return this.post(`${formatAdAccountId(adAccountId)}/advideos`, fd, requestOptions);
+        },
+        // Each attempt creates a video: only resend when Meta says the first one failed
+        { label: "Video upload", onRetry, idempotent: false }
+      );
+
+      console.log("Successfully uploaded video to Meta! Video ID:", data.id);
+      return data.id;
+    } catch (err) {
+      console.log("Error uploading video to Facebook:", err.response?.data || err.message);
+      throw err;
+    }
+  },
+
+  // Chunked upload for large videos. The session is stored in VideoUploadDB and every chunk follows
+  // (and records) the offsets Meta confirms, so a failed or interrupted upload of the same file to
+  // the same account continues where Meta stopped. Calls options.onProgress after every chunk.
+  // Each phase and chunk is retried on its own; options.onRetry receives
+  // { phase, chunk, totalChunks, attempt, maxAttempts, delayMs, error }.
+  // options.uploadId continues a specific record; options.detached marks the result "finished" so
+  // a later upload of the file claims the video ID (used by resumes that nobody is waiting for).
+  async uploadLargeVideo(file, adAccountId, options = {}) {
+    const { onProgress, onRetry, uploadId, detached, ...requestOptions } = options;
+    const { signal } = requestOptions;
+    const fileSize = fs.statSync(file.path).size;
+    const accountId = formatAdAccountId(adAccountId);
+    const videosPath = `${accountId}/advideos`;
+    const phaseRetry = (phase, extra = {}) => onRetry && ((info) => onRetry({ phase, ...extra, ...info }));
+
+    let record;
+    if (uploadId) {
+      record = await VideoUploadDB.getById(uploadId);
+      if (!record) {
+        throw new Error(`Video upload ${uploadId} not found`);
+      }
+      if (activeVideoUploads.has(record.id)) {
+        throw new Error(`Video upload ${uploadId} is already in progress`);
+      }
+    } else {
+      const candidates = await VideoUploadDB.findForFile(file.path, accountId, fileSize);
+      const active = candidates.find((candidate) => activeVideoUploads.has(candidate.id));
+      if (active) {
+        console.log(`Video upload ${active.id} is already sending this file, waiting for it`);
+        await activeVideoUploads.get(active.id);
+        record = await VideoUploadDB.getById(active.id);
+        if (record.status === "complete") return record.video_id;
+      } else {
+        record = candidates[0];
+      }
+    }
+
+    if (record?.status === "finished") {
+      // A resume completed this upload after the request that started it was gone
+      await VideoUploadDB.setStatus(record.id, detached ? "finished" : "complete");
+      console.log(`Using video ${record.video_id} from resumed upload session ${record.id}`);
+      return record.video_id;
+    }
+
+    // Resolve the token once so every phase uses the same identity
+    const accessToken = requestOptions.accessToken || (await getUserAccessToken(requestOptions.userId));
+
+    const startSession = async () => {
+      const started = await this.post(
+        videosPath,
+        { upload_phase: "start", file_size: fileSize },
+        { accessToken, signal, retry: { label: "Video upload start", onRetry: phaseRetry("start") } }
+      );
+      console.log(`Upload session initialized. Session ID: ${started.upload_session_id}`);
+      return started;
+    };
+
+    let settle;
+    try {
+      // Step 1: Initialize upload session, unless one can be continued
+      if (record) {
+        console.log(`Resuming video upload ${record.id} at offset ${record.start_offset} of ${fileSize}`);
+      } else {
+        const started = await startSession();
+        const id = await VideoUploadDB.create({
+          userId: requestOptions.userId ?? null,
+          adAccountId: accountId,
+          filePath: file.path,
+          fileName: file.originalname,
+          fileSize,
+          uploadSessionId: started.upload_session_id,
+          videoId: started.video_id,
+          startOffset: parseInt(started.start_offset) || 0,
+          endOffset: parseInt(started.end_offset) || 0,
+        });
+        record = await VideoUploadDB.getById(id);
+      }
+      activeVideoUploads.set(record.id, new Promise((resolve) => (settle = resolve)));
+
+      // Step 2: Upload the byte ranges Meta asks for until start_offset reaches end_offset
+      let startOffset = record.start_offset;
+      let endOffset = record.end_offset;
+      let sessionRestarted = false;
+      let mismatches = 0;
+      const totalChunks = Math.max(1, Math.ceil(fileSize / Math.max(1, endOffset - startOffset)));
+      let currentChunk = Math.round((startOffset / fileSize) * totalChunks);
+
+      while (startOffset < endOffset) {
+        currentChunk++;
+        const chunkStart = startOffset;
+        const chunkEnd = endOffset;
+
+        let response;
+        try {
+          response = await withRetry(
+            () => {
+              const fd = new FormData();
+              fd.append("video_file_chunk", fs.createReadStream(file.path, { start: chunkStart, end: chunkEnd - 1 }));
+              fd.append("upload_phase", "transfer");
+              fd.append("upload_session_id", record.upload_session_id);
+              fd.append("start_offset", chunkStart.toString());
+              return this.post(videosPath, fd, { accessToken, signal });
+            },
+            {
+              label: `Video chunk ${currentChunk}/${totalChunks}`,
+              onRetry: phaseRetry("transfer", { chunk: currentChunk, totalChunks }),
+            }
+          );
+        } catch (err) {
+          const errorData = err.response?.data?.error?.error_data;
+          if (err.subcode === VIDEO_OFFSET_MISMATCH && errorData?.start_offset !== undefined) {
+            // Meta already has more (or less) than we recorded: continue from its offsets, unless it
+            // keeps rejecting the offset it asked for
+            const expectedOffset = parseInt(errorData.start_offset);
+            mismatches = expectedOffset === startOffset ? mismatches + 1 : 1;
+            if (mismatches >= MAX_OFFSET_MISMATCHES) {
+              throw new AppError("META_VIDEO_OFFSET_STUCK", `Meta rejected offset ${expectedOffset} of video upload ${record.id} ${mismatches} times.`, {
+                status: 502,
+                category: "transient",
+                retryable: true,
+                fix: "Upload the video again later.",
+                details: { uploadId: record.id, offset: expectedOffset },
+              });
+            }
+            startOffset = expectedOffset;
+            endOffset = parseInt(errorData.end_offset);
+            console.log(`Meta expects video upload ${record.id} to continue at offset ${startOffset}`);
+            await VideoUploadDB.updateOffsets(record.id, startOffset, endOffset);
+            continue;
+          }
+          if (err.subcode === VIDEO_SESSION_INVALID && !sessionRestarted) {
+            // The Meta session expired while the upload was paused: start over in a new one
+            console.log(`Upload session for video upload ${record.id} expired, starting a new one`);
+            sessionRestarted = true;
+            const started = await startSession();
+            startOffset = parseInt(started.start_offset) || 0;
+            endOffset = parseInt(started.end_offset) || 0;
+            await VideoUploadDB.replaceSession(record.id, started.upload_session_id, started.video_id, startOffset, endOffset);
+            record = await VideoUploadDB.getById(record.id);
+            currentChunk = 0;
+            continue;
+          }
+          throw err;
+        }
+
+        startOffset = parseInt(response.start_offset);
+        endOffset = parseInt(response.end_offset);
+        mismatches = 0;
+        await VideoUploadDB.updateOffsets(record.id, startOffset, endOffset);
+
+        const percentComplete = Math.round((startOffset / fileSize) * 100);
+        console.log(`Uploaded chunk: ${chunkStart}-${chunkEnd} of ${fileSize} (${percentComplete}%)`);
+
+        if (onProgress) {
+          onProgress({
+            chunk: currentChunk,
+            totalChunks,
+            bytesUploaded: startOffset,
+            totalBytes: fileSize,
+            percent: percentComplete,
+          });
+        }
+      }
+
+      // Step 3: Finish upload
+      await this.post(
+        videosPath,
+        { upload_phase: "finish", upload_session_id: record.upload_session_id, title: file.originalname },
+        { accessToken, signal, retry: { label: "Video upload finish", onRetry: phaseRetry("finish") } }
+      );
+      await VideoUploadDB.setStatus(record.id, detached ? "finished" : "complete");
+
+      console.log("Successfully completed large video upload to Meta!");
+      return record.video_id;
+    } catch (err) {
+      console.log("Error uploading large video to Facebook:", err.response?.data || err.message);
+      if (record) {
+        // A cancelled upload is not resumed or offered for resuming; the next upload starts over
+        await VideoUploadDB.setStatus(record.id, signal?.aborted ? "cancelled" : "failed", err.message);
+      }
+      throw err;
+    } finally {
+      if (settle) {
+        activeVideoUploads.delete(record.id);
+        settle();
+      }
+    }
+  },
+
+  // Continue a stored video upload session (after a restart, or when a user asks). The result is
+  // kept as "finished" until the next upload of the same file to the account claims it.
+  async resumeVideoUpload(uploadId, options = {}) {
+    const record = await VideoUploadDB.getById(uploadId);
+    if (!record) {
+      throw new Error(`Video upload ${uploadId} not found`);
+    }
+    if (!fs.existsSync(record.file_path)) {
+      await VideoUploadDB.setStatus(record.id, "failed", "The file no longer exists on the server");
+      throw new Error(`The file for video upload ${uploadId} no longer exists`);
+    }
+
+    const { onQueued, ...uploadOptions } = options;
+    return await Scheduler.run(
+      "meta-transfer",
+      () =>
+        this.uploadLargeVideo({ path: record.file_path, originalname: record.file_name }, record.ad_account_id, {
+          ...uploadOptions,
+          userId: uploadOptions.userId ?? record.user_id,
+          uploadId: record.id,
+          detached: true,
+        }),
+      { key: record.ad_account_id, onQueued }
+    );
+  },
+
+  // Processing state of an uploaded video: { state, videoStatus, progress, error } where state is
+  // "processing", "ready" or "error"
+  async getVideoStatus(videoId, options = {}) {
+    const { status = {} } = await this.get(videoId, { fields: "status" }, options);
+    const failed = status.video_status === "error" || status.processing_phase?.status === "error";
+    const phaseErrors = status.processing_phase?.errors || status.uploading_phase?.errors || [];
+
+    return {
+      state: status.video_status === "ready" ? "ready" : failed ? "error" : "processing",
+      videoStatus: status.video_status || null,
+      progress: status.processing_progress ?? null,
+      error: failed ? phaseErrors[0]?.message || "Facebook could not process the video" : null,
+    };
+  },
+
+  // Poll the video's status with backoff until it is ready. options.onStatus is called with every
+  // change; options.timeoutMs bounds how long this caller waits (the poll itself gives up after
+  // META_VIDEO_PROCESSING_TIMEOUT_MINUTES). Rejects with META_VIDEO_PROCESSING_FAILED when Meta
+  // reports an error and META_VIDEO_NOT_READY on timeout.
+  waitForVideoReady(videoId, options = {}) {
+    const { onStatus, timeoutMs = VIDEO_PROCESSING_TIMEOUT_MS, ...requestOptions } = options;
+
+    let watch = videoWatches.get(videoId);
+    if (!watch) {
+      watch = { listeners: new Set(), last: null };
+      watch.promise = pollVideoProcessing(videoId, watch, requestOptions).finally(() => videoWatches.delete(videoId));
+      videoWatches.set(videoId, watch);
+    }
+    if (onStatus) {
+      watch.listeners.add(onStatus);
+      if (watch.last) onStatus(watch.last);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(videoNotReady(videoId)), timeoutMs);
+    });
+
+    return Promise.race([watch.promise, timeout]).finally(() => {
+      clearTimeout(timer);
+      watch.listeners.delete(onStatus);
+    });
+  },
+
+  // Whether this process is sending chunks for the given VideoUploadDB record
+  isVideoUploadActive(uploadId) {
+    return activeVideoUploads.has(Number(uploadId));
+  },
+};
+
+export default MetaGraphClient;
@@ -0,0 +1,109 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach, afterAll } from "@jest/globals";
+
+// In-memory stand-in for the meta_video_uploads table
+const uploads = new Map();
+const VideoUploadDB = {
+  async create(upload) {
+    const id = uploads.size + 1;
+    uploads.set(id, {
+      id,
+      file_path: upload.filePath,
+      upload_session_id: upload.uploadSessionId,
+      video_id: upload.videoId,
+      start_offset: upload.startOffset,
+      end_offset: upload.endOffset,
+      status: "transferring",
+    });
+    return id;
+  },
+  async getById(id) {
+    return uploads.get(id) ? { ...uploads.get(id) } : null;
+  },
+  async findForFile() {
+    return [];
+  },
+  async updateOffsets(id, startOffset, endOffset) {
+    Object.assign(uploads.get(id), { start_offset: startOffset, end_offset: endOffset, status: "transferring" });
+  },
+  async setStatus(id, status, error = null) {
+    Object.assign(uploads.get(id), { status, error });
+  },
+};
+
+jest.unstable_mockModule("./facebook-auth-db.js", () => ({ FacebookAuthDB: {} }));
+jest.unstable_mockModule("./database.js", () => ({ VideoUploadDB }));
+
+const { MetaGraphClient, GraphApiError } = await import("./meta-graph-client.js");
+
+const offsetMismatch = (startOffset, endOffset) =>
+  new GraphApiError("Start offset mismatch", {
+    status: 400,
+    code: 6001,
+    subcode: 1363037,
+    response: { status: 400, data: { error: { error_data: { start_offset: String(startOffset), end_offset: String(endOffset) } } } },
+  });
+
+describe("MetaGraphClient.uploadLargeVideo", () => {
+  let dir;
+  let file;
+  let post;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "meta-graph-client-"));
+    file = { path: path.join(dir, "cut-01.mp4"), originalname: "cut-01.mp4" };
+    fs.writeFileSync(file.path, Buffer.alloc(100));
+  });
+
+  beforeEach(() => {
+    uploads.clear();
+    post = jest.spyOn(MetaGraphClient, "post");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const start = { upload_session_id: "session-1", video_id: "video-1", start_offset: "0", end_offset: "50" };
+
+  test("continues from the offset Meta asks for", async () => {
+    post
+      .mockResolvedValueOnce(start)
+      .mockRejectedValueOnce(offsetMismatch(50, 100))
+      .mockResolvedValueOnce({ start_offset: "100", end_offset: "100" })
+      .mockResolvedValueOnce({ success: true });
+
+    await expect(MetaGraphClient.uploadLargeVideo(file, "1", { accessToken: "token" })).resolves.toBe("video-1");
+    expect(post).toHaveBeenCalledTimes(4);
+    expect(uploads.get(1)).toMatchObject({ start_offset: 100, status: "complete" });
+  });
+
+  test("gives up when Meta keeps rejecting the offset it asks for", async () => {
+    post.mockResolvedValueOnce(start).mockRejectedValue(offsetMismatch(50, 100));
+
+    await expect(MetaGraphClient.uploadLargeVideo(file, "1", { accessToken: "token" })).rejects.toMatchObject({
+      code: "META_VIDEO_OFFSET_STUCK",
+    });
+    // start, then the first chunk and two more at the offset Meta asked for
+    expect(post).toHaveBeenCalledTimes(4);
+    expect(uploads.get(1).status).toBe("failed");
+  });
+
+  test("records a cancelled upload as cancelled", async () => {
+    const controller = new AbortController();
+    post.mockResolvedValueOnce(start).mockImplementationOnce(async () => {
+      controller.abort();
+      throw new Error("canceled");
+    });
+
+    await expect(MetaGraphClient.uploadLargeVideo(file, "1", { accessToken: "token", signal: controller.signal })).rejects.toThrow("canceled");
+    expect(uploads.get(1).status).toBe("cancelled");
+  });
+});
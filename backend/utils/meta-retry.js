@@ -0,0 +1,67 @@
+// Retry policy for Graph calls that fail for reasons worth trying again
+const MAX_ATTEMPTS = parseInt(process.env.META_RETRY_ATTEMPTS) || 4;
+const BASE_DELAY_MS = parseInt(process.env.META_RETRY_BASE_DELAY_MS) || 1000;
+const MAX_DELAY_MS = parseInt(process.env.META_RETRY_MAX_DELAY_MS) || 30000;
+
+// Graph error codes that are temporary: unknown/service errors and the rate-limit family
+const TRANSIENT_CODES = new Set([1, 2, 4, 17, 32, 341, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014]);
+
+// Whether a failed Graph call may succeed if sent again. Errors Meta reports as transient always
+// qualify. Without a Graph error body (network drop, timeout, 5xx proxy page) Meta may still have
+// run the call, so those are only retried when `idempotent` is set: reads, image uploads and
+// offset-checked video chunks, but not calls that create objects.
+export function isRetryableGraphError(err, { idempotent = true } = {}) {
+  // Only errors normalized by the Graph client; anything else is a local failure
+  if (err?.name !== "GraphApiError") return false;
+
+  if (err.isTransient) return true;
+  if (err.code !== null && TRANSIENT_CODES.has(err.code)) return true;
+
+  if (err.code === null) {
+    // A rate-limited call was turned away before it ran
+    if (err.status === 429) return true;
+    return idempotent && (err.status === null || err.status >= 500);
+  }
+
+  return false;
+}
+
+// Exponential backoff with full jitter: a random delay between 0 and base * 2^(attempt - 1), capped
+export function backoffDelay(attempt, baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Run `operation(attempt)` until it succeeds, a non-retryable error occurs or attempts run out.
+// `onRetry({ attempt, maxAttempts, delayMs, error })` is called before each new attempt.
+// Pass `idempotent: false` for operations that create something (see isRetryableGraphError).
+export async function withRetry(operation, options = {}) {
+  const {
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelayMs = BASE_DELAY_MS,
+    maxDelayMs = MAX_DELAY_MS,
+    idempotent = true,
+    shouldRetry = (error) => isRetryableGraphError(error, { idempotent }),
+    onRetry,
+    label = "Graph request",
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      console.warn(`${label} failed (attempt ${attempt}/${maxAttempts}): ${error.message}. Retrying in ${delayMs}ms`);
+
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, maxAttempts, delayMs, error });
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
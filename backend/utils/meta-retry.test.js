@@ -0,0 +1,57 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+
+// The Graph client opens the token and upload databases on import
+jest.unstable_mockModule("./facebook-auth-db.js", () => ({ FacebookAuthDB: {} }));
+jest.unstable_mockModule("./database.js", () => ({ VideoUploadDB: {} }));
+
+const { GraphApiError } = await import("./meta-graph-client.js");
+const { isRetryableGraphError, withRetry } = await import("./meta-retry.js");
+
+describe("isRetryableGraphError", () => {
+  test.each([
+    ["a transient code", new GraphApiError("Unknown error", { status: 500, code: 1 })],
+    ["the rate-limit family", new GraphApiError("Too many calls", { status: 400, code: 613 })],
+    ["is_transient", new GraphApiError("Try again", { status: 400, code: 100, isTransient: true })],
+    ["HTTP 429 without a body", new GraphApiError("Too many requests", { status: 429 })],
+  ])("retries %s, whatever the call", (label, error) => {
+    expect(isRetryableGraphError(error)).toBe(true);
+    expect(isRetryableGraphError(error, { idempotent: false })).toBe(true);
+  });
+
+  test.each([
+    ["a network failure", new GraphApiError("socket hang up")],
+    ["a proxy error page", new GraphApiError("Bad gateway", { status: 502 })],
+  ])("retries %s only for idempotent calls", (label, error) => {
+    expect(isRetryableGraphError(error)).toBe(true);
+    expect(isRetryableGraphError(error, { idempotent: false })).toBe(false);
+  });
+
+  test("does not retry permanent Graph errors or local failures", () => {
+    expect(isRetryableGraphError(new GraphApiError("Invalid parameter", { status: 400, code: 100 }))).toBe(false);
+    expect(isRetryableGraphError(new Error("ENOENT"))).toBe(false);
+  });
+});
+
+describe("withRetry", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("resends an idempotent call after a network failure", async () => {
+    const operation = jest.fn().mockRejectedValueOnce(new GraphApiError("socket hang up")).mockResolvedValueOnce("ok");
+
+    await expect(withRetry(operation, { baseDelayMs: 1 })).resolves.toBe("ok");
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not resend a creating call after a network failure", async () => {
+    const operation = jest.fn().mockRejectedValue(new GraphApiError("socket hang up"));
+
+    await expect(withRetry(operation, { baseDelayMs: 1, idempotent: false })).rejects.toThrow("socket hang up");
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,197 @@
+// Adaptive throttling driven by the usage headers Meta returns on every Graph response
+// (X-App-Usage, X-Ad-Account-Usage, X-Business-Use-Case-Usage).
+
+// Usage percentages at which calls start slowing down / are held back entirely
+const SOFT_LIMIT = parseFloat(process.env.META_THROTTLE_SOFT_LIMIT) || 75;
+const HARD_LIMIT = parseFloat(process.env.META_THROTTLE_HARD_LIMIT) || 95;
+const MAX_DELAY_MS = parseInt(process.env.META_THROTTLE_MAX_DELAY_MS) || 10000;
+
+// Reported usage older than this is considered expired (Meta reports a rolling window)
+const USAGE_TTL_MS = 5 * 60 * 1000;
+
+// Back off this long after a rate-limit error when Meta gives no regain estimate
+const DEFAULT_BLOCK_MS = 60 * 1000;
+
+// Graph error codes that mean "too many calls"
+const RATE_LIMIT_CODES = new Set([4, 17, 32, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014]);
+
+const APP_KEY = "app";
+
+const usageByKey = new Map();
+const queues = new Map();
+
+function parseUsageHeader(value) {
+  if (!value) return null;
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch (error) {
+    console.error("Could not parse Meta usage header:", value);
+    return null;
+  }
+}
+
+function getState(key) {
+  if (!usageByKey.has(key)) {
+    usageByKey.set(key, {
+      key,
+      usagePct: 0,
+      appUsage: null,
+      adAccountUsage: null,
+      businessUseCase: [],
+      blockedUntil: 0,
+      updatedAt: null,
+      queued: 0,
+      throttledCalls: 0,
+    });
+  }
+  return usageByKey.get(key);
+}
+
+function effectiveUsage(state) {
+  if (!state.updatedAt || Date.now() - state.updatedAt > USAGE_TTL_MS) return 0;
+  return state.usagePct;
+}
+
+// How long the next call for this key should wait before being sent
+function computeDelay(key) {
+  const now = Date.now();
+  const states = [getState(APP_KEY)];
+  if (key !== APP_KEY) states.push(getState(key));
+
+  const blockedFor = Math.max(...states.map((state) => state.blockedUntil - now), 0);
+  const usage = Math.max(...states.map(effectiveUsage));
+
+  if (usage >= HARD_LIMIT) {
+    return Math.max(blockedFor, MAX_DELAY_MS);
+  }
+
+  if (usage > SOFT_LIMIT) {
+    const ratio = (usage - SOFT_LIMIT) / (HARD_LIMIT - SOFT_LIMIT);
+    return Math.max(blockedFor, Math.round(ratio * MAX_DELAY_MS));
+  }
+
+  return blockedFor;
+}
+
+export const MetaThrottle = {
+  // Throttle key for a Graph request: the ad account it targets, or the app-wide bucket
+  keyFor(pathname, adAccountId = null) {
+    if (adAccountId) {
+      const id = String(adAccountId);
+      return id.startsWith("act_") ? id : `act_${id}`;
+    }
+    const match = String(pathname).replace(/^\/+/, "").match(/^act_\d+/);
+    return match ? match[0] : APP_KEY;
+  },
+
+  // Wait until a call for this key may be sent. Calls for a hot key are queued and spaced out.
+  async acquire(key) {
+    const state = getState(key);
+    const previous = queues.get(key) || Promise.resolve();
+
+    let release;
+    const turn = new Promise((resolve) => (release = resolve));
+    const tail = previous.then(() => turn);
+    queues.set(key, tail);
+    state.queued++;
+
+    try {
+      await previous;
+      const delay = computeDelay(key);
+      if (delay > 0) {
+        state.throttledCalls++;
+        console.log(`Throttling Meta call for ${key}: waiting ${delay}ms (usage ${effectiveUsage(state)}%)`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    } finally {
+      state.queued--;
+      release();
+      if (queues.get(key) === tail) {
+        queues.delete(key);
+      }
+    }
+  },
+
+  // Record usage headers (and rate-limit errors) from a Graph response
+  record(key, headers = {}, fbError = null) {
+    const now = Date.now();
+
+    const appUsage = parseUsageHeader(headers["x-app-usage"]);
+    if (appUsage) {
+      const appState = getState(APP_KEY);
+      appState.appUsage = appUsage;
+      appState.usagePct = Math.max(appUsage.call_count || 0, appUsage.total_cputime || 0, appUsage.total_time || 0);
+      appState.updatedAt = now;
+    }
+
+    if (key === APP_KEY) {
+      if (fbError && RATE_LIMIT_CODES.has(fbError.code)) {
+        getState(APP_KEY).blockedUntil = now + DEFAULT_BLOCK_MS;
+      }
+      return;
+    }
+
+    const state = getState(key);
+    let usagePct = null;
+    let regainMinutes = 0;
+
+    const adAccountUsage = parseUsageHeader(headers["x-ad-account-usage"]);
+    if (adAccountUsage) {
+      state.adAccountUsage = adAccountUsage;
+      usagePct = adAccountUsage.acc_id_util_pct || 0;
+    }
+
+    const businessUsage = parseUsageHeader(headers["x-business-use-case-usage"]);
+    if (businessUsage) {
+      state.businessUseCase = Object.entries(businessUsage).flatMap(([businessId, entries]) =>
+        (entries || []).map((entry) => ({ business_id: businessId, ...entry }))
+      );
+      for (const entry of state.businessUseCase) {
+        usagePct = Math.max(usagePct || 0, entry.call_count || 0, entry.total_cputime || 0, entry.total_time || 0);
+        regainMinutes = Math.max(regainMinutes, entry.estimated_time_to_regain_access || 0);
+      }
+    }
+
+    if (usagePct !== null) {
+      state.usagePct = usagePct;
+      state.updatedAt = now;
+    }
+
+    if (regainMinutes > 0) {
+      state.blockedUntil = Math.max(state.blockedUntil, now + regainMinutes * 60 * 1000);
+    }
+
+    if (fbError && RATE_LIMIT_CODES.has(fbError.code)) {
+      const blockMs = regainMinutes > 0 ? regainMinutes * 60 * 1000 : DEFAULT_BLOCK_MS;
+      state.blockedUntil = Math.max(state.blockedUntil, now + blockMs);
+      console.warn(`Meta rate limit hit for ${key} (code ${fbError.code}); holding calls for ${Math.round(blockMs / 1000)}s`);
+    }
+  },
+
+  // Snapshot of the usage we know about, for one key or all of them
+  getUsage(key = null) {
+    const describe = (state) => ({
+      key: state.key,
+      usagePct: effectiveUsage(state),
+      appUsage: state.appUsage,
+      adAccountUsage: state.adAccountUsage,
+      businessUseCase: state.businessUseCase,
+      blockedUntil: state.blockedUntil > Date.now() ? new Date(state.blockedUntil).toISOString() : null,
+      nextDelayMs: computeDelay(state.key),
+      queued: state.queued,
+      throttledCalls: state.throttledCalls,
+      updatedAt: state.updatedAt ? new Date(state.updatedAt).toISOString() : null,
+    });
+
+    const limits = { softLimit: SOFT_LIMIT, hardLimit: HARD_LIMIT, maxDelayMs: MAX_DELAY_MS };
+
+    if (key) {
+      return { ...limits, app: describe(getState(APP_KEY)), account: describe(getState(key)) };
+    }
+
+    const accounts = [...usageByKey.values()].filter((state) => state.key !== APP_KEY).map(describe);
+    return { ...limits, app: describe(getState(APP_KEY)), accounts };
+  },
+};
+
+export default MetaThrottle;
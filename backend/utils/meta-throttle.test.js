@@ -0,0 +1,107 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { MetaThrottle } from "./meta-throttle.js";
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// Usage is module state: every test starts an hour later, when earlier usage and blocks have expired
+let clock = Date.UTC(2024, 0, 1);
+let accountNumber = 0;
+let account;
+
+const delayFor = (key) => MetaThrottle.getUsage(key).account.nextDelayMs;
+const accountUsage = (pct) => ({ "x-ad-account-usage": JSON.stringify({ acc_id_util_pct: pct }) });
+
+describe("MetaThrottle", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: (clock += HOUR) });
+    account = `act_${++accountNumber}`;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("keys calls by ad account, falling back to the app", () => {
+    expect(MetaThrottle.keyFor("me/adaccounts", "123")).toBe("act_123");
+    expect(MetaThrottle.keyFor("/act_456/ads")).toBe("act_456");
+    expect(MetaThrottle.keyFor("me/adaccounts")).toBe("app");
+  });
+
+  test.each([
+    [50, 0],
+    [75, 0],
+    [85, 5000],
+    [95, 10000],
+    [100, 10000],
+  ])("delays calls at %i%% account usage by %ims", (pct, delayMs) => {
+    MetaThrottle.record(account, accountUsage(pct));
+
+    expect(delayFor(account)).toBe(delayMs);
+  });
+
+  test("takes the highest business use case figure and holds calls until access is regained", () => {
+    MetaThrottle.record(account, {
+      "x-business-use-case-usage": JSON.stringify({
+        "111": [{ type: "ads_management", call_count: 80, total_cputime: 10, total_time: 10, estimated_time_to_regain_access: 2 }],
+      }),
+    });
+
+    const usage = MetaThrottle.getUsage(account).account;
+    expect(usage.usagePct).toBe(80);
+    expect(usage.businessUseCase).toEqual([expect.objectContaining({ business_id: "111", type: "ads_management" })]);
+    expect(usage.nextDelayMs).toBe(2 * MINUTE);
+  });
+
+  test("blocks an account for a minute after a rate-limit error without an estimate", () => {
+    MetaThrottle.record(account, {}, { code: 613 });
+
+    expect(delayFor(account)).toBe(MINUTE);
+    jest.advanceTimersByTime(MINUTE);
+    expect(delayFor(account)).toBe(0);
+  });
+
+  test("ignores errors that are not about rate limits", () => {
+    MetaThrottle.record(account, {}, { code: 100 });
+
+    expect(delayFor(account)).toBe(0);
+  });
+
+  test("applies app usage to every account", () => {
+    MetaThrottle.record(account, { "x-app-usage": JSON.stringify({ call_count: 10, total_cputime: 96, total_time: 20 }) });
+
+    expect(MetaThrottle.getUsage().app.usagePct).toBe(96);
+    expect(delayFor(`act_${++accountNumber}`)).toBe(10000);
+  });
+
+  test("forgets usage older than five minutes", () => {
+    MetaThrottle.record(account, accountUsage(90));
+    expect(delayFor(account)).toBeGreaterThan(0);
+
+    jest.advanceTimersByTime(5 * MINUTE + 1);
+    expect(delayFor(account)).toBe(0);
+  });
+
+  test("ignores usage headers it cannot parse", () => {
+    MetaThrottle.record(account, { "x-ad-account-usage": "{not json" });
+
+    expect(MetaThrottle.getUsage(account).account.adAccountUsage).toBeNull();
+    expect(delayFor(account)).toBe(0);
+  });
+
+  test("acquire waits out the delay before letting a call through", async () => {
+    MetaThrottle.record(account, accountUsage(85));
+    let acquired = false;
+    const acquiring = MetaThrottle.acquire(account).then(() => (acquired = true));
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(acquired).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    await acquiring;
+    expect(MetaThrottle.getUsage(account).account).toMatchObject({ throttledCalls: 1, queued: 0 });
+  });
+});
@@ -29,6 +29,8 @@ export const getPaths = () => {
     videos: path.join(dataDir, 'creative-library', 'videos'),
     images: path.join(dataDir, 'creative-library', 'images'),
     thumbnails: path.join(dataDir, 'creative-library', 'thumbnails'),
+    // ffmpeg writes video thumbnails here before they are copied into the library
+    tempThumbnails: path.join(projectRoot, 'uploads', 'thumbnails'),
   };
 };
 
@@ -0,0 +1,145 @@
+import crypto from "crypto";
+import axios from "axios";
+import { AppError } from "./meta-errors.js";
+
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, R2, ...): list a bucket and
+// stream objects, signed with AWS Signature Version 4. Bodies are never signed (UNSIGNED-PAYLOAD),
+// which every S3-compatible service accepts for GET requests.
+
+const region = process.env.S3_REGION || "us-east-1";
+const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, "");
+// MinIO and most self-hosted services only serve path-style URLs (endpoint/bucket/key)
+const forcePathStyle = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : Boolean(process.env.S3_ENDPOINT);
+
+export function isS3Configured() {
+  return Boolean(process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY);
+}
+
+// RFC 3986 encoding as SigV4 requires it; encodeURIComponent leaves !'()* alone
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// URL and headers of a signed request for `key` in `bucket` (no key: the bucket itself)
+export function signRequest(method, bucket, key = "", query = {}, now = new Date()) {
+  const base = new URL(endpoint);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const basePath = base.pathname.replace(/\/+$/, "");
+  const objectPath = key ? `/${key.split("/").map(encode).join("/")}` : "/";
+  const pathname = `${basePath}${forcePathStyle ? `/${encode(bucket)}${key ? objectPath : ""}` : objectPath}`;
+
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((name) => `${encode(name)}=${encode(String(query[name]))}`)
+    .join("&");
+
+  const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const date = amzDate.slice(0, 8);
+  const headers = { host, "x-amz-content-sha256": "UNSIGNED-PAYLOAD", "x-amz-date": amzDate };
+  const signedHeaders = Object.keys(headers).join(";");
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    ...Object.entries(headers).map(([name, value]) => `${name}:${value}`),
+    "",
+    signedHeaders,
+    "UNSIGNED-PAYLOAD",
+  ].join("\n");
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(hmac, hmac(hmac(`AWS4${process.env.S3_SECRET_ACCESS_KEY}`, date), region));
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return {
+    url: `${base.protocol}//${host}${pathname}${canonicalQuery ? `?${canonicalQuery}` : ""}`,
+    headers: {
+      "x-amz-content-sha256": headers["x-amz-content-sha256"],
+      "x-amz-date": amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${process.env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+  };
+}
+
+function s3Error(error, what) {
+  const status = error.response?.status;
+  if (status === 404) {
+    return new AppError("S3_NOT_FOUND", `${what} does not exist.`, { status: 404, fix: "Check the bucket name and object key." });
+  }
+  if (status === 401 || status === 403) {
+    return new AppError("S3_ACCESS_DENIED", `Access to ${what} was denied.`, {
+      status: 403,
+      category: "auth",
+      fix: "Check S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and the bucket policy.",
+    });
+  }
+  return new AppError("S3_REQUEST_FAILED", `Reading ${what} failed: ${error.message}`, {
+    status: 502,
+    category: "transient",
+    retryable: true,
+    fix: "Check that S3_ENDPOINT is reachable and try again.",
+  });
+}
+
+function ensureConfigured() {
+  if (!isS3Configured()) {
+    throw new AppError("S3_NOT_CONFIGURED", "No S3 credentials are configured.", {
+      status: 400,
+      fix: "Set S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY (and S3_ENDPOINT for MinIO or other services).",
+    });
+  }
+}
+
+const decodeXml = (value) =>
+  value.replace(/&(lt|gt|quot|apos|amp);/g, (_, entity) => ({ lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" })[entity]);
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Every object under `prefix` as { key, size, lastModified }, following continuation tokens
+export async function listObjects(bucket, prefix = "") {
+  ensureConfigured();
+  const objects = [];
+  let continuationToken;
+  do {
+    const query = { "list-type": 2, prefix };
+    if (continuationToken) query["continuation-token"] = continuationToken;
+    const { url, headers } = signRequest("GET", bucket, "", query);
+
+    let xml;
+    try {
+      ({ data: xml } = await axios.get(url, { headers, responseType: "text" }));
+    } catch (error) {
+      throw s3Error(error, `Bucket "${bucket}"`);
+    }
+
+    for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      objects.push({ key: xmlValue(entry, "Key"), size: parseInt(xmlValue(entry, "Size")) || 0, lastModified: xmlValue(entry, "LastModified") });
+    }
+    continuationToken = xmlValue(xml, "IsTruncated") === "true" ? xmlValue(xml, "NextContinuationToken") : null;
+  } while (continuationToken);
+  return objects;
+}
+
+// Stream one object: { stream, size, contentType }
+export async function getObjectStream(bucket, key, { signal } = {}) {
+  ensureConfigured();
+  const { url, headers } = signRequest("GET", bucket, key);
+  try {
+    const response = await axios.get(url, { headers, responseType: "stream", signal });
+    return {
+      stream: response.data,
+      size: parseInt(response.headers["content-length"]) || null,
+      contentType: response.headers["content-type"] || null,
+    };
+  } catch (error) {
+    if (axios.isCancel(error)) throw error;
+    throw s3Error(error, `"${key}" in bucket "${bucket}"`);
+  }
+}
@@ -0,0 +1,127 @@
+// Shared scheduler for the expensive parts of an upload: ffmpeg runs, downloads and transfers to
+// Meta. Each resource has a global limit and a per-key (ad account) limit; 0 means unlimited.
+// Tasks start in FIFO order, but a task held back by its account's limit does not block tasks
+// for other accounts. Waiting tasks are told their place in line through options.onQueued.
+
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+export const SCHEDULER_LIMITS = {
+  ffmpeg: {
+    global: limitFromEnv("FFMPEG_CONCURRENCY", 2),
+    perAccount: limitFromEnv("FFMPEG_PER_ACCOUNT_CONCURRENCY", 0),
+  },
+  download: {
+    global: limitFromEnv("DOWNLOAD_CONCURRENCY", 4),
+    perAccount: limitFromEnv("DOWNLOAD_PER_ACCOUNT_CONCURRENCY", 0),
+  },
+  "meta-transfer": {
+    global: limitFromEnv("META_TRANSFER_CONCURRENCY", 4),
+    perAccount: limitFromEnv("META_TRANSFER_PER_ACCOUNT_CONCURRENCY", 2),
+  },
+};
+
+const pools = Object.fromEntries(
+  Object.keys(SCHEDULER_LIMITS).map((resource) => [resource, { active: 0, activeByKey: new Map(), waiting: [] }])
+);
+
+function canStart(resource, entry) {
+  const pool = pools[resource];
+  const limits = SCHEDULER_LIMITS[resource];
+  if (limits.global > 0 && pool.active >= limits.global) return false;
+  if (entry.key && limits.perAccount > 0 && (pool.activeByKey.get(entry.key) || 0) >= limits.perAccount) return false;
+  return true;
+}
+
+function reportPositions(resource) {
+  const { waiting } = pools[resource];
+  waiting.forEach((entry, index) => {
+    const position = index + 1;
+    if (entry.position === position || !entry.onQueued) return;
+    entry.position = position;
+    try {
+      entry.onQueued({ resource, position, waiting: waiting.length, key: entry.key });
+    } catch (error) {
+      console.error(`Scheduler: onQueued for ${resource} failed:`, error.message);
+    }
+  });
+}
+
+function dispatch(resource) {
+  const pool = pools[resource];
+  for (const entry of [...pool.waiting]) {
+    if (!canStart(resource, entry)) continue;
+    pool.waiting.splice(pool.waiting.indexOf(entry), 1);
+    entry.start();
+  }
+  reportPositions(resource);
+}
+
+export const Scheduler = {
+  // Run `task` once a slot for `resource` is free. Options: key (ad account ID for the per-account
+  // limit), onQueued({ resource, position, waiting, key }) called while the task waits, and an
+  // AbortSignal that takes the task out of line before it starts.
+  run(resource, task, { key = null, onQueued, signal } = {}) {
+    const pool = pools[resource];
+    if (!pool) {
+      return Promise.reject(new Error(`Unknown scheduler resource "${resource}"`));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { key, onQueued, position: 0 };
+
+      const onAbort = () => {
+        const index = pool.waiting.indexOf(entry);
+        if (index === -1) return;
+        pool.waiting.splice(index, 1);
+        reject(signal.reason);
+        reportPositions(resource);
+      };
+
+      entry.start = () => {
+        signal?.removeEventListener("abort", onAbort);
+        pool.active++;
+        if (key) pool.activeByKey.set(key, (pool.activeByKey.get(key) || 0) + 1);
+
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            pool.active--;
+            if (key) {
+              const remaining = pool.activeByKey.get(key) - 1;
+              if (remaining > 0) pool.activeByKey.set(key, remaining);
+              else pool.activeByKey.delete(key);
+            }
+            dispatch(resource);
+          });
+      };
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+      pool.waiting.push(entry);
+      dispatch(resource);
+    });
+  },
+
+  // Limits, running and waiting tasks per resource
+  stats() {
+    return Object.fromEntries(
+      Object.entries(pools).map(([resource, pool]) => [
+        resource,
+        {
+          limits: SCHEDULER_LIMITS[resource],
+          active: pool.active,
+          waiting: pool.waiting.length,
+          activeByAccount: Object.fromEntries(pool.activeByKey),
+        },
+      ])
+    );
+  },
+};
+
+export default Scheduler;
@@ -0,0 +1,145 @@
+import { describe, test, expect, afterEach } from "@jest/globals";
+
+// Limits are read when the module loads
+process.env.FFMPEG_CONCURRENCY = "1";
+process.env.META_TRANSFER_CONCURRENCY = "2";
+process.env.META_TRANSFER_PER_ACCOUNT_CONCURRENCY = "1";
+
+const { Scheduler } = await import("./scheduler.js");
+
+// A task that runs until the test finishes it
+function heldTask() {
+  const task = { started: false };
+  task.done = new Promise((resolve, reject) => {
+    task.finish = resolve;
+    task.fail = reject;
+  });
+  task.run = () => {
+    task.started = true;
+    return task.done;
+  };
+  return task;
+}
+
+// Let started tasks settle and the scheduler hand out the freed slots
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Scheduler", () => {
+  afterEach(async () => {
+    await settle();
+    expect(Scheduler.stats()["meta-transfer"]).toMatchObject({ active: 0, waiting: 0 });
+    expect(Scheduler.stats().ffmpeg).toMatchObject({ active: 0, waiting: 0 });
+  });
+
+  test("holds tasks back at the global limit and starts them as slots free up", async () => {
+    const tasks = [heldTask(), heldTask(), heldTask()];
+    const runs = tasks.map((task, index) => Scheduler.run("meta-transfer", task.run, { key: `act_${index}` }));
+    await settle();
+
+    expect(tasks.map((task) => task.started)).toEqual([true, true, false]);
+    expect(Scheduler.stats()["meta-transfer"]).toMatchObject({ active: 2, waiting: 1 });
+
+    tasks[0].finish("first");
+    await settle();
+    expect(tasks[2].started).toBe(true);
+
+    tasks[1].finish();
+    tasks[2].finish();
+    await expect(runs[0]).resolves.toBe("first");
+    await Promise.all(runs);
+  });
+
+  test("a task held back by its account's limit does not block other accounts", async () => {
+    const first = heldTask();
+    const second = heldTask();
+    const other = heldTask();
+    const runs = [
+      Scheduler.run("meta-transfer", first.run, { key: "act_1" }),
+      Scheduler.run("meta-transfer", second.run, { key: "act_1" }),
+      Scheduler.run("meta-transfer", other.run, { key: "act_2" }),
+    ];
+    await settle();
+
+    expect([first.started, second.started, other.started]).toEqual([true, false, true]);
+    expect(Scheduler.stats()["meta-transfer"].activeByAccount).toEqual({ act_1: 1, act_2: 1 });
+
+    first.finish();
+    await settle();
+    expect(second.started).toBe(true);
+
+    second.finish();
+    other.finish();
+    await Promise.all(runs);
+  });
+
+  test("tells waiting tasks their place in line as it changes", async () => {
+    const tasks = [heldTask(), heldTask(), heldTask()];
+    const queued = [[], [], []];
+    const runs = tasks.map((task, index) =>
+      Scheduler.run("ffmpeg", task.run, { onQueued: ({ position, waiting }) => queued[index].push([position, waiting]) })
+    );
+    await settle();
+
+    expect(queued).toEqual([[], [[1, 1]], [[2, 2]]]);
+
+    tasks[0].finish();
+    await settle();
+    expect(queued[2]).toEqual([[2, 2], [1, 1]]);
+
+    tasks[1].finish();
+    tasks[2].finish();
+    await Promise.all(runs);
+  });
+
+  test("takes an aborted task out of line without running it", async () => {
+    const running = heldTask();
+    const aborted = heldTask();
+    const behind = heldTask();
+    const controller = new AbortController();
+    const positions = [];
+
+    const runs = [
+      Scheduler.run("ffmpeg", running.run),
+      Scheduler.run("ffmpeg", aborted.run, { signal: controller.signal }),
+      Scheduler.run("ffmpeg", behind.run, { onQueued: ({ position }) => positions.push(position) }),
+    ];
+    await settle();
+
+    controller.abort(new Error("Upload cancelled"));
+    await expect(runs[1]).rejects.toThrow("Upload cancelled");
+    expect(positions).toEqual([2, 1]);
+
+    running.finish();
+    await settle();
+    expect(aborted.started).toBe(false);
+    expect(behind.started).toBe(true);
+
+    behind.finish();
+    await Promise.all([runs[0], runs[2]]);
+  });
+
+  test("rejects at once when the signal is already aborted", async () => {
+    const task = heldTask();
+
+    await expect(Scheduler.run("ffmpeg", task.run, { signal: AbortSignal.abort(new Error("gone")) })).rejects.toThrow("gone");
+    expect(task.started).toBe(false);
+  });
+
+  test("passes a task's failure on and frees its slot", async () => {
+    const failing = heldTask();
+    const next = heldTask();
+    const runs = [Scheduler.run("ffmpeg", failing.run), Scheduler.run("ffmpeg", next.run)];
+
+    failing.fail(new Error("ffmpeg exited with code 1"));
+    await expect(runs[0]).rejects.toThrow("ffmpeg exited with code 1");
+    await settle();
+    expect(next.started).toBe(true);
+
+    next.finish();
+    await runs[1];
+  });
+
+  test("rejects unknown resources", async () => {
+    await expect(Scheduler.run("gpu", () => {})).rejects.toThrow('Unknown scheduler resource "gpu"');
+  });
+});
@@ -1,14 +1,20 @@
-const fs = require('fs');
-const https = require('https');
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import dotenv from 'dotenv';
+import { GRAPH_BASE_URL, GRAPH_API_VERSION } from './meta-graph-client.js';
 
-// Replace with your actual access token
-const ACCESS_TOKEN = 'EAARVcSEqf2EBPItmtP7nXOw8ikhBTNTJgzPj30oF0AhNHVcQneYYNDpkheCotRnWDPmZCjvCZB0EZAI3KuwdSf3LJcBZCHq1HFVFCFkgT0NRP2W3a62Ah6B40f5nQc3kCZBZCA9d6WSNrtPL3BXC6gJGwHIsX4aYK7tRlZAN3OvHZBYKGb6MOxfOD7rV4ZBkZAATrh8Syg70G6VeVvZBOE38Mb2SqqbEztY6fH6pqBy9qcuzXxfPMC1lHbnygZDZD';
-const BASE_URL = 'https://graph.facebook.com/v23.0';
+dotenv.config();
 
-// Helper function to make API requests
+// Uses the same token, Graph API version and base URL (META_GRAPH_BASE_URL) as the app
+const ACCESS_TOKEN = process.env.META_ACCESS_TOKEN;
+const BASE_URL = `${GRAPH_BASE_URL}/${GRAPH_API_VERSION}`;
+
+// Helper function to make API requests (the local stand-in server speaks plain http)
 function makeRequest(url) {
+    const client = url.startsWith('http:') ? http : https;
     return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
+        client.get(url, (res) => {
             let data = '';
 
             res.on('data', (chunk) => {
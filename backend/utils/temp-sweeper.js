@@ -0,0 +1,161 @@
+import fs from "fs";
+import path from "path";
+import { getPaths } from "./paths.js";
+import { JobQueue } from "./job-queue.js";
+import { VideoUploadDB } from "./database.js";
+
+// Removes temporary files left behind in the uploads directory and the ffmpeg thumbnail directory:
+// multipart files of rejected requests, partial downloads, renders and thumbnails of failed jobs,
+// and resumable uploads nobody came back to. A file is only removed once it is older than
+// TEMP_FILE_MAX_AGE_HOURS and no queued or running job (that is, no active upload session), no
+// request still working on it outside the job queue and no resumable Meta video upload still names it.
+
+export const TEMP_FILE_MAX_AGE_HOURS = parseFloat(process.env.TEMP_FILE_MAX_AGE_HOURS) || 24;
+// 0 turns the scheduled sweep off; the report endpoint still works
+const SWEEP_INTERVAL_MINUTES = parseFloat(process.env.TEMP_SWEEP_INTERVAL_MINUTES ?? 60);
+
+const paths = getPaths();
+const chunkDir = path.join(paths.uploads, "chunked");
+
+// Every file below `dir` as { path, size, mtimeMs }
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(fullPath);
+    if (!entry.isFile()) return [];
+    try {
+      const { size, mtimeMs } = fs.statSync(fullPath);
+      return [{ path: fullPath, size, mtimeMs }];
+    } catch {
+      return []; // Removed while we were looking
+    }
+  });
+}
+
+// Files requests are working on outside the job queue (fire-and-forget uploads, fan-out hashing),
+// as resolved path -> number of requests holding it
+const heldPaths = new Map();
+
+// Keep `files` (multer-style, or paths) from being swept while a request works on them.
+// Returns the function that releases them again; calling it more than once is harmless.
+export function holdTempFiles(files) {
+  const held = files.map((file) => path.resolve(typeof file === "string" ? file : file.path));
+  for (const filePath of held) heldPaths.set(filePath, (heldPaths.get(filePath) || 0) + 1);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    for (const filePath of held) {
+      const count = heldPaths.get(filePath) - 1;
+      if (count > 0) heldPaths.set(filePath, count);
+      else heldPaths.delete(filePath);
+    }
+  };
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone ("2024-05-01 12:00:00")
+const timestampMs = (value) => Date.parse(`${String(value).replace(" ", "T")}Z`);
+
+// Paths still in use: the files (and .zip archives) of queued and running jobs, files held by
+// requests, and the files of resumable Meta uploads. A failed Meta upload can only be resumed
+// by a retry, so its file is kept until it is older than the cutoff like any other.
+async function referencedPaths(cutoff) {
+  const jobs = [
+    ...(await JobQueue.list({ status: "queued", limit: 100000 })),
+    ...(await JobQueue.list({ status: "running", limit: 100000 })),
+  ];
+  const uploads = (await VideoUploadDB.getByStatus(["transferring", "failed", "finished"])).filter(
+    (upload) => upload.status !== "failed" || timestampMs(upload.updated_at) > cutoff
+  );
+  return new Set([
+    ...[...jobs.flatMap((job) => [job.payload?.file?.path, job.payload?.archive?.path]), ...uploads.map((upload) => upload.file_path)]
+      .filter(Boolean)
+      .map((filePath) => path.resolve(filePath)),
+    ...heldPaths.keys(),
+  ]);
+}
+
+// Candidate groups: a resumable upload's .part and .json are kept or removed together, using
+// the time of its last chunk; every other file stands alone.
+function collectGroups() {
+  const groups = new Map();
+  for (const root of [paths.uploads, paths.tempThumbnails]) {
+    for (const file of listFiles(root)) {
+      const key = path.dirname(file.path) === chunkDir ? path.join(chunkDir, path.parse(file.path).name) : file.path;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(file);
+    }
+  }
+  return [...groups.values()];
+}
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+
+// Find (and unless dryRun, delete) expired temp files. Returns
+//   { dryRun, maxAgeHours, scannedFiles, deleted: [{ path, size, ageHours }], freedBytes, kept: { recent, referenced } }
+export async function sweepTempFiles({ dryRun = false, maxAgeHours = TEMP_FILE_MAX_AGE_HOURS, now = Date.now() } = {}) {
+  const cutoff = now - maxAgeHours * 60 * 60 * 1000;
+  const referenced = await referencedPaths(cutoff);
+  const report = { dryRun, maxAgeHours, scannedFiles: 0, deleted: [], freedBytes: 0, kept: { recent: 0, referenced: 0 } };
+
+  for (const files of collectGroups()) {
+    report.scannedFiles += files.length;
+    if (files.some((file) => referenced.has(path.resolve(file.path)))) {
+      report.kept.referenced += files.length;
+      continue;
+    }
+    const lastModified = Math.max(...files.map((file) => file.mtimeMs));
+    if (lastModified > cutoff) {
+      report.kept.recent += files.length;
+      continue;
+    }
+
+    for (const file of files) {
+      if (!dryRun) {
+        try {
+          fs.rmSync(file.path, { force: true });
+        } catch (error) {
+          console.error(`Temp sweep could not delete ${file.path}:`, error.message);
+          continue;
+        }
+      }
+      report.deleted.push({
+        path: file.path,
+        size: file.size,
+        ageHours: Math.round(((now - file.mtimeMs) / (60 * 60 * 1000)) * 10) / 10,
+      });
+      report.freedBytes += file.size;
+    }
+  }
+
+  return report;
+}
+
+let sweeping = false;
+
+async function scheduledSweep() {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const { deleted, freedBytes, kept } = await sweepTempFiles();
+    if (deleted.length > 0) {
+      console.log(`Temp sweep: deleted ${deleted.length} file(s), freed ${formatSize(freedBytes)} (kept ${kept.referenced} in use, ${kept.recent} recent)`);
+    }
+  } catch (error) {
+    console.error("Temp sweep failed:", error);
+  } finally {
+    sweeping = false;
+  }
+}
+
+// Sweep once now and then every TEMP_SWEEP_INTERVAL_MINUTES. Call after the job queue has started.
+export function startTempSweeper() {
+  if (!(SWEEP_INTERVAL_MINUTES > 0)) {
+    console.log("Temp sweep disabled (TEMP_SWEEP_INTERVAL_MINUTES=0)");
+    return;
+  }
+  scheduledSweep();
+  setInterval(scheduledSweep, SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+}
@@ -0,0 +1,117 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest, describe, test, expect, beforeEach, afterAll } from "@jest/globals";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "temp-sweeper-"));
+const uploadsDir = path.join(dataDir, "uploads");
+const thumbnailsDir = path.join(dataDir, "thumbnails");
+
+let jobs = [];
+let videoUploads = [];
+
+jest.unstable_mockModule("./paths.js", () => ({
+  getPaths: () => ({ data: dataDir, uploads: uploadsDir, tempThumbnails: thumbnailsDir }),
+}));
+jest.unstable_mockModule("./job-queue.js", () => ({
+  JobQueue: { list: async ({ status }) => jobs.filter((job) => job.status === status) },
+}));
+jest.unstable_mockModule("./database.js", () => ({
+  VideoUploadDB: { getByStatus: async (statuses) => videoUploads.filter((upload) => statuses.includes(upload.status)) },
+}));
+
+const { sweepTempFiles, holdTempFiles } = await import("./temp-sweeper.js");
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.now();
+
+// An upload file last written `ageHours` ago
+function oldFile(name, ageHours = 48) {
+  const filePath = path.join(uploadsDir, name);
+  fs.writeFileSync(filePath, "0123");
+  const time = new Date(now - ageHours * HOUR);
+  fs.utimesSync(filePath, time, time);
+  return filePath;
+}
+
+// SQLite CURRENT_TIMESTAMP format
+const sqliteTime = (ms) => new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+
+const deletedNames = (report) => report.deleted.map((file) => path.basename(file.path)).sort();
+
+describe("sweepTempFiles", () => {
+  beforeEach(() => {
+    jobs = [];
+    videoUploads = [];
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("deletes files older than the cutoff and keeps recent ones", async () => {
+    oldFile("old.mp4");
+    oldFile("new.mp4", 1);
+
+    const report = await sweepTempFiles({ maxAgeHours: 24, now });
+
+    expect(deletedNames(report)).toEqual(["old.mp4"]);
+    expect(report.kept).toEqual({ recent: 1, referenced: 0 });
+    expect(fs.existsSync(path.join(uploadsDir, "new.mp4"))).toBe(true);
+  });
+
+  test("keeps files named by queued jobs and resumable Meta uploads", async () => {
+    jobs = [{ status: "queued", payload: { file: { path: oldFile("queued.mp4") } } }];
+    videoUploads = [{ status: "transferring", file_path: oldFile("transferring.mp4"), updated_at: sqliteTime(now - 48 * HOUR) }];
+
+    const report = await sweepTempFiles({ maxAgeHours: 24, now });
+
+    expect(report.deleted).toEqual([]);
+    expect(report.kept.referenced).toBe(2);
+  });
+
+  test("keeps the file of a failed Meta upload only until it is older than the cutoff", async () => {
+    videoUploads = [
+      { status: "failed", file_path: oldFile("failed-recently.mp4"), updated_at: sqliteTime(now - HOUR) },
+      { status: "failed", file_path: oldFile("failed-long-ago.mp4"), updated_at: sqliteTime(now - 48 * HOUR) },
+    ];
+
+    const report = await sweepTempFiles({ maxAgeHours: 24, now });
+
+    expect(deletedNames(report)).toEqual(["failed-long-ago.mp4"]);
+    expect(report.kept.referenced).toBe(1);
+  });
+
+  test("keeps files held by a request until they are released", async () => {
+    const release = holdTempFiles([{ path: oldFile("held.jpg") }]);
+
+    expect((await sweepTempFiles({ dryRun: true, maxAgeHours: 0, now })).deleted).toEqual([]);
+
+    release();
+    release();
+    expect(deletedNames(await sweepTempFiles({ dryRun: true, maxAgeHours: 0, now }))).toEqual(["held.jpg"]);
+  });
+
+  test("keeps a file while any of the requests holding it has not released it", async () => {
+    const filePath = oldFile("shared.jpg");
+    const releaseFirst = holdTempFiles([filePath]);
+    const releaseSecond = holdTempFiles([filePath]);
+
+    releaseFirst();
+    expect((await sweepTempFiles({ dryRun: true, maxAgeHours: 0, now })).kept.referenced).toBe(1);
+
+    releaseSecond();
+    expect((await sweepTempFiles({ dryRun: true, maxAgeHours: 0, now })).kept.referenced).toBe(0);
+  });
+
+  test("a dry run deletes nothing", async () => {
+    oldFile("old.mp4");
+
+    const report = await sweepTempFiles({ dryRun: true, maxAgeHours: 24, now });
+
+    expect(deletedNames(report)).toEqual(["old.mp4"]);
+    expect(fs.existsSync(path.join(uploadsDir, "old.mp4"))).toBe(true);
+  });
+});
@@ -0,0 +1,127 @@
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+import { Scheduler } from "./scheduler.js";
+import { AppError } from "./meta-errors.js";
+
+// Optional transcoding of videos Meta handles badly (ProRes or HEVC .mov files, variable frame rate
+// phone recordings, non-AAC audio) into an H.264/AAC MP4 rendition. Uses the ffmpeg binary set in
+// server.js; runs take an "ffmpeg" slot from the scheduler like thumbnail generation does.
+
+// auto: transcode videos that do not match the target below; off: upload every file as it is
+export const VIDEO_TRANSCODE_MODE = process.env.VIDEO_TRANSCODE_MODE || "off";
+
+const TARGET = {
+  videoCodec: "h264",
+  pixelFormats: ["yuv420p", "yuvj420p"],
+  audioCodec: "aac",
+  maxFrameRate: 60,
+};
+
+// Video bitrate caps by the short side of the frame
+const VIDEO_BITRATES = [
+  [480, 2500],
+  [720, 5000],
+  [1080, 8000],
+  [Infinity, 16000],
+];
+
+// Why a probed video (probeMedia in media-validation.js) needs transcoding; empty when it is fine
+export function transcodeReasons(media) {
+  if (media?.kind !== "video") return [];
+
+  const reasons = [];
+  // QuickTime and MP4 share ffprobe's format name; the brand tells them apart
+  if (!media.containers.includes("mp4") || media.majorBrand === "qt") {
+    reasons.push(`${media.majorBrand === "qt" ? "mov" : media.containers[0]} container`);
+  }
+  if (media.videoCodec !== TARGET.videoCodec) {
+    reasons.push(`${media.videoCodec} video`);
+  }
+  if (media.pixelFormat && !TARGET.pixelFormats.includes(media.pixelFormat)) {
+    reasons.push(`${media.pixelFormat} pixel format`);
+  }
+  if (media.audioCodec && media.audioCodec !== TARGET.audioCodec) {
+    reasons.push(`${media.audioCodec} audio`);
+  }
+  if (media.variableFrameRate) {
+    reasons.push("variable frame rate");
+  }
+  if (media.frameRate > TARGET.maxFrameRate) {
+    reasons.push(`${Math.round(media.frameRate)} fps`);
+  }
+  return reasons;
+}
+
+// The media as it will probe once transcoded, so validation judges the file Meta receives.
+// Returns `media` itself when nothing would be transcoded.
+export function asTranscoded(media) {
+  if (VIDEO_TRANSCODE_MODE === "off" || transcodeReasons(media).length === 0) return media;
+  return {
+    ...media,
+    containers: ["mov", "mp4", "m4a", "3gp", "3g2", "mj2"],
+    majorBrand: "isom",
+    videoCodec: TARGET.videoCodec,
+    pixelFormat: "yuv420p",
+    audioCodec: media.audioCodec ? TARGET.audioCodec : null,
+    frameRate: Math.min(Math.round(media.frameRate) || 30, TARGET.maxFrameRate),
+    variableFrameRate: false,
+  };
+}
+
+// Transcode to H.264/AAC MP4 at a constant frame rate. Options: key (ad account for the scheduler's
+// per-account limit), onQueued while waiting for a slot, onProgress(percent) while running, and an
+// AbortSignal that kills ffmpeg.
+export function transcodeToMp4(inputPath, outputPath, { media, key, onQueued, onProgress, signal } = {}) {
+  const shortSide = Math.min(media.width, media.height) || 1080;
+  const bitrate = VIDEO_BITRATES.find(([side]) => shortSide <= side)[1];
+  const frameRate = Math.min(Math.round(media.frameRate) || 30, TARGET.maxFrameRate);
+
+  return Scheduler.run(
+    "ffmpeg",
+    () =>
+      new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .videoCodec("libx264")
+          .outputOptions([
+            "-preset fast",
+            "-crf 21",
+            `-maxrate ${bitrate}k`,
+            `-bufsize ${bitrate * 2}k`,
+            "-profile:v high",
+            "-pix_fmt yuv420p",
+            // yuv420p needs even dimensions
+            "-vf scale=trunc(iw/2)*2:trunc(ih/2)*2",
+            `-r ${frameRate}`,
+            "-vsync cfr",
+            "-movflags +faststart",
+          ])
+          .format("mp4");
+        signal?.addEventListener("abort", () => command.kill("SIGKILL"), { once: true });
+
+        if (!media.audioCodec) {
+          command.noAudio();
+        } else if (media.audioCodec === TARGET.audioCodec) {
+          command.audioCodec("copy");
+        } else {
+          command.audioCodec("aac").audioBitrate(128).audioFrequency(48000).audioChannels(2);
+        }
+
+        command
+          .on("progress", ({ percent }) => {
+            if (onProgress && percent >= 0) onProgress(Math.min(Math.round(percent), 100));
+          })
+          .on("end", () => resolve(outputPath))
+          .on("error", (error) => {
+            fs.rmSync(outputPath, { force: true });
+            reject(
+              new AppError("VIDEO_TRANSCODE_FAILED", `The video could not be converted to MP4: ${error.message}`, {
+                status: 422,
+                fix: "Export the video as H.264/AAC MP4 and upload it again.",
+              })
+            );
+          })
+          .save(outputPath);
+      }),
+    { key, onQueued, signal }
+  );
+}
@@ -0,0 +1,262 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { AppError } from "./meta-errors.js";
+import { mimeTypeFor } from "./import-sources.js";
+
+// Reads .zip archives of creatives without unpacking them all at once: the central directory
+// lists the entries, and each media entry is later streamed from its offset into its own file.
+// Stored and deflated entries are supported, including ZIP64 archives over 4GB.
+//
+// Entry names never become paths on disk (extracted files get a generated name), and entries
+// with absolute or "../" names are skipped all the same. Against zip bombs, the directory is
+// only read up to a fixed size, its sizes are checked before anything is extracted (per file, in
+// total and as a compression ratio) and extraction stops as soon as an entry writes more than its
+// declared size.
+
+export const ZIP_MAX_FILES = parseInt(process.env.ZIP_MAX_FILES) || 500;
+export const ZIP_MAX_FILE_SIZE = parseInt(process.env.ZIP_MAX_FILE_SIZE) || 4 * 1024 * 1024 * 1024;
+export const ZIP_MAX_TOTAL_SIZE = parseInt(process.env.ZIP_MAX_TOTAL_SIZE) || 20 * 1024 * 1024 * 1024;
+// Images and videos hardly compress; a far higher ratio means the entry is not what it claims to be
+export const ZIP_MAX_COMPRESSION_RATIO = parseInt(process.env.ZIP_MAX_COMPRESSION_RATIO) || 100;
+// Entries of any kind (folders, documents, ...) read from one central directory
+const ZIP_MAX_ENTRIES = 10000;
+// Bytes of central directory read into memory: room for ZIP_MAX_ENTRIES entries with long names
+const ZIP_MAX_DIRECTORY_SIZE = 16 * 1024 * 1024;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const ZIP_MIME_TYPES = ["application/zip", "application/x-zip-compressed", "application/x-zip"];
+
+export function isZipFile(file) {
+  return ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname || "").toLowerCase() === ".zip";
+}
+
+function invalidArchive(archiveName, reason) {
+  return new AppError("ZIP_INVALID", `${archiveName} is not a readable .zip archive: ${reason}.`, {
+    fix: "Create the archive again with a standard zip tool.",
+  });
+}
+
+function archiveTooLarge(archiveName, reason) {
+  return new AppError("ZIP_TOO_LARGE", `${archiveName} was rejected: ${reason}.`, {
+    status: 413,
+    fix: "Split the archive into smaller ones.",
+  });
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Position and size of the central directory, from the (ZIP64) end of central directory record
+async function readDirectoryLocation(handle, fileSize, archiveName) {
+  // The record is 22 bytes plus a comment of up to 64KB at the very end of the file
+  const tailLength = Math.min(fileSize, 22 + 0xffff);
+  const tail = await readAt(handle, fileSize - tailLength, tailLength);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw invalidArchive(archiveName, "no end of central directory record");
+
+  if (tail.readUInt16LE(eocd + 4) !== 0 || tail.readUInt16LE(eocd + 6) !== 0) {
+    throw invalidArchive(archiveName, "archives split across several files are not supported");
+  }
+  let entryCount = tail.readUInt16LE(eocd + 10);
+  let directorySize = tail.readUInt32LE(eocd + 12);
+  let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    const locator = eocd - 20;
+    if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw invalidArchive(archiveName, "missing ZIP64 locator");
+    }
+    const record = await readAt(handle, Number(tail.readBigUInt64LE(locator + 8)), 56);
+    if (record.length < 56 || record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw invalidArchive(archiveName, "missing ZIP64 end of central directory record");
+    }
+    entryCount = Number(record.readBigUInt64LE(32));
+    directorySize = Number(record.readBigUInt64LE(40));
+    directoryOffset = Number(record.readBigUInt64LE(48));
+  }
+
+  if (directoryOffset + directorySize > fileSize) throw invalidArchive(archiveName, "the central directory is cut off");
+  return { entryCount, directorySize, directoryOffset };
+}
+
+// Sizes and offset that did not fit 32 bits are in the ZIP64 extra field, in this order
+function applyZip64Extra(entry, extra) {
+  for (let i = 0; i + 4 <= extra.length; ) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === 0x0001) {
+      let position = i + 4;
+      for (const field of ["size", "compressedSize", "offset"]) {
+        if (entry[field] === 0xffffffff && position + 8 <= i + 4 + length) {
+          entry[field] = Number(extra.readBigUInt64LE(position));
+          position += 8;
+        }
+      }
+      return;
+    }
+    i += 4 + length;
+  }
+}
+
+// Why an entry is not extracted, or null for a media file that will be
+function skipReason(entry) {
+  const segments = entry.name.split("/");
+  if (entry.name.endsWith("/")) return "folder";
+  if (entry.name.startsWith("/") || /^[a-zA-Z]:/.test(entry.name) || segments.includes("..")) return "unsafe path";
+  if (segments[0] === "__MACOSX" || entry.fileName.startsWith(".")) return "system file";
+  if (!entry.mimeType) return "not an image or video";
+  if (entry.encrypted) return "encrypted";
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) return "unsupported compression";
+  if (entry.size === 0) return "empty";
+  return null;
+}
+
+// Media entries of an archive: { entries, skipped }. entries are { name, fileName, folderPath,
+// mimeType, size, compressedSize, method, offset, crc32 } and go to extractZipEntry unchanged;
+// skipped are { name, reason }. Throws ZIP_INVALID or ZIP_TOO_LARGE.
+export async function readZipEntries(zipPath, archiveName = path.basename(zipPath)) {
+  const handle = await fs.promises.open(zipPath, "r");
+  try {
+    const { size: fileSize } = await handle.stat();
+    const { entryCount, directorySize, directoryOffset } = await readDirectoryLocation(handle, fileSize, archiveName);
+    if (entryCount > ZIP_MAX_ENTRIES) {
+      throw archiveTooLarge(archiveName, `it has ${entryCount} entries (at most ${ZIP_MAX_ENTRIES})`);
+    }
+    if (directorySize > ZIP_MAX_DIRECTORY_SIZE) {
+      throw archiveTooLarge(archiveName, `its central directory is larger than ${ZIP_MAX_DIRECTORY_SIZE / 1024 / 1024}MB`);
+    }
+
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    const entries = [];
+    const skipped = [];
+    let totalSize = 0;
+
+    for (let position = 0, index = 0; index < entryCount; index++) {
+      if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+        throw invalidArchive(archiveName, "the central directory is damaged");
+      }
+      const flags = directory.readUInt16LE(position + 8);
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const rawName = directory.subarray(position + 46, position + 46 + nameLength);
+      // Bit 11 marks UTF-8 names; older tools write the DOS code page, which latin1 reads closely enough
+      const name = rawName.toString(flags & 0x800 ? "utf8" : "latin1").replace(/\\/g, "/");
+
+      const entry = {
+        name,
+        fileName: path.posix.basename(name),
+        folderPath: path.posix.dirname(name) === "." ? null : path.posix.dirname(name),
+        mimeType: mimeTypeFor(name),
+        encrypted: Boolean(flags & 0x1),
+        method: directory.readUInt16LE(position + 10),
+        crc32: directory.readUInt32LE(position + 16),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        offset: directory.readUInt32LE(position + 42),
+      };
+      applyZip64Extra(entry, directory.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength));
+      position += 46 + nameLength + extraLength + commentLength;
+
+      const reason = skipReason(entry);
+      if (reason) {
+        skipped.push({ name, reason });
+        continue;
+      }
+
+      if (entry.offset + entry.compressedSize > directoryOffset) {
+        throw invalidArchive(archiveName, `${name} points past the file data`);
+      }
+      if (entry.size > ZIP_MAX_FILE_SIZE) {
+        throw archiveTooLarge(archiveName, `${name} is larger than ${Math.round(ZIP_MAX_FILE_SIZE / 1024 / 1024)}MB`);
+      }
+      if (entry.size > Math.max(entry.compressedSize, 1) * ZIP_MAX_COMPRESSION_RATIO) {
+        throw archiveTooLarge(archiveName, `${name} expands more than ${ZIP_MAX_COMPRESSION_RATIO} times`);
+      }
+      totalSize += entry.size;
+      if (totalSize > ZIP_MAX_TOTAL_SIZE) {
+        throw archiveTooLarge(archiveName, `its files add up to more than ${Math.round(ZIP_MAX_TOTAL_SIZE / 1024 / 1024)}MB`);
+      }
+
+      delete entry.encrypted;
+      entries.push(entry);
+      if (entries.length > ZIP_MAX_FILES) {
+        throw archiveTooLarge(archiveName, `it holds more than ${ZIP_MAX_FILES} images and videos`);
+      }
+    }
+
+    return { entries, skipped };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Stream one entry from readZipEntries into `destPath`, reporting onProgress(percent). Fails when
+// the data does not match the directory (size or CRC-32); a partial file is removed on failure.
+export async function extractZipEntry(zipPath, entry, destPath, { signal, onProgress } = {}) {
+  const handle = await fs.promises.open(zipPath, "r");
+  let dataStart;
+  try {
+    const header = await readAt(handle, entry.offset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw invalidArchive(path.basename(zipPath), `${entry.name} has no local header`);
+    }
+    dataStart = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  } finally {
+    await handle.close();
+  }
+
+  let written = 0;
+  let reported = -1;
+  // zlib.crc32 is only in newer Node versions; without it the size check has to do
+  let crc = zlib.crc32 ? 0 : null;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      if (written > entry.size) {
+        return callback(archiveTooLarge(path.basename(zipPath), `${entry.name} expands beyond its declared size`));
+      }
+      if (crc !== null) crc = zlib.crc32(chunk, crc);
+      const percent = Math.floor((written / entry.size) * 100);
+      if (onProgress && percent !== reported) {
+        reported = percent;
+        onProgress(percent);
+      }
+      callback(null, chunk);
+    },
+  });
+
+  const stages = [fs.createReadStream(zipPath, { start: dataStart, end: dataStart + entry.compressedSize - 1 })];
+  if (entry.method === METHOD_DEFLATED) stages.push(zlib.createInflateRaw());
+
+  try {
+    await pipeline(...stages, limit, fs.createWriteStream(destPath), { signal });
+    if (written !== entry.size || (crc !== null && crc >>> 0 !== entry.crc32)) {
+      throw invalidArchive(path.basename(zipPath), `${entry.name} is damaged`);
+    }
+  } catch (error) {
+    fs.rmSync(destPath, { force: true });
+    throw error;
+  }
+  return written;
+}
@@ -0,0 +1,246 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+
+// Small limits, read when the module loads
+process.env.ZIP_MAX_FILES = "3";
+process.env.ZIP_MAX_FILE_SIZE = "1000";
+process.env.ZIP_MAX_TOTAL_SIZE = "1500";
+
+const { readZipEntries, extractZipEntry, isZipFile } = await import("./zip-archive.js");
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// A .zip with one local header and one central directory record per file. Each file is
+// { name, data, method, flags, size, crc32 }; size and crc32 override the real values.
+function buildZip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const data = Buffer.from(file.data ?? "");
+    const method = file.method ?? STORED;
+    const compressed = method === DEFLATED ? zlib.deflateRawSync(data) : data;
+    const name = Buffer.from(file.name);
+    const flags = (file.flags ?? 0) | 0x800;
+    const crc32 = file.crc32 ?? zlib.crc32(data);
+    const size = file.size ?? data.length;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt32LE(crc32, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(name.length, 26);
+    local.push(header, name, compressed);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(flags, 8);
+    record.writeUInt16LE(method, 10);
+    record.writeUInt32LE(crc32, 16);
+    record.writeUInt32LE(compressed.length, 20);
+    record.writeUInt32LE(size, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.writeUInt32LE(offset, 42);
+    central.push(record, name);
+
+    offset += header.length + name.length + compressed.length;
+  }
+  const directory = Buffer.concat(central);
+  return Buffer.concat([...local, directory, endOfDirectory({ entryCount: files.length, directorySize: directory.length, directoryOffset: offset })]);
+}
+
+function endOfDirectory({ entryCount, directorySize, directoryOffset }) {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(entryCount, 8);
+  record.writeUInt16LE(entryCount, 10);
+  record.writeUInt32LE(directorySize, 12);
+  record.writeUInt32LE(directoryOffset, 16);
+  return record;
+}
+
+let dir;
+let count = 0;
+
+function writeZip(files) {
+  const zipPath = path.join(dir, `archive-${count++}.zip`);
+  fs.writeFileSync(zipPath, Array.isArray(files) ? buildZip(files) : files);
+  return zipPath;
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-archive-"));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("readZipEntries", () => {
+  test("lists images and videos with their folders", async () => {
+    const zipPath = writeZip([
+      { name: "cut-01.mp4", data: "video" },
+      { name: "stills/hero.jpg", data: "image".repeat(20), method: DEFLATED },
+    ]);
+
+    const { entries, skipped } = await readZipEntries(zipPath, "assets.zip");
+
+    expect(entries).toEqual([
+      expect.objectContaining({ name: "cut-01.mp4", fileName: "cut-01.mp4", folderPath: null, mimeType: "video/mp4", size: 5, method: STORED }),
+      expect.objectContaining({ name: "stills/hero.jpg", fileName: "hero.jpg", folderPath: "stills", mimeType: "image/jpeg", size: 100, method: DEFLATED }),
+    ]);
+    expect(skipped).toEqual([]);
+  });
+
+  test("skips folders, system files, other files, unsafe paths, encrypted and empty entries", async () => {
+    const zipPath = writeZip([
+      { name: "stills/" },
+      { name: "__MACOSX/._cut-01.mp4", data: "x" },
+      { name: ".DS_Store", data: "x" },
+      { name: "brief.pdf", data: "x" },
+      { name: "../escape.mp4", data: "x" },
+      { name: "stills/../../escape.jpg", data: "x" },
+      { name: "/etc/cut.mp4", data: "x" },
+      { name: "C:/cut.mp4", data: "x" },
+      { name: "..\\escape.mp4", data: "x" },
+      { name: "secret.mp4", data: "x", flags: 0x1 },
+      { name: "empty.jpg" },
+    ]);
+
+    const { entries, skipped } = await readZipEntries(zipPath);
+
+    expect(entries).toEqual([]);
+    expect(skipped).toEqual([
+      { name: "stills/", reason: "folder" },
+      { name: "__MACOSX/._cut-01.mp4", reason: "system file" },
+      { name: ".DS_Store", reason: "system file" },
+      { name: "brief.pdf", reason: "not an image or video" },
+      { name: "../escape.mp4", reason: "unsafe path" },
+      { name: "stills/../../escape.jpg", reason: "unsafe path" },
+      { name: "/etc/cut.mp4", reason: "unsafe path" },
+      { name: "C:/cut.mp4", reason: "unsafe path" },
+      { name: "../escape.mp4", reason: "unsafe path" },
+      { name: "secret.mp4", reason: "encrypted" },
+      { name: "empty.jpg", reason: "empty" },
+    ]);
+  });
+
+  test("rejects files that are not .zip archives", async () => {
+    await expect(readZipEntries(writeZip(Buffer.from("not a zip")))).rejects.toMatchObject({ code: "ZIP_INVALID", status: 400 });
+  });
+
+  test("rejects a central directory that runs past the end of the file", async () => {
+    const zipPath = writeZip(endOfDirectory({ entryCount: 1, directorySize: 100, directoryOffset: 0 }));
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_INVALID" });
+  });
+
+  test("rejects more media files than ZIP_MAX_FILES", async () => {
+    const zipPath = writeZip(["a", "b", "c", "d"].map((name) => ({ name: `${name}.jpg`, data: "x" })));
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE", status: 413 });
+  });
+
+  test("rejects files larger than ZIP_MAX_FILE_SIZE", async () => {
+    const zipPath = writeZip([{ name: "cut.mp4", data: Buffer.alloc(1001) }]);
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE", message: expect.stringContaining("cut.mp4") });
+  });
+
+  test("rejects archives whose files add up to more than ZIP_MAX_TOTAL_SIZE", async () => {
+    const zipPath = writeZip([
+      { name: "a.mp4", data: Buffer.alloc(800) },
+      { name: "b.mp4", data: Buffer.alloc(800) },
+    ]);
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE", message: expect.stringContaining("add up") });
+  });
+
+  test("rejects entries that expand more than ZIP_MAX_COMPRESSION_RATIO times", async () => {
+    const zipPath = writeZip([{ name: "bomb.mp4", data: "12345", size: 900 }]);
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE", message: expect.stringContaining("expands") });
+  });
+
+  test("rejects a directory with too many entries before reading it", async () => {
+    const zipPath = writeZip(endOfDirectory({ entryCount: 10001, directorySize: 0, directoryOffset: 0 }));
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE" });
+  });
+
+  test("rejects an oversized central directory before reading it", async () => {
+    // Sparse file: a 17MB "directory" followed by the end of central directory record
+    const directorySize = 17 * 1024 * 1024;
+    const zipPath = path.join(dir, "huge-directory.zip");
+    const fd = fs.openSync(zipPath, "w");
+    fs.writeSync(fd, endOfDirectory({ entryCount: 1, directorySize, directoryOffset: 0 }), 0, 22, directorySize);
+    fs.closeSync(fd);
+
+    await expect(readZipEntries(zipPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE", message: expect.stringContaining("central directory") });
+  });
+});
+
+describe("extractZipEntry", () => {
+  const content = "frame ".repeat(50);
+
+  async function entryOf(files, name) {
+    const zipPath = writeZip(files);
+    const { entries } = await readZipEntries(zipPath);
+    return { zipPath, entry: entries.find((entry) => entry.name === name) };
+  }
+
+  test.each([
+    ["stored", STORED],
+    ["deflated", DEFLATED],
+  ])("extracts %s entries and reports progress", async (label, method) => {
+    const { zipPath, entry } = await entryOf([{ name: "cut.mp4", data: content, method }], "cut.mp4");
+    const destPath = path.join(dir, `extracted-${label}`);
+    const progress = [];
+
+    await expect(extractZipEntry(zipPath, entry, destPath, { onProgress: (percent) => progress.push(percent) })).resolves.toBe(content.length);
+    expect(fs.readFileSync(destPath, "utf8")).toBe(content);
+    expect(progress.at(-1)).toBe(100);
+  });
+
+  test("fails on a CRC-32 mismatch and removes the partial file", async () => {
+    const { zipPath, entry } = await entryOf([{ name: "cut.mp4", data: content, crc32: 1 }], "cut.mp4");
+    const destPath = path.join(dir, "extracted-crc");
+
+    await expect(extractZipEntry(zipPath, entry, destPath)).rejects.toMatchObject({ code: "ZIP_INVALID" });
+    expect(fs.existsSync(destPath)).toBe(false);
+  });
+
+  test("stops an entry that writes more than its declared size", async () => {
+    const { zipPath, entry } = await entryOf([{ name: "cut.mp4", data: content, method: DEFLATED }], "cut.mp4");
+    const destPath = path.join(dir, "extracted-oversized");
+
+    await expect(extractZipEntry(zipPath, { ...entry, size: 10 }, destPath)).rejects.toMatchObject({ code: "ZIP_TOO_LARGE" });
+    expect(fs.existsSync(destPath)).toBe(false);
+  });
+
+  test("stops when the signal aborts", async () => {
+    const { zipPath, entry } = await entryOf([{ name: "cut.mp4", data: content }], "cut.mp4");
+    const destPath = path.join(dir, "extracted-aborted");
+
+    await expect(extractZipEntry(zipPath, entry, destPath, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: "AbortError" });
+    expect(fs.existsSync(destPath)).toBe(false);
+  });
+});
+
+describe("isZipFile", () => {
+  test("recognises archives by MIME type or extension", () => {
+    expect(isZipFile({ mimetype: "application/x-zip-compressed", originalname: "assets" })).toBe(true);
+    expect(isZipFile({ mimetype: "application/octet-stream", originalname: "Assets.ZIP" })).toBe(true);
+    expect(isZipFile({ mimetype: "video/mp4", originalname: "cut.mp4" })).toBe(false);
+  });
+});
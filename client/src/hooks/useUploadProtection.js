@@ -6,7 +6,8 @@ import useStore from "../store/useStore";
  *
  * This hook:
  * 1. Prevents browser page unload during uploads
- * 2. Can be used with React Router to prevent route changes
+ * 2. Cancels the upload session on the server when the user leaves anyway
+ * 3. Can be used with React Router to prevent route changes
  *
  * Usage:
  * ```jsx
@@ -18,6 +19,7 @@ import useStore from "../store/useStore";
  */
 export function useUploadProtection() {
   const uploadInProgress = useStore((state) => state.uploadInProgress);
+  const cancelUploadSession = useStore((state) => state.cancelUploadSession);
 
   useEffect(() => {
     const handleBeforeUnload = (e) => {
@@ -28,12 +30,20 @@ export function useUploadProtection() {
       }
     };
 
+    const handlePageHide = () => {
+      if (uploadInProgress) {
+        cancelUploadSession();
+      }
+    };
+
     window.addEventListener("beforeunload", handleBeforeUnload);
+    window.addEventListener("pagehide", handlePageHide);
 
     return () => {
       window.removeEventListener("beforeunload", handleBeforeUnload);
+      window.removeEventListener("pagehide", handlePageHide);
     };
-  }, [uploadInProgress]);
+  }, [uploadInProgress, cancelUploadSession]);
 
   return uploadInProgress;
 }
@@ -90,6 +90,7 @@ const useStore = create(
       // ============= Upload State =============
       uploadedAssets: [],
       uploadInProgress: false,
+      uploadSessionId: null,
 
       addUploadedAsset: (asset) =>
         set(
@@ -104,6 +105,22 @@ const useStore = create(
 
       setUploadInProgress: (inProgress) => set({ uploadInProgress: inProgress }, false, "setUploadInProgress"),
 
+      setUploadSessionId: (sessionId) => set({ uploadSessionId: sessionId }, false, "setUploadSessionId"),
+
+      /**
+       * Stop the server-side work of the active upload session.
+       * keepalive lets the request finish even when the page is being unloaded.
+       */
+      cancelUploadSession: () => {
+        const { uploadSessionId } = get();
+        if (!uploadSessionId) return;
+
+        set({ uploadSessionId: null, uploadInProgress: false }, false, "cancelUploadSession");
+        fetch(`/api/upload-sessions/${encodeURIComponent(uploadSessionId)}`, { method: "DELETE", keepalive: true }).catch((error) =>
+          console.error("Error cancelling upload session:", error)
+        );
+      },
+
       // ============= Ad Copy Data =============
       adCopyData: {},
       updateAdCopyData: (data) => set((state) => ({ adCopyData: { ...state.adCopyData, ...data } }), false, "updateAdCopyData"),
@@ -140,9 +157,11 @@ const useStore = create(
        * Returns true if navigation is allowed, false otherwise
        */
       navigationGuard: (targetName) => {
-        const { uploadInProgress } = get();
+        const { uploadInProgress, cancelUploadSession } = get();
         if (uploadInProgress) {
-          return window.confirm(`Upload in progress. Navigating to "${targetName}" will cancel the upload.\n\nAre you sure you want to continue?`);
+          const confirmed = window.confirm(`Upload in progress. Navigating to "${targetName}" will cancel the upload.\n\nAre you sure you want to continue?`);
+          if (confirmed) cancelUploadSession();
+          return confirmed;
         }
         return true;
       },
@@ -153,6 +172,7 @@ const useStore = create(
           {
             uploadedAssets: [],
             uploadInProgress: false,
+            uploadSessionId: null,
             adCopyData: {},
             createAds: [],
           },
@@ -178,6 +198,7 @@ const useStore = create(
             selectedCountries: [],
             selectedRegions: [],
             uploadInProgress: false,
+            uploadSessionId: null,
           },
           false,
           "resetAll"
@@ -61,6 +61,7 @@ document.addEventListener("DOMContentLoaded", () => {
   checkAuthStatus();
   setupLogout();
   setupFacebookEventListeners();
+  setupGoogleEventListeners();
 
   // Check for Facebook OAuth callback
   const urlParams = new URLSearchParams(window.location.search);
@@ -78,8 +79,35 @@ document.addEventListener("DOMContentLoaded", () => {
     }
     window.history.replaceState({}, document.title, window.location.pathname);
   }
+
+  // Check for Google OAuth callback
+  if (urlParams.get("google_connected") === "true") {
+    if (window.showSuccess) {
+      window.showSuccess("Google Drive connected successfully!", 4000);
+    }
+    window.history.replaceState({}, document.title, window.location.pathname);
+  } else if (urlParams.get("google_error") === "true") {
+    if (window.showError) {
+      window.showError("Failed to connect Google Drive. Please try again.", 5000);
+    }
+    window.history.replaceState({}, document.title, window.location.pathname);
+  }
 });
 
+// Setup Google event listeners: the button connects, or disconnects once connected
+function setupGoogleEventListeners() {
+  const googleConnectBtn = document.getElementById("google-connect-btn");
+  if (googleConnectBtn) {
+    googleConnectBtn.addEventListener("click", () => {
+      if (googleConnectBtn.classList.contains("connected")) {
+        disconnectGoogle();
+      } else {
+        window.location.href = "/auth/google";
+      }
+    });
+  }
+}
+
 // Setup Facebook event listeners
 function setupFacebookEventListeners() {
   // Main Facebook connect button
@@ -128,6 +156,7 @@ class AppStateManager {
       selectedCountries: [],
       selectedRegions: [],
       uploadInProgress: false, // Track active upload state
+      uploadSessionId: null, // Server session of the active upload, cancelled when the user leaves
     };
 
     // Set up upload protection
@@ -154,6 +183,22 @@ class AppStateManager {
     return this.state.uploadInProgress;
   }
 
+  setUploadSession(sessionId) {
+    this.state.uploadSessionId = sessionId;
+  }
+
+  // Stop the server-side work of the active upload. keepalive lets the request outlive the page.
+  cancelUploadSession() {
+    const sessionId = this.state.uploadSessionId;
+    if (!sessionId) return;
+
+    this.state.uploadSessionId = null;
+    this.state.uploadInProgress = false;
+    fetch(`/api/upload-sessions/${encodeURIComponent(sessionId)}`, { method: "DELETE", keepalive: true }).catch((error) =>
+      console.error("Error cancelling upload session:", error)
+    );
+  }
+
   setupUploadProtection() {
     // Prevent page unload during uploads
     window.addEventListener("beforeunload", (e) => {
@@ -164,10 +209,20 @@ class AppStateManager {
       }
     });
 
+    // The user left anyway: cancel the upload on the server
+    window.addEventListener("pagehide", () => {
+      if (this.state.uploadInProgress) {
+        this.cancelUploadSession();
+      }
+    });
+
     // Prevent navigation during uploads (for single-page navigation)
     this.navigationGuard = (targetStep) => {
       if (this.state.uploadInProgress) {
         const confirmed = confirm("Upload in progress. Navigating away will cancel the upload.\n\n" + "Are you sure you want to continue?");
+        if (confirmed) {
+          this.cancelUploadSession();
+        }
         return confirmed;
       }
       return true;
@@ -345,8 +400,9 @@ async function init() {
     // Setup ad set form validation AFTER app is initialized
     setupAdSetFormValidation();
 
-    // Check Facebook connection status and update button
+    // Check Facebook and Google connection status and update buttons
     await checkFacebookConnectionStatus();
+    await checkGoogleConnectionStatus();
   } catch (err) {
     console.log("There was an error initializing the app:", err);
   }
@@ -487,6 +543,56 @@ async function disconnectFacebook() {
   }
 }
 
+// Google OAuth Functions
+async function checkGoogleConnectionStatus() {
+  try {
+    const response = await fetch("/api/google/status");
+    if (!response.ok) throw new Error("Failed to check Google status");
+
+    const data = await response.json();
+    updateGoogleButton(data);
+
+    return data.connected;
+  } catch (error) {
+    console.error("Error checking Google status:", error);
+    return false;
+  }
+}
+
+function updateGoogleButton({ connected, email, usingSharedAccount }) {
+  const btn = document.getElementById("google-connect-btn");
+  const statusText = document.getElementById("google-status-text");
+
+  if (!btn || !statusText) return;
+
+  if (connected) {
+    btn.classList.add("connected");
+    btn.title = `Connected as ${email || "Google user"} - click to disconnect`;
+    statusText.textContent = "Google Drive Connected";
+  } else {
+    btn.classList.remove("connected");
+    btn.title = usingSharedAccount ? "Using the shared Google account - connect your own" : "Connect Google Drive";
+    statusText.textContent = "Connect Google Drive";
+  }
+}
+
+async function disconnectGoogle() {
+  if (!confirm("Are you sure you want to disconnect your Google account?")) {
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/google/disconnect", { method: "POST" });
+    if (!response.ok) throw new Error("Failed to disconnect Google");
+
+    await checkGoogleConnectionStatus();
+    showSuccess("Google account disconnected");
+  } catch (error) {
+    console.error("Error disconnecting Google:", error);
+    showError("Failed to disconnect Google account");
+  }
+}
+
 function clearAdSetForm() {
   const adsetNameInput = document.querySelector(".config-adset-name");
   if (adsetNameInput) {
@@ -1434,7 +1540,8 @@ class UploadForm {
 
         if (!response.ok) {
           console.log("Create ad set api response not ok.");
-          throw new Error(data.error || data.message || `Failed to create ad set: ${responseText}`);
+          const message = data.error || data.message || `Failed to create ad set: ${responseText}`;
+          throw new Error(data.fix ? `${message} ${data.fix}` : message);
         }
 
         console.log("Successfully posted to create ad set api.");
@@ -1653,6 +1760,7 @@ class UploadProgressTracker {
 
   connectToSSE(sessionId) {
     this.sessionId = sessionId;
+    appState.setUploadSession(sessionId);
     this.eventSource = new EventSource(`/api/upload-progress/${sessionId}`);
 
     console.log("Connecting to SSE:", sessionId);
@@ -1686,6 +1794,47 @@ class UploadProgressTracker {
       this.updateFileProgress(data.fileIndex, data.progress, data.stage);
     });
 
+    this.eventSource.addEventListener("file-retry", (event) => {
+      const data = JSON.parse(event.data);
+      console.log("File retry event:", data);
+      const fileData = this.fileProgressMap.get(data.fileIndex) || {};
+      this.updateFileProgress(data.fileIndex, fileData.progress || 0, data.stage);
+    });
+
+    this.eventSource.addEventListener("file-queued", (event) => {
+      const data = JSON.parse(event.data);
+      console.log("File queued event:", data);
+      const fileData = this.fileProgressMap.get(data.fileIndex) || {};
+      this.updateFileProgress(data.fileIndex, fileData.progress || 0, data.stage);
+    });
+
+    // Errors that block the upload arrive as file-error; warnings are shown while the upload goes on
+    this.eventSource.addEventListener("file-validation", (event) => {
+      const data = JSON.parse(event.data);
+      console.log("File validation event:", data);
+      if (data.warnings.length === 0) return;
+      const fileData = this.fileProgressMap.get(data.fileIndex) || {};
+      this.updateFileProgress(data.fileIndex, fileData.progress || 0, `Warning: ${data.warnings.join("; ")}`);
+    });
+
+    this.eventSource.addEventListener("video-processing", (event) => {
+      const data = JSON.parse(event.data);
+      console.log("Video processing event:", data);
+      const fileData = this.fileProgressMap.get(data.fileIndex) || {};
+      const percent = data.progress !== null ? ` (${data.progress}%)` : "";
+      this.updateFileProgress(data.fileIndex, fileData.progress || 0, `Facebook is processing the video${percent}`);
+    });
+
+    this.eventSource.addEventListener("video-ready", (event) => {
+      console.log("Video ready event:", JSON.parse(event.data));
+    });
+
+    this.eventSource.addEventListener("video-error", (event) => {
+      const data = JSON.parse(event.data);
+      console.log("Video error event:", data);
+      this.showFileError(data.fileIndex, data.fileName, `Facebook could not process the video: ${data.error}`);
+    });
+
     this.eventSource.addEventListener("file-complete", (event) => {
       const data = JSON.parse(event.data);
       console.log("File complete event:", data);
@@ -1695,7 +1844,7 @@ class UploadProgressTracker {
     this.eventSource.addEventListener("file-error", (event) => {
       const data = JSON.parse(event.data);
       console.log("File error event:", data);
-      this.showFileError(data.fileIndex, data.fileName, data.error);
+      this.showFileError(data.fileIndex, data.fileName, data.fix ? `${data.error} ${data.fix}` : data.error);
     });
 
     this.eventSource.addEventListener("session-complete", (event) => {
@@ -1716,6 +1865,15 @@ class UploadProgressTracker {
       }
     });
 
+    this.eventSource.addEventListener("session-cancelled", (event) => {
+      const data = JSON.parse(event.data);
+      console.log("Upload session cancelled:", data);
+      appState.setUploadInProgress(false);
+      appState.setUploadSession(null);
+      this.disconnect();
+      window.showWarning?.(`Upload cancelled. ${data.finished} file(s) had already finished.`, 5000);
+    });
+
     this.eventSource.onerror = (error) => {
       console.error("SSE error:", error);
       // Clear upload state on error
@@ -1796,6 +1954,202 @@ class UploadProgressTracker {
 }
 
 // Helper for animated ellipsis
+// Sends a file to the server in fixed-size chunks so a dropped connection only costs the chunk in
+// flight. The server tracks the confirmed offset; after any failure we ask it where to continue.
+class ChunkedUploader {
+  constructor({ maxRetries = 20 } = {}) {
+    this.maxRetries = maxRetries;
+  }
+
+  // Resolves with the upload ID once every byte is on the server
+  async upload(file, onProgress) {
+    const startResponse = await fetch("/api/chunked-uploads", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type,
+        // Lets the server hand back an unfinished upload of the same file after a page reload
+        fingerprint: `${file.name}:${file.size}:${file.lastModified}`,
+      }),
+    });
+    const start = await startResponse.json();
+    if (!startResponse.ok) {
+      throw new Error(start.error || "Could not start upload");
+    }
+
+    const { uploadId, chunkSize } = start;
+    let offset = start.offset;
+    let failures = 0;
+    if (onProgress) onProgress(offset, file.size);
+
+    while (offset < file.size) {
+      try {
+        const response = await fetch(`/api/chunked-uploads/${uploadId}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/octet-stream", "Upload-Offset": String(offset) },
+          body: file.slice(offset, offset + chunkSize),
+        });
+        const data = await response.json();
+
+        if (response.status === 409 && data.code === "UPLOAD_OFFSET_MISMATCH") {
+          offset = data.details.offset;
+          continue;
+        }
+        if (!response.ok) {
+          const error = new Error(data.error || `Chunk upload failed (${response.status})`);
+          error.retryable = data.retryable || response.status >= 500;
+          throw error;
+        }
+
+        offset = data.offset;
+        failures = 0;
+        if (onProgress) onProgress(offset, file.size);
+      } catch (error) {
+        // Network errors (fetch TypeError) have no retryable flag and are always worth retrying
+        if (error.retryable === false || ++failures > this.maxRetries) throw error;
+        console.warn(`Chunk upload of ${file.name} failed (attempt ${failures}/${this.maxRetries}):`, error.message);
+        await this.waitBeforeRetry(failures);
+        offset = await this.fetchOffset(uploadId).catch(() => offset);
+      }
+    }
+
+    return uploadId;
+  }
+
+  async fetchOffset(uploadId) {
+    const response = await fetch(`/api/chunked-uploads/${uploadId}`);
+    if (!response.ok) throw new Error(`Could not read upload status (${response.status})`);
+    return (await response.json()).offset;
+  }
+
+  // Back off exponentially, and hold on until the browser is online again
+  waitBeforeRetry(failures) {
+    if (!navigator.onLine) {
+      return new Promise((resolve) => window.addEventListener("online", resolve, { once: true }));
+    }
+    return new Promise((resolve) => setTimeout(resolve, Math.min(30000, 1000 * 2 ** (failures - 1))));
+  }
+}
+
+// SHA-256 of a file as hex, the value the server stores as a creative's file_hash. Web Crypto only
+// digests a whole buffer, so it is used for files that fit comfortably in memory; larger files are
+// read in slices and fed to Sha256 below, so a multi-GB video is never loaded at once.
+const WEB_CRYPTO_HASH_LIMIT = 256 * 1024 * 1024;
+const HASH_SLICE_SIZE = 8 * 1024 * 1024;
+
+async function hashFile(file, onProgress) {
+  if (window.crypto?.subtle && file.size <= WEB_CRYPTO_HASH_LIMIT) {
+    const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+    if (onProgress) onProgress(file.size, file.size);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  const hash = new Sha256();
+  for (let offset = 0; offset < file.size; offset += HASH_SLICE_SIZE) {
+    hash.update(new Uint8Array(await file.slice(offset, offset + HASH_SLICE_SIZE).arrayBuffer()));
+    if (onProgress) onProgress(Math.min(offset + HASH_SLICE_SIZE, file.size), file.size);
+  }
+  return hash.hex();
+}
+
+// Incremental SHA-256 (FIPS 180-4): update() with any number of byte arrays, then hex(). Words are
+// kept in Int32Arrays so the engine can stay on 32-bit integer arithmetic.
+class Sha256 {
+  static K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]);
+
+  constructor() {
+    this.state = new Int32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    this.words = new Int32Array(64);
+    this.pending = new Uint8Array(64); // Bytes of an incomplete block
+    this.pendingLength = 0;
+    this.length = 0;
+  }
+
+  update(bytes) {
+    this.length += bytes.length;
+    let offset = 0;
+
+    if (this.pendingLength > 0) {
+      offset = Math.min(64 - this.pendingLength, bytes.length);
+      this.pending.set(bytes.subarray(0, offset), this.pendingLength);
+      this.pendingLength += offset;
+      if (this.pendingLength < 64) return this;
+      this.block(this.pending, 0);
+      this.pendingLength = 0;
+    }
+
+    for (; offset + 64 <= bytes.length; offset += 64) {
+      this.block(bytes, offset);
+    }
+    this.pending.set(bytes.subarray(offset));
+    this.pendingLength = bytes.length - offset;
+    return this;
+  }
+
+  block(bytes, offset) {
+    const w = this.words;
+    const K = Sha256.K;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    const s = this.state;
+    let a = s[0], b = s[1], c = s[2], d = s[3], e = s[4], f = s[5], g = s[6], h = s[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    s[0] = (s[0] + a) | 0;
+    s[1] = (s[1] + b) | 0;
+    s[2] = (s[2] + c) | 0;
+    s[3] = (s[3] + d) | 0;
+    s[4] = (s[4] + e) | 0;
+    s[5] = (s[5] + f) | 0;
+    s[6] = (s[6] + g) | 0;
+    s[7] = (s[7] + h) | 0;
+  }
+
+  hex() {
+    // Pad with 0x80, zeros up to 56 bytes into a block, then the length in bits as 64-bit big-endian
+    const bits = this.length * 8;
+    const padding = new Uint8Array((this.pendingLength < 56 ? 64 : 128) - this.pendingLength);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bits / 2 ** 32));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    this.update(padding);
+    return Array.from(this.state, (word) => (word >>> 0).toString(16).padStart(8, "0")).join("");
+  }
+}
+
 class AnimatedEllipsis {
   constructor() {
     this.intervals = new Map();
@@ -2587,8 +2941,20 @@ class FileUploadHandler {
 
       uploadPromises.push(gdrivePromise);
     }
-    const imageFiles = localFiles.filter((file) => file.type && file.type.startsWith("image/"));
-    const videoFiles = localFiles.filter((file) => file.type && file.type.startsWith("video/"));
+
+    // Files the library already has are not uploaded again
+    animatedEllipsis.start(button, "Checking files against the library");
+    const { knownResults, libraryMatches, remainingFiles } = await this.precheckLocalFiles(localFiles, account_id);
+    animatedEllipsis.start(button, `Processing ${totalFiles} file${totalFiles > 1 ? "s" : ""}`);
+    if (knownResults.length > 0) {
+      uploadPromises.push(Promise.resolve(knownResults));
+    }
+    if (libraryMatches.length > 0) {
+      uploadPromises.push(this.uploadFromLibrary(libraryMatches, account_id, sessionId));
+    }
+
+    const imageFiles = remainingFiles.filter((file) => file.type && file.type.startsWith("image/"));
+    const videoFiles = remainingFiles.filter((file) => file.type && file.type.startsWith("video/"));
 
     if (imageFiles.length > 0) {
       const imageFormData = new FormData();
@@ -2604,19 +2970,7 @@ class FileUploadHandler {
     }
 
     if (videoFiles.length > 0) {
-      const videoFormData = new FormData();
-      videoFiles.forEach((file) => videoFormData.append("file", file));
-      videoFormData.append("account_id", account_id);
-      if (sessionId) {
-        videoFormData.append("sessionId", sessionId);
-      }
-
-      uploadPromises.push(
-        fetch("/api/upload-videos", {
-          body: videoFormData,
-          method: "POST",
-        }).then((res) => res.json())
-      );
+      uploadPromises.push(this.uploadVideosResumable(videoFiles, account_id, sessionId));
     }
 
     try {
@@ -2740,6 +3094,95 @@ class FileUploadHandler {
     }
   }
 
+  // Send videos to the server in resumable chunks, then let /api/upload-videos process the
+  // assembled files. Files go one at a time so a slow connection is not split across all of them.
+  async uploadVideosResumable(videoFiles, account_id, sessionId) {
+    const uploader = new ChunkedUploader();
+    const uploadIds = [];
+
+    for (const [index, file] of videoFiles.entries()) {
+      this.progressTracker.startFileProgress(index, file.name);
+      const uploadId = await uploader.upload(file, (sent, total) => {
+        this.progressTracker.updateFileProgress(index, Math.round((sent / total) * 100), "Uploading to server");
+      });
+      uploadIds.push(uploadId);
+    }
+
+    const response = await fetch("/api/upload-videos", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ uploadIds, account_id, sessionId }),
+    });
+    return response.json();
+  }
+
+  // Hash local files and ask the server which ones it already has, so they are not transferred
+  // again. Files already on the ad account come back as finished upload results; files only in the
+  // library are sent to the account from there (uploadFromLibrary); the rest still need uploading.
+  // If anything goes wrong here every file is simply uploaded.
+  async precheckLocalFiles(localFiles, account_id) {
+    const none = { knownResults: [], libraryMatches: [], remainingFiles: localFiles };
+    if (localFiles.length === 0) return none;
+
+    try {
+      const hashes = [];
+      for (const file of localFiles) {
+        hashes.push(await hashFile(file));
+      }
+
+      const response = await fetch("/api/creative-library/precheck", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          account_id,
+          files: localFiles.map((file, index) => ({ hash: hashes[index], size: file.size, name: file.name })),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Library check failed (${response.status})`);
+
+      const knownResults = [];
+      const libraryMatches = [];
+      const remainingFiles = [];
+      data.files.forEach((match, index) => {
+        const file = localFiles[index];
+        if (match.status === "uploaded") {
+          knownResults.push({ status: "fulfilled", value: match.result });
+        } else if (match.status === "library") {
+          libraryMatches.push({ file, creativeId: match.creativeId });
+        } else {
+          remainingFiles.push(file);
+        }
+      });
+      console.log(`Library check: ${knownResults.length} already on the account, ${libraryMatches.length} in the library, ${remainingFiles.length} to upload`);
+      return { knownResults, libraryMatches, remainingFiles };
+    } catch (error) {
+      console.warn("Library check failed, uploading every file:", error);
+      return none;
+    }
+  }
+
+  // Send files the library already has to the ad account without uploading them again
+  async uploadFromLibrary(libraryMatches, account_id, sessionId) {
+    try {
+      const response = await fetch("/api/upload-library-creatives", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ creativeIds: libraryMatches.map((match) => match.creativeId), account_id, sessionId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to upload library creatives");
+
+      // One result per creative ID, in order; report them under the local file names
+      return data.results.map((result, index) =>
+        result.status === "fulfilled" ? { ...result, value: { ...result.value, file: libraryMatches[index].file.name } } : result
+      );
+    } catch (error) {
+      console.error("Error uploading files from the library:", error);
+      return libraryMatches.map(({ file }) => ({ status: "rejected", creativeId: file.name, reason: error.message }));
+    }
+  }
+
   async uploadAdditionalFiles(files, account_id) {
     this.showLoadingState();
 
@@ -2750,6 +3193,9 @@ class FileUploadHandler {
     // Initialize uploadPromises array
     const uploadPromises = [];
 
+    // Additional files report to the session of the first upload
+    const sessionId = this.progressTracker.sessionId;
+
     const button = document.querySelector('[data-step="3"] .continue-btn');
 
     // Update button text to show total files being processed
@@ -2839,8 +3285,20 @@ class FileUploadHandler {
 
       uploadPromises.push(gdrivePromise);
     }
-    const imageFiles = localFiles.filter((file) => file.type && file.type.startsWith("image/"));
-    const videoFiles = localFiles.filter((file) => file.type && file.type.startsWith("video/"));
+
+    // Files the library already has are not uploaded again
+    animatedEllipsis.start(button, "Checking files against the library");
+    const { knownResults, libraryMatches, remainingFiles } = await this.precheckLocalFiles(localFiles, account_id);
+    animatedEllipsis.start(button, `Processing ${totalFiles} file${totalFiles > 1 ? "s" : ""}`);
+    if (knownResults.length > 0) {
+      uploadPromises.push(Promise.resolve(knownResults));
+    }
+    if (libraryMatches.length > 0) {
+      uploadPromises.push(this.uploadFromLibrary(libraryMatches, account_id, sessionId));
+    }
+
+    const imageFiles = remainingFiles.filter((file) => file.type && file.type.startsWith("image/"));
+    const videoFiles = remainingFiles.filter((file) => file.type && file.type.startsWith("video/"));
 
     if (imageFiles.length > 0) {
       const imageFormData = new FormData();
@@ -2856,19 +3314,7 @@ class FileUploadHandler {
     }
 
     if (videoFiles.length > 0) {
-      const videoFormData = new FormData();
-      videoFiles.forEach((file) => videoFormData.append("file", file));
-      videoFormData.append("account_id", account_id);
-      if (sessionId) {
-        videoFormData.append("sessionId", sessionId);
-      }
-
-      uploadPromises.push(
-        fetch("/api/upload-videos", {
-          body: videoFormData,
-          method: "POST",
-        }).then((res) => res.json())
-      );
+      uploadPromises.push(this.uploadVideosResumable(videoFiles, account_id, sessionId));
     }
 
     try {
@@ -3284,7 +3730,7 @@ class FileUploadHandler {
 
           if (successful.length === 0) {
             // All ads failed - extract error messages
-            const errorMessages = failed.map((f) => f.reason?.message || f.reason || "Unknown error");
+            const errorMessages = failed.map((f) => [f.reason?.message || f.reason || "Unknown error", f.reason?.fix].filter(Boolean).join(" "));
             const uniqueErrors = [...new Set(errorMessages)];
             const errorDetail = uniqueErrors.join("\n");
             throw new Error(`All ad creations failed:\n\n${errorDetail}`);
@@ -3295,7 +3741,7 @@ class FileUploadHandler {
             const totalCount = data.length;
 
             // Extract error messages
-            const errorMessages = failed.map((f) => f.reason?.message || f.reason || "Unknown error");
+            const errorMessages = failed.map((f) => [f.reason?.message || f.reason || "Unknown error", f.reason?.fix].filter(Boolean).join(" "));
 
             // Show partial success screen with warning
             this.showSuccessScreen(successCount, failCount, errorMessages);
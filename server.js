@@ -3,9 +3,9 @@ import fs from "fs";
 import axios from "axios";
 import express from "express";
 import path, { dirname } from "path";
+import { pipeline } from "stream/promises";
 import { fileURLToPath } from "url";
 import multer from "multer";
-import FormData from "form-data";
 import ffmpeg from "fluent-ffmpeg";
 import dotenv from "dotenv";
 import passport from "passport";
@@ -13,16 +13,51 @@ import session from "express-session";
 import cors from "cors";
 import helmet from "helmet";
 import compression from "compression";
-import { google } from "googleapis";
-import { OAuth2Client } from "google-auth-library";
-import { CreativeDB, CreativeAccountDB, BatchDB } from "./backend/utils/database.js";
-import { processCreative, updateCreativeThumbnail, getCreativeFilePath, getThumbnailFilePath } from "./backend/utils/creative-utils.js";
+import crypto from "crypto";
+import { CreativeDB, CreativeAccountDB, BatchDB, VideoUploadDB } from "./backend/utils/database.js";
+import {
+  processCreative,
+  updateCreativeThumbnail,
+  getCreativeFilePath,
+  getThumbnailFilePath,
+  getUploadRendition,
+  createAspectVariant,
+} from "./backend/utils/creative-utils.js";
 import { FacebookCacheDB } from "./backend/utils/facebook-cache-db.js";
 import { FacebookAuthDB } from "./backend/utils/facebook-auth-db.js";
+import { GoogleAuthDB } from "./backend/utils/google-auth-db.js";
 import { UserDB } from "./backend/auth/auth-db.js";
 import { configurePassport, ensureAuthenticated, ensureAuthenticatedAPI, ensureNotAuthenticated } from "./backend/auth/passport-config.js";
 import { validateRequest, loginRateLimiter, apiRateLimiter } from "./backend/middleware/validation.js";
 import { getPaths } from "./backend/utils/paths.js";
+import { MetaGraphClient, getAccessToken, getUserAccessToken, formatAdAccountId, FacebookTokenError } from "./backend/utils/meta-graph-client.js";
+import { MetaThrottle } from "./backend/utils/meta-throttle.js";
+import { executeBatch, batchRequest, batchGetAll } from "./backend/utils/meta-batch.js";
+import { fieldsFor, compatibleEnumValue, checkApiVersionLifecycle } from "./backend/utils/meta-api-version.js";
+import { AppError, classifyError, errorBody, sendError } from "./backend/utils/meta-errors.js";
+import { ChunkedUploads, CHUNK_SIZE } from "./backend/utils/chunked-uploads.js";
+import { JobQueue } from "./backend/utils/job-queue.js";
+import { Scheduler } from "./backend/utils/scheduler.js";
+import { MEDIA_VALIDATION_MODE } from "./backend/utils/media-validation.js";
+import { ASPECT_RATIOS } from "./backend/utils/aspect-variants.js";
+import { sweepTempFiles, startTempSweeper, holdTempFiles } from "./backend/utils/temp-sweeper.js";
+import {
+  listFolder,
+  getFolderTree,
+  flattenMediaFiles,
+  FOLDER_MIME_TYPE,
+  GOOGLE_SCOPES,
+  createOAuthClient,
+  getDriveClient,
+} from "./backend/utils/google-drive.js";
+import {
+  getImportSource,
+  listImportSources,
+  isMediaType,
+  writeImport,
+  IMPORT_MAX_FILES,
+} from "./backend/utils/import-sources.js";
+import { isZipFile, readZipEntries, extractZipEntry } from "./backend/utils/zip-archive.js";
 import { setupHttpsServer } from "./backend/utils/https-config.js";
 
 // ffmpeg set up
@@ -54,6 +89,25 @@ const upload = multer({
   },
 });
 
+// Upload routes also accept a JSON body with `uploadIds` of finished resumable uploads
+// (see /api/chunked-uploads) in place of multipart files
+function chunkedUploadFiles(req, res, next) {
+  const { uploadIds } = req.body || {};
+  if (req.files?.length > 0 || !Array.isArray(uploadIds) || uploadIds.length === 0) {
+    return next();
+  }
+  if (uploadIds.length > 50) {
+    return res.status(400).json({ error: "Maximum 50 files can be processed per request" });
+  }
+
+  try {
+    req.files = ChunkedUploads.finishAll(uploadIds, getUserId(req));
+    next();
+  } catch (error) {
+    sendError(res, error, "Failed to read uploaded files");
+  }
+}
+
 // Express server set up
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -173,38 +227,16 @@ app.use(express.json({ limit: "50mb" }));
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/uploads", express.static(paths.uploads));
 
-// Apply rate limiting to API routes
-app.use("/api/", apiRateLimiter);
+// Apply rate limiting to API routes. Chunks of a resumable upload are exempt: a multi-GB file
+// is hundreds of requests, and the upload itself was created through a rate-limited call.
+app.use("/api/", (req, res, next) => {
+  if (req.method === "PATCH" && req.path.startsWith("/chunked-uploads/")) return next();
+  apiRateLimiter(req, res, next);
+});
 
-// Facebook Graph API credentials
-const api_version = "v24.0";
-const access_token = process.env.META_ACCESS_TOKEN;
+// Facebook Graph API credentials (base URL, version and tokens are handled by the Graph client)
 const system_user_id = process.env.META_SYSTEM_USER_ID;
 
-// Helper function to get access token (user-specific or system user fallback)
-async function getAccessToken(userId = null) {
-  // If userId is provided, try to get user-specific token first
-  if (userId) {
-    try {
-      const tokenData = await FacebookAuthDB.getValidToken(userId);
-      if (tokenData) {
-        console.log(`Using user-specific token for user ${userId}`);
-        return tokenData.access_token;
-      }
-    } catch (error) {
-      console.error("Error fetching user token, falling back to system token:", error);
-    }
-  }
-
-  // Fallback to system user token
-  if (!access_token) {
-    throw new Error("No Facebook access token available. Please connect your Facebook account or configure META_ACCESS_TOKEN.");
-  }
-
-  console.log("Using system user token");
-  return access_token;
-}
-
 // Helper function to get user ID from request
 function getUserId(req) {
   if (process.env.NODE_ENV === "development") {
@@ -213,12 +245,19 @@ function getUserId(req) {
   return req.user?.id || null;
 }
 
-// Google OAuth2 setup
-const oauth2Client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET, process.env.GOOGLE_REDIRECT_URI);
-
-oauth2Client.setCredentials({
-  refresh_token: process.env.GOOGLE_REFRESH_TOKEN,
-});
+// Resolve the logged-in user's Facebook token for Graph writes. Responds 401 and returns null
+// when the user has no valid token, so writes never silently run as the system user.
+async function requireUserAccessToken(req, res) {
+  try {
+    return await getUserAccessToken(getUserId(req));
+  } catch (error) {
+    if (error instanceof FacebookTokenError) {
+      sendError(res, error);
+      return null;
+    }
+    throw error;
+  }
+}
 
 // SSE Upload Progress Management
 const uploadSessions = new Map();
@@ -237,7 +276,12 @@ class CircuitBreaker {
   async call(fn) {
     if (this.state === "OPEN") {
       if (Date.now() < this.nextAttempt) {
-        throw new Error(`Circuit breaker is OPEN for ${this.name}`);
+        throw new AppError("SERVICE_UNAVAILABLE", `${this.name} is temporarily unavailable. Please try again later.`, {
+          status: 503,
+          category: "transient",
+          fix: "Wait a minute and try again.",
+          retryable: true,
+        });
       }
       this.state = "HALF_OPEN";
     }
@@ -330,19 +374,28 @@ function sendSSE(res, event, data) {
   if (res.flush) res.flush();
 }
 
-function createUploadSession() {
-  const sessionId = Date.now().toString(36) + Math.random().toString(36);
+// `userId` owns the session: only they may watch or cancel it
+function createUploadSession(userId, sessionId = Date.now().toString(36) + Math.random().toString(36)) {
   uploadSessions.set(sessionId, {
     sessionId,
+    userId,
     totalFiles: 0,
     processedFiles: 0,
     currentFile: null,
     clients: new Set(),
     errors: [],
+    // Aborted by DELETE /api/upload-sessions/:sessionId; work outside the job queue listens to it
+    controller: new AbortController(),
   });
   return sessionId;
 }
 
+// The request's own upload session `sessionId`, or a new one when it is missing or another user's
+function uploadSessionFor(req, sessionId) {
+  const userId = getUserId(req);
+  return uploadSessions.get(sessionId)?.userId === userId ? sessionId : createUploadSession(userId);
+}
+
 function broadcastToSession(sessionId, event, data) {
   const session = uploadSessions.get(sessionId);
   if (!session) {
@@ -452,6 +505,84 @@ app.get(
   }
 );
 
+// Google OAuth routes: each user connects their own Google account for Drive imports
+app.get("/auth/google", ensureAuthenticated, (req, res) => {
+  const state = crypto.randomBytes(16).toString("hex");
+  req.session.googleOAuthState = state;
+
+  // prompt=consent makes Google send a refresh token even if the app was approved before
+  const url = createOAuthClient().generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    scope: GOOGLE_SCOPES,
+    state,
+  });
+  res.redirect(url);
+});
+
+app.get("/auth/google/callback", ensureAuthenticated, async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || "https://localhost:3000";
+  const { code, state, error } = req.query;
+  const expectedState = req.session.googleOAuthState;
+  delete req.session.googleOAuthState;
+
+  if (error || !code || !state || state !== expectedState) {
+    console.error("Google OAuth callback rejected:", error || "missing code or state mismatch");
+    return res.redirect(`${frontendUrl}?google_error=true`);
+  }
+
+  try {
+    const client = createOAuthClient();
+    const { tokens } = await client.getToken(code);
+    if (!tokens.refresh_token) throw new Error("Google returned no refresh token");
+    const ticket = await client.verifyIdToken({ idToken: tokens.id_token, audience: process.env.GOOGLE_CLIENT_ID });
+
+    await GoogleAuthDB.saveTokens(getUserId(req), {
+      email: ticket.getPayload().email,
+      refreshToken: tokens.refresh_token,
+      accessToken: tokens.access_token,
+      expiryDate: tokens.expiry_date,
+      scope: tokens.scope,
+    });
+    res.redirect(`${frontendUrl}?google_connected=true`);
+  } catch (err) {
+    console.error("Google OAuth callback failed:", err.message);
+    res.redirect(`${frontendUrl}?google_error=true`);
+  }
+});
+
+// Check Google connection status. usingSharedAccount: Drive falls back to GOOGLE_REFRESH_TOKEN.
+app.get("/api/google/status", ensureAuthenticatedAPI, async (req, res) => {
+  try {
+    const token = await GoogleAuthDB.getToken(getUserId(req));
+    res.json({
+      connected: Boolean(token),
+      email: token?.google_email || null,
+      usingSharedAccount: !token && Boolean(process.env.GOOGLE_REFRESH_TOKEN),
+    });
+  } catch (error) {
+    console.error("Error checking Google status:", error);
+    sendError(res, error, "Failed to check Google connection status");
+  }
+});
+
+// Disconnect Google: revoke the grant at Google (best effort) and forget the tokens
+app.post("/api/google/disconnect", ensureAuthenticatedAPI, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const token = await GoogleAuthDB.getToken(userId);
+    if (token) {
+      await createOAuthClient()
+        .revokeToken(token.refresh_token)
+        .catch((error) => console.error(`Revoking the Google token of user ${userId} failed:`, error.message));
+      await GoogleAuthDB.deleteToken(userId);
+    }
+    res.json({ message: "Google account disconnected successfully" });
+  } catch (error) {
+    console.error("Error disconnecting Google:", error);
+    sendError(res, error, "Failed to disconnect Google account");
+  }
+});
 
 // Check Facebook connection status
 app.get("/api/facebook/status", ensureAuthenticatedAPI, async (req, res) => {
@@ -508,7 +639,7 @@ app.post("/api/facebook/sync", ensureAuthenticatedAPI, async (req, res) => {
     // Get user's access token
     const tokenData = await FacebookAuthDB.getValidToken(userId);
     if (!tokenData) {
-      return res.status(401).json({ error: "Facebook not connected. Please connect your Facebook account first." });
+      return sendError(res, new FacebookTokenError("Facebook not connected. Please connect your Facebook account first."));
     }
 
     const userAccessToken = tokenData.access_token;
@@ -516,49 +647,23 @@ app.post("/api/facebook/sync", ensureAuthenticatedAPI, async (req, res) => {
     // Wrap all Facebook API calls in circuit breaker
     await circuitBreakers.facebook.call(async () => {
       // Fetch businesses
-      const businessesUrl = `https://graph.facebook.com/${api_version}/me/businesses`;
-      const businessesResponse = await axios.get(businessesUrl, {
-        params: {
-          fields: "id,name",
-          access_token: userAccessToken,
-        },
-      });
-
-      const businesses = businessesResponse.data.data || [];
+      const businesses = await MetaGraphClient.getAll("me/businesses", { fields: "id,name" }, { accessToken: userAccessToken });
       for (const business of businesses) {
         await FacebookAuthDB.saveBusiness(business.id, userId, business.name);
       }
 
-      // Add small delay between calls to respect rate limits
-      await new Promise((resolve) => setTimeout(resolve, 500));
-
       // Fetch ad accounts
-      const adAccountsUrl = `https://graph.facebook.com/${api_version}/me/adaccounts`;
-      const adAccountsResponse = await axios.get(adAccountsUrl, {
-        params: {
-          fields: "id,account_id,name,currency,timezone_name,business",
-          access_token: userAccessToken,
-        },
-      });
-
-      const adAccounts = adAccountsResponse.data.data || [];
+      const adAccounts = await MetaGraphClient.getAll(
+        "me/adaccounts",
+        { fields: fieldsFor("userAdAccount") },
+        { accessToken: userAccessToken }
+      );
       for (const account of adAccounts) {
         await FacebookAuthDB.saveAdAccount(account.id, account.account_id, userId, account.business?.id || null, account.name, account.currency, account.timezone_name);
       }
 
-      // Add small delay between calls to respect rate limits
-      await new Promise((resolve) => setTimeout(resolve, 500));
-
       // Fetch pages
-      const pagesUrl = `https://graph.facebook.com/${api_version}/me/accounts`;
-      const pagesResponse = await axios.get(pagesUrl, {
-        params: {
-          fields: "id,name,access_token",
-          access_token: userAccessToken,
-        },
-      });
-
-      const pages = pagesResponse.data.data || [];
+      const pages = await MetaGraphClient.getAll("me/accounts", { fields: "id,name,access_token" }, { accessToken: userAccessToken });
       for (const page of pages) {
         await FacebookAuthDB.savePage(page.id, userId, page.name, page.access_token);
       }
@@ -574,32 +679,8 @@ app.post("/api/facebook/sync", ensureAuthenticatedAPI, async (req, res) => {
   } catch (error) {
     console.error("Error syncing Facebook data:", error);
 
-    // Check if it's a rate limit error
-    const isRateLimitError =
-      error.response?.status === 400 &&
-      (error.response?.data?.error?.code === 80004 || // Rate limit error code
-        error.response?.data?.error?.message?.includes("too many calls"));
-
-    if (isRateLimitError) {
-      return res.status(429).json({
-        error: "Facebook rate limit exceeded",
-        message: "Too many API calls. Please wait a few minutes and try again.",
-        retryAfter: 300, // Suggest retry after 5 minutes
-      });
-    }
-
-    // Check if circuit breaker is open
-    if (error.message?.includes("Circuit breaker is OPEN")) {
-      return res.status(503).json({
-        error: "Service temporarily unavailable",
-        message: "Facebook API is temporarily unavailable. Please try again later.",
-      });
-    }
-
-    res.status(500).json({
-      error: "Failed to sync Facebook data",
-      details: error.response?.data || error.message,
-    });
+    // Rate limits, open circuit breaker and Meta errors all map to the shared error shape
+    sendError(res, error, "Failed to sync Facebook data");
   }
 });
 
@@ -747,9 +828,34 @@ app.delete("/api/meta-cache", async (req, res) => {
   }
 });
 
+// Meta API usage per ad account, as reported by the Graph usage headers
+app.get("/api/meta-usage", (req, res) => {
+  const { account_id } = req.query;
+  res.json(MetaThrottle.getUsage(account_id ? formatAdAccountId(account_id) : null));
+});
+
+// Concurrency limits and current load of the ffmpeg, download and Meta transfer queues
+app.get("/api/scheduler", (req, res) => {
+  res.json(Scheduler.stats());
+});
+
+// Dry run of the temp file sweep: what would be deleted now. ?maxAgeHours= overrides the configured age.
+app.get("/api/temp-files/report", async (req, res) => {
+  try {
+    const maxAgeHours = req.query.maxAgeHours === undefined ? undefined : parseFloat(req.query.maxAgeHours);
+    if (maxAgeHours !== undefined && !(maxAgeHours >= 0)) {
+      return sendError(res, new AppError("INVALID_MAX_AGE", "maxAgeHours must be a number of hours", { status: 400 }));
+    }
+    res.json(await sweepTempFiles({ dryRun: true, maxAgeHours }));
+  } catch (error) {
+    console.error("Error building temp file report:", error);
+    sendError(res, error, "Failed to build temp file report");
+  }
+});
+
 // Create upload session endpoint
 app.post("/api/create-upload-session", (req, res) => {
-  const sessionId = createUploadSession();
+  const sessionId = createUploadSession(getUserId(req));
   const session = uploadSessions.get(sessionId);
 
   if (req.body.totalFiles) {
@@ -760,45 +866,330 @@ app.post("/api/create-upload-session", (req, res) => {
 });
 
 // SSE endpoint for upload progress
-app.get("/api/upload-progress/:sessionId", (req, res) => {
-  const { sessionId } = req.params;
-  const session = uploadSessions.get(sessionId);
+app.get("/api/upload-progress/:sessionId", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    let session = uploadSessions.get(sessionId);
+    if (session && session.userId !== getUserId(req)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
 
-  if (!session) {
-    return res.status(404).json({ error: "Session not found" });
+    if (!session) {
+      // After a restart the session is gone but its jobs carry on: let the client reconnect to them
+      const jobs = await JobQueue.list({ userId: getUserId(req), sessionId });
+      if (jobs.length === 0) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      session = uploadSessions.get(createUploadSession(getUserId(req), sessionId));
+      session.totalFiles = jobs.length;
+      session.processedFiles = jobs.filter((job) => job.status !== "queued" && job.status !== "running").length;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+
+    session.clients.add(res);
+
+    sendSSE(res, "connected", {
+      sessionId,
+      totalFiles: session.totalFiles,
+      processedFiles: session.processedFiles,
+    });
+
+    const keepAlive = setInterval(() => {
+      res.write(":keep-alive\n\n");
+    }, 30000);
+
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      session.clients.delete(res);
+
+      if (session.clients.size === 0) {
+        setTimeout(() => {
+          if (session.clients.size === 0) {
+            uploadSessions.delete(sessionId);
+          }
+        }, 60000);
+      }
+    });
+  } catch (error) {
+    console.error("Error in upload progress stream:", error);
+    sendError(res, error, "Failed to open upload progress stream");
   }
+});
 
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-    "Access-Control-Allow-Origin": "*",
-  });
+// Cancel an upload session: queued files never start and running ones are aborted, which cancels
+// their Meta requests and downloads and kills their ffmpeg runs. Temp files of the cancelled files
+// are removed; files that finished keep their library and ad account records.
+app.delete("/api/upload-sessions/:sessionId", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = uploadSessions.get(sessionId);
+    if (session && session.userId !== getUserId(req)) {
+      return sendError(res, new AppError("SESSION_NOT_FOUND", "Upload session not found", { status: 404 }));
+    }
+    const jobs = await JobQueue.list({ userId: getUserId(req), sessionId, limit: 10000 });
+    if (!session && jobs.length === 0) {
+      return sendError(res, new AppError("SESSION_NOT_FOUND", "Upload session not found", { status: 404 }));
+    }
 
-  session.clients.add(res);
+    session?.controller.abort(new AppError("SESSION_CANCELLED", "The upload was cancelled", { status: 409 }));
 
-  sendSSE(res, "connected", {
-    sessionId,
-    totalFiles: session.totalFiles,
-    processedFiles: session.processedFiles,
-  });
+    const cancelled = [];
+    for (const job of jobs) {
+      if (job.status !== "queued" && job.status !== "running") continue;
+      if (!(await JobQueue.cancel(job.id))) continue;
 
-  const keepAlive = setInterval(() => {
-    res.write(":keep-alive\n\n");
-  }, 30000);
+      const { file, item, entry, fileId, index, creativeId, accountId, ratio } = job.payload;
+      // The uploaded file the job was given; jobs remove their own downloads and renders
+      if (file?.path && path.resolve(file.path).startsWith(paths.uploads + path.sep)) {
+        fs.rmSync(file.path, { force: true });
+      }
+      cancelled.push({
+        jobId: job.id,
+        fileIndex: index ?? null,
+        fileName: file?.originalname || item?.name || entry?.fileName || fileId || null,
+        ...(creativeId !== undefined && { creativeId, accountId, ratio }),
+      });
+    }
 
-  req.on("close", () => {
-    clearInterval(keepAlive);
-    session.clients.delete(res);
+    const finished = jobs.filter((job) => job.status === "succeeded").length;
+    broadcastToSession(sessionId, "session-cancelled", { sessionId, cancelled, finished });
+    console.log(`Upload session ${sessionId} cancelled: ${cancelled.length} file(s) stopped, ${finished} already finished`);
 
-    if (session.clients.size === 0) {
-      setTimeout(() => {
-        if (session.clients.size === 0) {
-          uploadSessions.delete(sessionId);
-        }
-      }, 60000);
+    res.json({ sessionId, cancelled, finished });
+  } catch (error) {
+    console.error("Error cancelling upload session:", error);
+    sendError(res, error, "Failed to cancel upload session");
+  }
+});
+
+// Resumable uploads: create (or resume by fingerprint), then PATCH chunks with an Upload-Offset header
+app.post("/api/chunked-uploads", (req, res) => {
+  try {
+    const upload = ChunkedUploads.create(getUserId(req), req.body);
+    res.status(upload.resumed ? 200 : 201).json({
+      uploadId: upload.id,
+      offset: upload.offset,
+      size: upload.fileSize,
+      chunkSize: CHUNK_SIZE,
+      resumed: upload.resumed,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to start upload");
+  }
+});
+
+app.get("/api/chunked-uploads/:uploadId", (req, res) => {
+  const upload = ChunkedUploads.get(req.params.uploadId, getUserId(req));
+  if (!upload) {
+    return sendError(res, new AppError("UPLOAD_NOT_FOUND", "Upload not found", { status: 404, fix: "Start the upload again." }));
+  }
+  res.json({ uploadId: upload.id, offset: upload.offset, size: upload.fileSize, complete: upload.complete });
+});
+
+app.patch("/api/chunked-uploads/:uploadId", async (req, res) => {
+  const offset = Number(req.get("Upload-Offset"));
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendError(res, new AppError("UPLOAD_INVALID", "A numeric Upload-Offset header is required."));
+  }
+
+  try {
+    const upload = await ChunkedUploads.appendChunk(req.params.uploadId, getUserId(req), offset, req);
+    res.json({ uploadId: upload.id, offset: upload.offset, size: upload.fileSize, complete: upload.complete });
+  } catch (error) {
+    // A dropped connection is expected here; the client asks for the offset and resumes
+    if (!req.destroyed) {
+      console.error(`Error receiving chunk for upload ${req.params.uploadId}:`, error.message);
     }
-  });
+    sendError(res, error, "Failed to store chunk");
+  }
+});
+
+app.delete("/api/chunked-uploads/:uploadId", (req, res) => {
+  if (!ChunkedUploads.remove(req.params.uploadId, getUserId(req))) {
+    return sendError(res, new AppError("UPLOAD_NOT_FOUND", "Upload not found", { status: 404 }));
+  }
+  res.json({ message: "Upload discarded" });
+});
+
+// Durable upload jobs (see backend/utils/job-queue.js). Workers start once the server listens.
+JobQueue.register("upload-file", runUploadFileJob);
+JobQueue.register("upload-video", runVideoUploadJob);
+JobQueue.register("google-drive-file", runGoogleDriveFileJob);
+JobQueue.register("import-file", runImportFileJob);
+JobQueue.register("archive-entry", runArchiveEntryJob);
+
+// Files still waiting for a worker report their place in line to their upload session
+JobQueue.onQueuePosition((job, { position, waiting }) => {
+  if (job.type === "fan-out-upload") {
+    const { creativeId, accountId } = job.payload;
+    return cellReporter(job.session_id, creativeId, accountId)("queued", { queue: "worker", position, waiting });
+  }
+  if (job.type === "aspect-variant") {
+    const { creativeId, ratio } = job.payload;
+    return variantReporter(job.session_id, creativeId, ratio)("queued", { queue: "worker", position, waiting });
+  }
+  const fileName = job.payload.file?.originalname || job.payload.item?.name || job.payload.fileId;
+  queueReporter(job.session_id, job.payload.index, fileName)?.({ resource: "worker", position, waiting });
+});
+
+function presentJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    sessionId: job.session_id,
+    result: job.result,
+    error: job.error,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+  };
+}
+
+// Jobs of the current user, optionally filtered by ?sessionId= and ?status=
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const { sessionId, status } = req.query;
+    const jobs = await JobQueue.list({ userId: getUserId(req), sessionId, status });
+    res.json(jobs.map(presentJob));
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    sendError(res, error, "Failed to fetch jobs");
+  }
+});
+
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = await JobQueue.get(req.params.id);
+    if (!job || job.user_id !== getUserId(req)) {
+      return sendError(res, new AppError("JOB_NOT_FOUND", "Job not found", { status: 404 }));
+    }
+    res.json(presentJob(job));
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    sendError(res, error, "Failed to fetch job");
+  }
+});
+
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  try {
+    const job = await JobQueue.get(req.params.id);
+    if (!job || job.user_id !== getUserId(req)) {
+      return sendError(res, new AppError("JOB_NOT_FOUND", "Job not found", { status: 404 }));
+    }
+    if (!(await JobQueue.cancel(job.id))) {
+      return sendError(res, new AppError("JOB_FINISHED", `Job already ${job.status}`, { status: 409 }));
+    }
+    res.json(presentJob(await JobQueue.get(job.id)));
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    sendError(res, error, "Failed to cancel job");
+  }
+});
+
+// Continue Meta video uploads that were mid-transfer when the server stopped. They run in the
+// background within the scheduler's Meta transfer limits; each ends up "finished" for the next
+// upload of its file to claim.
+async function resumeInterruptedVideoUploads() {
+  try {
+    const interrupted = await VideoUploadDB.getByStatus(["transferring"]);
+    if (interrupted.length === 0) return;
+
+    console.log(`Resuming ${interrupted.length} interrupted Meta video upload(s)...`);
+    await Promise.all(
+      interrupted
+        .filter((record) => !MetaGraphClient.isVideoUploadActive(record.id))
+        .map(async (record) => {
+          try {
+            const videoId = await MetaGraphClient.resumeVideoUpload(record.id);
+            console.log(`Resumed video upload ${record.id} (${record.file_name}): video ${videoId}`);
+          } catch (error) {
+            console.error(`Could not resume video upload ${record.id} (${record.file_name}):`, error.message);
+          }
+        })
+    );
+  } catch (error) {
+    console.error("Error resuming interrupted video uploads:", error);
+  }
+}
+
+// Meta video upload sessions of the current user that are unfinished or waiting to be claimed
+app.get("/api/video-upload-sessions", async (req, res) => {
+  try {
+    const records = await VideoUploadDB.getByStatus(["transferring", "failed", "finished"], getUserId(req));
+    res.json(
+      records.map((record) => ({
+        id: record.id,
+        adAccountId: record.ad_account_id,
+        fileName: record.file_name,
+        fileSize: record.file_size,
+        videoId: record.video_id,
+        offset: record.start_offset,
+        percent: Math.round((record.start_offset / record.file_size) * 100),
+        status: record.status,
+        active: MetaGraphClient.isVideoUploadActive(record.id),
+        error: record.error,
+        updatedAt: record.updated_at,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching video upload sessions:", error);
+    sendError(res, error, "Failed to fetch video upload sessions");
+  }
+});
+
+// Resume one stored video upload. Answers right away; progress shows up in the list above.
+app.post("/api/video-upload-sessions/:id/resume", async (req, res) => {
+  try {
+    const record = await VideoUploadDB.getById(req.params.id);
+    if (!record || record.user_id !== getUserId(req)) {
+      return sendError(res, new AppError("VIDEO_UPLOAD_NOT_FOUND", "Video upload not found", { status: 404 }));
+    }
+    if (record.status === "finished" || record.status === "complete") {
+      return res.json({ id: record.id, status: record.status, videoId: record.video_id });
+    }
+    if (MetaGraphClient.isVideoUploadActive(record.id)) {
+      return sendError(res, new AppError("VIDEO_UPLOAD_ACTIVE", "This video upload is already in progress", { status: 409 }));
+    }
+
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
+    MetaGraphClient.resumeVideoUpload(record.id, { accessToken }).catch((error) => {
+      console.error(`Resume of video upload ${record.id} failed:`, error.message);
+    });
+
+    res.status(202).json({ id: record.id, status: "transferring", offset: record.start_offset });
+  } catch (error) {
+    console.error("Error resuming video upload:", error);
+    sendError(res, error, "Failed to resume video upload");
+  }
+});
+
+// Meta's processing state of an uploaded video, checked live and stored for the library
+app.get("/api/video-status/:videoId", async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
+    const status = await MetaGraphClient.getVideoStatus(videoId, { accessToken });
+    await CreativeAccountDB.updateVideoStatus(videoId, status.state, status.error);
+    const stored = await CreativeAccountDB.getVideoStatus(videoId);
+
+    res.json({ videoId, ...status, creativeId: stored?.creative_id ?? null, adAccountId: stored?.ad_account_id ?? null });
+  } catch (error) {
+    console.error("Error fetching video status:", error);
+    sendError(res, error, "Failed to fetch video status");
+  }
 });
 
 // DEPRECATED: Fetch ad account data with caching (OLD SYSTEM - use /api/meta-data instead)
@@ -898,38 +1289,10 @@ app.get("/api/meta-data", async (req, res) => {
       // Get user's Facebook data from OAuth system
       const userData = await FacebookAuthDB.getUserFacebookData(userId);
       
-      // Fetch campaigns for all user's ad accounts
-      const campaignsPromises = userData.adAccounts.map(account => 
-        fetchCampaigns(account.id, userId).catch(err => {
-          console.error(`Error fetching campaigns for ${account.id}:`, err);
-          return [];
-        })
-      );
-      
-      const campaignsResults = await Promise.all(campaignsPromises);
-      const allCampaigns = campaignsResults.flat();
-      
-      // Fetch ad sets for all campaigns
-      const adsetsPromises = allCampaigns.map(campaign => 
-        fetchAdSets(campaign.id, campaign.account_id, userId).catch(err => {
-          console.error(`Error fetching ad sets for campaign ${campaign.id}:`, err);
-          return [];
-        })
-      );
-      
-      const adsetsResults = await Promise.all(adsetsPromises);
-      const allAdSets = adsetsResults.flat();
-      
-      // Fetch pixels for all user's ad accounts
-      const pixelsPromises = userData.adAccounts.map(account => 
-        fetchPixels(account.id, userId).catch(err => {
-          console.error(`Error fetching pixels for ${account.id}:`, err);
-          return null;
-        })
-      );
-      
-      const pixelsResults = await Promise.all(pixelsPromises);
-      const allPixels = pixelsResults.filter(p => p !== null);
+      // Fetch campaigns and pixels for all user's ad accounts, then ad sets for all campaigns
+      const accountIds = userData.adAccounts.map((account) => account.id);
+      const [allCampaigns, allPixels] = await Promise.all([fetchCampaigns(accountIds, userId), fetchPixels(accountIds, userId)]);
+      const allAdSets = await fetchAdSets(allCampaigns, userId);
       
       // Save all fetched data to cache for faster subsequent requests
       try {
@@ -964,7 +1327,7 @@ app.get("/api/meta-data", async (req, res) => {
     }
   } catch (error) {
     console.error("Error in /api/meta-data:", error);
-    res.status(500).json({ error: error.message, isConnected: false });
+    res.status(classifyError(error).status).json({ ...errorBody(error), isConnected: false });
   }
 });
 
@@ -1033,7 +1396,6 @@ app.get("/api/creatives", async (req, res) => {
 app.post("/api/campaigns", async (req, res) => {
   try {
     const { account_id, name, objective, daily_budget, status, special_ad_categories } = req.body;
-    const userId = getUserId(req);
 
     // Validate required fields
     if (!account_id || !name || !objective) {
@@ -1045,18 +1407,15 @@ app.post("/api/campaigns", async (req, res) => {
     // Ensure account_id has 'act_' prefix (Facebook requires it for API calls)
     const formattedAccountId = account_id.startsWith('act_') ? account_id : `act_${account_id}`;
 
-    // Get OAuth token
-    const token = await getAccessToken(userId);
+    // Get the user's OAuth token (writes are never made with the system token)
+    const token = await requireUserAccessToken(req, res);
+    if (!token) return;
 
-    // Create campaign via Facebook Graph API using FormData (as per Meta's documentation)
-    const campaignUrl = `https://graph.facebook.com/${api_version}/${formattedAccountId}/campaigns`;
-    
     // Use FormData for proper array/object serialization (matches Meta's curl -F examples)
     const formData = new URLSearchParams();
     formData.append('name', name);
-    formData.append('objective', objective);
+    formData.append('objective', compatibleEnumValue('objective', objective));
     formData.append('status', status || 'PAUSED');
-    formData.append('access_token', token);
     
     // Meta requires special_ad_categories as JSON string when empty
     formData.append('special_ad_categories', JSON.stringify(special_ad_categories || []));
@@ -1068,27 +1427,20 @@ app.post("/api/campaigns", async (req, res) => {
     }
 
     console.log('Creating campaign:', { 
-      url: campaignUrl, 
-      data: Object.fromEntries(formData.entries()).access_token = '***'
+      account: formattedAccountId, 
+      data: Object.fromEntries(formData.entries())
     });
 
-    const response = await axios.post(campaignUrl, formData, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-    });
+    // Create campaign via Facebook Graph API
+    const response = await MetaGraphClient.post(`${formattedAccountId}/campaigns`, formData, { accessToken: token });
 
     // Fetch the newly created campaign with full details
-    const newCampaignId = response.data.id;
-    const campaignDetailsUrl = `https://graph.facebook.com/${api_version}/${newCampaignId}`;
-    const detailsResponse = await axios.get(campaignDetailsUrl, {
-      params: {
-        fields: "id,account_id,name,objective,status,daily_budget,bid_strategy,created_time,special_ad_categories",
-        access_token: token,
-      },
-    });
-
-    const newCampaign = detailsResponse.data;
+    const newCampaignId = response.id;
+    const newCampaign = await MetaGraphClient.get(
+      newCampaignId,
+      { fields: fieldsFor("createdCampaign") },
+      { accessToken: token }
+    );
 
     // Save to cache
     try {
@@ -1106,104 +1458,164 @@ app.post("/api/campaigns", async (req, res) => {
 
   } catch (error) {
     console.error("Error creating campaign:", error.response?.data || error);
-    res.status(500).json({ 
-      error: error.response?.data?.error?.message || error.message,
-      details: error.response?.data || null
-    });
+    sendError(res, error, "Failed to create campaign");
   }
 });
 
-// POST /api/upload - Unified upload endpoint for images and videos
-app.post("/api/upload", upload.array("files", 50), async (req, res) => {
+// Job "upload-file" (POST /api/upload): upload one image or video to Meta and record it in the library
+async function runUploadFileJob({ file, index, totalFiles, accountId, sessionId }, { job, signal }) {
+  const accessToken = await getUserAccessToken(job.user_id);
+
   try {
-    const files = req.files;
-    const { account_id, adset_id } = req.body;
+    // Determine if video or image
+    const isVideo = file.mimetype.startsWith("video");
+
+    // Broadcast progress
+    broadcastToSession(sessionId, "progress", {
+      current: index + 1,
+      total: totalFiles,
+      currentFile: file.originalname,
+      status: "processing",
+    });
 
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
-    }
+    // Add the file to the library (deduplicated and validated) before it goes to Meta
+    const creativeResult = await processCreative(file, accountId);
+    reportValidation(sessionId, index, file.originalname, creativeResult.validation);
 
-    if (!account_id) {
-      return res.status(400).json({ error: "account_id is required" });
+    if (creativeResult.isDuplicate) {
+      const { facebook_video_id, facebook_image_hash } = creativeResult.facebookIds;
+      return {
+        filename: file.originalname,
+        success: true,
+        facebookId: isVideo ? facebook_video_id : facebook_image_hash,
+        isDuplicate: true,
+      };
     }
 
-    // Create SSE session for progress tracking
-    const sessionId = createUploadSession();
-    const session = uploadSessions.get(sessionId);
-    
-    session.totalFiles = files.length;
-    session.processedFiles = 0;
-
-    // Send session ID back immediately
-    res.json({ 
+    // The library file, or its MP4 rendition when it needs converting
+    const uploadPath = await uploadPathFor(creativeResult.creative, {
       sessionId,
-      message: "Upload started",
-      totalFiles: files.length 
+      fileIndex: index,
+      fileName: file.originalname,
+      adAccountId: accountId,
+      signal,
     });
 
-    // Broadcast session start
-    broadcastToSession(sessionId, "session-start", {
-      sessionId,
-      totalFiles: files.length,
-    });
+    let facebookId;
 
-    // Process uploads asynchronously
-    const results = [];
+    if (isVideo) {
+      // Upload video to Facebook
+      facebookId = await MetaGraphClient.uploadVideo({ ...file, path: uploadPath }, accountId, {
+        ...uploadReporters(sessionId, index, file.originalname),
+        accessToken,
+        userId: job.user_id,
+        signal,
+      });
+      await CreativeAccountDB.recordUpload(creativeResult.creative.id, accountId, { videoId: facebookId });
+      watchVideoProcessing(facebookId, { sessionId, fileIndex: index, fileName: file.originalname, accessToken });
+    } else {
+      // Upload image to Facebook
+      facebookId = await MetaGraphClient.uploadImage(uploadPath, accountId, {
+        accessToken,
+        onRetry: retryReporter(sessionId, index, file.originalname),
+        onQueued: queueReporter(sessionId, index, file.originalname),
+        signal,
+      });
+      await CreativeAccountDB.recordUpload(creativeResult.creative.id, accountId, { imageHash: facebookId });
+    }
+
+    return {
+      filename: file.originalname,
+      success: true,
+      facebookId,
+      isDuplicate: false,
+    };
+  } finally {
+    const session = uploadSessions.get(sessionId);
+    if (session) session.processedFiles++;
+  }
+}
+
+// POST /api/upload - Unified upload endpoint for images and videos. A .zip of them counts as one of
+// the 50 files; with createBatches=true its media go into a batch named after the archive.
+app.post("/api/upload", upload.array("files", 50), chunkedUploadFiles, async (req, res) => {
+  try {
+    const { account_id } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+
+    if (!account_id) {
+      return res.status(400).json({ error: "account_id is required" });
+    }
+
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
+    const createBatches = req.body.createBatches === true || req.body.createBatches === "true";
+    const { plainFiles: files, archives } = await readUploadedArchives(req.files, { createBatches });
+    const totalFiles = files.length + archives.reduce((count, archive) => count + archive.entries.length, 0);
+
+    // Create SSE session for progress tracking
+    const sessionId = createUploadSession(getUserId(req));
+    const session = uploadSessions.get(sessionId);
     
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      
-      try {
-        // Determine if video or image
-        const isVideo = file.mimetype.startsWith("video");
-        
-        // Broadcast progress
-        broadcastToSession(sessionId, "progress", {
-          current: i + 1,
-          total: files.length,
-          currentFile: file.originalname,
-          status: "processing",
-        });
+    session.totalFiles = totalFiles;
+    session.processedFiles = 0;
 
-        let uploadResult;
-        
-        if (isVideo) {
-          // Upload video to Facebook
-          uploadResult = await uploadVideoToMeta(file, account_id);
-        } else {
-          // Upload image to Facebook
-          const imageHash = await uploadImageToMeta(file.path, account_id);
-          uploadResult = { hash: imageHash, success: true };
-        }
+    // One durable job per file; the work survives a restart
+    const jobIds = [];
+    for (const [index, file] of files.entries()) {
+      jobIds.push(
+        await JobQueue.enqueue(
+          "upload-file",
+          { file, index, totalFiles, accountId: account_id, sessionId },
+          { userId: getUserId(req), sessionId }
+        )
+      );
+    }
+    jobIds.push(
+      ...(await enqueueArchiveEntries(archives, {
+        firstIndex: files.length,
+        totalFiles,
+        accountId: account_id,
+        sessionId,
+        userId: getUserId(req),
+      }))
+    );
 
-        // Save to creative library database
-        const creative = await CreativeDB.create({
-          name: file.originalname,
-          type: isVideo ? "VIDEO" : "IMAGE",
-          filePath: file.path,
-          facebookId: uploadResult.id || uploadResult.hash,
-          accounts: [account_id],
-          adsetId: adset_id || null,
-        });
+    // Send session ID back immediately
+    res.json({ 
+      sessionId,
+      jobIds,
+      message: "Upload started",
+      totalFiles,
+      skipped: skippedArchiveEntries(archives),
+    });
 
-        results.push({
-          filename: file.originalname,
-          success: true,
-          facebookId: uploadResult.id || uploadResult.hash,
-          isDuplicate: false,
-        });
+    // Broadcast session start
+    broadcastToSession(sessionId, "session-start", {
+      sessionId,
+      totalFiles,
+    });
 
-      } catch (error) {
-        console.error(`Error uploading ${file.originalname}:`, error);
-        results.push({
-          filename: file.originalname,
-          success: false,
-          error: error.message,
-        });
+    const jobs = await JobQueue.waitFor(jobIds);
+    removeArchives(archives);
+    const results = jobs.map((job) => {
+      if (job.status !== "succeeded") {
+        const filename = job.payload.file?.originalname ?? job.payload.entry.fileName;
+        return { filename, success: false, cancelled: job.status === "cancelled", ...job.error };
       }
-      
-      session.processedFiles = i + 1;
-    }
+      if (job.type !== "archive-entry") return job.result;
+      return {
+        filename: job.result.file,
+        archive: job.result.archive,
+        success: true,
+        facebookId: job.result.videoId || job.result.imageHash,
+        isDuplicate: job.result.isDuplicate,
+      };
+    });
 
     // Broadcast completion
     const successCount = results.filter(r => r.success).length;
@@ -1218,7 +1630,7 @@ app.post("/api/upload", upload.array("files", 50), async (req, res) => {
 
   } catch (error) {
     console.error("Error in /api/upload:", error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, "Upload failed");
   }
 });
 
@@ -1303,31 +1715,9 @@ async function fetchMetaDataFresh(userId = null) {
         console.log(`Successfully fetched ad account data assigned to system user id ${system_user_id}:`, adAccounts);
       }
 
-      const dataPromises = adAccounts.flatMap((account) => {
-        return Promise.all([fetchCampaigns(account.id, userId), fetchPixels(account.id, userId)]).then(async ([campaigns, pixels]) => {
-          // Fetch ad sets for each campaign
-          const adsetsPromises = campaigns.map(campaign => 
-            fetchAdSets(campaign.id, campaign.account_id, userId).catch(err => {
-              console.error(`Error fetching ad sets for campaign ${campaign.id}:`, err);
-              return [];
-            })
-          );
-          const adsetsResults = await Promise.all(adsetsPromises);
-          const adsets = adsetsResults.flat();
-          
-          return {
-            campaigns,
-            pixels,
-            adsets,
-          };
-        });
-      });
-
-      const results = await Promise.all(dataPromises);
-
-      const allCampaigns = results.flatMap((accountData) => accountData.campaigns);
-      const allPixels = results.flatMap((accountData) => accountData.pixels);
-      const allAdSets = results.flatMap((accountData) => accountData.adsets);
+      const accountIds = adAccounts.map((account) => account.id);
+      const [allCampaigns, allPixels] = await Promise.all([fetchCampaigns(accountIds, userId), fetchPixels(accountIds, userId)]);
+      const allAdSets = await fetchAdSets(allCampaigns, userId);
 
       // Save to cache using single transaction (including ad sets)
       await FacebookCacheDB.saveAllData(adAccounts, pages, allCampaigns, allPixels, allAdSets);
@@ -1357,26 +1747,14 @@ async function fetchAdAccounts(userId = null) {
     if (userId) {
       const isConnected = await FacebookAuthDB.isConnected(userId);
       if (isConnected) {
-        const userAdAccURL = `https://graph.facebook.com/${api_version}/me/adaccounts`;
-        const adAccResponse = await axios.get(userAdAccURL, {
-          params: {
-            fields: "name,id,account_id",
-            access_token: token,
-          },
-        });
-        return { adAccounts: adAccResponse.data.data };
+        const adAccounts = await MetaGraphClient.getAll("me/adaccounts", { fields: fieldsFor("adAccount") }, { accessToken: token });
+        return { adAccounts };
       }
     }
 
     // Fallback to system user method
-    const adAccURL = `https://graph.facebook.com/${api_version}/${system_user_id}/assigned_ad_accounts`;
-    const adAccResponse = await axios.get(adAccURL, {
-      params: {
-        fields: "name,id,account_id",
-        access_token: token,
-      },
-    });
-    return { adAccounts: adAccResponse.data.data };
+    const adAccounts = await MetaGraphClient.getAll(`${system_user_id}/assigned_ad_accounts`, { fields: fieldsFor("adAccount") }, { accessToken: token });
+    return { adAccounts };
   } catch (err) {
     console.error("There was an error fetching assigned ad accounts.", err);
     return { adAccounts: [] };
@@ -1393,26 +1771,14 @@ async function fetchAssignedPages(userId = null) {
       if (userId) {
         const isConnected = await FacebookAuthDB.isConnected(userId);
         if (isConnected) {
-          const userPagesUrl = `https://graph.facebook.com/${api_version}/me/accounts`;
-          const response = await axios.get(userPagesUrl, {
-            params: {
-              fields: "name,id",
-              access_token: token,
-            },
-          });
-          return { pages: response.data.data };
+          const pages = await MetaGraphClient.getAll("me/accounts", { fields: fieldsFor("page") }, { accessToken: token });
+          return { pages };
         }
       }
 
       // Fallback to system user method
-      const pagesUrl = `https://graph.facebook.com/${api_version}/${system_user_id}/assigned_pages`;
-      const response = await axios.get(pagesUrl, {
-        params: {
-          fields: "name,id",
-          access_token: token,
-        },
-      });
-      return { pages: response.data.data };
+      const pages = await MetaGraphClient.getAll(`${system_user_id}/assigned_pages`, { fields: fieldsFor("page") }, { accessToken: token });
+      return { pages };
     });
   } catch (err) {
     console.error(`There was an error fetching assigned pages:`, err);
@@ -1420,203 +1786,225 @@ async function fetchAssignedPages(userId = null) {
   }
 }
 
-async function fetchCampaigns(account_id, userId = null) {
-  const campaignUrl = `https://graph.facebook.com/${api_version}/${account_id}/campaigns`;
-
+// Campaigns, ad sets and pixels are read with batched Graph calls (one sub-request per parent)
+// instead of one HTTP request per account or campaign
+async function fetchCampaigns(accountIds, userId = null) {
   try {
-    const token = await getAccessToken(userId);
-    const campaignResponse = await axios.get(campaignUrl, {
-      params: {
-        fields: "account_id,id,name,bid_strategy,special_ad_categories,status,objective,insights{spend,clicks,impressions},daily_budget,created_time",
-        access_token: token,
-      },
+    const byAccount = await batchGetAll(
+      accountIds,
+      "campaigns",
+      { fields: fieldsFor("campaign") },
+      { userId }
+    );
+
+    return accountIds.flatMap((accountId) => {
+      const campaigns = byAccount.get(accountId);
+      if (campaigns instanceof Error) {
+        console.error(`Error fetching campaigns for account ${accountId}:`, campaigns.message);
+        return [];
+      }
+      return campaigns;
     });
-    return campaignResponse.data.data;
   } catch (err) {
-    console.error(`Error fetching campaigns for account ${account_id}:`, err);
+    console.error("Error fetching campaigns:", err);
     return [];
   }
 }
 
-// Fetch ad sets for a campaign
-async function fetchAdSets(campaign_id, account_id, userId = null) {
-  const adsetUrl = `https://graph.facebook.com/${api_version}/${campaign_id}/adsets`;
-  
+// Fetch ad sets for a list of campaigns
+async function fetchAdSets(campaigns, userId = null) {
   try {
-    const token = await getAccessToken(userId);
-    const adsetResponse = await axios.get(adsetUrl, {
-      params: {
-        fields: "id,name,status,daily_budget,bid_strategy,optimization_goal,billing_event,created_time,insights{spend,clicks,impressions}",
-        access_token: token,
-      },
+    const byCampaign = await batchGetAll(
+      campaigns.map((campaign) => campaign.id),
+      "adsets",
+      { fields: fieldsFor("adset") },
+      { userId }
+    );
+
+    return campaigns.flatMap((campaign) => {
+      const adsets = byCampaign.get(campaign.id);
+      if (adsets instanceof Error) {
+        console.error(`Error fetching ad sets for campaign ${campaign.id}:`, adsets.message);
+        return [];
+      }
+
+      // Add campaign_id and account_id to each ad set for proper tracking
+      return adsets.map((adset) => ({
+        ...adset,
+        campaign_id: campaign.id,
+        account_id: campaign.account_id,
+      }));
     });
-    
-    // Add campaign_id and account_id to each ad set for proper tracking
-    const adsets = adsetResponse.data.data.map(adset => ({
-      ...adset,
-      campaign_id: campaign_id,
-      account_id: account_id
-    }));
-    
-    return adsets;
   } catch (err) {
-    console.error(`Error fetching ad sets for campaign ${campaign_id}:`, err);
+    console.error("Error fetching ad sets:", err);
     return [];
   }
 }
 
-// Fetch pixels for ad account
-async function fetchPixels(account_id, userId = null) {
-  const pixelUrl = `https://graph.facebook.com/${api_version}/${account_id}/`;
-
+// Fetch pixels for ad accounts
+async function fetchPixels(accountIds, userId = null) {
   try {
-    const token = await getAccessToken(userId);
-    const params = {
-      fields: "account_id,adspixels{name,id}",
-      access_token: token,
-    };
+    const byAccount = await batchGetAll(accountIds, "adspixels", { fields: fieldsFor("pixel") }, { userId });
 
-    const pixelResponse = await axios.get(pixelUrl, { params });
+    return accountIds.flatMap((accountId) => {
+      const pixels = byAccount.get(accountId);
+      if (pixels instanceof Error) {
+        console.error(`Error fetching pixels for account ${accountId}:`, pixels.message);
+        return [];
+      }
 
-    if (pixelResponse.status === 200) {
-      console.log("Successfully fetched pixels.");
-      return pixelResponse.data;
-    } else {
-      console.log("Fetch pixels failed in if else block.");
-      return null;
-    }
+      // Keep the ad account node shape that FacebookCacheDB expects
+      return [
+        {
+          id: accountId,
+          account_id: accountId.replace(/^act_/, ""),
+          adspixels: { data: pixels },
+        },
+      ];
+    });
   } catch (err) {
-    console.error(`Error fetching pixels for account ${account_id}:`, err);
-    return null;
+    console.error("Error fetching pixels:", err);
+    return [];
   }
 }
 
-// Global helper function to upload image to Meta
-async function uploadImageToMeta(filePath, adAccountId) {
-  const imageUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/adimages`;
-
-  try {
-    const fd = new FormData();
-    fd.append("source", fs.createReadStream(filePath));
-    fd.append("access_token", access_token);
+// Relay Graph client chunk progress and retry attempts to an upload session
+// as file-progress / file-retry events
+function uploadReporters(sessionId, fileIndex, fileName) {
+  if (!sessionId) return {};
+
+  return {
+    onProgress: ({ chunk, totalChunks, percent }) => {
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex,
+        fileName,
+        stage: `Uploading video chunk ${chunk}/${totalChunks}`,
+        progress: 30 + Math.round(percent * 0.6), // Scale from 30% to 90%
+      });
+    },
+    onRetry: retryReporter(sessionId, fileIndex, fileName),
+    onQueued: queueReporter(sessionId, fileIndex, fileName),
+  };
+}
 
-    const response = await axios.post(imageUrl, fd, {
-      headers: {
-        ...fd.getHeaders(),
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
+function retryReporter(sessionId, fileIndex, fileName) {
+  if (!sessionId) return undefined;
+
+  return ({ phase, chunk, totalChunks, attempt, maxAttempts, delayMs, error }) => {
+    const step = chunk ? `chunk ${chunk}/${totalChunks}` : phase || "request";
+    broadcastToSession(sessionId, "file-retry", {
+      fileIndex,
+      fileName,
+      step,
+      attempt,
+      maxAttempts,
+      delayMs,
+      ...errorBody(error),
+      stage: `Meta error on ${step}, retrying (attempt ${attempt}/${maxAttempts})`,
     });
-
-    console.log("Successfully uploaded image to Meta!");
-    const images = response.data.images;
-    const dynamicKey = Object.keys(images)[0];
-    const imageHash = images[dynamicKey].hash;
-
-    return imageHash;
-  } catch (err) {
-    console.log("Error uploading image:", err.response?.data || err.message);
-    throw err;
-  }
+  };
 }
 
-// Global helper function to upload video to Meta
-async function uploadVideoToMeta(file, adAccountId) {
-  const fileStats = fs.statSync(file.path);
-  const fileSize = fileStats.size;
-
-  // Use resumable upload for files > 20MB
-  if (fileSize > 20 * 1024 * 1024) {
-    return await uploadLargeVideoToMeta(file, adAccountId);
-  }
-
-  // Regular upload for smaller files
-  const upload_url = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
+// Follow Meta's processing of an uploaded video in the background. The state is stored per account
+// in creative_accounts and sent to the upload session as video-processing, video-ready and
+// video-error events. Resolves with the final status; never rejects.
+function watchVideoProcessing(videoId, { sessionId, fileIndex, fileName, accessToken, userId } = {}) {
+  return MetaGraphClient.waitForVideoReady(videoId, {
+    accessToken,
+    userId,
+    onStatus: (status) => {
+      CreativeAccountDB.updateVideoStatus(videoId, status.state, status.error).catch((error) =>
+        console.error(`Failed to store status of video ${videoId}:`, error.message)
+      );
+      broadcastToSession(sessionId, `video-${status.state}`, { fileIndex, fileName, videoId, ...status });
+    },
+  }).catch((error) => {
+    // Processing errors were reported through onStatus; a timeout or a failed status check leaves
+    // the video in processing and ad creation checks it again
+    console.error(`Video ${videoId} did not become ready:`, error.message);
+    const body = errorBody(error);
+    return { state: body.code === "META_VIDEO_PROCESSING_FAILED" ? "error" : "processing", error: body.error };
+  });
+}
 
-  try {
-    const fd = new FormData();
-    fd.append("source", fs.createReadStream(file.path));
-    fd.append("name", file.originalname);
-    fd.append("access_token", access_token);
+const QUEUE_STAGES = {
+  worker: "Waiting for a free worker",
+  ffmpeg: "Waiting to create thumbnail",
+  download: "Waiting to download",
+  "meta-transfer": "Waiting to upload to Meta",
+};
 
-    const response = await axios.post(upload_url, fd, {
-      headers: {
-        ...fd.getHeaders(),
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
+// Relay a file's place in the job queue or a scheduler queue as file-queued events
+function queueReporter(sessionId, fileIndex, fileName) {
+  if (!sessionId) return undefined;
+
+  return ({ resource, position, waiting }) => {
+    broadcastToSession(sessionId, "file-queued", {
+      fileIndex,
+      fileName,
+      queue: resource,
+      position,
+      waiting,
+      stage: `${QUEUE_STAGES[resource]} (${position} of ${waiting} in line)`,
     });
-
-    console.log("Successfully uploaded video to Meta!");
-    return response.data.id;
-  } catch (err) {
-    console.log("Error uploading video to Facebook:", err.response?.data || err.message);
-    throw err;
-  }
+  };
 }
 
-// Global helper function for large video uploads
-async function uploadLargeVideoToMeta(file, adAccountId) {
-  const fileStats = fs.statSync(file.path);
-  const fileSize = fileStats.size;
-
-  const initUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
+// Error that stops the upload of media Meta would reject, or null. Only strict validation mode blocks.
+function mediaValidationError(validation, fileName) {
+  if (!validation || validation.ok || MEDIA_VALIDATION_MODE !== "strict") return null;
+  return new AppError("MEDIA_INVALID", `${fileName} does not meet Meta's media specs: ${validation.errors.join("; ")}`, {
+    status: 422,
+    fix: "Re-export the file within the listed limits and upload it again.",
+    details: { errors: validation.errors, warnings: validation.warnings },
+  });
+}
 
-  try {
-    const initResponse = await axios.post(initUrl, {
-      upload_phase: "start",
-      file_size: fileSize,
-      access_token,
+// Send a file's pre-flight validation (media-validation.js) to the upload session as a
+// file-validation event, and throw MEDIA_INVALID when strict mode rejects it
+function reportValidation(sessionId, fileIndex, fileName, validation) {
+  if (!validation) return;
+
+  if (sessionId) {
+    broadcastToSession(sessionId, "file-validation", {
+      fileIndex,
+      fileName,
+      ok: validation.ok,
+      skipped: Boolean(validation.skipped),
+      errors: validation.errors,
+      warnings: validation.warnings,
+      placements: validation.placements,
     });
+  }
 
-    const { upload_session_id, video_id } = initResponse.data;
-
-    const chunkSize = 4 * 1024 * 1024; // 4MB chunks
-    let offset = 0;
-
-    while (offset < fileSize) {
-      const endChunk = Math.min(offset + chunkSize, fileSize);
-      const chunk = fs.createReadStream(file.path, {
-        start: offset,
-        end: endChunk - 1,
-      });
-
-      const fd = new FormData();
-      fd.append("video_file_chunk", chunk);
-      fd.append("upload_phase", "transfer");
-      fd.append("upload_session_id", upload_session_id);
-      fd.append("start_offset", offset.toString());
-      fd.append("access_token", access_token);
-
-      await axios.post(initUrl, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
-
-      offset = endChunk;
-    }
-
-    await axios.post(initUrl, {
-      upload_phase: "finish",
-      upload_session_id: upload_session_id,
-      access_token,
-      title: file.originalname,
-    });
+  const error = mediaValidationError(validation, fileName);
+  if (error) throw error;
+}
 
-    return video_id;
-  } catch (err) {
-    console.log("Error uploading large video to Facebook:", err.response?.data || err.message);
-    throw err;
-  }
+// Path of the file to send to Meta for a library creative: the original, or its H.264/AAC MP4
+// rendition when transcoding applies. Conversion progress goes to the upload session.
+async function uploadPathFor(creative, { sessionId, fileIndex, fileName, adAccountId, onQueued, signal } = {}) {
+  const rendition = await getUploadRendition(creative, {
+    adAccountId,
+    signal,
+    onQueued: onQueued || queueReporter(sessionId, fileIndex, fileName),
+    onProgress: (percent) =>
+      sessionId &&
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex,
+        fileName,
+        stage: `Converting video to MP4 (${percent}%)`,
+        progress: Math.round(5 + percent / 20),
+      }),
+  });
+  return getCreativeFilePath(rendition);
 }
 
-// Global helper function to get thumbnail from video
-async function getThumbnailFromVideo(file) {
+// Global helper function to get thumbnail from video. ffmpeg runs wait for a scheduler slot;
+// options.adAccountId counts the run against that account and options.onQueued reports the position.
+async function getThumbnailFromVideo(file, { adAccountId, onQueued, signal } = {}) {
   const videoPath = file.path;
-  const thumbnailDir = path.join(__dirname, "uploads", "thumbnails");
+  const thumbnailDir = paths.tempThumbnails;
   const thumbnailName = `thumb-${Date.now()}-${path.basename(file.originalname, path.extname(file.originalname))}.png`;
   const thumbnailPath = path.join(thumbnailDir, thumbnailName);
 
@@ -1629,52 +2017,56 @@ async function getThumbnailFromVideo(file) {
     fs.mkdirSync(thumbnailDir, { recursive: true });
   }
 
-  return new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .seekInput("00:00:01")
-      .screenshots({
-        timestamps: ["00:00:01"],
-        filename: thumbnailName,
-        folder: thumbnailDir,
-      })
-      .on("end", () => {
-        console.log("Thumbnail created successfully:", thumbnailPath);
-        resolve({ path: thumbnailPath });
-      })
-      .on("error", (err) => {
-        console.error("Error creating thumbnail:", err);
-        reject(err);
-      });
-  });
+  const run = () =>
+    new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath)
+        .seekInput("00:00:01")
+        .screenshots({
+          timestamps: ["00:00:01"],
+          filename: thumbnailName,
+          folder: thumbnailDir,
+        })
+        .on("end", () => {
+          console.log("Thumbnail created successfully:", thumbnailPath);
+          resolve({ path: thumbnailPath });
+        })
+        .on("error", (err) => {
+          console.error("Error creating thumbnail:", err);
+          fs.rmSync(thumbnailPath, { force: true });
+          reject(err);
+        });
+      signal?.addEventListener("abort", () => command.kill("SIGKILL"), { once: true });
+    });
+
+  return Scheduler.run("ffmpeg", run, { key: adAccountId ? formatAdAccountId(adAccountId) : null, onQueued, signal });
 }
 
-// Fetch file names from Google Drive folder
+// Fetch file names from Google Drive folder. With ?recursive=true the response also holds the
+// folder tree below it with file counts per folder.
 app.get("/api/fetch-google-data", async (req, res) => {
-  const { folderId } = req.query;
+  const { folderId, recursive } = req.query;
 
   if (!folderId) {
     return res.status(400).json({ error: "Folder ID is required" });
   }
 
   try {
-    const drive = google.drive({
-      version: "v3",
-      auth: oauth2Client,
-    });
+    const drive = await getDriveClient(getUserId(req));
 
-    const response = await drive.files.list({
-      q: `'${folderId}' in parents and trashed = false`,
-      fields: "files(id, name, mimeType, size, webContentLink, webViewLink)",
-      pageSize: 1000,
-      corpora: "allDrives",
-      includeItemsFromAllDrives: true,
-      supportsAllDrives: true,
-    });
+    if (recursive === "true") {
+      const tree = await getFolderTree(drive, folderId);
+      return res.json({
+        files: tree.files,
+        folders: tree.folders.map(({ id, name }) => ({ id, name, mimeType: FOLDER_MIME_TYPE })),
+        totalCount: tree.fileCount + tree.folders.length,
+        tree,
+      });
+    }
 
-    const files = response.data.files || [];
+    const files = await listFolder(drive, folderId);
 
-    const folders = files.filter((file) => file.mimeType === "application/vnd.google-apps.folder");
-    const regularFiles = files.filter((file) => file.mimeType !== "application/vnd.google-apps.folder");
+    const folders = files.filter((file) => file.mimeType === FOLDER_MIME_TYPE);
+    const regularFiles = files.filter((file) => file.mimeType !== FOLDER_MIME_TYPE);
 
     res.json({
       files: regularFiles,
@@ -1683,530 +2075,722 @@ app.get("/api/fetch-google-data", async (req, res) => {
     });
   } catch (error) {
     console.error("Error fetching Google Drive files:", error);
-    res.status(500).json({
-      error: "Failed to fetch Google Drive files",
-      details: error.message,
-    });
+    sendError(res, error, "Failed to fetch Google Drive files");
   }
 });
 
-app.post("/api/download-and-upload-google-files", validateRequest.googleDriveDownload, async (req, res) => {
-  const { fileIds, account_id } = req.body;
-  const sessionId = req.body.sessionId || createUploadSession();
-
-  if (!fileIds || !Array.isArray(fileIds)) {
-    return res.status(400).json({ error: "File IDs array is required" });
+// Put an imported creative in the batch of the folder it came from, unless it already has one
+async function assignImportBatch(creative, batchId) {
+  if (batchId && !creative.batch_id) {
+    await CreativeDB.updateBatch(creative.id, batchId);
   }
+}
+
+// Batch named after a folder path, created on first use
+async function batchForFolder(folderPath, description = "Imported from Google Drive") {
+  const existing = await BatchDB.findByName(folderPath);
+  if (existing) return existing.id;
+  return BatchDB.create(folderPath, description);
+}
+
+// Job "google-drive-file": download one Drive file, add it to the library and upload it to Meta
+async function runGoogleDriveFileJob({ fileId, index, totalFiles, accountId, sessionId, batchId }, { job, signal }) {
+  const accessToken = await getUserAccessToken(job.user_id);
+
+  const drive = await getDriveClient(job.user_id);
+
+  const metadataResponse = await drive.files.get({
+    fileId: fileId,
+    fields: "id, name, mimeType, size",
+    supportsAllDrives: true,
+  });
+
+  const file = metadataResponse.data;
 
-  if (!account_id) {
-    return res.status(400).json({ error: "Account ID is required" });
+  const isImage = file.mimeType.startsWith("image/");
+  const isVideo = file.mimeType.startsWith("video/");
+
+  if (!isImage && !isVideo) {
+    console.log(`Skipping non-media file: ${file.name} (${file.mimeType})`);
+    return {
+      fileId: file.id,
+      fileName: file.name,
+      status: "skipped",
+      error: "Only images and videos are supported",
+      mimeType: file.mimeType,
+    };
   }
 
-  try {
-    const drive = google.drive({
-      version: "v3",
-      auth: oauth2Client,
-    });
+  const timestamp = Date.now();
+  const fileName = `${timestamp}-${file.name}`;
+  const tempPath = path.join(paths.uploads, fileName);
 
-    const uploadPromises = fileIds.map(async (fileId, index) => {
-      try {
-        const metadataResponse = await drive.files.get({
+  await Scheduler.run(
+    "download",
+    async () => {
+      const response = await drive.files.get(
+        {
           fileId: fileId,
-          fields: "id, name, mimeType, size",
+          alt: "media",
           supportsAllDrives: true,
-        });
+        },
+        { responseType: "stream", signal }
+      );
 
-        const file = metadataResponse.data;
+      try {
+        await pipeline(response.data, fs.createWriteStream(tempPath), { signal });
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+      }
+    },
+    { key: formatAdAccountId(accountId), onQueued: queueReporter(sessionId, index, file.name), signal }
+  );
+
+  broadcastToSession(sessionId, "file-start", {
+    fileIndex: index,
+    fileName: file.name,
+    fileSize: file.size ? (parseInt(file.size) / (1024 * 1024)).toFixed(2) + "MB" : "Unknown",
+    totalFiles,
+    source: "google-drive",
+  });
+
+  if (isVideo) {
+    let thumbnail;
+    try {
+      const fileObj = {
+        filename: fileName,
+        path: tempPath,
+        originalname: file.name,
+        size: file.size,
+        mimetype: file.mimeType?.startsWith("video/") ? file.mimeType : "video/mp4",
+      };
 
-        const isImage = file.mimeType.startsWith("image/");
-        const isVideo = file.mimeType.startsWith("video/");
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex: index,
+        fileName: file.name,
+        stage: "Processing creative",
+        progress: 5,
+      });
 
-        if (!isImage && !isVideo) {
-          console.log(`Skipping non-media file: ${file.name} (${file.mimeType})`);
-          return {
-            fileId: file.id,
-            fileName: file.name,
-            status: "skipped",
-            error: "Only images and videos are supported",
-            mimeType: file.mimeType,
-          };
-        }
+      // Process creative with deduplication
+      const creativeResult = await processCreative(fileObj, accountId);
+      await assignImportBatch(creativeResult.creative, batchId);
+      reportValidation(sessionId, index, file.name, creativeResult.validation);
 
-        const response = await drive.files.get(
-          {
-            fileId: fileId,
-            alt: "media",
-            supportsAllDrives: true,
-          },
-          { responseType: "stream" }
-        );
+      let videoId, imageHash;
 
-        const timestamp = Date.now();
-        const fileName = `${timestamp}-${file.name}`;
-        const tempPath = path.join(__dirname, "uploads", fileName);
+      if (creativeResult.isDuplicate) {
+        // Creative already exists and is uploaded to this account
+        videoId = creativeResult.facebookIds.facebook_video_id;
+        imageHash = creativeResult.facebookIds.facebook_image_hash;
 
-        await new Promise((resolve, reject) => {
-          const writeStream = fs.createWriteStream(tempPath);
-          response.data.pipe(writeStream).on("finish", resolve).on("error", reject);
-        });
+        // Update session progress
+        const uploadSession = uploadSessions.get(sessionId);
+        if (uploadSession) {
+          uploadSession.processedFiles++;
+        }
 
-        broadcastToSession(sessionId, "file-start", {
+        // Send file complete event
+        broadcastToSession(sessionId, "file-complete", {
           fileIndex: index,
           fileName: file.name,
-          fileSize: file.size ? (parseInt(file.size) / (1024 * 1024)).toFixed(2) + "MB" : "Unknown",
-          totalFiles: fileIds.length,
-          source: "google-drive",
+          processedFiles: uploadSession?.processedFiles,
+          totalFiles,
+          isDuplicate: true,
+          message: "Using existing creative from library",
         });
 
-        if (isVideo) {
-          try {
-            const fileObj = {
-              filename: fileName,
-              path: tempPath,
-              originalname: file.name,
-              size: file.size,
-              mimetype: "video/mp4",
-            };
+        return {
+          type: "video",
+          file: file.name,
+          data: {
+            uploadVideo: videoId,
+            getImageHash: imageHash,
+            adAccountId: accountId,
+          },
+          status: "success",
+          isDuplicate: true,
+        };
+      }
 
-            broadcastToSession(sessionId, "file-progress", {
-              fileIndex: index,
-              fileName: file.name,
-              stage: "Processing creative",
-              progress: 5,
-            });
+      // Need to upload to Meta: the library file, or its MP4 rendition when it needs converting
+      fileObj.path = await uploadPathFor(creativeResult.creative, {
+        sessionId,
+        fileIndex: index,
+        fileName: file.name,
+        adAccountId: accountId,
+        signal,
+      });
 
-            // Process creative with deduplication
-            const creativeResult = await processCreative(fileObj, account_id);
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex: index,
+        fileName: file.name,
+        stage: "Creating thumbnail",
+        progress: 10,
+      });
 
-            let videoId, imageHash;
+      thumbnail = (
+        await getThumbnailFromVideo(fileObj, { adAccountId: accountId, onQueued: queueReporter(sessionId, index, file.name), signal })
+      ).path;
 
-            if (creativeResult.isDuplicate) {
-              // Creative already exists and is uploaded to this account
-              videoId = creativeResult.facebookIds.facebook_video_id;
-              imageHash = creativeResult.facebookIds.facebook_image_hash;
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex: index,
+        fileName: file.name,
+        stage: "Uploading video to Meta",
+        progress: 30,
+      });
 
-              // Update session progress
-              const uploadSession = uploadSessions.get(sessionId);
-              if (uploadSession) {
-                uploadSession.processedFiles++;
-              }
+      videoId = await MetaGraphClient.uploadVideo(fileObj, accountId, {
+        ...uploadReporters(sessionId, index, file.name),
+        accessToken,
+        userId: job.user_id,
+        signal,
+      });
 
-              // Send file complete event
-              broadcastToSession(sessionId, "file-complete", {
-                fileIndex: index,
-                fileName: file.name,
-                processedFiles: uploadSession.processedFiles,
-                totalFiles: fileIds.length,
-                isDuplicate: true,
-                message: "Using existing creative from library",
-              });
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex: index,
+        fileName: file.name,
+        stage: "Uploading thumbnail",
+        progress: 90,
+      });
 
-              return {
-                type: "video",
-                file: file.name,
-                data: {
-                  uploadVideo: videoId,
-                  getImageHash: imageHash,
-                  adAccountId: account_id,
-                },
-                status: "success",
-                isDuplicate: true,
-              };
-            } else {
-              // Need to upload to Meta
-              if (!creativeResult.isNew) {
-                // Use existing file from library
-                fileObj.path = getCreativeFilePath(creativeResult.creative);
-              } else {
-                // New file was moved to library, update the path
-                fileObj.path = creativeResult.libraryPath || getCreativeFilePath(creativeResult.creative);
-              }
+      imageHash = await MetaGraphClient.uploadImage(thumbnail, accountId, {
+        accessToken,
+        onRetry: retryReporter(sessionId, index, file.name),
+        onQueued: queueReporter(sessionId, index, file.name),
+        signal,
+      });
 
-              broadcastToSession(sessionId, "file-progress", {
-                fileIndex: index,
-                fileName: file.name,
-                stage: "Creating thumbnail",
-                progress: 10,
-              });
-
-              const thumbnail = await getThumbnailFromVideo(fileObj);
-
-              broadcastToSession(sessionId, "file-progress", {
-                fileIndex: index,
-                fileName: file.name,
-                stage: "Uploading video to Meta",
-                progress: 30,
-              });
-
-              videoId = await uploadVideoToMeta(fileObj, account_id, sessionId, index);
-
-              broadcastToSession(sessionId, "file-progress", {
-                fileIndex: index,
-                fileName: file.name,
-                stage: "Uploading thumbnail",
-                progress: 90,
-              });
-
-              imageHash = await uploadThumbnailImage(thumbnail, account_id);
-
-              // Store Facebook IDs in database
-              await CreativeAccountDB.recordUpload(creativeResult.creative.id, account_id, {
-                videoId: videoId,
-                imageHash: imageHash,
-              });
-
-              // Update creative with thumbnail path
-              if (creativeResult.isNew) {
-                await updateCreativeThumbnail(creativeResult.creative.id, thumbnail);
-              }
+      // Store Facebook IDs in database
+      await CreativeAccountDB.recordUpload(creativeResult.creative.id, accountId, {
+        videoId: videoId,
+        imageHash: imageHash,
+      });
+      watchVideoProcessing(videoId, { sessionId, fileIndex: index, fileName: file.name, accessToken });
 
-              // Clean up temporary thumbnail
-              if (fs.existsSync(thumbnail)) {
-                fs.unlinkSync(thumbnail);
-              }
+      // Update creative with thumbnail path
+      if (creativeResult.isNew) {
+        await updateCreativeThumbnail(creativeResult.creative.id, thumbnail);
+      }
 
-              // Update session progress
-              const uploadSession = uploadSessions.get(sessionId);
-              if (uploadSession) {
-                uploadSession.processedFiles++;
-              }
+      // Clean up temporary thumbnail
+      if (fs.existsSync(thumbnail)) {
+        fs.unlinkSync(thumbnail);
+      }
 
-              // Send file complete event
-              broadcastToSession(sessionId, "file-complete", {
-                fileIndex: index,
-                fileName: file.name,
-                processedFiles: uploadSession.processedFiles,
-                totalFiles: fileIds.length,
-                isNew: creativeResult.isNew,
-              });
+      // Update session progress
+      const uploadSession = uploadSessions.get(sessionId);
+      if (uploadSession) {
+        uploadSession.processedFiles++;
+      }
 
-              return {
-                type: "video",
-                file: file.name,
-                data: {
-                  uploadVideo: videoId,
-                  getImageHash: imageHash,
-                  adAccountId: account_id,
-                },
-                status: "success",
-                isNew: creativeResult.isNew,
-              };
-            }
-          } catch (error) {
-            console.error("Error processing video:", error);
+      // Send file complete event
+      broadcastToSession(sessionId, "file-complete", {
+        fileIndex: index,
+        fileName: file.name,
+        processedFiles: uploadSession?.processedFiles,
+        totalFiles,
+        isNew: creativeResult.isNew,
+      });
 
-            // Send file error event
-            broadcastToSession(sessionId, "file-error", {
-              fileIndex: index,
-              fileName: file.name,
-              error: error.message,
-            });
+      return {
+        type: "video",
+        file: file.name,
+        data: {
+          uploadVideo: videoId,
+          getImageHash: imageHash,
+          adAccountId: accountId,
+        },
+        status: "success",
+        isNew: creativeResult.isNew,
+      };
+    } catch (error) {
+      console.error("Error processing video:", error);
 
-            if (fs.existsSync(tempPath) && tempPath.startsWith(paths.uploads)) {
-              fs.unlinkSync(tempPath);
-            }
-            return {
-              file: file.name,
-              status: "failed",
-              error: error.message,
-            };
-          }
-        } else if (isImage) {
-          try {
-            const fileObj = {
-              filename: fileName,
-              path: tempPath,
-              originalname: file.name,
-              size: file.size,
-              mimetype: file.mimeType,
-            };
+      // Send file error event
+      broadcastToSession(sessionId, "file-error", {
+        fileIndex: index,
+        fileName: file.name,
+        ...errorBody(error),
+      });
+
+      if (fs.existsSync(tempPath) && tempPath.startsWith(paths.uploads)) {
+        fs.unlinkSync(tempPath);
+      }
+      if (thumbnail) fs.rmSync(thumbnail, { force: true });
+      throw error;
+    }
+  }
 
-            // Process creative with deduplication
-            const creativeResult = await processCreative(fileObj, account_id);
+  try {
+    const fileObj = {
+      filename: fileName,
+      path: tempPath,
+      originalname: file.name,
+      size: file.size,
+      mimetype: file.mimeType,
+    };
 
-            let imageHash;
+    // Process creative with deduplication
+    const creativeResult = await processCreative(fileObj, accountId);
+    await assignImportBatch(creativeResult.creative, batchId);
+    reportValidation(sessionId, index, file.name, creativeResult.validation);
 
-            if (creativeResult.isDuplicate) {
-              // Creative already exists and is uploaded to this account
-              imageHash = creativeResult.facebookIds.facebook_image_hash;
+    if (creativeResult.isDuplicate) {
+      // Creative already exists and is uploaded to this account
+      return {
+        type: "image",
+        file: file.name,
+        imageHash: creativeResult.facebookIds.facebook_image_hash,
+        status: "success",
+        isDuplicate: true,
+        message: "Using existing creative from library",
+      };
+    }
 
-              return {
-                type: "image",
-                file: file.name,
-                imageHash: imageHash,
-                status: "success",
-                isDuplicate: true,
-                message: "Using existing creative from library",
-              };
-            } else {
-              // Need to upload to Meta
-              let uploadPath = tempPath;
-              if (!creativeResult.isNew) {
-                // Use existing file from library
-                uploadPath = getCreativeFilePath(creativeResult.creative);
-              } else {
-                // New file was moved to library, use the new path
-                uploadPath = creativeResult.libraryPath || getCreativeFilePath(creativeResult.creative);
-              }
+    // Need to upload to Meta
+    let uploadPath = tempPath;
+    if (!creativeResult.isNew) {
+      // Use existing file from library
+      uploadPath = getCreativeFilePath(creativeResult.creative);
+    } else {
+      // New file was moved to library, use the new path
+      uploadPath = creativeResult.libraryPath || getCreativeFilePath(creativeResult.creative);
+    }
 
-              imageHash = await uploadImageToMeta(uploadPath, account_id);
+    const imageHash = await MetaGraphClient.uploadImage(uploadPath, accountId, {
+      accessToken,
+      onRetry: retryReporter(sessionId, index, file.name),
+      onQueued: queueReporter(sessionId, index, file.name),
+      signal,
+    });
 
-              // Store Facebook IDs in database
-              await CreativeAccountDB.recordUpload(creativeResult.creative.id, account_id, {
-                imageHash: imageHash,
-              });
+    // Store Facebook IDs in database
+    await CreativeAccountDB.recordUpload(creativeResult.creative.id, accountId, {
+      imageHash: imageHash,
+    });
 
-              // Clean up temp file if it still exists (for new files it was moved)
-              if (!creativeResult.isNew && fs.existsSync(tempPath) && tempPath.startsWith(paths.uploads)) {
-                fs.unlinkSync(tempPath);
-              }
+    // Clean up temp file if it still exists (for new files it was moved)
+    if (!creativeResult.isNew && fs.existsSync(tempPath) && tempPath.startsWith(paths.uploads)) {
+      fs.unlinkSync(tempPath);
+    }
 
-              return {
-                type: "image",
-                file: file.name,
-                imageHash: imageHash,
-                status: "success",
-                isNew: creativeResult.isNew,
-              };
-            }
-          } catch (error) {
-            console.error("Error processing image:", error);
-            if (fs.existsSync(tempPath) && tempPath.startsWith(paths.uploads)) {
-              fs.unlinkSync(tempPath);
-            }
-            return {
-              file: file.name,
-              status: "failed",
-              error: error.message,
-            };
+    return {
+      type: "image",
+      file: file.name,
+      imageHash: imageHash,
+      status: "success",
+      isNew: creativeResult.isNew,
+    };
+  } catch (error) {
+    console.error("Error processing image:", error);
+    if (fs.existsSync(tempPath) && tempPath.startsWith(paths.uploads)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+// Media found by expanding folderIds is capped so one request cannot queue a whole Drive
+const GOOGLE_DRIVE_IMPORT_MAX_FILES = parseInt(process.env.GOOGLE_DRIVE_IMPORT_MAX_FILES) || 500;
+
+// Download Drive files and upload them to an ad account. `folderIds` are imported recursively;
+// with `createBatches` each folder's media goes into a creative batch named after its path.
+app.post("/api/download-and-upload-google-files", validateRequest.googleDriveDownload, async (req, res) => {
+  const { fileIds, folderIds, createBatches, account_id } = req.body;
+  const sessionId = uploadSessionFor(req, req.body.sessionId);
+
+  try {
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
+    const imports = fileIds.map((fileId) => ({ fileId, batchId: null }));
+
+    if (folderIds.length > 0) {
+      const drive = await getDriveClient(getUserId(req));
+      const batchIds = new Map(); // folder path -> batch ID
+      for (const folderId of folderIds) {
+        for (const file of flattenMediaFiles(await getFolderTree(drive, folderId))) {
+          if (createBatches && !batchIds.has(file.folderPath)) {
+            batchIds.set(file.folderPath, await batchForFolder(file.folderPath));
           }
+          imports.push({ fileId: file.id, batchId: createBatches ? batchIds.get(file.folderPath) : null });
         }
-      } catch (error) {
-        console.error(`Error processing file ${fileId}:`, error);
-        return {
-          fileId: fileId,
-          status: "failed",
-          error: error.message,
-          details: error.response?.data?.error || error.message,
-        };
       }
-    });
+    }
 
-    // Process files with concurrency limit to avoid EPIPE errors
-    const processInBatches = async (promises, batchSize = 3) => {
-      const results = [];
-      for (let i = 0; i < promises.length; i += batchSize) {
-        const batch = promises.slice(i, i + batchSize);
-        const batchResults = await Promise.all(batch);
-        results.push(...batchResults);
-      }
-      return results;
-    };
+    // A file listed directly and inside a folder is imported once
+    const uniqueImports = [...new Map(imports.map((item) => [item.fileId, item])).values()];
+    if (uniqueImports.length > GOOGLE_DRIVE_IMPORT_MAX_FILES) {
+      return sendError(
+        res,
+        new AppError("DRIVE_IMPORT_TOO_LARGE", `The selection holds ${uniqueImports.length} files; at most ${GOOGLE_DRIVE_IMPORT_MAX_FILES} can be imported at once.`, {
+          fix: "Import the subfolders separately.",
+        })
+      );
+    }
 
-    const uploadResults = await processInBatches(uploadPromises, 3);
+    // One durable job per file; the job queue limits how many run at once
+    const jobIds = [];
+    for (const [index, { fileId, batchId }] of uniqueImports.entries()) {
+      jobIds.push(
+        await JobQueue.enqueue(
+          "google-drive-file",
+          { fileId, index, totalFiles: uniqueImports.length, accountId: account_id, sessionId, batchId },
+          { userId: getUserId(req), sessionId }
+        )
+      );
+    }
+
+    const jobs = await JobQueue.waitFor(jobIds);
+    const uploadResults = jobs.map((job) =>
+      job.status === "succeeded" ? job.result : { fileId: job.payload.fileId, status: job.status, ...job.error }
+    );
 
     const uploadSession = uploadSessions.get(sessionId);
     broadcastToSession(sessionId, "session-complete", {
-      totalFiles: fileIds.length,
+      totalFiles: uniqueImports.length,
       processedFiles: uploadSession?.processedFiles || 0,
       results: uploadResults,
     });
 
-    res.json({ results: uploadResults, sessionId });
+    res.json({ results: uploadResults, sessionId, jobIds });
   } catch (error) {
     console.error("Error in download and upload process:", error);
-    res.status(500).json({
-      error: "Failed to process Google Drive files",
-      details: error.message,
-    });
+    sendError(res, error, "Failed to process Google Drive files");
   }
+});
 
-  async function getThumbnailFromVideo(file) {
-    const videoPath = file.path;
-    const thumbnailDir = path.join(__dirname, "uploads");
-    const thumbnailName = `${file.filename}-thumb.png`;
-    const thumbnailPath = path.join(thumbnailDir, thumbnailName);
+// Job "import-file": stream one file from an import source (URL, S3 bucket) into the library
+async function runImportFileJob({ source: sourceName, item, index, totalFiles, sessionId, batchId }, { signal }) {
+  const source = getImportSource(sourceName);
+  let fileName = item.name;
+  const tempPath = path.join(paths.uploads, `${Date.now()}-${path.basename(item.name).replace(/[^\w.-]+/g, "_")}`);
+
+  broadcastToSession(sessionId, "file-start", {
+    fileIndex: index,
+    fileName,
+    fileSize: item.size ? (item.size / (1024 * 1024)).toFixed(2) + "MB" : "Unknown",
+    totalFiles,
+    source: sourceName,
+  });
+
+  try {
+    const download = await Scheduler.run(
+      "download",
+      async () => {
+        const opened = await source.open(item.ref, { signal });
+        fileName = opened.fileName || fileName;
+        if (!isMediaType(opened.mimeType)) {
+          opened.stream.destroy();
+          return null;
+        }
 
-    console.log("Attempting to create thumbnail (Google Drive):");
-    console.log("  Video path:", videoPath);
-    console.log("  Thumbnail path:", thumbnailPath);
-    console.log("  Video exists:", fs.existsSync(videoPath));
+        const size = await writeImport(opened, tempPath, {
+          signal,
+          onProgress: (percent) =>
+            broadcastToSession(sessionId, "file-progress", {
+              fileIndex: index,
+              fileName,
+              stage: `Downloading (${percent}%)`,
+              progress: Math.round(percent * 0.8),
+            }),
+        });
+        return { size, mimeType: opened.mimeType };
+      },
+      { onQueued: queueReporter(sessionId, index, fileName), signal }
+    );
 
-    // Ensure uploads directory exists
-    if (!fs.existsSync(thumbnailDir)) {
-      console.log("Creating uploads directory:", thumbnailDir);
-      fs.mkdirSync(thumbnailDir, { recursive: true });
+    if (!download) {
+      console.log(`Skipping non-media import: ${fileName}`);
+      return { source: sourceName, file: fileName, status: "skipped", error: "Only images and videos are supported" };
     }
 
-    return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .seekInput("00:00:01")
-        .screenshots({
-          timestamps: ["00:00:01"],
-          filename: thumbnailName,
-          folder: thumbnailDir,
-        })
-        .on("end", () => {
-          console.log("Thumbnail created successfully:", thumbnailPath);
-          console.log("Thumbnail exists:", fs.existsSync(thumbnailPath));
-          resolve(thumbnailPath);
-        })
-        .on("error", (err) => {
-          console.error("Error creating thumbnail:", err);
-          reject(err);
-        });
+    broadcastToSession(sessionId, "file-progress", {
+      fileIndex: index,
+      fileName,
+      stage: "Adding to creative library",
+      progress: 85,
     });
-  }
-
-  // Helper function to upload video using resumable upload for large files
-  async function uploadVideoToMeta(file, adAccountId, sessionId, fileIndex) {
-    const fileStats = fs.statSync(file.path);
-    const fileSize = fileStats.size;
 
-    // Use resumable upload for files > 20MB
-    if (fileSize > 20 * 1024 * 1024) {
-      return await uploadLargeVideoToMeta(file, adAccountId, sessionId, fileIndex);
+    const fileObj = {
+      filename: path.basename(tempPath),
+      path: tempPath,
+      originalname: fileName,
+      size: download.size,
+      mimetype: download.mimeType,
+    };
+    // No ad account: the file only goes into the library, deduplicated by hash
+    const creativeResult = await processCreative(fileObj, null);
+    await assignImportBatch(creativeResult.creative, batchId);
+    reportValidation(sessionId, index, fileName, creativeResult.validation);
+
+    if (creativeResult.isNew && creativeResult.creative.file_type.startsWith("video/")) {
+      const thumbnail = (
+        await getThumbnailFromVideo(
+          { path: creativeResult.libraryPath, originalname: fileName },
+          { onQueued: queueReporter(sessionId, index, fileName), signal }
+        )
+      ).path;
+      await updateCreativeThumbnail(creativeResult.creative.id, thumbnail);
+      fs.rmSync(thumbnail, { force: true });
     }
 
-    // Regular upload for smaller files
-    const upload_url = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
+    const uploadSession = uploadSessions.get(sessionId);
+    if (uploadSession) {
+      uploadSession.processedFiles++;
+    }
 
-    try {
-      const fd = new FormData();
-      fd.append("source", fs.createReadStream(file.path));
-      fd.append("name", file.originalname);
-      fd.append("access_token", access_token);
-
-      const response = await axios.post(upload_url, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
+    broadcastToSession(sessionId, "file-complete", {
+      fileIndex: index,
+      fileName,
+      processedFiles: uploadSession?.processedFiles,
+      totalFiles,
+      isNew: creativeResult.isNew,
+      isDuplicate: !creativeResult.isNew,
+      message: creativeResult.isNew ? "Added to creative library" : "Already in creative library",
+    });
 
-      console.log("Successfully uploaded video to Meta!");
-      return response.data.id;
-    } catch (err) {
-      console.log("Error uploading video to Facebook:", err.response?.data || err.message);
-      throw err;
-    }
+    return { source: sourceName, file: fileName, creativeId: creativeResult.creative.id, status: "success", isNew: creativeResult.isNew };
+  } catch (error) {
+    console.error(`Error importing ${fileName}:`, error);
+    broadcastToSession(sessionId, "file-error", {
+      fileIndex: index,
+      fileName,
+      ...errorBody(error),
+    });
+    fs.rmSync(tempPath, { force: true });
+    throw error;
   }
+}
 
-  // Helper function for chunked upload of large videos
-  async function uploadLargeVideoToMeta(file, adAccountId, sessionId, fileIndex) {
-    const fileStats = fs.statSync(file.path);
-    const fileSize = fileStats.size;
-
-    // Step 1: Initialize upload session
-    const initUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
+// Import sources and whether each is configured here
+app.get("/api/import-sources", (req, res) => {
+  res.json({ sources: listImportSources() });
+});
 
-    try {
-      // Initialize the upload session
-      const initResponse = await axios.post(initUrl, {
-        upload_phase: "start",
-        file_size: fileSize,
-        access_token,
-      });
+// Import files from a source into the creative library. The body is the source's spec (see
+// import-sources.js) plus optional sessionId and createBatches (one batch per source folder).
+app.post("/api/import-sources/:source/import", validateRequest.importFiles, async (req, res) => {
+  try {
+    const source = getImportSource(req.params.source);
+    const items = await source.resolve(req.body);
+
+    if (items.length > IMPORT_MAX_FILES) {
+      return sendError(
+        res,
+        new AppError("IMPORT_TOO_LARGE", `The selection holds ${items.length} files; at most ${IMPORT_MAX_FILES} can be imported at once.`, {
+          fix: "Import a narrower prefix or fewer files.",
+        })
+      );
+    }
 
-      const { upload_session_id, video_id, start_offset, end_offset } = initResponse.data;
-      console.log(`Upload session initialized. Session ID: ${upload_session_id}`);
-
-      // Step 2: Upload chunks
-      const chunkSize = 4 * 1024 * 1024; // 4MB chunks
-      let offset = 0;
-      const totalChunks = Math.ceil(fileSize / chunkSize);
-      let currentChunk = 0;
-
-      while (offset < fileSize) {
-        currentChunk++;
-        const endChunk = Math.min(offset + chunkSize, fileSize);
-        const chunk = fs.createReadStream(file.path, {
-          start: offset,
-          end: endChunk - 1,
-        });
+    const sessionId = uploadSessionFor(req, req.body.sessionId);
+    const batchIds = new Map(); // folder path -> batch ID
+    const jobIds = [];
+    for (const [index, item] of items.entries()) {
+      let batchId = null;
+      if (req.body.createBatches && item.folderPath) {
+        if (!batchIds.has(item.folderPath)) {
+          batchIds.set(item.folderPath, await batchForFolder(item.folderPath, `Imported from ${source.label}`));
+        }
+        batchId = batchIds.get(item.folderPath);
+      }
+      jobIds.push(
+        await JobQueue.enqueue(
+          "import-file",
+          { source: req.params.source, item, index, totalFiles: items.length, sessionId, batchId },
+          { userId: getUserId(req), sessionId }
+        )
+      );
+    }
 
-        const fd = new FormData();
-        fd.append("video_file_chunk", chunk);
-        fd.append("upload_phase", "transfer");
-        fd.append("upload_session_id", upload_session_id);
-        fd.append("start_offset", offset.toString());
-        fd.append("access_token", access_token);
+    res.json({ sessionId, jobIds, totalFiles: items.length });
 
-        await axios.post(initUrl, fd, {
-          headers: {
-            ...fd.getHeaders(),
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-        });
+    broadcastToSession(sessionId, "session-start", { sessionId, totalFiles: items.length });
 
-        const percentComplete = Math.round((endChunk / fileSize) * 100);
-        console.log(`Uploaded chunk: ${offset}-${endChunk} of ${fileSize} (${percentComplete}%)`);
+    const jobs = await JobQueue.waitFor(jobIds);
+    const results = jobs.map((job) =>
+      job.status === "succeeded" ? job.result : { file: job.payload.item.name, status: job.status, ...job.error }
+    );
+    broadcastToSession(sessionId, "session-complete", {
+      totalFiles: items.length,
+      processedFiles: uploadSessions.get(sessionId)?.processedFiles || 0,
+      results,
+    });
+  } catch (error) {
+    console.error("Error importing files:", error);
+    sendError(res, error, "Failed to import files");
+  }
+});
 
-        // Send chunk progress event if sessionId provided
-        if (sessionId && fileIndex !== undefined) {
-          broadcastToSession(sessionId, "file-progress", {
-            fileIndex: fileIndex,
-            fileName: file.originalname,
-            stage: `Uploading video chunk ${currentChunk}/${totalChunks}`,
-            progress: 30 + Math.round(percentComplete * 0.6), // Scale from 30% to 90%
-          });
-        }
+// .zip archives in uploads (see backend/utils/zip-archive.js). Every image and video inside becomes an
+// "archive-entry" job that extracts it, adds it to the library and, when the request names an ad
+// account, uploads it there. The archive is removed once its jobs are done.
 
-        offset = endChunk;
-      }
+// Split uploaded files into plain files and archives: [{ path, name, entries, skipped, batchId }].
+// With createBatches the media of each archive goes into a batch named after it. A damaged or
+// oversized archive fails the request, and every archive it sent is removed.
+async function readUploadedArchives(files, { createBatches = false } = {}) {
+  const plainFiles = files.filter((file) => !isZipFile(file));
+  const archiveFiles = files.filter(isZipFile);
 
-      // Step 3: Finish upload
-      const finishResponse = await axios.post(initUrl, {
-        upload_phase: "finish",
-        upload_session_id: upload_session_id,
-        access_token,
-        title: file.originalname,
+  const archives = [];
+  try {
+    for (const file of archiveFiles) {
+      const { entries, skipped } = await readZipEntries(file.path, file.originalname);
+      const batchName = path.basename(file.originalname, path.extname(file.originalname));
+      archives.push({
+        path: file.path,
+        name: file.originalname,
+        entries,
+        skipped,
+        batchId: createBatches && entries.length > 0 ? await batchForFolder(batchName, `Uploaded as ${file.originalname}`) : null,
       });
+    }
+  } catch (error) {
+    removeArchives(archiveFiles);
+    throw error;
+  }
+  return { plainFiles, archives };
+}
 
-      console.log("Successfully completed large video upload to Meta!");
-      return video_id;
-    } catch (err) {
-      console.log("Error uploading large video to Facebook:", err.response?.data || err.message);
-      throw err;
+function removeArchives(archives) {
+  for (const archive of archives) fs.rmSync(archive.path, { force: true });
+}
+
+// Entries the archives left out, for the response
+const skippedArchiveEntries = (archives) => archives.flatMap((archive) => archive.skipped.map((entry) => ({ archive: archive.name, ...entry })));
+
+// Queue an "archive-entry" job for every media file in `archives`, numbered on from `firstIndex`
+async function enqueueArchiveEntries(archives, { firstIndex = 0, totalFiles, accountId = null, sessionId, userId }) {
+  const jobIds = [];
+  let index = firstIndex;
+  for (const archive of archives) {
+    for (const entry of archive.entries) {
+      jobIds.push(
+        await JobQueue.enqueue(
+          "archive-entry",
+          { archive: { path: archive.path, name: archive.name }, entry, index: index++, totalFiles, accountId, sessionId, batchId: archive.batchId },
+          { userId, sessionId }
+        )
+      );
     }
   }
+  return jobIds;
+}
 
-  // Helper function to upload image
-  async function uploadImageToMeta(filePath, adAccountId) {
-    const imageUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/adimages`;
+// Job "archive-entry": extract one file of an uploaded .zip, add it to the library and, with an
+// accountId, upload it to that ad account
+async function runArchiveEntryJob({ archive, entry, index, totalFiles, accountId, sessionId, batchId }, { job, signal }) {
+  const fileName = entry.fileName;
+  const tempPath = path.join(paths.uploads, `${Date.now()}-${fileName.replace(/[^\w.-]+/g, "_")}`);
+
+  broadcastToSession(sessionId, "file-start", {
+    fileIndex: index,
+    fileName,
+    fileSize: (entry.size / (1024 * 1024)).toFixed(2) + "MB",
+    totalFiles,
+    source: "zip",
+    archive: archive.name,
+  });
 
-    try {
-      const fd = new FormData();
-      fd.append("source", fs.createReadStream(filePath));
-      fd.append("access_token", access_token);
+  try {
+    await extractZipEntry(archive.path, entry, tempPath, {
+      signal,
+      onProgress: (percent) =>
+        broadcastToSession(sessionId, "file-progress", {
+          fileIndex: index,
+          fileName,
+          stage: `Extracting (${percent}%)`,
+          progress: Math.round(percent * 0.2),
+        }),
+    });
 
-      const response = await axios.post(imageUrl, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
+    broadcastToSession(sessionId, "file-progress", {
+      fileIndex: index,
+      fileName,
+      stage: "Adding to creative library",
+      progress: 25,
+    });
+
+    const fileObj = {
+      filename: path.basename(tempPath),
+      path: tempPath,
+      originalname: fileName,
+      size: entry.size,
+      mimetype: entry.mimeType,
+    };
+    const creativeResult = await processCreative(fileObj, accountId);
+    await assignImportBatch(creativeResult.creative, batchId);
+    reportValidation(sessionId, index, fileName, creativeResult.validation);
+
+    const { creative } = creativeResult;
+    let ids = { videoId: null, imageHash: null };
+    if (creativeResult.isDuplicate) {
+      ids = { videoId: creativeResult.facebookIds.facebook_video_id, imageHash: creativeResult.facebookIds.facebook_image_hash };
+    } else if (accountId) {
+      broadcastToSession(sessionId, "file-progress", {
+        fileIndex: index,
+        fileName,
+        stage: "Uploading to Meta",
+        progress: 30,
+      });
+      const accessToken = await getUserAccessToken(job.user_id);
+      ids = await uploadLibraryCreative(creative, accountId, {
+        ...uploadReporters(sessionId, index, fileName),
+        accessToken,
+        userId: job.user_id,
+        signal,
       });
+      if (ids.videoId) {
+        watchVideoProcessing(ids.videoId, { sessionId, fileIndex: index, fileName, accessToken });
+      }
+    } else if (creativeResult.isNew && creative.file_type.startsWith("video/")) {
+      await ensureCreativeThumbnail(creative.id, { onQueued: queueReporter(sessionId, index, fileName), signal });
+    }
 
-      console.log("Successfully uploaded image!");
-      const images = response.data.images;
-      const dynamicKey = Object.keys(images)[0];
-      return images[dynamicKey].hash;
-    } catch (err) {
-      console.log("Error uploading image:", err.response?.data || err.message);
-      throw err;
+    const uploadSession = uploadSessions.get(sessionId);
+    if (uploadSession) {
+      uploadSession.processedFiles++;
     }
-  }
 
-  // Helper function to upload thumbnail
-  async function uploadThumbnailImage(thumbnailPath, adAccountId) {
-    return uploadImageToMeta(thumbnailPath, adAccountId);
+    broadcastToSession(sessionId, "file-complete", {
+      fileIndex: index,
+      fileName,
+      processedFiles: uploadSession?.processedFiles,
+      totalFiles,
+      isNew: creativeResult.isNew,
+      isDuplicate: creativeResult.isDuplicate,
+      archive: archive.name,
+    });
+
+    return {
+      file: fileName,
+      archive: archive.name,
+      path: entry.name,
+      type: creative.file_type.startsWith("video/") ? "video" : "image",
+      creativeId: creative.id,
+      ...ids,
+      status: "success",
+      isNew: creativeResult.isNew,
+      isDuplicate: creativeResult.isDuplicate,
+    };
+  } catch (error) {
+    console.error(`Error processing ${entry.name} from ${archive.name}:`, error);
+    broadcastToSession(sessionId, "file-error", {
+      fileIndex: index,
+      fileName,
+      archive: archive.name,
+      ...errorBody(error),
+    });
+    fs.rmSync(tempPath, { force: true });
+    throw error;
   }
-});
+}
 
-app.post("/api/create-ad-set", validateRequest.createAdSet, (req, res) => {
+app.post("/api/create-ad-set", validateRequest.createAdSet, async (req, res) => {
   const payload = {
     name: req.body.adset_name,
     optimization_goal: req.body.optimization_goal,
@@ -2236,46 +2820,31 @@ app.post("/api/create-ad-set", validateRequest.createAdSet, (req, res) => {
       custom_event_type: req.body.event_type,
     },
     status: req.body.status,
-    access_token,
   };
 
   if (req.body.bid_amount) {
     payload.bid_amount = req.body.bid_amount;
   }
 
-  const graphUrl = `https://graph.facebook.com/${api_version}/act_${req.body.account_id}/adsets`;
+  try {
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
 
-  async function createAdSet() {
-    try {
-      await axios
-        .post(graphUrl, payload, {
-          headers: {
-            "Content-Type": "application/json",
-          },
-        })
-        .then((response) => {
-          if (!response.statusText === "OK") {
-            console.log("There was an error posting to adsets endpoint:", res);
-          } else {
-            // return the adset info for the creative upload section
-            console.log(`Successfully created ad set ${req.body.adset_name} in act_${req.body.account_id}`);
-            res.status(200).send(response.data);
-          }
-        });
-    } catch (err) {
-      console.log("There was an error creating your ad set.", err.response?.data);
+    const data = await MetaGraphClient.post(`act_${req.body.account_id}/adsets`, payload, { accessToken });
 
-      // Critical ad creation failure
-      const fbError = err.response?.data?.error;
-      const errorMessage = fbError?.error_user_msg || fbError?.message || err.message;
-      const telegramMessage = `<b>⚠️ CRITICAL: Ad Set Creation Failed</b>\n<b>Account:</b> ${adAccountId}\n<b>Error:</b> ${errorMessage}`;
-      sendTelegramNotification(telegramMessage);
+    // return the adset info for the creative upload section
+    console.log(`Successfully created ad set ${req.body.adset_name} in act_${req.body.account_id}`);
+    res.status(200).send(data);
+  } catch (err) {
+    console.log("There was an error creating your ad set.", err.response?.data);
 
-      res.status(400).send("Error creating ad set.", err);
-    }
-  }
+    // Critical ad creation failure
+    const body = errorBody(err, "Error creating ad set.");
+    const telegramMessage = `<b>⚠️ CRITICAL: Ad Set Creation Failed</b>\n<b>Account:</b> act_${req.body.account_id}\n<b>Error:</b> ${body.error} (${body.code})`;
+    sendTelegramNotification(telegramMessage);
 
-  createAdSet();
+    sendError(res, err, "Error creating ad set.");
+  }
 });
 
 app.post("/api/duplicate-ad-set", async (req, res) => {
@@ -2284,30 +2853,22 @@ app.post("/api/duplicate-ad-set", async (req, res) => {
   const payload = {
     deep_copy: deep_copy || false,
     status_option: status_option || "PAUSED",
-    access_token,
   };
 
-  const graphUrl = `https://graph.facebook.com/${api_version}/${ad_set_id}/copies`;
-
   try {
-    const response = await axios.post(graphUrl, payload, {
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
 
-    if (response.status === 200 && response.data) {
+    const data = await MetaGraphClient.post(`${ad_set_id}/copies`, payload, { accessToken });
+
+    if (data) {
       console.log(`Successfully duplicated ad set ${ad_set_id}`);
 
-      const newAdSetId = response.data.copied_adset_id || response.data.id;
+      const newAdSetId = data.copied_adset_id || data.id;
 
       if (name && newAdSetId) {
         try {
-          const updateUrl = `https://graph.facebook.com/${api_version}/${newAdSetId}`;
-          await axios.post(updateUrl, {
-            name: name,
-            access_token,
-          });
+          await MetaGraphClient.post(newAdSetId, { name: name }, { accessToken });
           console.log(`Updated ad set name to: ${name}`);
         } catch (updateErr) {
           console.log("Warning: Could not update ad set name:", updateErr.response?.data || updateErr.message);
@@ -2333,15 +2894,12 @@ app.post("/api/duplicate-ad-set", async (req, res) => {
         success: true,
       });
     } else {
-      console.log("Unexpected response from Facebook API:", response.data);
-      res.status(400).json({ error: "Failed to duplicate ad set" });
+      console.log("Unexpected response from Facebook API:", data);
+      sendError(res, new AppError("META_UNEXPECTED_RESPONSE", "Failed to duplicate ad set"));
     }
   } catch (err) {
     console.log("Error duplicating ad set:", err.response?.data || err.message);
-    res.status(400).json({
-      error: "Error duplicating ad set",
-      details: err.response?.data?.error || err.message,
-    });
+    sendError(res, err, "Error duplicating ad set");
   }
 });
 
@@ -2355,42 +2913,34 @@ app.post("/api/duplicate-campaign", async (req, res) => {
       rename_strategy: "ONLY_TOP_LEVEL_RENAME",
       rename_suffix: " - Copy",
     },
-    access_token,
   };
 
-  const graphUrl = `https://graph.facebook.com/${api_version}/${campaign_id}/copies`;
-
   try {
-    const response = await axios.post(graphUrl, payload, {
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
 
-    if (response.status === 200 && response.data) {
+    const data = await MetaGraphClient.post(`${campaign_id}/copies`, payload, { accessToken });
+
+    if (data) {
       console.log(`Successfully duplicated campaign ${campaign_id}`);
-      console.log("Facebook API response:", JSON.stringify(response.data, null, 2));
+      console.log("Facebook API response:", JSON.stringify(data, null, 2));
 
-      const newCampaignId = response.data.copied_campaign_id || response.data.id || response.data.campaign_id;
+      const newCampaignId = data.copied_campaign_id || data.id || data.campaign_id;
 
       if (!newCampaignId) {
-        console.error("No campaign ID found in response:", response.data);
-        res.status(400).json({ error: "Campaign duplicated but ID not found in response" });
+        console.error("No campaign ID found in response:", data);
+        sendError(res, new AppError("META_UNEXPECTED_RESPONSE", "Campaign duplicated but ID not found in response"));
         return;
       }
 
       if (name && newCampaignId) {
         try {
-          const updateUrl = `https://graph.facebook.com/${api_version}/${newCampaignId}`;
-          await axios.post(updateUrl, {
-            name: name,
-            access_token,
-          });
+          await MetaGraphClient.post(newCampaignId, { name: name }, { accessToken });
           console.log(`Updated campaign name to: ${name}`);
 
           // If we have a name, update the database with the new campaign info
           if (account_id) {
-            await addCampaignToDatabase(newCampaignId, name, account_id);
+            await addCampaignToDatabase(newCampaignId, name, account_id, accessToken);
           }
         } catch (updateError) {
           console.error("Error updating campaign name:", updateError.response?.data || updateError.message);
@@ -2399,7 +2949,7 @@ app.post("/api/duplicate-campaign", async (req, res) => {
       } else if (account_id) {
         // If no name provided, still add to database with original name
         try {
-          await addCampaignToDatabase(newCampaignId, null, account_id);
+          await addCampaignToDatabase(newCampaignId, null, account_id, accessToken);
         } catch (dbError) {
           console.error("Error adding to database:", dbError);
           // Don't fail the whole operation if just the database update fails
@@ -2413,27 +2963,22 @@ app.post("/api/duplicate-campaign", async (req, res) => {
         success: true,
       });
     } else {
-      console.log("Unexpected response from Facebook API:", response.data);
-      res.status(400).json({ error: "Failed to duplicate campaign" });
+      console.log("Unexpected response from Facebook API:", data);
+      sendError(res, new AppError("META_UNEXPECTED_RESPONSE", "Failed to duplicate campaign"));
     }
   } catch (err) {
     console.log("Error duplicating campaign:", err.response?.data || err.message);
-    res.status(400).json({
-      error: "Error duplicating campaign",
-      details: err.response?.data?.error || err.message,
-    });
+    sendError(res, err, "Error duplicating campaign");
   }
 });
 
 // Helper function to add campaign to database
-async function addCampaignToDatabase(campaignId, campaignName, accountId) {
+async function addCampaignToDatabase(campaignId, campaignName, accountId, accessToken) {
   try {
-    // Get campaign details from Facebook API
-    const campaignUrl = `https://graph.facebook.com/${api_version}/${campaignId}?fields=name,status,special_ad_categories,daily_budget,bid_strategy&access_token=${access_token}`;
-    const campaignResponse = await axios.get(campaignUrl);
+    // Get campaign details from Facebook API, as the user who created the campaign
+    const campaign = await MetaGraphClient.get(campaignId, { fields: fieldsFor("copiedCampaign") }, { accessToken });
 
-    if (campaignResponse.data) {
-      const campaign = campaignResponse.data;
+    if (campaign) {
       const name = campaignName || campaign.name;
 
       // Insert into database
@@ -2470,104 +3015,58 @@ app.post("/api/bulk-copy-campaigns", ensureAuthenticatedAPI, async (req, res) =>
   }
 
   try {
-    const userId = getUserId(req);
-    const token = await getAccessToken(userId);
+    const token = await requireUserAccessToken(req, res);
+    if (!token) return;
+
+    // The batch executor sends these in calls of up to 50 and retries transient failures
+    const copyRequests = campaign_ids.map((campaignId) =>
+      batchRequest("POST", `${campaignId}/copies`, {
+        deep_copy: true,
+        status_option: "PAUSED",
+        rename_options: {
+          rename_strategy: "ONLY_TOP_LEVEL_RENAME",
+          rename_suffix: " - Copy",
+        },
+      })
+    );
 
-    // Meta Batch API can handle up to 50 requests per batch
-    const batchSize = 50;
-    const results = [];
+    const batchResults = await circuitBreakers.facebook.call(() => executeBatch(copyRequests, { accessToken: token }));
 
-    // Process campaigns in batches
-    for (let i = 0; i < campaign_ids.length; i += batchSize) {
-      const batchCampaigns = campaign_ids.slice(i, i + batchSize);
-      
-      // Build batch request array
-      const batchRequests = batchCampaigns.map((campaignId, index) => ({
-        method: "POST",
-        name: `copy-campaign-${index}`,
-        relative_url: `${campaignId}/copies`,
-        body: new URLSearchParams({
-          deep_copy: "true",
-          status_option: "PAUSED",
-          rename_options: JSON.stringify({
-            rename_strategy: "ONLY_TOP_LEVEL_RENAME",
-            rename_suffix: " - Copy"
-          }),
-          access_token: token
-        }).toString()
-      }));
+    const results = [];
+    for (const [index, result] of batchResults.entries()) {
+      const originalCampaignId = campaign_ids[index];
 
-      // Execute batch request
-      const batchUrl = `https://graph.facebook.com/${api_version}/`;
-      const batchResponse = await circuitBreakers.facebook.call(async () => {
-        return await axios.post(batchUrl, null, {
-          params: {
-            batch: JSON.stringify(batchRequests),
-            access_token: token,
-            include_headers: false
-          },
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded"
-          }
+      if (!result.ok) {
+        results.push({
+          original_id: originalCampaignId,
+          success: false,
+          ...errorBody(result.error),
         });
-      });
+        continue;
+      }
 
-      // Parse batch response
-      if (batchResponse.data && Array.isArray(batchResponse.data)) {
-        for (let j = 0; j < batchResponse.data.length; j++) {
-          const response = batchResponse.data[j];
-          const originalCampaignId = batchCampaigns[j];
-          
-          if (response.code === 200) {
-            try {
-              const body = JSON.parse(response.body);
-              const newCampaignId = body.copied_campaign_id || body.id || body.campaign_id;
-              
-              if (newCampaignId) {
-                // Add to database cache
-                try {
-                  await addCampaignToDatabase(newCampaignId, null, target_account_id);
-                } catch (dbError) {
-                  console.error("Error adding campaign to database:", dbError);
-                }
-
-                results.push({
-                  original_id: originalCampaignId,
-                  new_id: newCampaignId,
-                  success: true
-                });
-              } else {
-                results.push({
-                  original_id: originalCampaignId,
-                  success: false,
-                  error: "Campaign ID not found in response"
-                });
-              }
-            } catch (parseError) {
-              results.push({
-                original_id: originalCampaignId,
-                success: false,
-                error: "Failed to parse response: " + parseError.message
-              });
-            }
-          } else {
-            // Extract error from response
-            let errorMessage = "Unknown error";
-            try {
-              const body = JSON.parse(response.body);
-              errorMessage = body.error?.message || body.error || errorMessage;
-            } catch (e) {
-              errorMessage = response.body || errorMessage;
-            }
+      const newCampaignId = result.body?.copied_campaign_id || result.body?.id || result.body?.campaign_id;
+      if (!newCampaignId) {
+        results.push({
+          original_id: originalCampaignId,
+          success: false,
+          error: "Campaign ID not found in response",
+        });
+        continue;
+      }
 
-            results.push({
-              original_id: originalCampaignId,
-              success: false,
-              error: errorMessage
-            });
-          }
-        }
+      // Add to database cache
+      try {
+        await addCampaignToDatabase(newCampaignId, null, target_account_id, token);
+      } catch (dbError) {
+        console.error("Error adding campaign to database:", dbError);
       }
+
+      results.push({
+        original_id: originalCampaignId,
+        new_id: newCampaignId,
+        success: true,
+      });
     }
 
     // Count successes and failures
@@ -2592,440 +3091,308 @@ app.post("/api/bulk-copy-campaigns", ensureAuthenticatedAPI, async (req, res) =>
       );
     }
 
-    res.status(500).json({
-      error: "Failed to copy campaigns",
-      details: error.response?.data?.error?.message || error.message
-    });
+    sendError(res, error, "Failed to copy campaigns");
   }
 });
 
-app.post("/api/upload-videos", upload.array("file", 50), validateRequest.uploadFiles, (req, res) => {
-  try {
-    const files = req.files;
-    const adAccountId = req.body.account_id;
+// Change the status of many campaigns, ad sets or ads at once
+app.post("/api/bulk-update-status", ensureAuthenticatedAPI, async (req, res) => {
+  const { ids, status } = req.body;
 
-    let sessionId = req.body.sessionId;
-    let session;
-
-    if (sessionId && uploadSessions.has(sessionId)) {
-      // Use existing session
-      session = uploadSessions.get(sessionId);
-      console.log("Using existing session:", sessionId);
-    } else {
-      // Create new session
-      sessionId = createUploadSession();
-      session = uploadSessions.get(sessionId);
-      console.log("Created new session:", sessionId);
-    }
+  if (!ids || !Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: "ids must be a non-empty array" });
+  }
 
-    // Update session with file info
-    if (session) {
-      session.totalFiles = files.length;
-      session.processedFiles = 0;
+  if (!["ACTIVE", "PAUSED", "ARCHIVED", "DELETED"].includes(status)) {
+    return res.status(400).json({ error: "status must be one of ACTIVE, PAUSED, ARCHIVED or DELETED" });
+  }
 
-      // Send session start event
-      broadcastToSession(sessionId, "session-start", {
-        sessionId,
-        totalFiles: files.length,
-      });
-    }
+  try {
+    const token = await requireUserAccessToken(req, res);
+    if (!token) return;
 
-    async function videoUploadPromise() {
-      const results = await Promise.allSettled(
-        files.map((file, index) => {
-          return handleVideoUpload(file, index)
-            .then((response) => ({
-              type: "video",
-              file: file.originalname,
-              data: response,
-              status: "success",
-            }))
-            .then((data) => {
-              return data;
-            })
-            .catch((error) => ({
-              file: file.originalname,
-              status: "failed",
-              error: error.message,
-            }));
-        })
-      );
+    const batchResults = await executeBatch(
+      ids.map((id) => batchRequest("POST", id, { status })),
+      { accessToken: token }
+    );
 
-      // Send session complete event
-      broadcastToSession(sessionId, "session-complete", {
-        totalFiles: files.length,
-        processedFiles: session.processedFiles,
-        results: results,
-      });
+    const results = batchResults.map((result, index) =>
+      result.ok ? { id: ids[index], success: true } : { id: ids[index], success: false, ...errorBody(result.error) }
+    );
 
-      res.status(200).json({ results, sessionId });
+    const updatedIds = results.filter((r) => r.success).map((r) => r.id);
+    try {
+      await FacebookCacheDB.updateStatus(updatedIds, status);
+    } catch (cacheError) {
+      console.error("Error updating cached status:", cacheError);
     }
 
-    videoUploadPromise();
-
-    async function handleVideoUpload(file, index) {
-      console.log("File: ", file);
-      console.log(`File size: ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
-
-      // Send file start event
-      broadcastToSession(sessionId, "file-start", {
-        fileIndex: index,
-        fileName: file.originalname,
-        fileSize: (file.size / (1024 * 1024)).toFixed(2) + "MB",
-        totalFiles: files.length,
-      });
-
-      try {
-        // Update session current file
-        if (session) {
-          session.currentFile = {
-            name: file.originalname,
-            size: (file.size / (1024 * 1024)).toFixed(2) + "MB",
-            status: "processing",
-            progress: 0,
-            stage: "Processing creative",
-          };
-        }
-
-        // Process creative with deduplication
-        broadcastToSession(sessionId, "file-progress", {
-          fileIndex: index,
-          fileName: file.originalname,
-          stage: "Processing creative",
-          progress: 5,
-        });
+    res.status(200).json({
+      success: true,
+      total: ids.length,
+      successful: updatedIds.length,
+      failed: ids.length - updatedIds.length,
+      results,
+    });
+  } catch (error) {
+    console.error("Bulk status update error:", error.message);
+    sendError(res, error, "Failed to update status");
+  }
+});
 
-        file.mimetype = "video/mp4"; // Set mimetype for videos
-        const creativeResult = await processCreative(file, adAccountId);
+// Job "upload-video" (POST /api/upload-videos): add one video to the library, then upload it and
+// its thumbnail to Meta unless the account already has it
+async function runVideoUploadJob({ file, index, totalFiles, adAccountId, sessionId }, { job, signal }) {
+  const session = uploadSessions.get(sessionId);
 
-        let uploadVideo, getImageHash;
-        let filePath = file.path; // Default to uploaded file path
+  console.log("File: ", file);
+  console.log(`File size: ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
 
-        if (creativeResult.isDuplicate) {
-          // Creative already exists and is uploaded to this account
-          uploadVideo = creativeResult.facebookIds.facebook_video_id;
-          getImageHash = creativeResult.facebookIds.facebook_image_hash;
+  // Send file start event
+  broadcastToSession(sessionId, "file-start", {
+    fileIndex: index,
+    fileName: file.originalname,
+    fileSize: (file.size / (1024 * 1024)).toFixed(2) + "MB",
+    totalFiles,
+  });
 
-          // Update session progress
-          if (session) {
-            session.processedFiles++;
-          }
+  let thumbnail;
+  try {
+    const accessToken = await getUserAccessToken(job.user_id);
 
-          // Send file complete event
-          broadcastToSession(sessionId, "file-complete", {
-            fileIndex: index,
-            fileName: file.originalname,
-            processedFiles: session.processedFiles,
-            totalFiles: files.length,
-            isDuplicate: true,
-            message: "Using existing creative from library",
-          });
+    // Update session current file
+    if (session) {
+      session.currentFile = {
+        name: file.originalname,
+        size: (file.size / (1024 * 1024)).toFixed(2) + "MB",
+        status: "processing",
+        progress: 0,
+        stage: "Processing creative",
+      };
+    }
 
-          return { uploadVideo, getImageHash, adAccountId, isDuplicate: true };
-        } else {
-          // Need to upload to Meta
-          if (!creativeResult.isNew) {
-            // Use existing file from library
-            filePath = getCreativeFilePath(creativeResult.creative);
-          } else {
-            // New creative was moved to library, get the new path
-            filePath = creativeResult.libraryPath || getCreativeFilePath(creativeResult.creative);
-          }
+    // Process creative with deduplication
+    broadcastToSession(sessionId, "file-progress", {
+      fileIndex: index,
+      fileName: file.originalname,
+      stage: "Processing creative",
+      progress: 5,
+    });
 
-          // Update file path for all upload functions
-          file.path = filePath;
+    // Keep the real video type (a .mov stays video/quicktime) so the library knows what it stores
+    if (!file.mimetype?.startsWith("video/")) file.mimetype = "video/mp4";
+    const creativeResult = await processCreative(file, adAccountId);
+    reportValidation(sessionId, index, file.originalname, creativeResult.validation);
 
-          // 1. Get thumbnail from video
-          broadcastToSession(sessionId, "file-progress", {
-            fileIndex: index,
-            fileName: file.originalname,
-            stage: "Creating thumbnail",
-            progress: 10,
-          });
-          const thumbnail = await getThumbnailFromVideo(file);
-
-          // 2. Upload video
-          broadcastToSession(sessionId, "file-progress", {
-            fileIndex: index,
-            fileName: file.originalname,
-            stage: "Uploading video to Meta",
-            progress: 30,
-          });
-          uploadVideo = await uploadVideosToMeta(file, adAccountId, sessionId, index);
-
-          // 3. Upload thumbnail to meta
-          broadcastToSession(sessionId, "file-progress", {
-            fileIndex: index,
-            fileName: file.originalname,
-            stage: "Uploading thumbnail",
-            progress: 90,
-          });
-          getImageHash = await uploadThumbnailImage(thumbnail, adAccountId);
+    if (creativeResult.isDuplicate) {
+      // Creative already exists and is uploaded to this account
+      const uploadVideo = creativeResult.facebookIds.facebook_video_id;
+      const getImageHash = creativeResult.facebookIds.facebook_image_hash;
 
-          // 4. Store Facebook IDs in database
-          await CreativeAccountDB.recordUpload(creativeResult.creative.id, adAccountId, {
-            videoId: uploadVideo,
-            imageHash: getImageHash,
-          });
+      // Update session progress
+      if (session) {
+        session.processedFiles++;
+      }
 
-          // 5. Update creative with thumbnail path
-          if (creativeResult.isNew) {
-            await updateCreativeThumbnail(creativeResult.creative.id, thumbnail);
-          }
+      // Send file complete event
+      broadcastToSession(sessionId, "file-complete", {
+        fileIndex: index,
+        fileName: file.originalname,
+        processedFiles: session?.processedFiles,
+        totalFiles,
+        isDuplicate: true,
+        message: "Using existing creative from library",
+      });
 
-          // 6. Clean up temporary thumbnail (but not the video - it's in library now)
-          try {
-            if (fs.existsSync(thumbnail)) {
-              fs.unlinkSync(thumbnail);
-              console.log(`Deleted temporary thumbnail file: ${thumbnail}`);
-            }
-          } catch (cleanupErr) {
-            console.error("Error cleaning up thumbnail:", cleanupErr);
-          }
+      return { uploadVideo, getImageHash, adAccountId, isDuplicate: true };
+    }
 
-          // Update session progress
-          if (session) {
-            session.processedFiles++;
-          }
+    // Need to upload to Meta: the library file, or its MP4 rendition when it needs converting
+    file.path = await uploadPathFor(creativeResult.creative, {
+      sessionId,
+      fileIndex: index,
+      fileName: file.originalname,
+      adAccountId,
+      signal,
+    });
 
-          // Send file complete event
-          broadcastToSession(sessionId, "file-complete", {
-            fileIndex: index,
-            fileName: file.originalname,
-            processedFiles: session.processedFiles,
-            totalFiles: files.length,
-            isNew: creativeResult.isNew,
-          });
+    // 1. Get thumbnail from video
+    broadcastToSession(sessionId, "file-progress", {
+      fileIndex: index,
+      fileName: file.originalname,
+      stage: "Creating thumbnail",
+      progress: 10,
+    });
+    thumbnail = (
+      await getThumbnailFromVideo(file, { adAccountId, onQueued: queueReporter(sessionId, index, file.originalname), signal })
+    ).path;
+
+    // 2. Upload video
+    broadcastToSession(sessionId, "file-progress", {
+      fileIndex: index,
+      fileName: file.originalname,
+      stage: "Uploading video to Meta",
+      progress: 30,
+    });
+    const uploadVideo = await MetaGraphClient.uploadVideo(file, adAccountId, {
+      ...uploadReporters(sessionId, index, file.originalname),
+      accessToken,
+      userId: job.user_id,
+      signal,
+    });
 
-          return { uploadVideo, getImageHash, adAccountId, isNew: creativeResult.isNew };
-        }
-      } catch (err) {
-        console.log("There was an error inside handleVideoUpload() try catch block.", err);
+    // 3. Upload thumbnail to meta
+    broadcastToSession(sessionId, "file-progress", {
+      fileIndex: index,
+      fileName: file.originalname,
+      stage: "Uploading thumbnail",
+      progress: 90,
+    });
+    const getImageHash = await MetaGraphClient.uploadImage(thumbnail, adAccountId, {
+      accessToken,
+      onRetry: retryReporter(sessionId, index, file.originalname),
+      onQueued: queueReporter(sessionId, index, file.originalname),
+      signal,
+    });
 
-        // Send file error event
-        broadcastToSession(sessionId, "file-error", {
-          fileIndex: index,
-          fileName: file.originalname,
-          error: err.message,
-        });
+    // 4. Store Facebook IDs in database
+    await CreativeAccountDB.recordUpload(creativeResult.creative.id, adAccountId, {
+      videoId: uploadVideo,
+      imageHash: getImageHash,
+    });
+    watchVideoProcessing(uploadVideo, { sessionId, fileIndex: index, fileName: file.originalname, accessToken });
 
-        // Clean up files on error as well
-        try {
-          if (file.path && fs.existsSync(file.path) && file.path.includes(paths.uploads)) {
-            // Only delete if it's still in uploads directory
-            fs.unlinkSync(file.path);
-          }
-        } catch (cleanupErr) {
-          console.error("Error cleaning up files on error:", cleanupErr);
-        }
+    // 5. Update creative with thumbnail path
+    if (creativeResult.isNew) {
+      await updateCreativeThumbnail(creativeResult.creative.id, thumbnail);
+    }
 
-        throw err; // Re-throw to be caught by Promise
+    // 6. Clean up temporary thumbnail (but not the video - it's in library now)
+    try {
+      if (fs.existsSync(thumbnail)) {
+        fs.unlinkSync(thumbnail);
+        console.log(`Deleted temporary thumbnail file: ${thumbnail}`);
       }
+    } catch (cleanupErr) {
+      console.error("Error cleaning up thumbnail:", cleanupErr);
     }
-  } catch (err) {
-    console.log("There was an error in uploading videos to facebook.", err);
-    res.status(500).send("Could not upload videos to facebook.", err);
-  }
 
-  // function to get thumbnail from video
-  async function getThumbnailFromVideo(file) {
-    // Use the actual file path which may be in creative-library
-    const videoPath = file.path;
-    const thumbnailDir = path.join(__dirname, "uploads");
-    const thumbnailName = `${path.basename(file.path)}-thumb.png`;
-    const thumbnailPath = path.join(thumbnailDir, thumbnailName);
-
-    console.log("Attempting to create thumbnail:");
-    console.log("  Video path:", videoPath);
-    console.log("  Thumbnail path:", thumbnailPath);
-    console.log("  Video exists:", fs.existsSync(videoPath));
-
-    // Ensure uploads directory exists
-    if (!fs.existsSync(thumbnailDir)) {
-      console.log("Creating uploads directory:", thumbnailDir);
-      fs.mkdirSync(thumbnailDir, { recursive: true });
+    // Update session progress
+    if (session) {
+      session.processedFiles++;
     }
 
-    return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .seekInput("00:00:01")
-        .screenshots({
-          timestamps: ["00:00:01"],
-          filename: thumbnailName,
-          folder: thumbnailDir,
-        })
-        .on("end", () => {
-          console.log("Thumbnail created successfully:", thumbnailPath);
-          console.log("Thumbnail exists:", fs.existsSync(thumbnailPath));
-          resolve(thumbnailPath);
-        })
-        .on("error", (err) => {
-          console.error("Error creating thumbnail:", err);
-          reject(err);
-        });
+    // Send file complete event
+    broadcastToSession(sessionId, "file-complete", {
+      fileIndex: index,
+      fileName: file.originalname,
+      processedFiles: session?.processedFiles,
+      totalFiles,
+      isNew: creativeResult.isNew,
     });
-  }
 
-  // Upload videos to meta
-  async function uploadVideosToMeta(file, adAccountId, sessionId, fileIndex) {
-    const fileStats = fs.statSync(file.path);
-    const fileSize = fileStats.size;
-
-    // Use resumable upload for files > 20MB
-    if (fileSize > 20 * 1024 * 1024) {
-      return await uploadLargeVideoToMetaWithProgress(file, adAccountId, sessionId, fileIndex);
-    }
+    return { uploadVideo, getImageHash, adAccountId, isNew: creativeResult.isNew };
+  } catch (err) {
+    console.log("There was an error inside runVideoUploadJob() try catch block.", err);
 
-    // Regular upload for smaller files
-    const upload_url = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
+    // Send file error event
+    broadcastToSession(sessionId, "file-error", {
+      fileIndex: index,
+      fileName: file.originalname,
+      ...errorBody(err),
+    });
 
+    // Clean up files on error as well
     try {
-      const fd = new FormData();
-      fd.append("source", fs.createReadStream(file.path));
-      fd.append("name", file.originalname);
-      fd.append("access_token", access_token);
-
-      const response = await axios.post(upload_url, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
-
-      console.log("Successfully uploaded video to Meta!");
-      console.log("Video ID:", response.data.id);
-
-      return response.data.id;
-    } catch (err) {
-      console.log("There was an error uploading video to Facebook:", err.response?.data || err.message);
-      throw err;
+      if (file.path && fs.existsSync(file.path) && file.path.includes(paths.uploads)) {
+        // Only delete if it's still in uploads directory
+        fs.unlinkSync(file.path);
+      }
+      if (thumbnail) fs.rmSync(thumbnail, { force: true });
+    } catch (cleanupErr) {
+      console.error("Error cleaning up files on error:", cleanupErr);
     }
-  }
-
-  // Helper function for chunked upload with progress
-  async function uploadLargeVideoToMetaWithProgress(file, adAccountId, sessionId, fileIndex) {
-    const fileStats = fs.statSync(file.path);
-    const fileSize = fileStats.size;
-
-    // Step 1: Initialize upload session
-    const initUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
 
-    try {
-      // Initialize the upload session
-      const initResponse = await axios.post(initUrl, {
-        upload_phase: "start",
-        file_size: fileSize,
-        access_token,
-      });
-
-      const { upload_session_id, video_id } = initResponse.data;
-      console.log(`Upload session initialized. Session ID: ${upload_session_id}`);
-
-      // Step 2: Upload chunks
-      const chunkSize = 4 * 1024 * 1024; // 4MB chunks
-      let offset = 0;
-      const totalChunks = Math.ceil(fileSize / chunkSize);
-      let currentChunk = 0;
-
-      while (offset < fileSize) {
-        currentChunk++;
-        const endChunk = Math.min(offset + chunkSize, fileSize);
-        const chunk = fs.createReadStream(file.path, {
-          start: offset,
-          end: endChunk - 1,
-        });
-
-        const fd = new FormData();
-        fd.append("video_file_chunk", chunk);
-        fd.append("upload_phase", "transfer");
-        fd.append("upload_session_id", upload_session_id);
-        fd.append("start_offset", offset.toString());
-        fd.append("access_token", access_token);
+    throw err;
+  }
+}
 
-        await axios.post(initUrl, fd, {
-          headers: {
-            ...fd.getHeaders(),
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-        });
+app.post("/api/upload-videos", upload.array("file", 50), chunkedUploadFiles, validateRequest.uploadFiles, async (req, res) => {
+  try {
+    const files = req.files;
+    const adAccountId = req.body.account_id;
 
-        const percentComplete = Math.round((endChunk / fileSize) * 100);
-        console.log(`Uploaded chunk: ${offset}-${endChunk} of ${fileSize} (${percentComplete}%)`);
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
 
-        // Send chunk progress event
-        broadcastToSession(sessionId, "file-progress", {
-          fileIndex: fileIndex,
-          fileName: file.originalname,
-          stage: `Uploading video chunk ${currentChunk}/${totalChunks}`,
-          progress: 30 + Math.round(percentComplete * 0.6), // Scale from 30% to 90%
-        });
+    const sessionId = uploadSessionFor(req, req.body.sessionId);
+    const session = uploadSessions.get(sessionId);
 
-        offset = endChunk;
-      }
+    // Update session with file info
+    if (session) {
+      session.totalFiles = files.length;
+      session.processedFiles = 0;
 
-      // Step 3: Finish upload
-      await axios.post(initUrl, {
-        upload_phase: "finish",
-        upload_session_id: upload_session_id,
-        access_token,
-        title: file.originalname,
+      // Send session start event
+      broadcastToSession(sessionId, "session-start", {
+        sessionId,
+        totalFiles: files.length,
       });
-
-      console.log("Successfully completed large video upload to Meta!");
-      return video_id;
-    } catch (err) {
-      console.log("Error uploading large video to Facebook:", err.response?.data || err.message);
-      throw err;
     }
-  }
 
-  // upload thumbnail as image to get image_hash
-  async function uploadThumbnailImage(thumbnailPath, adAccountId) {
-    const imageUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/adimages`;
-
-    try {
-      const fd = new FormData();
-      fd.append("source", fs.createReadStream(thumbnailPath));
-      fd.append("access_token", access_token);
-
-      const response = await axios.post(imageUrl, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
-
-      console.log("Successfully uploaded thumbnail image!");
+    // One durable job per video; the work survives a restart
+    const jobIds = [];
+    for (const [index, file] of files.entries()) {
+      jobIds.push(
+        await JobQueue.enqueue(
+          "upload-video",
+          { file, index, totalFiles: files.length, adAccountId, sessionId },
+          { userId: getUserId(req), sessionId }
+        )
+      );
+    }
 
-      console.log(response.data);
+    // Same shape as the Promise.allSettled results the client has always received
+    const jobs = await JobQueue.waitFor(jobIds);
+    const results = jobs.map((job) => ({
+      status: "fulfilled",
+      value:
+        job.status === "succeeded"
+          ? { type: "video", file: job.payload.file.originalname, data: job.result, status: "success" }
+          : { file: job.payload.file.originalname, status: job.status, ...job.error },
+    }));
 
-      const images = response.data.images;
-      const dynamicKey = Object.keys(images)[0];
-      const imageHash = images[dynamicKey].hash;
+    // Send session complete event
+    broadcastToSession(sessionId, "session-complete", {
+      totalFiles: files.length,
+      processedFiles: session.processedFiles,
+      results: results,
+    });
 
-      return imageHash;
-    } catch (err) {
-      console.log("Error uploading thumbnail image:", err.response?.data || err.message);
-      throw err;
-    }
+    res.status(200).json({ results, sessionId, jobIds });
+  } catch (err) {
+    console.log("There was an error in uploading videos to facebook.", err);
+    sendError(res, err, "Could not upload videos to facebook.");
   }
 });
 
-app.post("/api/upload-images", upload.array("file", 50), validateRequest.uploadFiles, (req, res) => {
+app.post("/api/upload-images", upload.array("file", 50), chunkedUploadFiles, validateRequest.uploadFiles, (req, res) => {
   const files = req.files;
   const accountId = req.body.account_id;
-  const imageUrl = `https://graph.facebook.com/${api_version}/act_${accountId}/adimages`;
+  // The upload runs after the handler returns; keep the sweeper off the files until it is done
+  const releaseFiles = holdTempFiles(files);
 
   async function imageUploadPromise() {
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
     const results = await Promise.allSettled(
       files.map(async (file) => {
         try {
           // Process creative with deduplication
           file.mimetype = file.mimetype || "image/jpeg"; // Set mimetype for images
           const creativeResult = await processCreative(file, accountId);
+          reportValidation(null, null, file.originalname, creativeResult.validation);
 
           if (creativeResult.isDuplicate) {
             // Creative already exists and is uploaded to this account
@@ -3050,7 +3417,7 @@ app.post("/api/upload-images", upload.array("file", 50), validateRequest.uploadF
             // Update file.path for consistency
             file.path = filePath;
 
-            const imageHash = await uploadImages(filePath, file.originalname);
+            const imageHash = await MetaGraphClient.uploadImage(filePath, accountId, { accessToken });
 
             // Store Facebook IDs in database
             await CreativeAccountDB.recordUpload(creativeResult.creative.id, accountId, {
@@ -3069,7 +3436,7 @@ app.post("/api/upload-images", upload.array("file", 50), validateRequest.uploadF
           return {
             file: file.originalname,
             status: "failed",
-            error: error.message,
+            ...errorBody(error),
           };
         }
       })
@@ -3078,51 +3445,108 @@ app.post("/api/upload-images", upload.array("file", 50), validateRequest.uploadF
     res.status(200).json(results);
   }
 
-  imageUploadPromise();
-
-  async function uploadImages(filePath, originalName) {
-    const file_path = fs.createReadStream(filePath);
-
-    try {
-      const fd = new FormData();
-      fd.append(`${originalName}`, file_path);
-      fd.append("access_token", access_token);
-
-      const response = await axios.post(imageUrl, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
-
-      console.log("Successfully uploaded images!");
-
-      const images = response.data.images;
-      const dynamicKey = Object.keys(images)[0];
-      const imageHash = images[dynamicKey].hash;
-
-      return imageHash;
-    } catch (err) {
-      console.log("There was an error uploading images to facebook.", err.response?.data);
-      throw err;
-    }
-  }
+  imageUploadPromise()
+    .catch((error) => {
+      console.error("Error uploading images:", error);
+      sendError(res, error, "Failed to upload images");
+    })
+    .finally(releaseFiles);
 });
 
+// How long ad creation waits for videos that Meta is still processing before rejecting them
+const VIDEO_READY_WAIT_MS = (parseInt(process.env.META_VIDEO_READY_WAIT_SECONDS) || 120) * 1000;
+
 app.post("/api/create-ad-creative", (req, res) => {
   try {
-    const { name, page_id, message, headline, type, link, description, account_id, adset_id, assets } = req.body;
+    const { name, page_id, message, headline, type, link, description, account_id, adset_id, assets, sessionId } = req.body;
 
     // Log the link safely
     console.log("Received ad creative request with link length:", link ? link.length : 0);
 
+    // Every asset becomes a creative request plus an ad request that references the new
+    // creative's ID, sent through the batch executor (transient failures are retried)
     async function createAdCreativePromises() {
-      const response = await Promise.allSettled(
-        assets.map((asset) => {
-          return createAdCreative(asset);
+      const accessToken = await requireUserAccessToken(req, res);
+      if (!accessToken) return;
+
+      const adNames = assets.map((asset) => asset.adName || name);
+
+      // Meta rejects creatives whose video is still encoding: wait a while for each video, and
+      // reject the assets whose video fails or is still processing afterwards
+      const videoErrors = await Promise.all(
+        assets.map(async (asset, index) => {
+          if (asset.value.type !== "video") return null;
+          const videoId = asset.value.data.uploadVideo;
+          try {
+            await MetaGraphClient.waitForVideoReady(videoId, {
+              accessToken,
+              timeoutMs: VIDEO_READY_WAIT_MS,
+              onStatus: (status) => {
+                CreativeAccountDB.updateVideoStatus(videoId, status.state, status.error).catch(() => {});
+                broadcastToSession(sessionId, `video-${status.state}`, { fileIndex: index, fileName: adNames[index], videoId, ...status });
+              },
+            });
+            return null;
+          } catch (error) {
+            return error;
+          }
         })
       );
+      const readyAssets = assets.map((asset, index) => ({ asset, index })).filter(({ index }) => !videoErrors[index]);
+
+      const requests = readyAssets.flatMap(({ asset, index }) => [
+        batchRequest("POST", `act_${account_id}/adcreatives`, buildCreativeData(asset, adNames[index]), { name: `creative-${index}` }),
+        batchRequest(
+          "POST",
+          `act_${account_id}/ads`,
+          {
+            name: adNames[index],
+            adset_id,
+            status: "ACTIVE",
+            creative: { creative_id: `{result=creative-${index}:$.id}` },
+          },
+          { name: `ad-${index}`, dependsOn: `creative-${index}` }
+        ),
+      ]);
+
+      let batchResults = [];
+      try {
+        if (requests.length > 0) {
+          batchResults = await executeBatch(requests, {
+            accessToken,
+            adAccountId: account_id,
+            onRetry: (info) => {
+              const { index } = readyAssets[Math.floor(info.index / 2)];
+              retryReporter(sessionId, index, adNames[index])?.({ phase: info.request.name.split("-")[0], ...info });
+            },
+          });
+        }
+      } catch (err) {
+        console.error("Error creating ad creatives:", err);
+        return sendError(res, err, "Failed to create ad creatives");
+      }
+
+      const response = assets.map((asset, index) => {
+        const adName = adNames[index];
+        if (videoErrors[index]) {
+          const body = errorBody(videoErrors[index]);
+          return { status: "rejected", reason: { ...body, message: `Ad "${adName}": ${body.error}` } };
+        }
+
+        const position = readyAssets.findIndex((ready) => ready.index === index);
+        const creativeResult = batchResults[position * 2];
+        const adResult = batchResults[position * 2 + 1];
+
+        const failed = !creativeResult.ok ? creativeResult : !adResult.ok ? adResult : null;
+        if (failed) {
+          console.log(`Error creating ${failed === creativeResult ? "ad creative" : "ad"} "${adName}":`, failed.error.response?.data || failed.error.message);
+          const body = errorBody(failed.error);
+          return { status: "rejected", reason: { ...body, message: `Ad "${adName}": ${body.error}` } };
+        }
+
+        console.log(`Facebook ad created successfully! Ad ID: ${adResult.body.id}`);
+        return { status: "fulfilled", value: { adId: adResult.body.id, creativeId: creativeResult.body.id, adName, success: true } };
+      });
 
       // Check if any creatives failed
       const failures = response.filter((r) => r.status === "rejected");
@@ -3133,19 +3557,19 @@ app.post("/api/create-ad-creative", (req, res) => {
       res.status(200).json(response);
     }
 
-    createAdCreativePromises();
-
-    async function createAdCreative(asset) {
-      let creativeData;
+    createAdCreativePromises().catch((error) => {
+      console.error("Error creating ad creatives:", error);
+      sendError(res, error, "Failed to create ad creatives");
+    });
 
-      const adName = asset.adName || name;
+    function buildCreativeData(asset, adName) {
       const assetType = asset.value.type;
 
       // IZAK - i believe to update the display link it is "caption" https://developers.facebook.com/docs/marketing-api/reference/ad-creative-link-data/
 
       // payload for video upload
       if (assetType === "video") {
-        creativeData = {
+        return {
           name: adName,
           object_story_spec: {
             page_id,
@@ -3164,92 +3588,33 @@ app.post("/api/create-ad-creative", (req, res) => {
             },
           },
         };
-      } else {
-        // payload for image upload
-        creativeData = {
-          name: adName,
-          adset_id,
-          object_story_spec: {
-            page_id,
-            link_data: {
-              call_to_action: {
-                type,
-                value: {
-                  link,
-                },
-              },
-              image_hash: asset.value.imageHash,
-              message,
-              name: headline,
-              description,
-              link,
-            },
-          },
-        };
       }
 
-      const creative_url = `https://graph.facebook.com/${api_version}/act_${account_id}/adcreatives`;
-
-      return axios
-        .post(creative_url, {
-          ...creativeData,
-          access_token,
-        })
-        .then((response) => {
-          return response.data;
-        })
-        .then((data) => {
-          return createAd(data.id, adName).then(() => {
-            console.log(`Facebook ad created successfully! Ad ID: ${data.id}`);
-            return { adId: data.id, adName: adName, success: true };
-          });
-        })
-        .catch((err) => {
-          console.log("Error creating ad creative:", err.response?.data || err.message);
-          const fbError = err.response?.data?.error;
-          let errorMessage = "Unknown error";
-
-          if (fbError) {
-            // Use Facebook's user-friendly message if available
-            errorMessage = fbError.error_user_msg || fbError.message;
-
-            // Add more context for common errors
-            if (fbError.error_subcode === 1487860) {
-              errorMessage = `${errorMessage} (Ad Set Status: ${fbError.error_user_title})`;
-            }
-          } else {
-            errorMessage = err.message;
-          }
-
-          throw new Error(`Ad "${adName}": ${errorMessage}`);
-        });
-    }
-
-    async function createAd(adCreativeId, adName) {
-      const payload = {
+      // payload for image upload
+      return {
         name: adName,
         adset_id,
-        status: "ACTIVE",
-        creative: {
-          creative_id: adCreativeId,
+        object_story_spec: {
+          page_id,
+          link_data: {
+            call_to_action: {
+              type,
+              value: {
+                link,
+              },
+            },
+            image_hash: asset.value.imageHash,
+            message,
+            name: headline,
+            description,
+            link,
+          },
         },
-        access_token,
       };
-      const url = `https://graph.facebook.com/${api_version}/act_${account_id}/ads`;
-
-      try {
-        const response = await axios.post(url, payload);
-        const data = await response;
-        console.log("Ad created!", data);
-        return data;
-      } catch (err) {
-        console.log("There was an error creating ad.", err.response?.data);
-        throw err;
-      }
     }
   } catch (error) {
     console.error("Error in create-ad-creative endpoint:", error);
-    res.status(500).json({ error: "Failed to process ad creative request" });
+    sendError(res, error, "Failed to process ad creative request");
   }
 });
 
@@ -3279,6 +3644,55 @@ app.get("/api/creative-library", async (req, res) => {
   }
 });
 
+// Dedup pre-check before an upload: the client sends the SHA-256 and size of each file and learns
+// which ones need no transfer. "uploaded" files are already on the ad account and come with the
+// upload result to use as is; "library" files can be sent to the account from the library
+// (/api/upload-library-creatives); only "missing" files have to be uploaded.
+app.post("/api/creative-library/precheck", validateRequest.precheckCreatives, async (req, res) => {
+  try {
+    const { files, account_id } = req.body;
+
+    const checked = await Promise.all(
+      files.map(async ({ hash, size, name }) => {
+        const creative = await CreativeDB.findByHash(hash);
+        if (!creative || creative.file_size !== size) {
+          return { hash, size, status: "missing" };
+        }
+
+        const facebookIds = await CreativeAccountDB.getFacebookIds(creative.id, account_id);
+        if (facebookIds) {
+          const isVideo = creative.file_type.startsWith("video/");
+          const result = isVideo
+            ? {
+                type: "video",
+                file: name || creative.original_name,
+                data: {
+                  uploadVideo: facebookIds.facebook_video_id,
+                  getImageHash: facebookIds.facebook_image_hash,
+                  adAccountId: account_id,
+                },
+                status: "success",
+                isDuplicate: true,
+              }
+            : { type: "image", file: name || creative.original_name, imageHash: facebookIds.facebook_image_hash, status: "success", isDuplicate: true };
+          return { hash, size, status: "uploaded", creativeId: creative.id, videoStatus: facebookIds.video_status || null, result };
+        }
+
+        // The library copy has to be on disk to be sent from there
+        if (!fs.existsSync(getCreativeFilePath(creative))) {
+          return { hash, size, status: "missing" };
+        }
+        return { hash, size, status: "library", creativeId: creative.id };
+      })
+    );
+
+    res.json({ files: checked });
+  } catch (error) {
+    console.error("Error checking files against the library:", error);
+    sendError(res, error, "Failed to check files against the library");
+  }
+});
+
 // Get specific creative details
 app.get("/api/creative-library/:id", async (req, res) => {
   try {
@@ -3291,6 +3705,16 @@ app.get("/api/creative-library/:id", async (req, res) => {
     creative.thumbnailUrl = creative.thumbnail_path ? `/creative-library/thumbnails/${path.basename(creative.thumbnail_path)}` : null;
     creative.fileUrl = `/creative-library/${creative.file_type.startsWith("video/") ? "videos" : "images"}/${path.basename(creative.file_path)}`;
 
+    // Renditions made from this creative (variant "transcode" is the MP4 sent to Meta)
+    creative.renditions = (await CreativeDB.getChildren(creative.id)).map((rendition) => ({
+      id: rendition.id,
+      variant: rendition.variant,
+      name: rendition.original_name,
+      fileType: rendition.file_type,
+      fileSize: rendition.file_size,
+      fileUrl: `/creative-library/${rendition.file_type.startsWith("video/") ? "videos" : "images"}/${path.basename(rendition.file_path)}`,
+    }));
+
     res.json({ creative });
   } catch (error) {
     console.error("Error fetching creative:", error);
@@ -3320,8 +3744,11 @@ app.post("/api/creative-library/upload-to-account", async (req, res) => {
       });
     }
 
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
     // Get file paths
-    const filePath = getCreativeFilePath(creative);
+    const filePath = await uploadPathFor(creative, { adAccountId });
     const isVideo = creative.file_type.startsWith("video/");
 
     if (isVideo) {
@@ -3332,13 +3759,13 @@ app.post("/api/creative-library/upload-to-account", async (req, res) => {
         size: creative.file_size,
       };
 
-      const videoId = await uploadVideoToMeta(fileObj, adAccountId);
+      const videoId = await MetaGraphClient.uploadVideo(fileObj, adAccountId, { accessToken, userId: getUserId(req) });
 
       // Upload thumbnail if exists
       let imageHash = null;
       if (creative.thumbnail_path) {
         const thumbnailPath = getThumbnailFilePath(creative);
-        imageHash = await uploadThumbnailImage(thumbnailPath, adAccountId);
+        imageHash = await MetaGraphClient.uploadImage(thumbnailPath, adAccountId, { accessToken });
       }
 
       // Store Facebook IDs
@@ -3346,6 +3773,7 @@ app.post("/api/creative-library/upload-to-account", async (req, res) => {
         videoId,
         imageHash,
       });
+      watchVideoProcessing(videoId, { accessToken });
 
       res.json({
         message: "Video uploaded successfully",
@@ -3353,7 +3781,7 @@ app.post("/api/creative-library/upload-to-account", async (req, res) => {
       });
     } else {
       // Upload image
-      const imageHash = await uploadImageToMeta(filePath, adAccountId);
+      const imageHash = await MetaGraphClient.uploadImage(filePath, adAccountId, { accessToken });
 
       // Store Facebook IDs
       await CreativeAccountDB.recordUpload(creativeId, adAccountId, {
@@ -3367,131 +3795,7 @@ app.post("/api/creative-library/upload-to-account", async (req, res) => {
     }
   } catch (error) {
     console.error("Error uploading creative to account:", error);
-    res.status(500).json({ error: "Failed to upload creative to account" });
-  }
-
-  // Helper function to upload video to Meta (extracted from existing code)
-  async function uploadVideoToMeta(file, adAccountId) {
-    const fileStats = fs.statSync(file.path);
-    const fileSize = fileStats.size;
-
-    // Use resumable upload for files > 20MB
-    if (fileSize > 20 * 1024 * 1024) {
-      return await uploadLargeVideoToMeta(file, adAccountId);
-    }
-
-    // Regular upload for smaller files
-    const upload_url = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
-
-    try {
-      const fd = new FormData();
-      fd.append("source", fs.createReadStream(file.path));
-      fd.append("name", file.originalname);
-      fd.append("access_token", access_token);
-
-      const response = await axios.post(upload_url, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
-
-      console.log("Successfully uploaded video to Meta!");
-      return response.data.id;
-    } catch (err) {
-      console.log("Error uploading video to Facebook:", err.response?.data || err.message);
-      throw err;
-    }
-  }
-
-  // Helper function for large video uploads
-  async function uploadLargeVideoToMeta(file, adAccountId) {
-    const fileStats = fs.statSync(file.path);
-    const fileSize = fileStats.size;
-
-    const initUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/advideos`;
-
-    try {
-      const initResponse = await axios.post(initUrl, {
-        upload_phase: "start",
-        file_size: fileSize,
-        access_token,
-      });
-
-      const { upload_session_id, video_id } = initResponse.data;
-
-      const chunkSize = 4 * 1024 * 1024; // 4MB chunks
-      let offset = 0;
-
-      while (offset < fileSize) {
-        const endChunk = Math.min(offset + chunkSize, fileSize);
-        const chunk = fs.createReadStream(file.path, {
-          start: offset,
-          end: endChunk - 1,
-        });
-
-        const fd = new FormData();
-        fd.append("video_file_chunk", chunk);
-        fd.append("upload_phase", "transfer");
-        fd.append("upload_session_id", upload_session_id);
-        fd.append("start_offset", offset.toString());
-        fd.append("access_token", access_token);
-
-        await axios.post(initUrl, fd, {
-          headers: {
-            ...fd.getHeaders(),
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-        });
-
-        offset = endChunk;
-      }
-
-      await axios.post(initUrl, {
-        upload_phase: "finish",
-        upload_session_id: upload_session_id,
-        access_token,
-        title: file.originalname,
-      });
-
-      return video_id;
-    } catch (err) {
-      console.log("Error uploading large video to Facebook:", err.response?.data || err.message);
-      throw err;
-    }
-  }
-
-  // Helper function to upload image
-  async function uploadImageToMeta(filePath, adAccountId) {
-    const imageUrl = `https://graph.facebook.com/${api_version}/act_${adAccountId}/adimages`;
-
-    try {
-      const fd = new FormData();
-      fd.append("source", fs.createReadStream(filePath));
-      fd.append("access_token", access_token);
-
-      const response = await axios.post(imageUrl, fd, {
-        headers: {
-          ...fd.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
-
-      const images = response.data.images;
-      const dynamicKey = Object.keys(images)[0];
-      return images[dynamicKey].hash;
-    } catch (err) {
-      console.log("Error uploading image:", err.response?.data || err.message);
-      throw err;
-    }
-  }
-
-  // Helper function to upload thumbnail
-  async function uploadThumbnailImage(thumbnailPath, adAccountId) {
-    return uploadImageToMeta(thumbnailPath, adAccountId);
+    sendError(res, error, "Failed to upload creative to account");
   }
 });
 
@@ -3522,6 +3826,13 @@ app.delete("/api/creative-library/:id", async (req, res) => {
       }
     }
 
+    // Renditions go with the original; their rows are removed by ON DELETE CASCADE
+    for (const rendition of await CreativeDB.getChildren(creativeId)) {
+      for (const renditionPath of [getCreativeFilePath(rendition), getThumbnailFilePath(rendition)]) {
+        if (renditionPath) fs.rmSync(renditionPath, { force: true });
+      }
+    }
+
     // Delete from database
     await CreativeDB.delete(creativeId);
 
@@ -3555,6 +3866,13 @@ app.delete("/api/creative-library", async (req, res) => {
           console.log(`Deleted thumbnail: ${thumbnailPath}`);
         }
       }
+
+      // getAll lists originals only; their renditions are deleted with them
+      for (const rendition of await CreativeDB.getChildren(creative.id)) {
+        for (const renditionPath of [getCreativeFilePath(rendition), getThumbnailFilePath(rendition)]) {
+          if (renditionPath) fs.rmSync(renditionPath, { force: true });
+        }
+      }
     }
 
     // Delete all from database
@@ -3700,21 +4018,43 @@ app.delete("/api/creative-batches/:batchId/creatives/:creativeId", async (req, r
 });
 
 // Upload library creatives to a specific ad account
-app.post("/api/upload-library-creatives", validateRequest.uploadLibraryCreatives, async (req, res) => {
+// Multipart requests may add .zip archives: their images and videos are added to the library and
+// uploaded as "archive-entry" jobs, and follow the creativeIds in `results`.
+app.post("/api/upload-library-creatives", upload.array("files", 50), chunkedUploadFiles, validateRequest.uploadLibraryCreatives, async (req, res) => {
+  let archives = [];
+  let archiveJobIds = [];
   try {
-    const { creativeIds, account_id, sessionId } = req.body;
-
-    if (!creativeIds || !Array.isArray(creativeIds) || creativeIds.length === 0) {
-      return res.status(400).json({ error: "Creative IDs array is required" });
-    }
+    const { creativeIds = [], account_id, createBatches } = req.body;
 
     if (!account_id) {
       return res.status(400).json({ error: "Account ID is required" });
     }
 
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
+    const sessionId = uploadSessionFor(req, req.body.sessionId);
+    ({ archives } = await readUploadedArchives(req.files || [], { createBatches }));
+    if (archives.length > 0) {
+      const entryCount = archives.reduce((count, archive) => count + archive.entries.length, 0);
+      uploadSessions.get(sessionId).totalFiles += entryCount;
+      archiveJobIds = await enqueueArchiveEntries(archives, {
+        firstIndex: creativeIds.length,
+        totalFiles: creativeIds.length + entryCount,
+        accountId: account_id,
+        sessionId,
+        userId: getUserId(req),
+      });
+    }
+
+    const signal = uploadSessions.get(sessionId)?.controller.signal;
     const results = [];
 
     for (const creativeId of creativeIds) {
+      if (signal?.aborted) {
+        results.push({ status: "rejected", creativeId, reason: "Upload cancelled", code: "SESSION_CANCELLED" });
+        continue;
+      }
       try {
         // Get creative details
         const creative = await CreativeDB.getById(creativeId);
@@ -3761,7 +4101,13 @@ app.post("/api/upload-library-creatives", validateRequest.uploadLibraryCreatives
         }
 
         // Get file path
-        const filePath = getCreativeFilePath(creative);
+        const filePath = await uploadPathFor(creative, {
+          sessionId,
+          fileIndex: creativeIds.indexOf(creativeId),
+          fileName: creative.original_name,
+          adAccountId: account_id,
+          signal,
+        });
         const isVideo = creative.file_type.startsWith("video/");
 
         if (isVideo) {
@@ -3772,25 +4118,38 @@ app.post("/api/upload-library-creatives", validateRequest.uploadLibraryCreatives
             size: creative.file_size,
           };
 
-          // Get or create thumbnail
-          let thumbnailPath = creative.thumbnail_path ? getThumbnailFilePath(creative) : null;
-          if (!thumbnailPath) {
-            const thumbnail = await getThumbnailFromVideo(fileObj);
-            thumbnailPath = thumbnail.path;
-
-            // Update creative with thumbnail
-            await updateCreativeThumbnail(creative.id, path.relative(__dirname, thumbnailPath));
-          }
+          // Get or create the library thumbnail
+          const thumbnailPath = await ensureCreativeThumbnail(creative.id, {
+            adAccountId: account_id,
+            onQueued: queueReporter(sessionId, creativeIds.indexOf(creativeId), creative.original_name),
+            signal,
+          });
 
           // Upload video and thumbnail
-          const thumbnail_image_hash = await uploadImageToMeta(thumbnailPath, account_id);
-          const video_id = await uploadVideoToMeta(fileObj, account_id);
+          const thumbnail_image_hash = await MetaGraphClient.uploadImage(thumbnailPath, account_id, {
+            accessToken,
+            onRetry: retryReporter(sessionId, creativeIds.indexOf(creativeId), creative.original_name),
+            onQueued: queueReporter(sessionId, creativeIds.indexOf(creativeId), creative.original_name),
+            signal,
+          });
+          const video_id = await MetaGraphClient.uploadVideo(fileObj, account_id, {
+            ...uploadReporters(sessionId, creativeIds.indexOf(creativeId), creative.original_name),
+            accessToken,
+            userId: getUserId(req),
+            signal,
+          });
 
           // Store Facebook IDs
           await CreativeAccountDB.recordUpload(creative.id, account_id, {
             videoId: video_id,
             imageHash: thumbnail_image_hash,
           });
+          watchVideoProcessing(video_id, {
+            sessionId,
+            fileIndex: creativeIds.indexOf(creativeId),
+            fileName: creative.original_name,
+            accessToken,
+          });
 
           results.push({
             status: "fulfilled",
@@ -3806,7 +4165,12 @@ app.post("/api/upload-library-creatives", validateRequest.uploadLibraryCreatives
           });
         } else {
           // Upload image
-          const imageHash = await uploadImageToMeta(filePath, account_id);
+          const imageHash = await MetaGraphClient.uploadImage(filePath, account_id, {
+            accessToken,
+            onRetry: retryReporter(sessionId, creativeIds.indexOf(creativeId), creative.original_name),
+            onQueued: queueReporter(sessionId, creativeIds.indexOf(creativeId), creative.original_name),
+            signal,
+          });
 
           // Store Facebook ID
           await CreativeAccountDB.recordUpload(creative.id, account_id, { imageHash });
@@ -3823,18 +4187,363 @@ app.post("/api/upload-library-creatives", validateRequest.uploadLibraryCreatives
         }
       } catch (error) {
         console.error(`Error uploading creative ${creativeId}:`, error);
+        const body = errorBody(error);
         results.push({
           status: "rejected",
           creativeId,
-          reason: error.message,
+          reason: body.error,
+          code: body.code,
+          category: body.category,
+          fix: body.fix,
+        });
+      }
+    }
+
+    const archiveJobs = await JobQueue.waitFor(archiveJobIds);
+    for (const job of archiveJobs) {
+      if (job.status !== "succeeded") {
+        results.push({
+          status: "rejected",
+          creativeId: null,
+          file: job.payload.entry.fileName,
+          archive: job.payload.archive.name,
+          reason: job.status === "cancelled" ? "Upload cancelled" : job.error?.error,
+          code: job.status === "cancelled" ? "SESSION_CANCELLED" : job.error?.code,
+          category: job.error?.category,
+          fix: job.error?.fix,
         });
+        continue;
       }
+      const { type, file, archive, creativeId, videoId, imageHash, isDuplicate } = job.result;
+      results.push({
+        status: "fulfilled",
+        value: {
+          type,
+          file,
+          archive,
+          creativeId,
+          ...(type === "video" ? { data: { uploadVideo: videoId, getImageHash: imageHash } } : { imageHash }),
+          status: "success",
+          ...(isDuplicate && { isExisting: true }),
+        },
+      });
     }
 
-    res.json({ results });
+    res.json({ results, sessionId, ...(archives.length > 0 && { skipped: skippedArchiveEntries(archives) }) });
   } catch (error) {
     console.error("Error in upload-library-creatives:", error);
-    res.status(500).json({ error: "Failed to upload library creatives" });
+    sendError(res, error, "Failed to upload library creatives");
+  } finally {
+    // Entries queued before a failure still read their archive; remove it once they are done
+    JobQueue.waitFor(archiveJobIds)
+      .catch((error) => console.error("Error waiting for archive jobs:", error))
+      .finally(() => removeArchives(archives));
+  }
+});
+
+// Fan-out uploads: every creative to every ad account in one request. Each creative × account
+// pair that still needs an upload becomes a "fan-out-upload" job; progress is reported per pair
+// with fan-out-cell events and the finished matrix with fan-out-complete.
+
+// Creative ID -> promise of its library thumbnail, so parallel jobs create it only once
+const pendingThumbnails = new Map();
+
+async function ensureCreativeThumbnail(creativeId, options) {
+  const creative = await CreativeDB.getById(creativeId);
+  if (creative.thumbnail_path) return getThumbnailFilePath(creative);
+
+  if (!pendingThumbnails.has(creativeId)) {
+    const created = (async () => {
+      const thumbnail = await getThumbnailFromVideo(
+        { path: getCreativeFilePath(creative), originalname: creative.original_name },
+        options
+      );
+      const thumbnailPath = await updateCreativeThumbnail(creativeId, thumbnail.path);
+      fs.rmSync(thumbnail.path, { force: true });
+      return getThumbnailFilePath({ ...creative, thumbnail_path: thumbnailPath });
+    })();
+    pendingThumbnails.set(creativeId, created);
+    created.finally(() => pendingThumbnails.delete(creativeId)).catch(() => {});
+  }
+  return pendingThumbnails.get(creativeId);
+}
+
+// Upload a library creative to an ad account (a video with its thumbnail) and record the IDs.
+// Returns { videoId, imageHash }; videoId is null for images.
+async function uploadLibraryCreative(creative, accountId, { accessToken, userId, onQueued, onProgress, onRetry, signal }) {
+  const filePath = await uploadPathFor(creative, { adAccountId: accountId, onQueued, signal });
+
+  let ids;
+  if (creative.file_type.startsWith("video/")) {
+    const thumbnailPath = await ensureCreativeThumbnail(creative.id, { adAccountId: accountId, onQueued, signal });
+    const imageHash = await MetaGraphClient.uploadImage(thumbnailPath, accountId, { accessToken, onQueued, onRetry, signal });
+    const videoId = await MetaGraphClient.uploadVideo({ path: filePath, originalname: creative.original_name }, accountId, {
+      accessToken,
+      userId,
+      onQueued,
+      onRetry,
+      signal,
+      onProgress,
+    });
+    ids = { videoId, imageHash };
+  } else {
+    const imageHash = await MetaGraphClient.uploadImage(filePath, accountId, { accessToken, onQueued, onRetry, signal });
+    ids = { videoId: null, imageHash };
+  }
+
+  await CreativeAccountDB.recordUpload(creative.id, accountId, ids);
+  return ids;
+}
+
+function cellReporter(sessionId, creativeId, accountId) {
+  return (status, details = {}) => broadcastToSession(sessionId, "fan-out-cell", { creativeId, accountId, status, ...details });
+}
+
+// Job "fan-out-upload": upload one library creative to one ad account
+async function runFanOutUploadJob({ creativeId, accountId, sessionId }, { job, signal }) {
+  const reportCell = cellReporter(sessionId, creativeId, accountId);
+  const onQueued = ({ resource, position, waiting }) => reportCell("queued", { queue: resource, position, waiting });
+
+  try {
+    const creative = await CreativeDB.getById(creativeId);
+    if (!creative) {
+      throw new AppError("CREATIVE_NOT_FOUND", "Creative not found", { status: 404 });
+    }
+
+    // Another request may have uploaded the pair since this job was queued
+    const existing = await CreativeAccountDB.getFacebookIds(creativeId, accountId);
+    if (existing) {
+      const cell = { status: "skipped", videoId: existing.facebook_video_id, imageHash: existing.facebook_image_hash };
+      reportCell(cell.status, cell);
+      return cell;
+    }
+
+    const accessToken = await getUserAccessToken(job.user_id);
+    reportCell("uploading");
+    const ids = await uploadLibraryCreative(creative, accountId, {
+      accessToken,
+      userId: job.user_id,
+      onQueued,
+      onProgress: ({ percent }) => reportCell("uploading", { percent }),
+      signal,
+    });
+
+    const cell = { status: "uploaded", ...ids };
+    reportCell(cell.status, cell);
+    if (cell.videoId) {
+      watchVideoProcessing(cell.videoId, { sessionId, fileName: creative.original_name, accessToken });
+    }
+    return cell;
+  } catch (error) {
+    if (signal.aborted) {
+      reportCell("cancelled");
+      throw error;
+    }
+    console.error(`Fan-out upload of creative ${creativeId} to ${accountId} failed:`, error.message);
+    reportCell("failed", errorBody(error));
+    throw error;
+  } finally {
+    const session = uploadSessions.get(sessionId);
+    if (session) session.processedFiles++;
+  }
+}
+
+JobQueue.register("fan-out-upload", runFanOutUploadJob);
+
+// POST /api/fan-out-uploads - upload creatives (library IDs in `creativeIds` and/or new files) to
+// every ad account in `account_ids`. New files are stored in the library once; pairs already
+// uploaded are skipped. Answers with the session ID and the initial matrix once the new files are
+// in the library, before anything is sent to Meta.
+app.post("/api/fan-out-uploads", upload.array("files", 50), chunkedUploadFiles, validateRequest.fanOutUpload, async (req, res) => {
+  try {
+    const { creativeIds, account_ids: accountIds } = req.body;
+
+    const accessToken = await requireUserAccessToken(req, res);
+    if (!accessToken) return;
+
+    // Hash and store new files once, whichever accounts they go to
+    const creatives = new Map();
+    const releaseFiles = holdTempFiles(req.files || []);
+    try {
+      for (const creativeId of creativeIds) {
+        const creative = await CreativeDB.getById(creativeId);
+        if (!creative) {
+          return sendError(res, new AppError("CREATIVE_NOT_FOUND", `Creative ${creativeId} not found`, { status: 404 }));
+        }
+        creatives.set(creative.id, creative);
+
+        // Aspect-ratio variants go out together with their master
+        if (req.body.includeVariants) {
+          for (const child of await CreativeDB.getChildren(creative.id)) {
+            if (ASPECT_RATIOS[child.variant]) creatives.set(child.id, child);
+          }
+        }
+      }
+      for (const file of req.files || []) {
+        const { creative, validation } = await processCreative(file, null);
+        creatives.set(creative.id, { ...creative, validation });
+      }
+    } finally {
+      // processCreative moves or removes the files it gets to; a failed request leaves the rest
+      for (const file of req.files || []) fs.rmSync(file.path, { force: true });
+      releaseFiles();
+    }
+
+    // Reuse the client's session when it already listens for progress
+    const sessionId = uploadSessionFor(req, req.body.sessionId);
+    const session = uploadSessions.get(sessionId);
+
+    const matrix = {
+      creatives: [...creatives.values()].map((creative) => ({
+        id: creative.id,
+        name: creative.original_name,
+        type: creative.file_type,
+        parentId: creative.parent_id || null,
+        variant: creative.variant || null,
+      })),
+      accounts: accountIds,
+      cells: {},
+    };
+
+    const jobIds = [];
+    for (const creative of creatives.values()) {
+      matrix.cells[creative.id] = {};
+      // Media Meta would reject fails in every account without being queued
+      const invalid = mediaValidationError(creative.validation, creative.original_name);
+      for (const accountId of accountIds) {
+        if (invalid) {
+          matrix.cells[creative.id][accountId] = { status: "failed", ...errorBody(invalid) };
+          continue;
+        }
+        const existing = await CreativeAccountDB.getFacebookIds(creative.id, accountId);
+        if (existing) {
+          matrix.cells[creative.id][accountId] = {
+            status: "skipped",
+            videoId: existing.facebook_video_id,
+            imageHash: existing.facebook_image_hash,
+          };
+          continue;
+        }
+
+        const jobId = await JobQueue.enqueue(
+          "fan-out-upload",
+          { creativeId: creative.id, accountId, sessionId },
+          { userId: getUserId(req), sessionId }
+        );
+        jobIds.push(jobId);
+        matrix.cells[creative.id][accountId] = { status: "queued", jobId };
+      }
+    }
+
+    // A reused session may already be counting other uploads
+    session.totalFiles += jobIds.length;
+
+    res.json({ sessionId, jobIds, matrix });
+
+    broadcastToSession(sessionId, "fan-out-start", { sessionId, totalUploads: jobIds.length, matrix });
+
+    for (const job of await JobQueue.waitFor(jobIds)) {
+      const { creativeId, accountId } = job.payload;
+      matrix.cells[creativeId][accountId] =
+        job.status === "succeeded" ? { ...job.result, jobId: job.id } : { status: job.status, jobId: job.id, ...job.error };
+    }
+
+    const cells = Object.values(matrix.cells).flatMap((row) => Object.values(row));
+    broadcastToSession(sessionId, "fan-out-complete", {
+      sessionId,
+      uploaded: cells.filter((cell) => cell.status === "uploaded").length,
+      skipped: cells.filter((cell) => cell.status === "skipped").length,
+      failed: cells.filter((cell) => cell.status === "failed" || cell.status === "cancelled").length,
+      matrix,
+    });
+  } catch (error) {
+    console.error("Error in fan-out upload:", error);
+    sendError(res, error, "Fan-out upload failed");
+  }
+});
+
+function variantReporter(sessionId, creativeId, ratio) {
+  return (status, details = {}) => broadcastToSession(sessionId, "variant-status", { creativeId, ratio, status, ...details });
+}
+
+// Job "aspect-variant": render one aspect-ratio variant of a library creative
+async function runAspectVariantJob({ creativeId, ratio, options, sessionId }, { signal }) {
+  const report = variantReporter(sessionId, creativeId, ratio);
+
+  try {
+    const creative = await CreativeDB.getById(creativeId);
+    if (!creative) {
+      throw new AppError("CREATIVE_NOT_FOUND", "Creative not found", { status: 404 });
+    }
+
+    report("rendering", { percent: 0 });
+    const variant = await createAspectVariant(creative, ratio, {
+      ...options,
+      onQueued: ({ resource, position, waiting }) => report("queued", { queue: resource, position, waiting }),
+      onProgress: (percent) => report("rendering", { percent }),
+      signal,
+    });
+
+    const result = { status: "ready", variantId: variant.id, name: variant.original_name, type: variant.file_type };
+    report(result.status, result);
+    return result;
+  } catch (error) {
+    if (signal.aborted) {
+      report("cancelled");
+      throw error;
+    }
+    console.error(`Rendering the ${ratio} variant of creative ${creativeId} failed:`, error.message);
+    report("failed", errorBody(error));
+    throw error;
+  }
+}
+
+JobQueue.register("aspect-variant", runAspectVariantJob);
+
+// POST /api/creative-library/:id/variants - render aspect-ratio variants (`ratios`: 1:1, 4:5,
+// 9:16) of a master creative with `mode` crop, pad or blur, a `focus` point and an optional
+// `safeZone`. Each ratio is a job; answers with the session ID and job IDs right away.
+app.post("/api/creative-library/:id/variants", validateRequest.createVariants, async (req, res) => {
+  try {
+    const creative = await CreativeDB.getById(req.params.id);
+    if (!creative) {
+      return sendError(res, new AppError("CREATIVE_NOT_FOUND", "Creative not found", { status: 404 }));
+    }
+    if (creative.parent_id) {
+      return sendError(
+        res,
+        new AppError("CREATIVE_IS_RENDITION", "Variants are made from master creatives, not from renditions.", {
+          fix: `Create the variants from creative ${creative.parent_id}.`,
+        })
+      );
+    }
+
+    const { ratios, mode, focus, safeZone, background } = req.body;
+    const sessionId = uploadSessionFor(req, req.body.sessionId);
+
+    const jobIds = [];
+    for (const ratio of ratios) {
+      jobIds.push(
+        await JobQueue.enqueue(
+          "aspect-variant",
+          { creativeId: creative.id, ratio, options: { mode, focus, safeZone, background }, sessionId },
+          { userId: getUserId(req), sessionId }
+        )
+      );
+    }
+
+    res.json({ sessionId, jobIds });
+
+    const jobs = await JobQueue.waitFor(jobIds);
+    broadcastToSession(sessionId, "variants-complete", {
+      creativeId: creative.id,
+      variants: jobs.map((job) =>
+        job.status === "succeeded" ? { ratio: job.payload.ratio, ...job.result } : { ratio: job.payload.ratio, status: job.status, ...job.error }
+      ),
+    });
+  } catch (error) {
+    console.error("Error creating creative variants:", error);
+    sendError(res, error, "Failed to create creative variants");
   }
 });
 
@@ -3864,16 +4573,18 @@ app.use((err, req, res, next) => {
   // Don't leak error details in production
   const isDevelopment = process.env.NODE_ENV === "development";
 
-  res.status(err.status || 500).json({
-    error: "Internal server error",
-    message: isDevelopment ? err.message : "An unexpected error occurred",
-    ...(isDevelopment && { stack: err.stack }),
-  });
+  const body = errorBody(err, "An unexpected error occurred");
+  if (isDevelopment) {
+    body.details = { ...body.details, message: err.message, stack: err.stack };
+  } else if (body.code === "INTERNAL_ERROR") {
+    delete body.details;
+  }
+  res.status(err.status || classifyError(err).status).json(body);
 });
 
 // Handle 404s
 app.use((req, res) => {
-  res.status(404).json({ error: "Route not found" });
+  sendError(res, new AppError("NOT_FOUND", "Route not found", { status: 404 }));
 });
 
 // Process-level error handlers
@@ -3953,6 +4664,19 @@ server.listen(PORT, "0.0.0.0", () => {
   const protocol = process.env.NODE_ENV === 'development' ? 'https' : 'http';
   console.log(`Server is now accepting connections on ${protocol}://localhost:${PORT}`);
 
+  // Warn when the configured Graph API version is deprecated or about to be
+  checkApiVersionLifecycle();
+
+  // Run queued upload jobs, including the ones interrupted by the last shutdown
+  JobQueue.start()
+    .catch((error) => console.error("Failed to start job queue:", error))
+    .finally(() => startTempSweeper());
+
+  // Pick up Meta video uploads interrupted by the last shutdown
+  if (process.env.META_VIDEO_RESUME_ON_BOOT !== "false") {
+    resumeInterruptedVideoUploads();
+  }
+
   // Send startup notification (non-error) - wrapped in async to avoid blocking
   (async () => {
     try {